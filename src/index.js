@@ -6,6 +6,9 @@ import { dirname, join } from 'path';
 import multer from 'multer';
 import apiRoutes from './routes/api.js';
 import emailRoutes from './routes/emailRoutes.js';
+import ingestionJobService from './services/ingestionJobService.js';
+import archiveExtractor from './utils/archiveExtractor.js';
+import documentProcessor from './utils/documentProcessor.js';
 
 // Load environment variables
 dotenv.config();
@@ -47,23 +50,42 @@ const storage = multer.diskStorage({
   }
 });
 
+// Accepted uploads follow the extractors registered with DocumentProcessor, plugins included
+const supportedFormatList = () => documentProcessor.getSupportedFormats().map(format => format.toUpperCase()).join(', ');
+
 const upload = multer({ 
   storage: storage,
   limits: {
     fileSize: 10 * 1024 * 1024 // 10MB limit
   },
   fileFilter: (req, file, cb) => {
-    const allowedTypes = ['application/pdf', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', 'text/plain', 'text/html'];
-    if (allowedTypes.includes(file.mimetype)) {
+    if (documentProcessor.isAllowedUpload(file.originalname, file.mimetype)) {
       cb(null, true);
     } else {
-      cb(new Error('Invalid file type. Only PDF, DOCX, TXT, and HTML files are allowed.'), false);
+      cb(new Error(`Invalid file type. Supported formats: ${supportedFormatList()}`), false);
+    }
+  }
+});
+
+// Batch uploads also accept archives, which the ingestion worker expands
+const batchUpload = multer({
+  storage: storage,
+  limits: {
+    fileSize: parseInt(process.env.BATCH_MAX_UPLOAD_SIZE) || 100 * 1024 * 1024, // 100MB per file or archive
+    files: parseInt(process.env.BATCH_MAX_FILES) || 100
+  },
+  fileFilter: (req, file, cb) => {
+    if (documentProcessor.isAllowedUpload(file.originalname, file.mimetype) || archiveExtractor.isArchive(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error(`Invalid file type for ${file.originalname}. Supported formats: ${supportedFormatList()}, ZIP and TAR.GZ`), false);
     }
   }
 });
 
 // Make upload available to routes
 app.locals.upload = upload;
+app.locals.batchUpload = batchUpload;
 
 // API Routes
 app.use('/api', apiRoutes);
@@ -86,6 +108,8 @@ app.get('/', (req, res) => {
     endpoints: {
       health: '/health',
       ingest: '/api/ingest',
+      ingestBatch: '/api/ingest/batch',
+      ingestJobs: '/api/ingest/jobs',
       query: '/api/query',
       documents: '/api/documents',
       emails: {
@@ -131,6 +155,13 @@ app.listen(PORT, "0.0.0.0", () => {
   console.log(`🚀 Vext RAG System server running on port ${PORT}`);
   console.log(`📚 API Documentation: http://3.6.147.238:${PORT}`);
   console.log(`🏥 Health Check: http://3.6.147.238:${PORT}/health`);
+
+  // Load extractor plugins, then resume interrupted ingestion jobs and start processing the queue
+  documentProcessor.initialize()
+    .then(() => ingestionJobService.start())
+    .catch(error => {
+      console.error('❌ Failed to start ingestion worker:', error);
+    });
 });
 
 export default app; 
\ No newline at end of file
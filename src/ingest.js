@@ -5,7 +5,9 @@ import { dirname } from 'path';
 import dotenv from 'dotenv';
 import documentProcessor from './utils/documentProcessor.js';
 import textChunker from './utils/textChunker.js';
+import metadataFilter from './utils/metadataFilter.js';
 import vectorService from './services/vectorService.js';
+import vextService from './services/vextService.js';
 
 // Load environment variables
 dotenv.config();
@@ -13,11 +15,19 @@ dotenv.config();
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+// Chunks are sized in embedding-model tokens unless CHUNK_UNIT=characters
+const chunkUnit = process.env.CHUNK_UNIT === 'characters' ? 'characters' : 'tokens';
+
 // Initialize text chunker
-const chunker = new textChunker({
-  chunkSize: parseInt(process.env.CHUNK_SIZE) || 1000,
-  chunkOverlap: parseInt(process.env.CHUNK_OVERLAP) || 200
-});
+const chunker = new textChunker(chunkUnit === 'tokens'
+  ? {
+    chunkSize: parseInt(process.env.CHUNK_SIZE_TOKENS) || 256,
+    chunkOverlap: parseInt(process.env.CHUNK_OVERLAP_TOKENS) || 32
+  }
+  : {
+    chunkSize: parseInt(process.env.CHUNK_SIZE) || 1000,
+    chunkOverlap: parseInt(process.env.CHUNK_OVERLAP) || 200
+  });
 
 async function ingestDocuments(directoryPath, options = {}) {
   console.log('📚 Starting document ingestion...\n');
@@ -25,6 +35,17 @@ async function ingestDocuments(directoryPath, options = {}) {
   try {
     // Initialize vector database
     await vectorService.initialize();
+    await documentProcessor.initialize();
+    const tokenCounter = await vextService.getTokenCounter();
+    const chunkingOptions = {
+      ...(chunkUnit === 'tokens' && { lengthFunction: tokenCounter.countTokens }),
+      ...(options.chunkingStrategy === 'semantic' && {
+        embed: texts => vextService.generateEmbeddings(texts),
+        minChunkSize: parseInt(process.env.SEMANTIC_CHUNK_MIN_SIZE) || Math.floor(chunker.chunkSize / 4),
+        maxChunkSize: parseInt(process.env.SEMANTIC_CHUNK_MAX_SIZE) || chunker.chunkSize,
+        breakpointPercentile: parseFloat(process.env.SEMANTIC_BREAKPOINT_PERCENTILE) || 90
+      })
+    };
 
     // Get all files in the directory
     const files = await getSupportedFiles(directoryPath);
@@ -45,14 +66,29 @@ async function ingestDocuments(directoryPath, options = {}) {
         console.log(`Processing: ${file.name}`);
         
         // Process document
+        let chunkingStrategy = options.chunkingStrategy || 'fixed';
         const processedDoc = await documentProcessor.processDocument(file.path, {
           source: 'batch_ingest',
           ingestedAt: new Date().toISOString()
-        });
+        }, { preserveStructure: chunkingStrategy === 'structure', originalname: file.name });
+
+        // Spreadsheet rows are kept with their sheet name and column headers
+        if (processedDoc.tables) {
+          chunkingStrategy = 'structure';
+        }
 
         // Chunk the text
-        const chunks = chunker.chunkText(processedDoc.text);
+        const chunks = chunker.assignLayout(await chunker.chunkWithStrategy(processedDoc.text, chunkingStrategy, chunkingOptions), processedDoc.layout)
+          .map(chunk => ({ ...chunk, tokenCount: tokenCounter.countTokens(chunk.text) }));
         const chunkStats = chunker.getChunkStats(chunks);
+        if (chunkStats.boundaries) {
+          console.log(`  ✂️ Boundaries: ${chunkStats.boundaries.semantic} at topic changes, ${chunkStats.boundaries.maxSize} at the size limit`);
+        }
+
+        const oversized = chunks.filter(chunk => chunk.tokenCount > tokenCounter.maxSequenceLength).length;
+        if (oversized > 0) {
+          console.warn(`  ⚠️ ${oversized} chunks exceed ${tokenCounter.maxSequenceLength} tokens and will be truncated when embedded`);
+        }
 
         // Prepare documents for vector database
         const documents = chunks.map((chunk, index) => ({
@@ -62,7 +98,15 @@ async function ingestDocuments(directoryPath, options = {}) {
             chunkIndex: index,
             totalChunks: chunks.length,
             chunkStart: chunk.start,
-            chunkEnd: chunk.end
+            chunkEnd: chunk.end,
+            pageStart: chunk.pageStart,
+            pageEnd: chunk.pageEnd,
+            sectionHeading: chunk.sectionHeading,
+            headingPath: chunk.headingPath ? chunker.formatBreadcrumb(chunk.headingPath) : null,
+            tokenCount: chunk.tokenCount,
+            chunkBoundary: chunk.boundary,
+            chunkingStrategy,
+            ...metadataFilter.indexFields(processedDoc.metadata)
           }
         }));
 
@@ -160,7 +204,8 @@ async function main() {
   if (args.length === 0) {
     console.log('Usage: node src/ingest.js <directory_path> [options]');
     console.log('\nOptions:');
-    console.log('  --help     Show this help message');
+    console.log('  --strategy <name>  Chunking strategy: fixed, structure or semantic (default: fixed)');
+    console.log('  --help             Show this help message');
     console.log('\nExample:');
     console.log('  node src/ingest.js ./documents');
     process.exit(1);
@@ -173,6 +218,10 @@ async function main() {
     console.log('\nArguments:');
     console.log('  directory_path    Path to directory containing documents');
     console.log('\nOptions:');
+    console.log('  --strategy <name> Chunking strategy (default: fixed)');
+    console.log('                    fixed: size-based chunks with overlap');
+    console.log('                    structure: split along headings, lists and tables');
+    console.log('                    semantic: split where the topic changes between sentences');
     console.log('  --help            Show this help message');
     console.log('\nSupported file formats:');
     console.log('  - PDF (.pdf)');
@@ -180,10 +229,15 @@ async function main() {
     console.log('  - Text (.txt)');
     console.log('  - HTML (.html, .htm)');
     console.log('\nEnvironment variables:');
-    console.log('  CHUNK_SIZE        Size of text chunks (default: 1000)');
-    console.log('  CHUNK_OVERLAP     Overlap between chunks (default: 200)');
+    console.log('  CHUNK_UNIT        Unit chunks are sized in: tokens or characters (default: tokens)');
+    console.log('  CHUNK_SIZE_TOKENS Size of text chunks in tokens (default: 256)');
+    console.log('  CHUNK_OVERLAP_TOKENS Overlap between chunks in tokens (default: 32)');
+    console.log('  CHUNK_SIZE        Size of text chunks in characters (default: 1000)');
+    console.log('  CHUNK_OVERLAP     Overlap between chunks in characters (default: 200)');
     console.log('  OPENAI_API_KEY    OpenAI API key for embeddings');
-    console.log('  CHROMA_URL        ChromaDB URL (default: http://3.6.147.238:8000)');
+    console.log('  VECTOR_STORE      Vector store backend: chroma or local (default: local unless CHROMA_URL is set)');
+    console.log('  CHROMA_URL        ChromaDB URL (chroma store only)');
+    console.log('  VECTOR_STORE_PATH Directory for the local store (default: ./data/vector_store)');
     process.exit(0);
   }
 
@@ -197,7 +251,14 @@ async function main() {
     process.exit(1);
   }
 
-  await ingestDocuments(directoryPath);
+  const strategyIndex = args.indexOf('--strategy');
+  const chunkingStrategy = strategyIndex !== -1 ? args[strategyIndex + 1] : 'fixed';
+  if (!chunker.getStrategies().includes(chunkingStrategy)) {
+    console.error(`❌ Unknown chunking strategy: ${chunkingStrategy}. Must be one of: ${chunker.getStrategies().join(', ')}`);
+    process.exit(1);
+  }
+
+  await ingestDocuments(directoryPath, { chunkingStrategy });
 }
 
 // Run if this file is executed directly
@@ -2,25 +2,64 @@ import express from 'express';
 import path from 'path';
 import fs from 'fs/promises';
 import documentProcessor from '../utils/documentProcessor.js';
+import metadataFilter from '../utils/metadataFilter.js';
+import archiveExtractor from '../utils/archiveExtractor.js';
+import spreadsheetParser from '../utils/spreadsheetParser.js';
 import textChunker from '../utils/textChunker.js';
 import vectorService from '../services/vectorService.js';
 import aiService from '../services/aiService.js';
 import vextService from '../services/vextService.js';
 import questionHistoryService from '../services/questionHistoryService.js';
+import conversationService from '../services/conversationService.js';
+import collectionService from '../services/collectionService.js';
+import promptTemplateService from '../services/promptTemplateService.js';
+import documentVersionService from '../services/documentVersionService.js';
+import tableStoreService from '../services/tableStoreService.js';
+import ingestionJobService, { JOB_STATUSES } from '../services/ingestionJobService.js';
 import ocrService from '../services/ocrService.js';
 import { v4 as uuidv4 } from 'uuid';
 
 const router = express.Router();
 
-// Progress tracking storage
-const processingProgress = new Map();
-const processingResults = new Map();
+// What to do when a user uploads content they have already ingested
+const DUPLICATE_POLICIES = ['skip', 'replace', 'keep'];
+const DEFAULT_DUPLICATE_POLICY = DUPLICATE_POLICIES.includes(process.env.INGEST_DUPLICATE_POLICY)
+  ? process.env.INGEST_DUPLICATE_POLICY
+  : 'skip';
+
+// Chunks are sized in embedding-model tokens unless CHUNK_UNIT=characters
+const CHUNK_UNIT = process.env.CHUNK_UNIT === 'characters' ? 'characters' : 'tokens';
 
 // Initialize text chunker
-const chunker = new textChunker({
-  chunkSize: parseInt(process.env.CHUNK_SIZE) || 1000,
-  chunkOverlap: parseInt(process.env.CHUNK_OVERLAP) || 200
-});
+const chunker = new textChunker(CHUNK_UNIT === 'tokens'
+  ? {
+    chunkSize: parseInt(process.env.CHUNK_SIZE_TOKENS) || 256,
+    chunkOverlap: parseInt(process.env.CHUNK_OVERLAP_TOKENS) || 32
+  }
+  : {
+    chunkSize: parseInt(process.env.CHUNK_SIZE) || 1000,
+    chunkOverlap: parseInt(process.env.CHUNK_OVERLAP) || 200
+  });
+
+// How uploaded documents are split into chunks
+const CHUNKING_STRATEGIES = chunker.getStrategies();
+const DEFAULT_CHUNKING_STRATEGY = CHUNKING_STRATEGIES.includes(process.env.CHUNKING_STRATEGY)
+  ? process.env.CHUNKING_STRATEGY
+  : 'fixed';
+
+// Bounds and breakpoint for the semantic strategy, in the same unit as the chunk size
+const SEMANTIC_CHUNKING_OPTIONS = {
+  minChunkSize: parseInt(process.env.SEMANTIC_CHUNK_MIN_SIZE) || Math.floor(chunker.chunkSize / 4),
+  maxChunkSize: parseInt(process.env.SEMANTIC_CHUNK_MAX_SIZE) || chunker.chunkSize,
+  breakpointPercentile: parseFloat(process.env.SEMANTIC_BREAKPOINT_PERCENTILE) || 90
+};
+
+// Questions about retrieved spreadsheets are also answered by querying their stored rows
+const TABLE_QUERY_ENABLED = process.env.TABLE_QUERY_ENABLED !== 'false';
+const TABLE_QUERY_MAX_ROWS = parseInt(process.env.TABLE_QUERY_MAX_ROWS) || 50;
+
+// Upper bound on the answer length a query may ask for
+const MAX_ANSWER_TOKENS = parseInt(process.env.MAX_ANSWER_TOKENS) || 8000;
 
 /**
  * GET /api/ingest/progress/:jobId
@@ -47,67 +86,77 @@ router.get('/ingest/progress/:jobId', (req, res) => {
     timestamp: new Date().toISOString()
   })}\n\n`);
 
-  // Keep-alive interval (every 2 seconds)
-  const keepAliveInterval = setInterval(() => {
-    const progress = processingProgress.get(jobId);
-    if (progress) {
-      res.write(`data: ${JSON.stringify({
-        type: 'progress',
-        ...progress,
-        timestamp: new Date().toISOString()
-      })}\n\n`);
-    } else {
-      res.write(`data: ${JSON.stringify({
-        type: 'keepalive',
-        jobId,
-        timestamp: new Date().toISOString()
-      })}\n\n`);
+  const closeStream = () => {
+    clearInterval(updateInterval);
+    clearTimeout(connectionTimeout);
+    if (!res.writableEnded) {
+      res.end();
     }
-  }, 2000);
+  };
 
-  // Check for completion every 5 seconds
-  const completionCheckInterval = setInterval(() => {
-    const result = processingResults.get(jobId);
-    if (result) {
-      res.write(`data: ${JSON.stringify({
-        type: 'complete',
-        ...result,
-        timestamp: new Date().toISOString()
-      })}\n\n`);
-      
-      // Clean up intervals and close connection
-      clearInterval(keepAliveInterval);
-      clearInterval(completionCheckInterval);
-      res.end();
-      
-      // Clean up progress data after 30 seconds
-      setTimeout(() => {
-        processingProgress.delete(jobId);
-        processingResults.delete(jobId);
-      }, 30000);
+  // Progress / keep-alive updates (every 2 seconds)
+  const updateInterval = setInterval(async () => {
+    try {
+      const job = await ingestionJobService.getJob(jobId);
+
+      if (!job) {
+        res.write(`data: ${JSON.stringify({
+          type: 'keepalive',
+          jobId,
+          timestamp: new Date().toISOString()
+        })}\n\n`);
+        return;
+      }
+
+      if (job.status === 'succeeded') {
+        res.write(`data: ${JSON.stringify({
+          type: 'complete',
+          status: job.status,
+          ...job.result,
+          timestamp: new Date().toISOString()
+        })}\n\n`);
+        closeStream();
+      } else if (ingestionJobService.isFinished(job)) {
+        res.write(`data: ${JSON.stringify({
+          type: 'error',
+          jobId,
+          status: job.status,
+          message: job.status === 'cancelled' ? 'Processing was cancelled' : job.error,
+          timestamp: new Date().toISOString()
+        })}\n\n`);
+        closeStream();
+      } else {
+        res.write(`data: ${JSON.stringify({
+          type: 'progress',
+          jobId,
+          status: job.status,
+          attempts: job.attempts,
+          ...job.progress,
+          timestamp: new Date().toISOString()
+        })}\n\n`);
+      }
+    } catch (error) {
+      console.error(`Error sending progress for job ${jobId}:`, error);
     }
-  }, 5000);
+  }, 2000);
 
   // Handle client disconnect
   req.on('close', () => {
     console.log(`📡 SSE connection closed for job ${jobId}`);
-    clearInterval(keepAliveInterval);
-    clearInterval(completionCheckInterval);
+    closeStream();
   });
 
   // Handle connection timeout (10 minutes)
-  setTimeout(() => {
-    if (!res.headersSent) {
+  const connectionTimeout = setTimeout(() => {
+    if (!res.writableEnded) {
       res.write(`data: ${JSON.stringify({
         type: 'timeout',
         jobId,
         message: 'Connection timeout',
         timestamp: new Date().toISOString()
       })}\n\n`);
-      res.end();
     }
-    clearInterval(keepAliveInterval);
-    clearInterval(completionCheckInterval);
+    closeStream();
   }, 600000); // 10 minutes
 });
 
@@ -115,30 +164,177 @@ router.get('/ingest/progress/:jobId', (req, res) => {
  * GET /api/ingest/status/:jobId
  * Check processing status
  */
-router.get('/ingest/status/:jobId', (req, res) => {
-  const { jobId } = req.params;
-  
-  const progress = processingProgress.get(jobId);
-  const result = processingResults.get(jobId);
-  
-  if (result) {
+router.get('/ingest/status/:jobId', async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    
+    const job = await ingestionJobService.getJob(jobId);
+    
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      status: job.status,
+      data: ingestionJobService.isFinished(job) ? job.result : job.progress,
+      job: ingestionJobService.toPublicJob(job),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error in ingest status endpoint:', error);
+    res.status(500).json({
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /api/ingest/jobs
+ * List a user's ingestion jobs
+ */
+router.get('/ingest/jobs', async (req, res) => {
+  try {
+    const { userId, status, limit = 50 } = req.query;
+
+    if (!userId) {
+      return res.status(400).json({
+        error: 'User ID is required',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (status && !JOB_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: `Invalid status. Must be one of: ${JOB_STATUSES.join(', ')}`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const jobs = await ingestionJobService.listJobs(userId, { status, limit: parseInt(limit) });
+
+    res.json({
+      success: true,
+      data: {
+        jobs: jobs.map(job => ingestionJobService.toPublicJob(job)),
+        count: jobs.length
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error in list ingest jobs endpoint:', error);
+    res.status(500).json({
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * DELETE /api/ingest/jobs/:jobId
+ * Cancel a queued or running ingestion job
+ */
+router.delete('/ingest/jobs/:jobId', async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const userId = req.query.userId || req.body?.userId;
+
+    if (!userId) {
+      return res.status(400).json({
+        error: 'User ID is required',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const job = await ingestionJobService.getJob(jobId);
+    if (!job || job.userId !== userId) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (ingestionJobService.isFinished(job)) {
+      return res.status(409).json({
+        success: false,
+        error: `Job is already ${job.status}`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const cancelledJob = await ingestionJobService.cancelJob(jobId);
+
     res.json({
       success: true,
-      status: 'complete',
-      data: result,
+      message: cancelledJob.status === 'cancelled'
+        ? 'Job cancelled'
+        : 'Cancellation requested; the job will stop at its next checkpoint',
+      data: ingestionJobService.toPublicJob(cancelledJob),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error in cancel ingest job endpoint:', error);
+    res.status(500).json({
+      error: error.message,
       timestamp: new Date().toISOString()
     });
-  } else if (progress) {
+  }
+});
+
+/**
+ * POST /api/ingest/jobs/:jobId/retry
+ * Re-queue a failed ingestion job
+ */
+router.post('/ingest/jobs/:jobId/retry', async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const userId = req.body?.userId || req.query.userId;
+
+    if (!userId) {
+      return res.status(400).json({
+        error: 'User ID is required',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const job = await ingestionJobService.getJob(jobId);
+    if (!job || job.userId !== userId) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    let retriedJob;
+    try {
+      retriedJob = await ingestionJobService.retryJob(jobId);
+    } catch (retryError) {
+      return res.status(409).json({
+        success: false,
+        error: retryError.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+
     res.json({
       success: true,
-      status: 'processing',
-      data: progress,
+      message: 'Job re-queued',
+      jobId: retriedJob.id,
+      status: retriedJob.status,
+      data: ingestionJobService.toPublicJob(retriedJob),
       timestamp: new Date().toISOString()
     });
-  } else {
-    res.status(404).json({
-      success: false,
-      error: 'Job not found',
+  } catch (error) {
+    console.error('Error in retry ingest job endpoint:', error);
+    res.status(500).json({
+      error: error.message,
       timestamp: new Date().toISOString()
     });
   }
@@ -239,27 +435,64 @@ router.post('/ingest', async (req, res) => {
         });
       }
 
-      // Generate job ID for progress tracking
-      const jobId = uuidv4();
-      
-      // Initialize progress tracking
-      processingProgress.set(jobId, {
-        stage: 'starting',
-        message: 'Initializing document processing...',
-        progress: 0
+      let metadata;
+      try {
+        metadata = req.body.metadata ? JSON.parse(req.body.metadata) : {};
+      } catch (parseError) {
+        await fs.unlink(req.file.path).catch(() => {});
+        return res.status(400).json({
+          error: 'Metadata must be valid JSON',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const duplicatePolicy = req.body.duplicatePolicy || DEFAULT_DUPLICATE_POLICY;
+      if (!DUPLICATE_POLICIES.includes(duplicatePolicy)) {
+        await fs.unlink(req.file.path).catch(() => {});
+        return res.status(400).json({
+          error: `Invalid duplicatePolicy. Must be one of: ${DUPLICATE_POLICIES.join(', ')}`,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const chunkingStrategy = req.body.chunkingStrategy || DEFAULT_CHUNKING_STRATEGY;
+      if (!CHUNKING_STRATEGIES.includes(chunkingStrategy)) {
+        await fs.unlink(req.file.path).catch(() => {});
+        return res.status(400).json({
+          error: `Invalid chunkingStrategy. Must be one of: ${CHUNKING_STRATEGIES.join(', ')}`,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      // Queue the document; the ingestion worker picks it up in the background
+      const job = await ingestionJobService.enqueue({
+        type: 'document',
+        userId,
+        name: req.file.originalname,
+        payload: {
+          file: {
+            path: req.file.path,
+            filename: req.file.filename,
+            originalname: req.file.originalname,
+            mimetype: req.file.mimetype,
+            size: req.file.size
+          },
+          metadata,
+          duplicatePolicy,
+          chunkingStrategy,
+          documentId: uuidv4()
+        }
       });
 
       // Return job ID immediately for progress tracking
       res.json({
         success: true,
-        jobId,
-        message: 'Document processing started. Use the job ID to track progress.',
+        jobId: job.id,
+        status: job.status,
+        message: 'Document queued for processing. Use the job ID to track progress.',
         timestamp: new Date().toISOString()
       });
 
-      // Continue processing in background
-      processDocumentAsync(jobId, req.file, userId, req.body.metadata);
-
     } catch (error) {
       console.error('❌ Error in ingest endpoint:', error);
       
@@ -276,304 +509,727 @@ router.post('/ingest', async (req, res) => {
 });
 
 /**
- * Async document processing function with progress tracking
+ * POST /api/ingest/batch
+ * Upload many files or .zip/.tar.gz archives as one batch job. Every file, including
+ * each supported file inside an archive, is ingested as its own document.
  */
-async function processDocumentAsync(jobId, file, userId, metadataString) {
-  try {
-    console.log(`🔄 Starting async processing for job ${jobId}`);
-    
-    // Update progress - Starting
-    processingProgress.set(jobId, {
-      stage: 'starting',
-      message: 'Initializing document processing...',
-      progress: 0
-    });
-
-    const filePath = file.path;
-    const metadata = metadataString ? JSON.parse(metadataString) : {};
-    
-    // Add user ID to metadata
-    metadata.userId = userId;
-    
-    console.log('📝 Processing file:', file.filename);
-    console.log('👤 User ID:', userId);
+router.post('/ingest/batch', async (req, res) => {
+  const batchUpload = req.app.locals.batchUpload;
 
-    // Update progress - Validating
-    processingProgress.set(jobId, {
-      stage: 'validating',
-      message: 'Validating file format and size...',
-      progress: 10
-    });
+  batchUpload.array('files')(req, res, async (err) => {
+    const uploadedFiles = req.files || [];
+    const discardUploads = () => Promise.all(uploadedFiles.map(file => fs.unlink(file.path).catch(() => {})));
 
-    // Validate file
-    console.log('⚡ Validating file...');
-    await documentProcessor.validateFile(filePath);
-    console.log('✅ File validation complete');
+    try {
+      console.log('🚀 Starting batch ingest endpoint...');
 
-    // Update progress - Processing
-    processingProgress.set(jobId, {
-      stage: 'processing',
-      message: 'Extracting text content from document...',
-      progress: 25
-    });
+      if (err) {
+        console.error('❌ Multer error:', err);
+        await discardUploads();
+        return res.status(400).json({
+          error: err.message,
+          timestamp: new Date().toISOString()
+        });
+      }
 
-    // Process document
-    console.log('⚡ Processing document...');
-    const processedDoc = await documentProcessor.processDocument(filePath, metadata);
-    console.log('✅ Document processing complete');
+      if (uploadedFiles.length === 0) {
+        return res.status(400).json({
+          error: 'No files uploaded',
+          timestamp: new Date().toISOString()
+        });
+      }
 
-    // Update progress - Chunking
-    processingProgress.set(jobId, {
-      stage: 'chunking',
-      message: 'Breaking document into searchable chunks...',
-      progress: 50
-    });
+      // Validate user ID
+      const userId = req.body.userId || req.query.userId;
+      if (!userId) {
+        await discardUploads();
+        return res.status(400).json({
+          error: 'User ID is required',
+          timestamp: new Date().toISOString()
+        });
+      }
 
-    // Chunk the text
-    console.log('⚡ Chunking text...');
-    const chunks = chunker.chunkText(processedDoc.text);
-    const chunkStats = chunker.getChunkStats(chunks);
-    console.log(`✅ Text chunking complete: ${chunks.length} chunks`);
+      let metadata;
+      try {
+        metadata = req.body.metadata ? JSON.parse(req.body.metadata) : {};
+      } catch (parseError) {
+        await discardUploads();
+        return res.status(400).json({
+          error: 'Metadata must be valid JSON',
+          timestamp: new Date().toISOString()
+        });
+      }
 
-    // Update progress - Preparing
-    processingProgress.set(jobId, {
-      stage: 'preparing',
-      message: 'Preparing chunks for vector database...',
-      progress: 70
-    });
+      const duplicatePolicy = req.body.duplicatePolicy || DEFAULT_DUPLICATE_POLICY;
+      if (!DUPLICATE_POLICIES.includes(duplicatePolicy)) {
+        await discardUploads();
+        return res.status(400).json({
+          error: `Invalid duplicatePolicy. Must be one of: ${DUPLICATE_POLICIES.join(', ')}`,
+          timestamp: new Date().toISOString()
+        });
+      }
 
-    // Prepare documents for vector database
-    console.log('⚡ Preparing documents for vector database...');
-    
-    // Generate a unique document ID for the original file
-    const originalDocumentId = uuidv4();
-    
-    const documents = chunks.map((chunk, index) => ({
-      text: chunk.text,
-      metadata: {
-        ...processedDoc.metadata,
-        // Document-level identifiers
-        documentId: originalDocumentId,
-        originalFilename: processedDoc.metadata.filename,
-        // Chunk-level identifiers
-        chunkIndex: index,
-        totalChunks: chunks.length,
-        chunkStart: chunk.start,
-        chunkEnd: chunk.end,
-        // Processing metadata
-        processedAt: new Date().toISOString(),
-        chunkSize: chunk.text.length,
-        // Ensure consistent metadata structure
-        source: 'file_upload',
-        type: 'chunk'
+      const chunkingStrategy = req.body.chunkingStrategy || DEFAULT_CHUNKING_STRATEGY;
+      if (!CHUNKING_STRATEGIES.includes(chunkingStrategy)) {
+        await discardUploads();
+        return res.status(400).json({
+          error: `Invalid chunkingStrategy. Must be one of: ${CHUNKING_STRATEGIES.join(', ')}`,
+          timestamp: new Date().toISOString()
+        });
       }
-    }));
-    
-    console.log(`✅ Document preparation complete: ${documents.length} chunks from 1 document`);
-    console.log(`📄 Original document ID: ${originalDocumentId}`);
-    console.log(`📊 Chunk statistics: ${chunkStats.totalChunks} chunks, avg size: ${Math.round(chunkStats.averageChunkSize)} chars`);
 
-    // Update progress - Vectorizing
-    processingProgress.set(jobId, {
-      stage: 'vectorizing',
-      message: 'Adding chunks to vector database...',
-      progress: 85
-    });
+      const job = await ingestionJobService.enqueue({
+        type: 'batch',
+        userId,
+        name: uploadedFiles.length === 1 ? uploadedFiles[0].originalname : `${uploadedFiles.length} files`,
+        payload: {
+          files: uploadedFiles.map(file => ({
+            path: file.path,
+            filename: file.filename,
+            originalname: file.originalname,
+            mimetype: file.mimetype,
+            size: file.size
+          })),
+          metadata,
+          duplicatePolicy,
+          chunkingStrategy,
+          // Archives are expanded next to the uploads, in a directory owned by this job
+          extractDir: path.join(path.dirname(uploadedFiles[0].path), `batch-${uuidv4()}`)
+        }
+      });
 
-    // Add to vector database with timeout
-    console.log(`⚡ Adding ${documents.length} documents to vector database...`);
-    console.log('🚨 This may take a while for large documents...');
-    
-    // Set a timeout for the vector operation (10 minutes)
-    const vectorTimeout = setTimeout(() => {
-      console.log('⚠️ Vector database operation is taking longer than expected...');
-    }, 60000); // 1 minute warning
-    
-    const chunkIds = await vectorService.addDocumentChunks(documents, originalDocumentId);
-    clearTimeout(vectorTimeout);
-    
-    console.log(`✅ Successfully added ${chunkIds.length} chunks to vector database`);
+      res.json({
+        success: true,
+        jobId: job.id,
+        status: job.status,
+        uploads: uploadedFiles.length,
+        message: 'Batch queued for processing. Use the job ID to track per-file progress.',
+        timestamp: new Date().toISOString()
+      });
 
-    // Update progress - Cleanup
-    processingProgress.set(jobId, {
-      stage: 'cleanup',
-      message: 'Cleaning up temporary files...',
-      progress: 95
-    });
+    } catch (error) {
+      console.error('❌ Error in batch ingest endpoint:', error);
 
-    // Clean up uploaded file
-    console.log('⚡ Cleaning up uploaded file...');
-    await fs.unlink(filePath);
-    console.log(`🗑️ Cleaned up uploaded file: ${filePath}`);
+      if (!res.headersSent) {
+        res.status(500).json({
+          error: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+    }
+  });
+});
 
-    // Update progress - Complete
-    processingProgress.set(jobId, {
-      stage: 'complete',
-      message: 'Document processing completed successfully!',
-      progress: 100
-    });
+/**
+ * Split document text into chunks and count the tokens each chunk is embedded with
+ * @param {string} text - Document text
+ * @param {string} chunkingStrategy - Chunking strategy, see TextChunker.getStrategies
+ * @param {Object} layout - Page and section offsets from DocumentProcessor.processDocument
+ * @returns {Promise<{chunks: Array<Object>, chunkStats: Object, warnings: Array<Object>}>} - Chunks with tokenCount,
+ *   and a warning for every chunk longer than the embedding model's maximum sequence length
+ */
+async function chunkDocumentText(text, chunkingStrategy, layout) {
+  const tokenCounter = await vextService.getTokenCounter();
+  const options = {
+    ...(CHUNK_UNIT === 'tokens' && { lengthFunction: tokenCounter.countTokens }),
+    ...(chunkingStrategy === 'semantic' && {
+      embed: texts => vextService.generateEmbeddings(texts),
+      ...SEMANTIC_CHUNKING_OPTIONS
+    })
+  };
+
+  const chunks = chunker.assignLayout(await chunker.chunkWithStrategy(text, chunkingStrategy, options), layout)
+    .map(chunk => ({ ...chunk, tokenCount: tokenCounter.countTokens(chunk.text) }));
+
+  // The embedding model ignores everything past its maximum sequence length
+  const warnings = [];
+  chunks.forEach((chunk, index) => {
+    if (chunk.tokenCount > tokenCounter.maxSequenceLength) {
+      warnings.push({
+        type: 'chunk_truncated',
+        chunkIndex: index,
+        tokenCount: chunk.tokenCount,
+        maxSequenceLength: tokenCounter.maxSequenceLength,
+        message: `Chunk ${index} has ${chunk.tokenCount} tokens; ${tokenCounter.model} only embeds the first ${tokenCounter.maxSequenceLength}`
+      });
+    }
+  });
 
-    const result = {
-      success: true,
-      message: 'Document processed and ingested successfully',
-      data: {
-        filename: processedDoc.metadata.filename,
-        documentId: originalDocumentId,
-        totalChunks: chunks.length,
-        chunkStats,
-        chunkIds,
-        metadata: processedDoc.metadata
-      },
-      timestamp: new Date().toISOString()
-    };
+  if (warnings.length > 0) {
+    console.warn(`⚠️ ${warnings.length} chunks exceed ${tokenCounter.maxSequenceLength} tokens and will be truncated when embedded`);
+  }
 
-    // Store final result
-    processingResults.set(jobId, result);
-    
-    console.log(`✅ Async processing completed for job ${jobId}`);
+  return { chunks, chunkStats: chunker.getChunkStats(chunks), warnings };
+}
 
-  } catch (error) {
-    console.error(`❌ Error in async processing for job ${jobId}:`, error);
-    console.error('❌ Error stack:', error.stack);
-    
-    // Clean up uploaded file on error
-    try {
-      await fs.unlink(file.path);
-      console.log(`🗑️ Cleaned up uploaded file after error: ${file.path}`);
-    } catch (unlinkError) {
-      console.error('Error deleting uploaded file:', unlinkError);
-    }
-    
-    // Store error result
-    const errorResult = {
-      success: false,
-      error: error.message,
-      timestamp: new Date().toISOString()
+/**
+ * Extract, chunk and store a single file as one document
+ * @param {string} filePath - Path to the file
+ * @param {Object} metadata - Document metadata
+ * @param {string} documentId - ID of the document
+ * @param {Object} context - Worker context
+ * @param {Function} context.reportStage - Called with (stage, message, progress) as the file moves through the pipeline
+ * @param {Function} context.isCancelled - Whether cancellation was requested
+ * @param {Function} context.throwIfCancelled - Stop if cancellation was requested
+ * @param {string} context.duplicatePolicy - 'skip', 'replace' or 'keep' when the user already has this content
+ * @param {string} context.chunkingStrategy - Chunking strategy, see TextChunker.getStrategies
+ * @param {number} context.version - Version being ingested; versions after the first replace the current one
+ * @param {string} context.originalname - File name as uploaded, recorded in the version history
+ * @param {boolean} context.deferReplace - Leave replaced copies in place for the caller to remove, see duplicate.existingDocuments
+ * @returns {Promise<{processedDoc: Object, chunks: Array, chunkStats: Object, chunkIds: Array<string>, duplicate: Object|null, warnings: Array<Object>, tables: Object|null}>} - Ingested document;
+ *   tables summarizes the stored sheets of a spreadsheet
+ */
+async function ingestDocumentFile(filePath, metadata, documentId, { reportStage, isCancelled, throwIfCancelled, duplicatePolicy = DEFAULT_DUPLICATE_POLICY, chunkingStrategy = DEFAULT_CHUNKING_STRATEGY, version = 1, originalname = null, deferReplace = false }) {
+  // Update progress - Validating
+  await reportStage('validating', 'Validating file format and size...', 10);
+
+  // Validate file
+  console.log('⚡ Validating file...');
+  try {
+    await documentProcessor.validateFile(filePath);
+  } catch (validationError) {
+    // An invalid file fails the same way on every attempt
+    validationError.retryable = false;
+    throw validationError;
+  }
+  console.log('✅ File validation complete');
+  throwIfCancelled();
+
+  // Update progress - Processing
+  await reportStage('processing', 'Extracting text content from document...', 25);
+
+  // Process document
+  console.log('⚡ Processing document...');
+  const processedDoc = await documentProcessor.processDocument(filePath, metadata, {
+    preserveStructure: chunkingStrategy === 'structure',
+    originalname
+  });
+  console.log('✅ Document processing complete');
+  throwIfCancelled();
+
+  // Spreadsheets are always chunked by structure so every chunk repeats the sheet name and column headers
+  if (processedDoc.tables && chunkingStrategy !== 'structure') {
+    console.log(`📊 Chunking ${processedDoc.tables.length} sheets by structure instead of ${chunkingStrategy}`);
+    chunkingStrategy = 'structure';
+  }
+
+  // Check whether the user already has this content
+  const existingDocuments = (await vectorService.findDocumentsByContentHash(metadata.userId, processedDoc.metadata.contentHash))
+    .filter(existing => existing.documentId !== documentId);
+  const duplicate = existingDocuments.length > 0
+    ? {
+      policy: duplicatePolicy,
+      action: { skip: 'skipped', replace: 'replaced', keep: 'kept' }[duplicatePolicy],
+      existingDocuments
+    }
+    : null;
+
+  if (duplicate) {
+    console.log(`♻️ Content already ingested as ${existingDocuments.map(d => d.documentId).join(', ')} (policy: ${duplicatePolicy})`);
+  }
+
+  if (duplicate && duplicatePolicy === 'skip') {
+    return { processedDoc, chunks: [], chunkStats: null, chunkIds: [], duplicate, warnings: [], tables: null };
+  }
+
+  // Update progress - Chunking
+  await reportStage('chunking', 'Breaking document into searchable chunks...', 50);
+
+  // Chunk the text
+  console.log(`⚡ Chunking text (${chunkingStrategy}, sized in ${CHUNK_UNIT})...`);
+  const { chunks, chunkStats, warnings } = await chunkDocumentText(processedDoc.text, chunkingStrategy, processedDoc.layout);
+  console.log(`✅ Text chunking complete: ${chunks.length} chunks`);
+  throwIfCancelled();
+
+  // Update progress - Preparing
+  await reportStage('preparing', 'Preparing chunks for vector database...', 70);
+
+  // Prepare documents for vector database
+  console.log('⚡ Preparing documents for vector database...');
+
+  // Timestamps, tag flags and field presence that filter expressions are translated to
+  const processedAt = new Date().toISOString();
+  const filterFields = metadataFilter.indexFields({ ...processedDoc.metadata, processedAt });
+  
+  const documents = chunks.map((chunk, index) => ({
+    text: chunk.text,
+    metadata: {
+      ...processedDoc.metadata,
+      // Document-level identifiers
+      documentId,
+      version,
+      originalFilename: processedDoc.metadata.filename,
+      // Chunk-level identifiers
+      chunkIndex: index,
+      totalChunks: chunks.length,
+      chunkStart: chunk.start,
+      chunkEnd: chunk.end,
+      pageStart: chunk.pageStart,
+      pageEnd: chunk.pageEnd,
+      sectionHeading: chunk.sectionHeading,
+      headingPath: chunk.headingPath ? chunker.formatBreadcrumb(chunk.headingPath) : null,
+      sheetName: processedDoc.tables ? chunk.headingPath?.[0] : null,
+      // Processing metadata
+      processedAt,
+      chunkSize: chunk.text.length,
+      tokenCount: chunk.tokenCount,
+      chunkBoundary: chunk.boundary,
+      chunkingStrategy,
+      // Ensure consistent metadata structure
+      source: 'file_upload',
+      type: 'chunk',
+      ...filterFields
+    }
+  }));
+  
+  console.log(`✅ Document preparation complete: ${documents.length} chunks from 1 document`);
+  console.log(`📄 Original document ID: ${documentId}`);
+  console.log(`📊 Chunk statistics: ${chunkStats.totalChunks} chunks, avg size: ${Math.round(chunkStats.averageChunkSize)} chars`);
+
+  // Update progress - Vectorizing
+  await reportStage('vectorizing', 'Adding chunks to vector database...', 85);
+
+  // Add to vector database
+  console.log(`⚡ Adding ${documents.length} documents to vector database...`);
+  console.log('🚨 This may take a while for large documents...');
+  
+  const vectorTimeout = setTimeout(() => {
+    console.log('⚠️ Vector database operation is taking longer than expected...');
+  }, 60000); // 1 minute warning
+  
+  let chunkIds;
+  try {
+    chunkIds = await vectorService.addDocumentChunks(documents, documentId, { isCancelled, version });
+  } finally {
+    clearTimeout(vectorTimeout);
+  }
+  
+  console.log(`✅ Successfully added ${chunkIds.length} chunks to vector database`);
+
+  // The previous version stays queryable by version number but leaves normal search
+  if (version > 1) {
+    await vectorService.archiveDocumentVersion(documentId, chunkIds);
+  }
+
+  // The parsed rows are kept so table questions can be answered by filtering and aggregating them
+  const tables = processedDoc.tables
+    ? await tableStoreService.saveTables(documentId, {
+      userId: metadata.userId,
+      version,
+      filename: originalname || processedDoc.metadata.filename,
+      sheets: processedDoc.tables
+    })
+    : null;
+
+  await documentVersionService.recordVersion(documentId, {
+    userId: metadata.userId,
+    version,
+    filename: processedDoc.metadata.filename,
+    originalname,
+    contentHash: processedDoc.metadata.contentHash,
+    totalChunks: chunks.length,
+    metadata: processedDoc.metadata
+  });
+
+  // The old copies are only removed once the new one is stored
+  if (duplicate && duplicatePolicy === 'replace' && !deferReplace) {
+    await removeReplacedDocuments(existingDocuments.map(existing => existing.documentId));
+  }
+
+  return { processedDoc, chunks, chunkStats, chunkIds, duplicate, warnings, tables };
+}
+
+/**
+ * Ingestion job handler for a single uploaded document
+ * @param {Object} job - Ingestion job
+ * @param {Object} context - Worker context
+ * @param {Function} context.updateProgress - Persist a progress update
+ * @param {Function} context.isCancelled - Whether cancellation was requested
+ * @param {Function} context.throwIfCancelled - Stop if cancellation was requested
+ * @returns {Promise<Object>} - Ingest result
+ */
+async function processDocumentJob(job, { updateProgress, isCancelled, throwIfCancelled }) {
+  const { file, documentId: originalDocumentId } = job.payload;
+  const metadata = { ...job.payload.metadata };
+
+  console.log(`🔄 Starting processing for job ${job.id}`);
+
+  // Add user ID to metadata
+  metadata.userId = job.userId;
+  
+  console.log('📝 Processing file:', file.filename);
+  console.log('👤 User ID:', job.userId);
+
+  const { processedDoc, chunks, chunkStats, chunkIds, duplicate, warnings, tables } = await ingestDocumentFile(file.path, metadata, originalDocumentId, {
+    reportStage: (stage, message, progress) => updateProgress({ stage, message, progress }),
+    isCancelled,
+    throwIfCancelled,
+    duplicatePolicy: job.payload.duplicatePolicy,
+    chunkingStrategy: job.payload.chunkingStrategy,
+    version: job.payload.version,
+    originalname: file.originalname
+  });
+
+  console.log(`✅ Processing completed for job ${job.id}`);
+
+  // A skipped upload resolves to the document that already holds its content
+  const skipped = duplicate?.action === 'skipped';
+
+  return {
+    success: true,
+    message: skipped
+      ? 'Document content was already ingested; upload skipped'
+      : 'Document processed and ingested successfully',
+    data: {
+      filename: processedDoc.metadata.filename,
+      documentId: skipped ? duplicate.existingDocuments[0].documentId : originalDocumentId,
+      version: skipped ? null : (job.payload.version || 1),
+      totalChunks: chunks.length,
+      chunkStats,
+      chunkIds,
+      duplicate,
+      warnings,
+      tables,
+      metadata: processedDoc.metadata
+    },
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Delete uploaded files, ignoring ones that are already gone
+ * @param {Array<string>} filePaths - Paths to delete
+ */
+async function removeUploadedFiles(filePaths) {
+  for (const filePath of filePaths) {
+    try {
+      await fs.unlink(filePath);
+      console.log(`🗑️ Cleaned up uploaded file: ${filePath}`);
+    } catch (unlinkError) {
+      if (unlinkError.code !== 'ENOENT') {
+        console.error('Error deleting uploaded file:', unlinkError);
+      }
+    }
+  }
+}
+
+/**
+ * Remove everything ingestion stored for a document: its chunks, version records and tables
+ * @param {string} documentId - Document ID
+ */
+async function removeIngestedDocument(documentId) {
+  await vectorService.deleteDocumentChunks(documentId);
+  await documentVersionService.deleteDocument(documentId);
+  await tableStoreService.deleteDocument(documentId);
+}
+
+/**
+ * Remove documents a re-upload replaced, including their archived versions
+ * @param {Array<string>} documentIds - Document IDs
+ */
+async function removeReplacedDocuments(documentIds) {
+  for (const documentId of documentIds) {
+    await removeIngestedDocument(documentId);
+    await vectorService.deleteArchivedVersions({ parentDocumentId: documentId });
+  }
+}
+
+/**
+ * Check that every uploaded file of a job still exists
+ * @param {Array<string>} filePaths - Paths to check
+ * @returns {Promise<boolean>} - True if all files exist
+ */
+async function uploadedFilesExist(filePaths) {
+  try {
+    await Promise.all(filePaths.map(filePath => fs.access(filePath)));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+ingestionJobService.registerHandler('document', {
+  run: processDocumentJob,
+
+  // Remove any chunks written before a failure or crash
+  rollback: async (job) => {
+    await removeIngestedDocument(job.payload.documentId);
+  },
+
+  // A failed job can only be retried while its upload still exists
+  canRetry: async (job) => uploadedFilesExist([job.payload.file.path]),
+
+  // Clean up uploaded file once the job is finished. Failed uploads are kept so the
+  // job can be retried, until the job expires.
+  cleanup: async (job, options = {}) => {
+    if (job.status === 'failed' && !options.expired) {
+      return;
+    }
+    await removeUploadedFiles([job.payload.file.path]);
+  }
+});
+
+ingestionJobService.registerHandler('document_version', {
+  run: processDocumentJob,
+
+  // Remove the partially written new version and bring back the previous one if it was
+  // already archived
+  rollback: async (job) => {
+    const { documentId, version, previousVersion } = job.payload;
+    await vectorService.deleteDocumentVersionChunks(documentId, version);
+    await vectorService.restoreDocumentVersion(documentId, previousVersion);
+    await documentVersionService.removeVersion(documentId, version);
+    await tableStoreService.removeVersion(documentId, version);
+  },
+
+  canRetry: async (job) => uploadedFilesExist([job.payload.file.path]),
+
+  cleanup: async (job, options = {}) => {
+    if (job.status === 'failed' && !options.expired) {
+      return;
+    }
+    await removeUploadedFiles([job.payload.file.path]);
+  }
+});
+
+/**
+ * Ingestion job handler for a batch of uploaded files and archives. Archives are
+ * expanded first, then every file is ingested as its own document, one at a time.
+ * A file that fails is reported in the result without failing the rest of the batch.
+ * @param {Object} job - Ingestion job
+ * @param {Object} context - Worker context
+ * @param {Function} context.updateProgress - Persist a progress update
+ * @param {Function} context.isCancelled - Whether cancellation was requested
+ * @param {Function} context.throwIfCancelled - Stop if cancellation was requested
+ * @returns {Promise<Object>} - Batch ingest result
+ */
+async function processBatchJob(job, { updateProgress, isCancelled, throwIfCancelled }) {
+  const { files: uploads, extractDir } = job.payload;
+
+  console.log(`🔄 Starting batch processing for job ${job.id} (${uploads.length} uploads)`);
+
+  await updateProgress({
+    stage: 'expanding',
+    message: 'Expanding archives...',
+    progress: 0,
+    files: []
+  });
+
+  // Expand archives into a per-job directory; other uploads are ingested as they are
+  const files = [];
+  const skipped = [];
+  for (const upload of uploads) {
+    throwIfCancelled();
+
+    if (!archiveExtractor.isArchive(upload.originalname)) {
+      if (documentProcessor.isSupportedFormat(upload.originalname)) {
+        files.push({ path: upload.path, name: upload.originalname, archive: null });
+      } else {
+        skipped.push({ name: upload.originalname, archive: null, reason: 'Unsupported file format' });
+      }
+      continue;
+    }
+
+    let extracted;
+    try {
+      extracted = await archiveExtractor.extract(upload.path, path.join(extractDir, path.parse(upload.filename).name), {
+        archiveName: upload.originalname,
+        filter: (name) => documentProcessor.isSupportedFormat(name)
+      });
+    } catch (extractError) {
+      // Archives that break the extraction limits break them on every attempt
+      extractError.retryable = false;
+      throw extractError;
+    }
+
+    files.push(...extracted.files.map(entry => ({ path: entry.path, name: entry.archivePath, archive: upload.originalname })));
+    skipped.push(...extracted.skipped.map(entry => ({ name: entry.name, archive: upload.originalname, reason: entry.reason })));
+  }
+
+  if (files.length === 0) {
+    const error = new Error('No supported files found in upload');
+    error.retryable = false;
+    throw error;
+  }
+
+  // Document IDs are saved with the progress so a rollback can find every file's chunks
+  const fileProgress = files.map(file => ({
+    name: file.name,
+    archive: file.archive,
+    documentId: uuidv4(),
+    status: 'pending',
+    stage: null,
+    totalChunks: 0,
+    duplicate: null,
+    warnings: [],
+    error: null
+  }));
+
+  const reportBatch = (message, fileFraction = 0, currentFile = null) => updateProgress({
+    stage: 'ingesting',
+    message,
+    progress: Math.round(((fileProgress.filter(f => f.status !== 'pending' && f.status !== 'processing').length + fileFraction) / files.length) * 100),
+    currentFile,
+    totalFiles: files.length,
+    succeeded: fileProgress.filter(f => f.status === 'succeeded').length,
+    duplicates: fileProgress.filter(f => f.status === 'duplicate').length,
+    failed: fileProgress.filter(f => f.status === 'failed').length,
+    files: fileProgress,
+    skipped
+  });
+
+  await reportBatch(`Ingesting ${files.length} files...`);
+
+  for (let i = 0; i < files.length; i++) {
+    throwIfCancelled();
+
+    const file = files[i];
+    const entry = fileProgress[i];
+    entry.status = 'processing';
+
+    const metadata = {
+      ...job.payload.metadata,
+      userId: job.userId,
+      batchId: job.id,
+      ...(file.archive && { archiveName: file.archive, archivePath: file.name })
     };
-    
-    processingResults.set(jobId, errorResult);
-    
-    // Update progress with error
-    processingProgress.set(jobId, {
-      stage: 'error',
-      message: `Processing failed: ${error.message}`,
-      progress: 0
+
+    try {
+      const { chunks, duplicate, warnings } = await ingestDocumentFile(file.path, metadata, entry.documentId, {
+        reportStage: (stage, message, progress) => {
+          entry.stage = stage;
+          return reportBatch(`${file.name}: ${message}`, progress / 100, file.name);
+        },
+        isCancelled,
+        throwIfCancelled,
+        duplicatePolicy: job.payload.duplicatePolicy,
+        chunkingStrategy: job.payload.chunkingStrategy,
+        originalname: file.name,
+        // A rollback removes every file of the batch, so the copies they replace must outlive it
+        deferReplace: true
+      });
+
+      entry.duplicate = duplicate;
+      entry.totalChunks = chunks.length;
+      entry.warnings = warnings;
+      if (duplicate?.action === 'skipped') {
+        entry.status = 'duplicate';
+        entry.documentId = duplicate.existingDocuments[0].documentId;
+      } else {
+        entry.status = 'succeeded';
+      }
+    } catch (fileError) {
+      // Cancellation stops the whole batch
+      throwIfCancelled();
+
+      console.error(`❌ Failed to ingest ${file.name} in batch ${job.id}:`, fileError.message);
+      // Nothing of a failed file is kept, whatever stage it reached
+      await removeIngestedDocument(entry.documentId).catch(cleanupError => {
+        console.error(`❌ Failed to clean up ${file.name} in batch ${job.id}:`, cleanupError.message);
+      });
+      entry.status = 'failed';
+      entry.error = fileError.message;
+    }
+
+    entry.stage = null;
+    await reportBatch(`Processed ${i + 1} of ${files.length} files`);
+  }
+
+  const succeeded = fileProgress.filter(f => f.status === 'succeeded').length;
+  const duplicates = fileProgress.filter(f => f.status === 'duplicate').length;
+  const failed = fileProgress.filter(f => f.status === 'failed').length;
+  if (failed === files.length) {
+    throw new Error(`All ${files.length} files failed to ingest`);
+  }
+
+  // Copies replaced by files of this batch are only removed once the whole batch is in
+  throwIfCancelled();
+  const replacedIds = [...new Set(fileProgress
+    .filter(f => f.status === 'succeeded' && f.duplicate?.action === 'replaced')
+    .flatMap(f => f.duplicate.existingDocuments.map(existing => existing.documentId)))];
+  for (const documentId of replacedIds) {
+    await removeReplacedDocuments([documentId]).catch(removeError => {
+      console.error(`❌ Failed to remove replaced document ${documentId} in batch ${job.id}:`, removeError.message);
     });
   }
+
+  console.log(`✅ Batch processing completed for job ${job.id}: ${succeeded}/${files.length} files ingested, ${duplicates} duplicates skipped`);
+
+  return {
+    success: true,
+    message: `Ingested ${succeeded} of ${files.length} files${duplicates > 0 ? ` (${duplicates} already ingested)` : ''}`,
+    data: {
+      batchId: job.id,
+      totalFiles: files.length,
+      succeeded,
+      duplicates,
+      failed,
+      files: fileProgress,
+      skipped
+    },
+    timestamp: new Date().toISOString()
+  };
 }
 
+ingestionJobService.registerHandler('batch', {
+  run: processBatchJob,
+
+  // Remove chunks of every file in the batch and any expanded archive contents
+  rollback: async (job) => {
+    // Duplicates point at documents that existed before the batch
+    for (const file of job.progress?.files || []) {
+      if (file.status !== 'duplicate') {
+        await removeIngestedDocument(file.documentId);
+      }
+    }
+    await fs.rm(job.payload.extractDir, { recursive: true, force: true });
+  },
+
+  canRetry: async (job) => uploadedFilesExist(job.payload.files.map(file => file.path)),
+
+  // Same as single documents: failed uploads are kept until the job expires
+  cleanup: async (job, options = {}) => {
+    await fs.rm(job.payload.extractDir, { recursive: true, force: true });
+
+    if (job.status === 'failed' && !options.expired) {
+      return;
+    }
+    await removeUploadedFiles(job.payload.files.map(file => file.path));
+  }
+});
+
 /**
  * POST /api/query
  * Ask questions and get AI-powered answers
  */
 router.post('/query', async (req, res) => {
   try {
-    const { question, topK = 10, temperature, userId } = req.body;
+    const { question, topK = 10, temperature, maxTokens, userId, lexicalWeight, rerank = false, documentId, provider, model, userMetadata } = req.body;
 
-    if (!question || typeof question !== 'string') {
+    const validationError = validateQueryRequest(req.body);
+    if (validationError) {
       return res.status(400).json({
-        error: 'Question is required and must be a string',
+        error: validationError,
         timestamp: new Date().toISOString()
       });
     }
 
-    if (!userId) {
-      return res.status(400).json({
-        error: 'User ID is required',
+    const resolved = await resolveQueryScope(req.body);
+    if (resolved.error) {
+      return res.status(resolved.status).json({
+        error: resolved.error,
         timestamp: new Date().toISOString()
       });
     }
+    const { scope, promptTemplate } = resolved;
 
     console.log(`Processing query: "${question}" for user: ${userId}`);
 
-    // Check if this is a structured data question
-    const isStructuredData = isStructuredDataQuestion(question);
-    
-    // Search for relevant documents with query expansion (filtered by user)
-    let searchResults = await vectorService.searchDocuments(question, topK, { userId });
-    
-    // Enhanced search for structured data questions
-    if (isStructuredData) {
-      console.log('🔍 Detected structured data question - using enhanced search strategy');
-      
-      // Add structured data keywords to improve search
-      const structuredKeywords = getStructuredDataKeywords(question);
-      const enhancedQuery = `${question} ${structuredKeywords.join(' ')}`;
-      
-      const enhancedResults = await vectorService.searchDocuments(enhancedQuery, topK, { userId });
-      
-      // Also search for documents with tables/charts in metadata
-      const tableChartResults = await searchForStructuredData(userId, topK);
-      
-      // Merge all results, prioritizing structured data
-      const allResults = [...searchResults];
-      
-      // Add enhanced results
-      enhancedResults.forEach(enhancedDoc => {
-        if (!allResults.find(doc => doc.documentId === enhancedDoc.documentId)) {
-          allResults.push(enhancedDoc);
-        }
-      });
-      
-      // Add table/chart results with higher priority
-      tableChartResults.forEach(structuredDoc => {
-        const existingIndex = allResults.findIndex(doc => doc.documentId === structuredDoc.documentId);
-        if (existingIndex === -1) {
-          allResults.unshift(structuredDoc); // Add to beginning for higher priority
-        } else {
-          // Boost existing result's score
-          allResults[existingIndex].totalScore *= 1.5;
-        }
-      });
-      
-      // Sort by relevance and take top K
-      allResults.sort((a, b) => b.totalScore - a.totalScore);
-      searchResults = allResults.slice(0, topK);
-    }
-    
-    // If we don't get enough results or the question is about pricing, try expanded search
-    if (searchResults.length < 3 || question.toLowerCase().includes('pricing') || question.toLowerCase().includes('cost')) {
-      const expandedQuery = question + ' pricing cost price fee rate';
-      const expandedResults = await vectorService.searchDocuments(expandedQuery, topK, { userId });
-      
-      // Merge results, removing duplicates
-      const allResults = [...searchResults];
-      expandedResults.forEach(expandedDoc => {
-        if (!allResults.find(doc => doc.documentId === expandedDoc.documentId)) {
-          allResults.push(expandedDoc);
-        }
-      });
-      
-      // Sort by relevance and take top K
-      allResults.sort((a, b) => b.totalScore - a.totalScore);
-      searchResults = allResults.slice(0, topK);
-    }
-    
-    // Debug: Log the search results
-    console.log(`Found ${searchResults.length} relevant documents:`);
-    searchResults.forEach((doc, index) => {
-      console.log(`Document ${index + 1}: ${doc.originalFilename} (${doc.chunkCount} chunks, score: ${doc.totalScore.toFixed(3)})`);
-    });
-
-    // Flatten search results for AI service (extract chunks from grouped documents)
-    const flattenedContext = [];
-    searchResults.forEach(docGroup => {
-      docGroup.chunks.forEach(chunk => {
-        flattenedContext.push({
-          text: chunk.text,
-          metadata: {
-            ...chunk,
-            originalFilename: docGroup.originalFilename,
-            documentId: docGroup.documentId,
-            totalScore: docGroup.totalScore
-          }
-        });
-      });
-    });
-
-    console.log(`Flattened ${flattenedContext.length} chunks from ${searchResults.length} documents for AI context`);
+    const searchOptions = { lexicalWeight: vectorService.resolveLexicalWeight(lexicalWeight), rerank, documentId, version: scope.version };
+    const { searchResults, flattenedContext, tableQuery } = await retrieveQueryContext(question, topK, userId, searchOptions, scope, { provider, model });
 
-    // Generate AI answer with retry logic for context length issues
+    // The prompt is budgeted to the model's context window. If the provider still rejects it
+    // (token counts were estimated, or LLM_CONTEXT_LIMIT is too high), retry with half the chunks' share
     let answer;
     let retryCount = 0;
     const maxRetries = 2;
@@ -582,17 +1238,20 @@ router.post('/query', async (req, res) => {
       try {
         answer = await aiService.generateAnswer(question, flattenedContext, {
           temperature,
-          maxTokens: 5000 // Reduce max tokens on retry
+          maxTokens,
+          template: promptTemplate,
+          user: { ...userMetadata, userId },
+          contextShare: Math.pow(0.5, retryCount),
+          provider,
+          model
         });
         break; // Success, exit retry loop
       } catch (error) {
         retryCount++;
         
-        // If it's a context length error and we haven't exceeded retries, try with fewer documents
+        // If it's a context length error and we haven't exceeded retries, try with a smaller context budget
         if (error.message.includes('Context too long') && retryCount <= maxRetries) {
-          console.log(`🔄 Context too long, retrying with fewer documents (attempt ${retryCount}/${maxRetries})`);
-          // Reduce the number of search results for the next attempt
-          searchResults = searchResults.slice(0, Math.max(1, searchResults.length - (retryCount * 2)));
+          console.log(`🔄 Context too long, retrying with a smaller context budget (attempt ${retryCount}/${maxRetries})`);
           continue;
         }
         
@@ -601,7 +1260,9 @@ router.post('/query', async (req, res) => {
           console.log(`🔄 All retries failed, using minimal context fallback`);
           try {
             answer = await aiService.generateAnswerWithMinimalContext(question, flattenedContext, {
-              temperature
+              temperature,
+              provider,
+              model
             });
             break; // Success with fallback
           } catch (fallbackError) {
@@ -622,6 +1283,7 @@ router.post('/query', async (req, res) => {
       sources: answer.sources,
       confidence: answer.confidence,
       model: answer.model,
+      template: answer.template,
       tokens: answer.tokens
     });
 
@@ -632,33 +1294,56 @@ router.post('/query', async (req, res) => {
         question,
         answer: answer.answer,
         sources: answer.sources,
+        citations: answer.citations,
+        invalidCitations: answer.invalidCitations,
         confidence: answer.confidence,
+        grounding: answer.grounding,
+        unsupportedClaims: answer.grounding?.unsupportedClaims || [],
         model: answer.model,
+        provider: answer.provider,
+        template: answer.template,
         tokens: answer.tokens,
         searchResults: searchResults.length,
         historyId: historyEntry.id,
         contextTruncated: answer.contextTruncated,
         documentsUsed: answer.documentsUsed,
-        totalDocumentsAvailable: answer.totalDocumentsAvailable
+        totalDocumentsAvailable: answer.totalDocumentsAvailable,
+        contextBudget: answer.contextBudget,
+        retrieval: searchOptions,
+        tableQuery
       },
       // Flat structure for React frontend compatibility
       question,
       answer: answer.answer,
       sources: answer.sources,
+      citations: answer.citations,
+      invalidCitations: answer.invalidCitations,
       confidence: answer.confidence,
+      grounding: answer.grounding,
+      unsupportedClaims: answer.grounding?.unsupportedClaims || [],
       model: answer.model,
+      provider: answer.provider,
+      template: answer.template,
       tokens: answer.tokens,
       searchResults: searchResults.length,
       historyId: historyEntry.id,
       contextTruncated: answer.contextTruncated,
       documentsUsed: answer.documentsUsed,
       totalDocumentsAvailable: answer.totalDocumentsAvailable,
+      contextBudget: answer.contextBudget,
+      retrieval: searchOptions,
+      tableQuery,
       timestamp: new Date().toISOString()
     };
 
     // Add informational message if context was truncated
     if (answer.contextTruncated) {
-      response.info = `Context was truncated to fit token limits. Using ${answer.documentsUsed} of ${answer.totalDocumentsAvailable} available documents.`;
+      response.info = `Context was truncated to fit token limits. Using ${answer.documentsUsed} of ${answer.totalDocumentsAvailable} retrieved chunks (see contextBudget).`;
+    }
+
+    // Flag answers with statements the retrieved documents do not support
+    if (response.unsupportedClaims.length > 0) {
+      response.warning = `${response.unsupportedClaims.length} statement(s) in the answer are not supported by the retrieved documents (see unsupportedClaims).`;
     }
     
     res.json(response);
@@ -695,6 +1380,150 @@ router.post('/query', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/query/stream
+ * Ask a question and stream the answer as Server-Sent Events: retrieval results first,
+ * then token deltas, then a complete event with sources, confidence and history ID
+ */
+router.post('/query/stream', async (req, res) => {
+  const { question, topK = 10, temperature, maxTokens, userId, lexicalWeight, rerank = false, documentId, provider, model, userMetadata } = req.body;
+
+  const validationError = validateQueryRequest(req.body);
+  if (validationError) {
+    return res.status(400).json({
+      error: validationError,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  let resolved;
+  try {
+    resolved = await resolveQueryScope(req.body);
+  } catch (error) {
+    console.error('Error resolving query scope:', error);
+    return res.status(500).json({
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+  if (resolved.error) {
+    return res.status(resolved.status).json({
+      error: resolved.error,
+      timestamp: new Date().toISOString()
+    });
+  }
+  const { scope, promptTemplate } = resolved;
+
+  // Set SSE headers
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Cache-Control'
+  });
+
+  const sendEvent = (type, data = {}) => {
+    if (!res.writableEnded) {
+      res.write(`data: ${JSON.stringify({
+        type,
+        ...data,
+        timestamp: new Date().toISOString()
+      })}\n\n`);
+    }
+  };
+
+  // Stop generating when the client goes away
+  const abortController = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      console.log('📡 SSE connection closed for query stream');
+      abortController.abort();
+    }
+  });
+
+  // Keep-alive while retrieval and the first tokens are pending
+  const keepAliveInterval = setInterval(() => {
+    sendEvent('keepalive');
+  }, 15000);
+
+  try {
+    console.log(`📡 Streaming query: "${question}" for user: ${userId}`);
+    sendEvent('connected', { question });
+
+    const searchOptions = { lexicalWeight: vectorService.resolveLexicalWeight(lexicalWeight), rerank, documentId, version: scope.version };
+    const { searchResults, flattenedContext, tableQuery } = await retrieveQueryContext(question, topK, userId, searchOptions, scope, { provider, model });
+
+    sendEvent('retrieval', {
+      searchResults: searchResults.length,
+      documents: searchResults.map(doc => ({
+        documentId: doc.documentId,
+        originalFilename: doc.originalFilename,
+        chunkCount: doc.chunkCount,
+        totalScore: doc.totalScore,
+        semanticScore: doc.semanticScore ?? null,
+        lexicalScore: doc.lexicalScore ?? null,
+        rerankScore: doc.rerankScore ?? null
+      })),
+      retrieval: searchOptions,
+      tableQuery
+    });
+
+    const answer = await aiService.generateAnswerStream(question, flattenedContext, {
+      temperature,
+      maxTokens,
+      template: promptTemplate,
+      user: { ...userMetadata, userId },
+      provider,
+      model,
+      signal: abortController.signal
+    }, (delta) => sendEvent('token', { delta }));
+
+    // Save question to history
+    const historyEntry = await questionHistoryService.addQuestion({
+      question,
+      answer: answer.answer,
+      sources: answer.sources,
+      confidence: answer.confidence,
+      model: answer.model,
+      template: answer.template,
+      tokens: answer.tokens
+    });
+
+    sendEvent('complete', {
+      question,
+      answer: answer.answer,
+      sources: answer.sources,
+      citations: answer.citations,
+      invalidCitations: answer.invalidCitations,
+      confidence: answer.confidence,
+      grounding: answer.grounding,
+      unsupportedClaims: answer.grounding?.unsupportedClaims || [],
+      model: answer.model,
+      provider: answer.provider,
+      template: answer.template,
+      tokens: answer.tokens,
+      searchResults: searchResults.length,
+      historyId: historyEntry.id,
+      contextTruncated: answer.contextTruncated,
+      documentsUsed: answer.documentsUsed,
+      totalDocumentsAvailable: answer.totalDocumentsAvailable,
+      contextBudget: answer.contextBudget,
+      retrieval: searchOptions
+    });
+  } catch (error) {
+    if (abortController.signal.aborted) {
+      console.log('📡 Query stream aborted by client');
+    } else {
+      console.error('Error in query stream endpoint:', error);
+      sendEvent('error', { error: error.message });
+    }
+  } finally {
+    clearInterval(keepAliveInterval);
+    res.end();
+  }
+});
+
 /**
  * GET /api/documents
  * List all ingested documents (grouped by parent document)
@@ -736,12 +1565,333 @@ router.get('/documents', async (req, res) => {
 });
 
 /**
- * DELETE /api/documents/:id
- * Delete a specific document (all chunks of the parent document)
+ * PUT /api/documents/:id
+ * Upload a new version of a document. The file is processed under the same documentId;
+ * the previous version is archived and stays queryable by version number.
  */
-router.delete('/documents/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
+router.put('/documents/:id', async (req, res) => {
+  const upload = req.app.locals.upload;
+
+  upload.single('file')(req, res, async (err) => {
+    const discardUpload = () => (req.file ? fs.unlink(req.file.path).catch(() => {}) : Promise.resolve());
+
+    try {
+      const { id } = req.params;
+
+      if (err) {
+        console.error('❌ Multer error:', err);
+        return res.status(400).json({
+          error: err.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({
+          error: 'No file uploaded',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const userId = req.body.userId || req.query.userId;
+      if (!userId) {
+        await discardUpload();
+        return res.status(400).json({
+          error: 'User ID is required',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      let metadata;
+      try {
+        metadata = req.body.metadata ? JSON.parse(req.body.metadata) : {};
+      } catch (parseError) {
+        await discardUpload();
+        return res.status(400).json({
+          error: 'Metadata must be valid JSON',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const currentChunks = await vectorService.getDocumentChunks(id);
+      if (currentChunks.length === 0 || currentChunks[0].metadata.userId !== userId) {
+        await discardUpload();
+        return res.status(404).json({
+          error: 'Document not found',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      // One update at a time, so version numbers cannot collide
+      const activeJobs = await ingestionJobService.listJobs(userId, { limit: 1000 });
+      const pendingUpdate = activeJobs.find(job =>
+        job.type === 'document_version' && job.payload.documentId === id && !ingestionJobService.isFinished(job)
+      );
+      if (pendingUpdate) {
+        await discardUpload();
+        return res.status(409).json({
+          error: `An update to this document is already in progress (job ${pendingUpdate.id})`,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      // New versions are chunked like the current one unless another strategy is asked for
+      const currentMetadata = currentChunks[0].metadata;
+      const chunkingStrategy = req.body.chunkingStrategy || currentMetadata.chunkingStrategy || DEFAULT_CHUNKING_STRATEGY;
+      if (!CHUNKING_STRATEGIES.includes(chunkingStrategy)) {
+        await discardUpload();
+        return res.status(400).json({
+          error: `Invalid chunkingStrategy. Must be one of: ${CHUNKING_STRATEGIES.join(', ')}`,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      // Documents ingested before versioning get their first version recorded now
+      const previousVersion = currentMetadata.version || 1;
+      if (!(await documentVersionService.getDocument(id))) {
+        await documentVersionService.recordVersion(id, documentVersionService.versionFromChunkMetadata(currentMetadata));
+      }
+
+      const job = await ingestionJobService.enqueue({
+        type: 'document_version',
+        userId,
+        name: req.file.originalname,
+        payload: {
+          file: {
+            path: req.file.path,
+            filename: req.file.filename,
+            originalname: req.file.originalname,
+            mimetype: req.file.mimetype,
+            size: req.file.size
+          },
+          // The new version stays in the document's collections unless the update sets its own tags
+          metadata: metadata.tags === undefined && currentMetadata.tags ? { ...metadata, tags: currentMetadata.tags } : metadata,
+          // Replacing content is the point of an update, so it is never skipped as a duplicate
+          duplicatePolicy: 'keep',
+          chunkingStrategy,
+          documentId: id,
+          version: previousVersion + 1,
+          previousVersion
+        }
+      });
+
+      res.json({
+        success: true,
+        jobId: job.id,
+        status: job.status,
+        documentId: id,
+        version: previousVersion + 1,
+        message: 'New document version queued for processing. Use the job ID to track progress.',
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('❌ Error in update document endpoint:', error);
+      await discardUpload();
+
+      if (!res.headersSent) {
+        res.status(500).json({
+          error: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+    }
+  });
+});
+
+/**
+ * GET /api/documents/:id/versions
+ * List the versions of a document with each version's metadata
+ */
+router.get('/documents/:id/versions', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { userId } = req.query;
+
+    if (!userId) {
+      return res.status(400).json({
+        error: 'User ID is required',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    let history = await documentVersionService.getDocument(id, userId);
+
+    // Documents ingested before versioning only have their current version
+    if (!history) {
+      const chunks = await vectorService.getDocumentChunks(id);
+      if (chunks.length === 0 || chunks[0].metadata.userId !== userId) {
+        return res.status(404).json({
+          error: 'Document not found',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const { userId: owner, metadata, ...version } = documentVersionService.versionFromChunkMetadata(chunks[0].metadata);
+      history = {
+        documentId: id,
+        userId: owner,
+        currentVersion: version.version,
+        versions: [{
+          ...version,
+          metadata: documentVersionService.toVersionMetadata(metadata),
+          supersededAt: null
+        }]
+      };
+    }
+
+    res.json({
+      success: true,
+      data: history,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error in document versions endpoint:', error);
+    res.status(500).json({
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /api/tables
+ * List the stored spreadsheet tables of a user (sheets, columns and row counts)
+ */
+router.get('/tables', async (req, res) => {
+  try {
+    const { userId } = req.query;
+
+    if (!userId) {
+      return res.status(400).json({
+        error: 'User ID is required',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const tables = await tableStoreService.listTables(userId);
+
+    res.json({
+      success: true,
+      data: {
+        tables,
+        count: tables.length
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error in list tables endpoint:', error);
+    res.status(500).json({
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /api/documents/:id/tables
+ * Get the schema of a spreadsheet document: sheets, column types, row counts and sample rows
+ */
+router.get('/documents/:id/tables', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { userId, version } = req.query;
+
+    if (!userId) {
+      return res.status(400).json({
+        error: 'User ID is required',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const tables = await tableStoreService.getTables(id, { userId, version: version ? parseInt(version) : null });
+    if (!tables) {
+      return res.status(404).json({
+        error: 'No tables stored for this document',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      data: tableStoreService.getSchema(tables),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error in document tables endpoint:', error);
+    res.status(500).json({
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /api/documents/:id/tables/query
+ * Filter, group and aggregate the rows of a spreadsheet document
+ */
+router.post('/documents/:id/tables/query', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { userId, version, query } = req.body;
+
+    if (!userId) {
+      return res.status(400).json({
+        error: 'User ID is required',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (version !== undefined && (!Number.isInteger(version) || version < 1)) {
+      return res.status(400).json({
+        error: 'version must be a positive integer',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const tables = await tableStoreService.getTables(id, { userId, version });
+    if (!tables) {
+      return res.status(404).json({
+        error: 'No tables stored for this document',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const validationError = tableStoreService.validateQuery(tables, query);
+    if (validationError) {
+      return res.status(400).json({
+        error: validationError,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const result = await tableStoreService.queryTable(id, query, { userId, version });
+
+    res.json({
+      success: true,
+      data: { ...result, query },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error in table query endpoint:', error);
+    res.status(500).json({
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * DELETE /api/documents/:id
+ * Delete a specific document (all chunks of the parent document)
+ */
+router.delete('/documents/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
     const { userId } = req.query;
 
     if (!id) {
@@ -771,15 +1921,19 @@ router.delete('/documents/:id', async (req, res) => {
       });
     }
 
-    // Delete all chunks of the parent document in one operation
+    // Delete all chunks of the parent document in one operation, along with earlier versions
     await vectorService.deleteDocumentChunks(id);
+    const archivedChunksDeleted = await vectorService.deleteArchivedVersions({ parentDocumentId: id });
+    await documentVersionService.deleteDocument(id);
+    await tableStoreService.deleteDocument(id);
 
     res.json({
       success: true,
       message: 'Document and all its chunks deleted successfully',
       data: { 
         documentId: id,
-        chunksDeleted: chunksToDelete.length
+        chunksDeleted: chunksToDelete.length,
+        archivedChunksDeleted
       },
       timestamp: new Date().toISOString()
     });
@@ -799,7 +1953,7 @@ router.delete('/documents/:id', async (req, res) => {
  */
 router.post('/summarize', async (req, res) => {
   try {
-    const { maxTokens, userId } = req.body;
+    const { maxTokens, userId, filters, provider, model } = req.body;
 
     if (!userId) {
       return res.status(400).json({
@@ -808,7 +1962,15 @@ router.post('/summarize', async (req, res) => {
       });
     }
 
-    const documents = await vectorService.getAllDocuments(userId);
+    const filterError = (filters !== undefined ? metadataFilter.validate(filters) : null) || validateModelOptions(req.body);
+    if (filterError) {
+      return res.status(400).json({
+        error: filterError,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const documents = await vectorService.getAllDocuments(userId, filters ? metadataFilter.toWhere(filters) : null);
     
     if (documents.length === 0) {
       return res.status(404).json({
@@ -818,15 +1980,19 @@ router.post('/summarize', async (req, res) => {
     }
 
     const summary = await aiService.generateSummary(documents, {
-      maxTokens
+      maxTokens,
+      provider,
+      model
     });
+    const resolved = aiService.resolveModel({ provider, model });
 
     res.json({
       success: true,
       data: {
         summary,
         documentCount: documents.length,
-        model: 'llama-3.1-70b-versatile'
+        model: resolved.model,
+        provider: resolved.provider.type
       },
       timestamp: new Date().toISOString()
     });
@@ -846,7 +2012,7 @@ router.post('/summarize', async (req, res) => {
  */
 router.post('/topics', async (req, res) => {
   try {
-    const { maxTokens, userId } = req.body;
+    const { maxTokens, userId, filters, provider, model } = req.body;
 
     if (!userId) {
       return res.status(400).json({
@@ -855,7 +2021,15 @@ router.post('/topics', async (req, res) => {
       });
     }
 
-    const documents = await vectorService.getAllDocuments(userId);
+    const filterError = (filters !== undefined ? metadataFilter.validate(filters) : null) || validateModelOptions(req.body);
+    if (filterError) {
+      return res.status(400).json({
+        error: filterError,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const documents = await vectorService.getAllDocuments(userId, filters ? metadataFilter.toWhere(filters) : null);
     
     if (documents.length === 0) {
       return res.status(404).json({
@@ -865,15 +2039,19 @@ router.post('/topics', async (req, res) => {
     }
 
     const topics = await aiService.extractTopics(documents, {
-      maxTokens
+      maxTokens,
+      provider,
+      model
     });
+    const resolved = aiService.resolveModel({ provider, model });
 
     res.json({
       success: true,
       data: {
         topics,
         documentCount: documents.length,
-        model: 'llama-3.1-70b-versatile'
+        model: resolved.model,
+        provider: resolved.provider.type
       },
       timestamp: new Date().toISOString()
     });
@@ -905,7 +2083,8 @@ router.get('/stats', async (req, res) => {
     const [vectorStats, vextValid, aiValid] = await Promise.all([
       vectorService.getCollectionStats(userId),
       vextService.validateService(),
-      aiService.validateService()
+      aiService.validateService(),
+      documentProcessor.initialize()
     ]);
 
     // Get actual document count (grouped by parent documents)
@@ -925,7 +2104,9 @@ router.get('/stats', async (req, res) => {
           ai: aiValid
         },
         supportedFormats: documentProcessor.getSupportedFormats(),
-        model: 'llama-3.1-70b-versatile'
+        extractors: documentProcessor.getExtractors(),
+        model: aiService.resolveModel().model,
+        provider: aiService.getProvider().type
       },
       timestamp: new Date().toISOString()
     });
@@ -954,16 +2135,807 @@ router.post('/clear', async (req, res) => {
       });
     }
 
-    await vectorService.clearCollection(userId);
+    await vectorService.clearCollection(userId);
+    await documentVersionService.deleteUserDocuments(userId);
+    await tableStoreService.deleteUserDocuments(userId);
+
+    res.json({
+      success: true,
+      message: 'All documents cleared successfully',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error in clear endpoint:', error);
+    res.status(500).json({
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /api/questions
+ * Get recent questions from history
+ */
+router.get('/questions', async (req, res) => {
+  try {
+    const { limit = 10 } = req.query;
+    const questions = await questionHistoryService.getRecentQuestions(parseInt(limit));
+
+    res.json({
+      success: true,
+      data: {
+        questions,
+        count: questions.length
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error in questions endpoint:', error);
+    res.status(500).json({
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /api/questions/:id
+ * Get a specific question by ID
+ */
+router.get('/questions/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const question = await questionHistoryService.getQuestionById(id);
+
+    if (!question) {
+      return res.status(404).json({
+        error: 'Question not found',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      data: question,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error in get question endpoint:', error);
+    res.status(500).json({
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * DELETE /api/questions/:id
+ * Delete a specific question
+ */
+router.delete('/questions/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const deleted = await questionHistoryService.deleteQuestion(id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Question not found',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Question deleted successfully',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error in delete question endpoint:', error);
+    res.status(500).json({
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * DELETE /api/questions
+ * Clear all question history
+ */
+router.delete('/questions', async (req, res) => {
+  try {
+    await questionHistoryService.clearHistory();
+
+    res.json({
+      success: true,
+      message: 'All questions cleared successfully',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error in clear questions endpoint:', error);
+    res.status(500).json({
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /api/questions/stats
+ * Get question history statistics
+ */
+router.get('/questions/stats', async (req, res) => {
+  try {
+    const stats = await questionHistoryService.getStats();
+
+    res.json({
+      success: true,
+      data: stats,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error in questions stats endpoint:', error);
+    res.status(500).json({
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// ==================== CONVERSATION ENDPOINTS ====================
+
+/**
+ * POST /api/conversations
+ * Start a new conversation
+ */
+router.post('/conversations', async (req, res) => {
+  try {
+    const { userId, title } = req.body;
+
+    if (!userId) {
+      return res.status(400).json({
+        error: 'User ID is required',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const conversation = await conversationService.createConversation({ userId, title });
+
+    res.status(201).json({
+      success: true,
+      data: conversation,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error in create conversation endpoint:', error);
+    res.status(500).json({
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /api/conversations
+ * List a user's conversations
+ */
+router.get('/conversations', async (req, res) => {
+  try {
+    const { userId, limit = 50 } = req.query;
+
+    if (!userId) {
+      return res.status(400).json({
+        error: 'User ID is required',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const conversations = await conversationService.listConversations(userId, parseInt(limit));
+
+    res.json({
+      success: true,
+      data: {
+        conversations,
+        count: conversations.length
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error in list conversations endpoint:', error);
+    res.status(500).json({
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /api/conversations/:id/turns
+ * List the turns of a conversation
+ */
+router.get('/conversations/:id/turns', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { userId } = req.query;
+
+    if (!userId) {
+      return res.status(400).json({
+        error: 'User ID is required',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const conversation = await conversationService.getConversation(id, userId);
+
+    if (!conversation) {
+      return res.status(404).json({
+        error: 'Conversation not found',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        conversationId: conversation.id,
+        title: conversation.title,
+        turns: conversation.turns,
+        count: conversation.turns.length
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error in list conversation turns endpoint:', error);
+    res.status(500).json({
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /api/conversations/:id/turns
+ * Ask a question within a conversation. Follow-up questions are rewritten into
+ * standalone queries for retrieval and recent turns are included in the answer prompt.
+ */
+router.post('/conversations/:id/turns', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { question, topK = 10, temperature, maxTokens, userId, lexicalWeight, rerank = false, documentId, provider, model, userMetadata } = req.body;
+
+    const validationError = validateQueryRequest(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        error: validationError,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const resolved = await resolveQueryScope(req.body);
+    if (resolved.error) {
+      return res.status(resolved.status).json({
+        error: resolved.error,
+        timestamp: new Date().toISOString()
+      });
+    }
+    const { scope, promptTemplate } = resolved;
+
+    const conversation = await conversationService.getConversation(id, userId);
+
+    if (!conversation) {
+      return res.status(404).json({
+        error: 'Conversation not found',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    console.log(`Processing turn ${conversation.turns.length + 1} of conversation ${id}: "${question}"`);
+
+    const history = conversationService.getHistoryWindow(conversation);
+    const standaloneQuestion = await aiService.rewriteFollowUpQuestion(question, history, { provider, model });
+
+    const searchOptions = { lexicalWeight: vectorService.resolveLexicalWeight(lexicalWeight), rerank, documentId, version: scope.version };
+    const { searchResults, flattenedContext, tableQuery } = await retrieveQueryContext(standaloneQuestion, topK, userId, searchOptions, scope, { provider, model });
+
+    const answer = await aiService.generateAnswer(question, flattenedContext, {
+      temperature,
+      maxTokens,
+      template: promptTemplate,
+      user: { ...userMetadata, userId },
+      history,
+      provider,
+      model
+    });
+
+    // Save question to history
+    const historyEntry = await questionHistoryService.addQuestion({
+      question,
+      answer: answer.answer,
+      sources: answer.sources,
+      confidence: answer.confidence,
+      model: answer.model,
+      template: answer.template,
+      tokens: answer.tokens
+    });
+
+    const turn = await conversationService.addTurn(id, {
+      question,
+      standaloneQuestion,
+      answer: answer.answer,
+      sources: answer.sources,
+      citations: answer.citations,
+      invalidCitations: answer.invalidCitations,
+      unsupportedClaims: answer.grounding?.unsupportedClaims || [],
+      confidence: answer.confidence,
+      model: answer.model,
+      template: answer.template,
+      tokens: answer.tokens,
+      historyId: historyEntry.id
+    });
+
+    res.json({
+      success: true,
+      data: {
+        conversationId: id,
+        turn,
+        grounding: answer.grounding,
+        searchResults: searchResults.length,
+        historyTurnsUsed: history.length,
+        contextTruncated: answer.contextTruncated,
+        documentsUsed: answer.documentsUsed,
+        totalDocumentsAvailable: answer.totalDocumentsAvailable,
+        contextBudget: answer.contextBudget,
+        retrieval: searchOptions,
+        tableQuery
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error in conversation turn endpoint:', error);
+    res.status(500).json({
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * DELETE /api/conversations/:id
+ * Delete a conversation
+ */
+router.delete('/conversations/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.body.userId || req.query.userId;
+
+    if (!userId) {
+      return res.status(400).json({
+        error: 'User ID is required',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const deleted = await conversationService.deleteConversation(id, userId);
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Conversation not found',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Conversation deleted successfully',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error in delete conversation endpoint:', error);
+    res.status(500).json({
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// ==================== COLLECTION ENDPOINTS ====================
+
+/**
+ * POST /api/collections
+ * Create a named collection of documents
+ */
+router.post('/collections', async (req, res) => {
+  try {
+    const { userId, name, description } = req.body;
+
+    if (!userId) {
+      return res.status(400).json({
+        error: 'User ID is required',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const nameError = collectionService.validateName(name);
+    if (nameError) {
+      return res.status(400).json({
+        error: nameError,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const collection = await collectionService.createCollection({ userId, name, description });
+
+    res.status(201).json({
+      success: true,
+      data: collection,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error in create collection endpoint:', error);
+    res.status(error.message.startsWith('Collection already exists') ? 409 : 500).json({
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /api/collections
+ * List a user's collections with the number of documents in each
+ */
+router.get('/collections', async (req, res) => {
+  try {
+    const { userId } = req.query;
+
+    if (!userId) {
+      return res.status(400).json({
+        error: 'User ID is required',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const collections = await collectionService.listCollections(userId);
+    const documents = await vectorService.getGroupedDocuments(userId);
+
+    res.json({
+      success: true,
+      data: {
+        collections: collections.map(collection => ({
+          ...collection,
+          documentCount: documents.filter(doc => doc.tags.includes(collection.tag)).length
+        })),
+        count: collections.length
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error in list collections endpoint:', error);
+    res.status(500).json({
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /api/collections/:id
+ * Get a collection, by ID or name, and its documents
+ */
+router.get('/collections/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { userId } = req.query;
+
+    if (!userId) {
+      return res.status(400).json({
+        error: 'User ID is required',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const collection = await collectionService.getCollection(id, userId);
+    if (!collection) {
+      return res.status(404).json({
+        error: 'Collection not found',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const documents = await getCollectionDocuments(userId, collection.tag);
+
+    res.json({
+      success: true,
+      data: {
+        ...collection,
+        documentCount: documents.length,
+        documents: documents.map(({ chunks, ...doc }) => doc)
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error in get collection endpoint:', error);
+    res.status(500).json({
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * PUT /api/collections/:id
+ * Rename a collection or change its description. Renaming re-tags its documents.
+ */
+router.put('/collections/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { userId, name, description } = req.body;
+
+    if (!userId) {
+      return res.status(400).json({
+        error: 'User ID is required',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (name !== undefined) {
+      const nameError = collectionService.validateName(name);
+      if (nameError) {
+        return res.status(400).json({
+          error: nameError,
+          timestamp: new Date().toISOString()
+        });
+      }
+    }
+
+    const updated = await collectionService.updateCollection(id, userId, { name, description });
+    if (!updated) {
+      return res.status(404).json({
+        error: 'Collection not found',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const { collection, previousTag } = updated;
+    if (collection.tag !== previousTag) {
+      const documents = await getCollectionDocuments(userId, previousTag);
+      for (const doc of documents) {
+        await vectorService.updateDocumentTags(doc.documentId, { add: [collection.tag], remove: [previousTag] });
+      }
+      console.log(`🏷️ Re-tagged ${documents.length} documents of collection ${collection.id}: ${previousTag} -> ${collection.tag}`);
+    }
+
+    res.json({
+      success: true,
+      data: collection,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error in update collection endpoint:', error);
+    res.status(error.message.startsWith('Collection already exists') ? 409 : 500).json({
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * DELETE /api/collections/:id
+ * Delete a collection. Its documents are kept and lose the collection's tag.
+ */
+router.delete('/collections/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.body.userId || req.query.userId;
+
+    if (!userId) {
+      return res.status(400).json({
+        error: 'User ID is required',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const collection = await collectionService.deleteCollection(id, userId);
+    if (!collection) {
+      return res.status(404).json({
+        error: 'Collection not found',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const documents = await getCollectionDocuments(userId, collection.tag);
+    for (const doc of documents) {
+      await vectorService.updateDocumentTags(doc.documentId, { remove: [collection.tag] });
+    }
+
+    res.json({
+      success: true,
+      message: 'Collection deleted successfully',
+      documentsUntagged: documents.length,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error in delete collection endpoint:', error);
+    res.status(500).json({
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /api/collections/:id/documents
+ * Add documents to a collection
+ */
+router.post('/collections/:id/documents', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { userId, documentIds } = req.body;
+
+    if (!userId) {
+      return res.status(400).json({
+        error: 'User ID is required',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (!Array.isArray(documentIds) || documentIds.length === 0 || documentIds.length > 100 ||
+      !documentIds.every(documentId => typeof documentId === 'string' && documentId)) {
+      return res.status(400).json({
+        error: 'documentIds must be a list of 1 to 100 document IDs',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const collection = await collectionService.getCollection(id, userId);
+    if (!collection) {
+      return res.status(404).json({
+        error: 'Collection not found',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const added = [];
+    const notFound = [];
+    for (const documentId of [...new Set(documentIds)]) {
+      if (!(await isOwnDocument(documentId, userId))) {
+        notFound.push(documentId);
+        continue;
+      }
+      const tags = await vectorService.updateDocumentTags(documentId, { add: [collection.tag] });
+      added.push({ documentId, tags });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        collection,
+        added,
+        notFound
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error in add collection documents endpoint:', error);
+    res.status(500).json({
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * DELETE /api/collections/:id/documents/:documentId
+ * Remove a document from a collection
+ */
+router.delete('/collections/:id/documents/:documentId', async (req, res) => {
+  try {
+    const { id, documentId } = req.params;
+    const userId = req.body.userId || req.query.userId;
+
+    if (!userId) {
+      return res.status(400).json({
+        error: 'User ID is required',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const collection = await collectionService.getCollection(id, userId);
+    if (!collection) {
+      return res.status(404).json({
+        error: 'Collection not found',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (!(await isOwnDocument(documentId, userId))) {
+      return res.status(404).json({
+        error: 'Document not found',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const tags = await vectorService.updateDocumentTags(documentId, { remove: [collection.tag] });
+
+    res.json({
+      success: true,
+      data: {
+        documentId,
+        tags
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error in remove collection document endpoint:', error);
+    res.status(500).json({
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * PATCH /api/documents/:id/tags
+ * Add tags to a document or remove them, whether or not a collection uses them
+ */
+router.patch('/documents/:id/tags', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { userId, add = [], remove = [] } = req.body;
+
+    if (!userId) {
+      return res.status(400).json({
+        error: 'User ID is required',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const isTagList = (tags) => Array.isArray(tags) && tags.every(tag => typeof tag === 'string' && tag.trim() && !tag.includes(','));
+    if (!isTagList(add) || !isTagList(remove) || add.length + remove.length === 0) {
+      return res.status(400).json({
+        error: 'add and remove must be lists of tags without commas, and at least one tag is required',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (!(await isOwnDocument(id, userId))) {
+      return res.status(404).json({
+        error: 'Document not found',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const tags = await vectorService.updateDocumentTags(id, { add, remove });
 
     res.json({
       success: true,
-      message: 'All documents cleared successfully',
+      data: {
+        documentId: id,
+        tags
+      },
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
-    console.error('Error in clear endpoint:', error);
+    console.error('Error in update document tags endpoint:', error);
     res.status(500).json({
       error: error.message,
       timestamp: new Date().toISOString()
@@ -972,25 +2944,45 @@ router.post('/clear', async (req, res) => {
 });
 
 /**
- * GET /api/questions
- * Get recent questions from history
+ * Get a user's documents that carry a tag
+ * @param {string} userId - User ID
+ * @param {string} tag - Normalized tag
+ * @returns {Promise<Array>} - Grouped documents, see vectorService.getGroupedDocuments
  */
-router.get('/questions', async (req, res) => {
+async function getCollectionDocuments(userId, tag) {
+  const documents = await vectorService.getGroupedDocuments(userId);
+  return documents.filter(doc => doc.tags.includes(tag));
+}
+
+/**
+ * Check that a document exists and belongs to a user
+ * @param {string} documentId - Parent document ID
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} - True if the user owns the document
+ */
+async function isOwnDocument(documentId, userId) {
+  const chunks = await vectorService.getDocumentChunks(documentId);
+  return chunks.length > 0 && chunks[0].metadata.userId === userId;
+}
+
+// ==================== PROMPT TEMPLATE ENDPOINTS ====================
+
+/**
+ * GET /api/templates
+ * List the built-in and custom prompt templates
+ */
+router.get('/templates', async (req, res) => {
   try {
-    const { limit = 10 } = req.query;
-    const questions = await questionHistoryService.getRecentQuestions(parseInt(limit));
+    const templates = await promptTemplateService.listTemplates();
 
     res.json({
       success: true,
-      data: {
-        questions,
-        count: questions.length
-      },
+      data: templates,
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
-    console.error('Error in questions endpoint:', error);
+    console.error('Error in list templates endpoint:', error);
     res.status(500).json({
       error: error.message,
       timestamp: new Date().toISOString()
@@ -999,29 +2991,38 @@ router.get('/questions', async (req, res) => {
 });
 
 /**
- * GET /api/questions/:id
- * Get a specific question by ID
+ * GET /api/templates/:name
+ * Get a prompt template, or one of its earlier versions with ?version=N
  */
-router.get('/questions/:id', async (req, res) => {
+router.get('/templates/:name', async (req, res) => {
   try {
-    const { id } = req.params;
-    const question = await questionHistoryService.getQuestionById(id);
+    const { name } = req.params;
+    const version = req.query.version !== undefined ? parseInt(req.query.version) : null;
 
-    if (!question) {
+    if (version !== null && (!Number.isInteger(version) || version < 1)) {
+      return res.status(400).json({
+        error: 'version must be a positive integer',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const template = await promptTemplateService.getTemplate(name, version);
+
+    if (!template) {
       return res.status(404).json({
-        error: 'Question not found',
+        error: version ? `Version ${version} of prompt template ${name} not found` : 'Prompt template not found',
         timestamp: new Date().toISOString()
       });
     }
 
     res.json({
       success: true,
-      data: question,
+      data: template,
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
-    console.error('Error in get question endpoint:', error);
+    console.error('Error in get template endpoint:', error);
     res.status(500).json({
       error: error.message,
       timestamp: new Date().toISOString()
@@ -1030,30 +3031,32 @@ router.get('/questions/:id', async (req, res) => {
 });
 
 /**
- * DELETE /api/questions/:id
- * Delete a specific question
+ * POST /api/templates
+ * Create a prompt template
  */
-router.delete('/questions/:id', async (req, res) => {
+router.post('/templates', async (req, res) => {
   try {
-    const { id } = req.params;
-    const deleted = await questionHistoryService.deleteQuestion(id);
+    const { name, description, systemPrompt, userPrompt } = req.body;
 
-    if (!deleted) {
-      return res.status(404).json({
-        error: 'Question not found',
+    const validationError = promptTemplateService.validateTemplate({ name, description, systemPrompt, userPrompt });
+    if (validationError) {
+      return res.status(400).json({
+        error: validationError,
         timestamp: new Date().toISOString()
       });
     }
 
-    res.json({
+    const template = await promptTemplateService.createTemplate({ name, description, systemPrompt, userPrompt });
+
+    res.status(201).json({
       success: true,
-      message: 'Question deleted successfully',
+      data: template,
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
-    console.error('Error in delete question endpoint:', error);
-    res.status(500).json({
+    console.error('Error in create template endpoint:', error);
+    res.status(error.message.startsWith('Prompt template already exists') ? 409 : 500).json({
       error: error.message,
       timestamp: new Date().toISOString()
     });
@@ -1061,21 +3064,60 @@ router.delete('/questions/:id', async (req, res) => {
 });
 
 /**
- * DELETE /api/questions
- * Clear all question history
+ * PUT /api/templates/:name
+ * Change a prompt template's description or prompts, creating a new version
  */
-router.delete('/questions', async (req, res) => {
+router.put('/templates/:name', async (req, res) => {
   try {
-    await questionHistoryService.clearHistory();
+    const { name } = req.params;
+    const { description, systemPrompt, userPrompt } = req.body;
+
+    if (promptTemplateService.isBuiltIn(name)) {
+      return res.status(400).json({
+        error: 'Built-in templates cannot be changed',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (description === undefined && systemPrompt === undefined && userPrompt === undefined) {
+      return res.status(400).json({
+        error: 'At least one of description, systemPrompt or userPrompt is required',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const current = await promptTemplateService.getTemplate(name);
+
+    if (!current) {
+      return res.status(404).json({
+        error: 'Prompt template not found',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Validate the template as it will be after the change
+    const validationError = promptTemplateService.validateTemplate({
+      description: description !== undefined ? description : current.description,
+      systemPrompt: systemPrompt !== undefined ? systemPrompt : current.systemPrompt,
+      userPrompt: userPrompt !== undefined ? userPrompt : current.userPrompt
+    }, false);
+    if (validationError) {
+      return res.status(400).json({
+        error: validationError,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const template = await promptTemplateService.updateTemplate(name, { description, systemPrompt, userPrompt });
 
     res.json({
       success: true,
-      message: 'All questions cleared successfully',
+      data: template,
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
-    console.error('Error in clear questions endpoint:', error);
+    console.error('Error in update template endpoint:', error);
     res.status(500).json({
       error: error.message,
       timestamp: new Date().toISOString()
@@ -1084,21 +3126,37 @@ router.delete('/questions', async (req, res) => {
 });
 
 /**
- * GET /api/questions/stats
- * Get question history statistics
+ * DELETE /api/templates/:name
+ * Delete a custom prompt template and all its versions
  */
-router.get('/questions/stats', async (req, res) => {
+router.delete('/templates/:name', async (req, res) => {
   try {
-    const stats = await questionHistoryService.getStats();
+    const { name } = req.params;
+
+    if (promptTemplateService.isBuiltIn(name)) {
+      return res.status(400).json({
+        error: 'Built-in templates cannot be deleted',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const deleted = await promptTemplateService.deleteTemplate(name);
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Prompt template not found',
+        timestamp: new Date().toISOString()
+      });
+    }
 
     res.json({
       success: true,
-      data: stats,
+      message: 'Prompt template deleted successfully',
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
-    console.error('Error in questions stats endpoint:', error);
+    console.error('Error in delete template endpoint:', error);
     res.status(500).json({
       error: error.message,
       timestamp: new Date().toISOString()
@@ -1324,8 +3382,8 @@ router.post('/ocr/ingest', async (req, res) => {
         });
 
         // Chunk the text
-        const chunks = chunker.chunkText(ocrResult.fullText);
-        const chunkStats = chunker.getChunkStats(chunks);
+        const layout = documentProcessor.buildPageLayout(ocrResult.pages, { markdown: true });
+        const { chunks, chunkStats, warnings } = await chunkDocumentText(layout.text, 'fixed', layout);
 
         // Prepare documents for vector database
         const documents = chunks.map((chunk, index) => ({
@@ -1341,7 +3399,12 @@ router.post('/ocr/ingest', async (req, res) => {
             totalChunks: chunks.length,
             chunkStart: chunk.start,
             chunkEnd: chunk.end,
-            ...metadata
+            pageStart: chunk.pageStart,
+            pageEnd: chunk.pageEnd,
+            sectionHeading: chunk.sectionHeading,
+            tokenCount: chunk.tokenCount,
+            ...metadata,
+            ...metadataFilter.indexFields(metadata)
           }
         }));
 
@@ -1358,6 +3421,7 @@ router.post('/ocr/ingest', async (req, res) => {
             filename: ocrResult.filename,
             totalChunks: chunks.length,
             chunkStats,
+            warnings,
             documentIds,
             ocrStats: ocrResult.statistics,
             structuredData: ocrResult.structuredData
@@ -1389,10 +3453,11 @@ router.post('/ocr/ingest', async (req, res) => {
 
 /**
  * GET /api/ocr/formats
- * Get supported OCR formats
+ * Get supported OCR formats and the registered extractors
  */
 router.get('/ocr/formats', async (req, res) => {
   try {
+    await documentProcessor.initialize();
     const formats = ocrService.getSupportedFormats();
     const isEnabled = process.env.MISTRAL_API_KEY ? true : false;
 
@@ -1401,6 +3466,7 @@ router.get('/ocr/formats', async (req, res) => {
       data: {
         enabled: isEnabled,
         formats,
+        extractors: documentProcessor.getExtractors(),
         limits: {
           maxFileSize: ocrService.maxFileSize,
           maxPages: ocrService.maxPages,
@@ -1419,6 +3485,396 @@ router.get('/ocr/formats', async (req, res) => {
   }
 });
 
+// Helper methods for query processing
+
+/**
+ * Validate the request body shared by /api/query and /api/query/stream
+ * @param {Object} body - Request body
+ * @returns {string|null} - Error message, or null when the body is valid
+ */
+function validateQueryRequest(body) {
+  const { question, userId, lexicalWeight, rerank = false, documentId, version, filters, collection } = body;
+
+  if (!question || typeof question !== 'string') {
+    return 'Question is required and must be a string';
+  }
+
+  if (!userId) {
+    return 'User ID is required';
+  }
+
+  if (lexicalWeight !== undefined && (typeof lexicalWeight !== 'number' || lexicalWeight < 0 || lexicalWeight > 1)) {
+    return 'lexicalWeight must be a number between 0 and 1';
+  }
+
+  if (typeof rerank !== 'boolean') {
+    return 'rerank must be a boolean';
+  }
+
+  if (documentId !== undefined && (typeof documentId !== 'string' || !documentId)) {
+    return 'documentId must be a non-empty string';
+  }
+
+  if (version !== undefined) {
+    if (!Number.isInteger(version) || version < 1) {
+      return 'version must be a positive integer';
+    }
+    if (!documentId) {
+      return 'version requires a documentId';
+    }
+  }
+
+  if (filters !== undefined) {
+    const filterError = metadataFilter.validate(filters);
+    if (filterError) {
+      return filterError;
+    }
+  }
+
+  if (collection !== undefined && (typeof collection !== 'string' || !collection.trim())) {
+    return 'collection must be a non-empty string (a collection ID or name)';
+  }
+
+  return validateModelOptions(body) || validateGenerationOptions(body);
+}
+
+/**
+ * Validate the per-request choice of LLM provider and model
+ * @param {Object} body - Request body
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateModelOptions({ provider, model }) {
+  if (provider !== undefined && !aiService.getProviderTypes().includes(provider)) {
+    return `Invalid provider. Must be one of: ${aiService.getProviderTypes().join(', ')}`;
+  }
+
+  if (model !== undefined && (typeof model !== 'string' || !model.trim())) {
+    return 'model must be a non-empty string';
+  }
+
+  return null;
+}
+
+/**
+ * Validate the per-request prompt template and generation parameters
+ * @param {Object} body - Request body
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateGenerationOptions({ template, templateVersion, maxTokens, temperature, userMetadata }) {
+  if (template !== undefined && (typeof template !== 'string' || !template.trim())) {
+    return 'template must be a non-empty string';
+  }
+
+  if (templateVersion !== undefined) {
+    if (!Number.isInteger(templateVersion) || templateVersion < 1) {
+      return 'templateVersion must be a positive integer';
+    }
+    if (template === undefined) {
+      return 'templateVersion requires a template';
+    }
+  }
+
+  if (maxTokens !== undefined && (!Number.isInteger(maxTokens) || maxTokens < 1 || maxTokens > MAX_ANSWER_TOKENS)) {
+    return `maxTokens must be an integer between 1 and ${MAX_ANSWER_TOKENS}`;
+  }
+
+  if (temperature !== undefined && (typeof temperature !== 'number' || temperature < 0 || temperature > 2)) {
+    return 'temperature must be a number between 0 and 2';
+  }
+
+  if (userMetadata !== undefined && (!userMetadata || typeof userMetadata !== 'object' || Array.isArray(userMetadata))) {
+    return 'userMetadata must be an object';
+  }
+
+  return null;
+}
+
+/**
+ * Resolve the collection, document scope and prompt template of a validated query body,
+ * shared by /api/query, /api/query/stream and /api/conversations/:id/turns
+ * @param {Object} body - Request body, see validateQueryRequest
+ * @returns {Promise<{scope: Object, promptTemplate: Object|undefined}|{status: number, error: string}>} - Search scope
+ *   (see resolveDocumentScope) and template, or the status and error to respond with when one does not exist
+ */
+async function resolveQueryScope({ userId, documentId, version, filters, collection, template, templateVersion }) {
+  const scopeFilters = await resolveCollectionFilters(userId, collection, filters);
+  if (scopeFilters === null) {
+    return { status: 404, error: 'Collection not found' };
+  }
+
+  const scope = await resolveDocumentScope(userId, documentId, version, scopeFilters);
+  if (!scope) {
+    return { status: 404, error: version ? `Version ${version} of document ${documentId} not found` : 'Document not found' };
+  }
+
+  const promptTemplate = await resolvePromptTemplate(template, templateVersion);
+  if (promptTemplate === null) {
+    return {
+      status: 404,
+      error: templateVersion ? `Version ${templateVersion} of prompt template ${template} not found` : 'Prompt template not found'
+    };
+  }
+
+  return { scope, promptTemplate };
+}
+
+/**
+ * Look up the prompt template a query asked for
+ * @param {string} name - Template name (optional)
+ * @param {number} version - Template version (optional, defaults to the current one)
+ * @returns {Promise<Object|undefined|null>} - Template, undefined if none was asked for (AIService then picks a
+ *   built-in one by question type), or null if the template or version does not exist
+ */
+async function resolvePromptTemplate(name, version) {
+  if (name === undefined) {
+    return undefined;
+  }
+  return promptTemplateService.getTemplate(name, version ?? null);
+}
+
+/**
+ * Narrow query filters to the documents of a collection
+ * @param {string} userId - User ID
+ * @param {string} collection - Collection ID or name (optional)
+ * @param {Object} filters - Validated filter expression (optional)
+ * @returns {Promise<Object|undefined|null>} - Filters including the collection's tag, the filters unchanged if no
+ *   collection was given, or null if the collection does not exist
+ */
+async function resolveCollectionFilters(userId, collection, filters) {
+  if (collection === undefined) {
+    return filters;
+  }
+
+  const found = await collectionService.getCollection(collection, userId);
+  if (!found) {
+    return null;
+  }
+
+  return filters ? { $and: [filters, { tags: found.tag }] } : { tags: found.tag };
+}
+
+/**
+ * Resolve the document and version a query is scoped to
+ * @param {string} userId - User ID
+ * @param {string} documentId - Document to search within (optional)
+ * @param {number} version - Version of that document (optional, defaults to the latest)
+ * @param {Object} filters - Filter expression over document metadata, see MetadataFilter (optional)
+ * @returns {Promise<{filter: Object, archived: boolean, version: number|null, metadataFiltered: boolean}|null>} - Search scope,
+ *   or null if the document or version does not exist
+ */
+async function resolveDocumentScope(userId, documentId, version, filters = null) {
+  const scope = await resolveDocumentVersionScope(userId, documentId, version);
+  if (!scope || !filters) {
+    return scope && { ...scope, metadataFiltered: false };
+  }
+
+  const baseClauses = scope.filter.$and || [scope.filter];
+  return { ...scope, filter: { $and: [...baseClauses, metadataFilter.toWhere(filters)] }, metadataFiltered: true };
+}
+
+/**
+ * Resolve the document and version part of a query scope
+ * @param {string} userId - User ID
+ * @param {string} documentId - Document to search within (optional)
+ * @param {number} version - Version of that document (optional, defaults to the latest)
+ * @returns {Promise<{filter: Object, archived: boolean, version: number|null}|null>} - Search scope, or null if the document or version does not exist
+ */
+async function resolveDocumentVersionScope(userId, documentId, version) {
+  if (!documentId) {
+    return { filter: { userId }, archived: false, version: null };
+  }
+
+  const chunks = await vectorService.getDocumentChunks(documentId);
+  if (chunks.length === 0 || chunks[0].metadata.userId !== userId) {
+    return null;
+  }
+
+  const currentVersion = chunks[0].metadata.version || 1;
+  if (!version || version === currentVersion) {
+    return {
+      filter: { $and: [{ userId }, { parentDocumentId: documentId }] },
+      archived: false,
+      version: currentVersion
+    };
+  }
+
+  // Earlier versions are kept in the versions collection
+  const history = await documentVersionService.getDocument(documentId, userId);
+  if (!history || !history.versions.some(v => v.version === version && v.supersededAt)) {
+    return null;
+  }
+
+  return {
+    filter: { $and: [{ userId }, { parentDocumentId: documentId }, { version }] },
+    archived: true,
+    version
+  };
+}
+
+/**
+ * Retrieve the documents for a question and flatten their chunks into AI context
+ * @param {string} question - User's question
+ * @param {number} topK - Number of documents to retrieve
+ * @param {string} userId - User ID to scope the search to
+ * @param {Object} searchOptions - Options passed to vectorService.searchDocuments
+ * @param {Object} scope - Document scope from resolveDocumentScope (defaults to all of the user's documents)
+ * @param {Object} modelOptions - Provider and model for planning table queries (optional)
+ * @returns {Promise<{searchResults: Array, flattenedContext: Array, tableQuery: Object|null}>} - Grouped results and flattened context;
+ *   when a retrieved spreadsheet could answer the question, tableQuery holds the query run on it and its result,
+ *   which also leads the context
+ */
+async function retrieveQueryContext(question, topK, userId, searchOptions, scope = { filter: { userId }, archived: false }, modelOptions = {}) {
+  // Structured data search spans all documents, so it only applies to unscoped, unfiltered questions
+  const isStructuredData = !searchOptions.documentId && !scope.metadataFiltered && isStructuredDataQuestion(question);
+  const options = { ...searchOptions, archived: scope.archived };
+  
+  // Hybrid keyword + semantic search for relevant documents (filtered by user)
+  let searchResults = await vectorService.searchDocuments(question, topK, scope.filter, 0, options);
+  
+  // Enhanced search for structured data questions
+  if (isStructuredData) {
+    console.log('🔍 Detected structured data question - using enhanced search strategy');
+    
+    // Add structured data keywords to improve search
+    const structuredKeywords = getStructuredDataKeywords(question);
+    const enhancedQuery = `${question} ${structuredKeywords.join(' ')}`;
+    
+    const enhancedResults = await vectorService.searchDocuments(enhancedQuery, topK, scope.filter, 0, options);
+    
+    // Also search for documents with tables/charts in metadata
+    const tableChartResults = await searchForStructuredData(userId, topK);
+    
+    // Merge all results, prioritizing structured data
+    const allResults = [...searchResults];
+    
+    // Add enhanced results
+    enhancedResults.forEach(enhancedDoc => {
+      if (!allResults.find(doc => doc.documentId === enhancedDoc.documentId)) {
+        allResults.push(enhancedDoc);
+      }
+    });
+    
+    // Add table/chart results with higher priority
+    tableChartResults.forEach(structuredDoc => {
+      const existingIndex = allResults.findIndex(doc => doc.documentId === structuredDoc.documentId);
+      if (existingIndex === -1) {
+        allResults.unshift(structuredDoc); // Add to beginning for higher priority
+      } else {
+        // Boost existing result's score
+        allResults[existingIndex].totalScore *= 1.5;
+      }
+    });
+    
+    // Sort by relevance and take top K
+    allResults.sort((a, b) => b.totalScore - a.totalScore);
+    searchResults = allResults.slice(0, topK);
+  }
+  
+  // Debug: Log the search results
+  console.log(`Found ${searchResults.length} relevant documents:`);
+  searchResults.forEach((doc, index) => {
+    console.log(`Document ${index + 1}: ${doc.originalFilename} (${doc.chunkCount} chunks, score: ${doc.totalScore.toFixed(3)}, semantic: ${doc.semanticScore?.toFixed(3) ?? 'n/a'}, lexical: ${doc.lexicalScore?.toFixed(3) ?? 'n/a'}, rerank: ${doc.rerankScore?.toFixed(3) ?? 'n/a'})`);
+  });
+
+  // Flatten search results for AI service (extract chunks from grouped documents)
+  const flattenedContext = [];
+  searchResults.forEach(docGroup => {
+    docGroup.chunks.forEach(chunk => {
+      flattenedContext.push({
+        text: chunk.text,
+        metadata: {
+          ...chunk,
+          originalFilename: docGroup.originalFilename,
+          documentId: docGroup.documentId,
+          version: docGroup.version,
+          totalScore: docGroup.totalScore
+        }
+      });
+    });
+  });
+
+  console.log(`Flattened ${flattenedContext.length} chunks from ${searchResults.length} documents for AI context`);
+
+  const tableQuery = await queryRetrievedTables(question, searchResults, userId, modelOptions);
+  if (tableQuery) {
+    flattenedContext.unshift(formatTableQueryContext(tableQuery));
+  }
+
+  return { searchResults, flattenedContext, tableQuery };
+}
+
+/**
+ * Answer a question from the stored rows of the retrieved spreadsheets: the model plans a
+ * filter/group/aggregate query over their schemas, which is then run on the actual rows
+ * @param {string} question - User's question
+ * @param {Array} searchResults - Grouped search results
+ * @param {string} userId - User ID
+ * @param {Object} modelOptions - Provider and model that plan the query (optional)
+ * @returns {Promise<Object|null>} - { documentId, filename, query, ...result }, or null if no table could answer the question
+ */
+async function queryRetrievedTables(question, searchResults, userId, modelOptions = {}) {
+  if (!TABLE_QUERY_ENABLED) {
+    return null;
+  }
+
+  const schemas = [];
+  for (const doc of searchResults) {
+    const tables = await tableStoreService.getTables(doc.documentId, { userId, version: doc.version });
+    if (tables) {
+      schemas.push(tableStoreService.getSchema(tables));
+    }
+  }
+
+  if (schemas.length === 0) {
+    return null;
+  }
+
+  const plan = await aiService.generateTableQuery(question, schemas, modelOptions);
+  const schema = plan && schemas.find(s => s.documentId === plan.documentId);
+  if (!schema) {
+    return null;
+  }
+
+  // The result goes into the prompt, so it is capped whatever limit was planned
+  const query = { ...plan.query, limit: Math.min(Number.isInteger(plan.query.limit) ? plan.query.limit : TABLE_QUERY_MAX_ROWS, TABLE_QUERY_MAX_ROWS) };
+
+  try {
+    const result = await tableStoreService.queryTable(schema.documentId, query, { userId, version: schema.version });
+    console.log(`📊 Table query on ${result.filename} (${result.sheet}) returned ${result.rows.length} of ${result.matchedRows} matching rows`);
+    return { ...result, query };
+  } catch (error) {
+    console.warn(`⚠️ Table query failed, answering from text only: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Turn a table query result into a context document
+ * @param {Object} tableQuery - Output of queryRetrievedTables
+ * @returns {{text: string, metadata: Object}} - Context document
+ */
+function formatTableQueryContext(tableQuery) {
+  const table = spreadsheetParser.toMarkdown({ columns: tableQuery.columns, rows: tableQuery.rows });
+  const shown = tableQuery.truncated ? ` (first ${tableQuery.rows.length} result rows shown)` : '';
+  // Sums and averages that left out text cells are only exact for the cells they counted
+  const skipped = (tableQuery.skippedValues || []).map(entry =>
+    `\nNote: ${entry.aggregate} left out ${entry.count} non-numeric values of column "${entry.column}" (e.g. ${entry.examples.map(value => JSON.stringify(value)).join(', ')}).`
+  ).join('');
+
+  return {
+    text: `Computed result over all ${tableQuery.totalRows} rows of sheet "${tableQuery.sheet}" in ${tableQuery.filename}; ` +
+      `${tableQuery.matchedRows} rows matched the filters${shown}. These values are exact.${skipped}\n` +
+      `Query: ${JSON.stringify(tableQuery.query)}\n\n${table}`,
+    metadata: {
+      type: 'table_query_result',
+      documentId: tableQuery.documentId,
+      version: tableQuery.version,
+      originalFilename: tableQuery.filename,
+      sheetName: tableQuery.sheet
+    }
+  };
+}
+
 // Helper methods for structured data processing
 
 /**
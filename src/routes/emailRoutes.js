@@ -2,6 +2,7 @@ import express from 'express';
 import emailService from '../services/emailService.js';
 import emailVectorService from '../services/emailVectorService.js';
 import aiService from '../services/aiService.js';
+import rerankerService from '../services/rerankerService.js';
 
 const router = express.Router();
 
@@ -100,7 +101,8 @@ router.post('/query', async (req, res) => {
       topK = 10, 
       filters = {},
       temperature = 0.3,
-      useAdvancedSearch = false
+      useAdvancedSearch = false,
+      rerank = false
     } = req.body;
 
     // Validate userID for data isolation
@@ -119,8 +121,18 @@ router.post('/query', async (req, res) => {
       });
     }
 
+    if (typeof rerank !== 'boolean') {
+      return res.status(400).json({
+        error: 'rerank must be a boolean',
+        timestamp: new Date().toISOString()
+      });
+    }
+
     console.log(`🔍 Processing email query for user ${userID}: "${query}"`);
 
+    // Retrieve a wider candidate pool when the results will be reranked
+    const candidateCount = rerank ? topK * 3 : topK;
+
     // Search for relevant emails
     let searchResults;
     
@@ -128,17 +140,28 @@ router.post('/query', async (req, res) => {
       // Use advanced search with filters
       searchResults = await emailVectorService.advancedEmailSearch({
         query,
-        topK,
+        topK: candidateCount,
         ...filters
       }, userID);
     } else {
       // Use enhanced filtering when sender filter is applied
       if (filters.sender_email) {
         console.log(`🔍 Using enhanced filtering for sender-specific query`);
-        searchResults = await emailVectorService.searchEmailsWithEnhancedFiltering(query, userID, topK, filters);
+        searchResults = await emailVectorService.searchEmailsWithEnhancedFiltering(query, userID, candidateCount, filters);
       } else {
         // Use basic semantic search
-        searchResults = await emailVectorService.searchEmails(query, userID, topK, filters);
+        searchResults = await emailVectorService.searchEmails(query, userID, candidateCount, filters);
+      }
+    }
+
+    let reranked = false;
+    if (rerank && searchResults.length > 0) {
+      try {
+        searchResults = await rerankerService.rerank(query, searchResults, { topK });
+        reranked = true;
+      } catch (rerankError) {
+        console.warn(`⚠️ Reranking failed, using retrieval order: ${rerankError.message}`);
+        searchResults = searchResults.slice(0, topK);
       }
     }
 
@@ -162,7 +185,8 @@ router.post('/query', async (req, res) => {
     const emailContext = searchResults.map(email => ({
       text: email.text,
       metadata: email.metadata,
-      similarity: email.similarity
+      similarity: email.similarity,
+      rerankScore: email.rerankScore ?? null
     }));
 
     // Generate AI response based on email context
@@ -185,6 +209,7 @@ router.post('/query', async (req, res) => {
       sender: email.metadata.sender_email,
       received_time: email.metadata.time_received,
       similarity: email.similarity,
+      rerankScore: email.rerankScore ?? null,
       summary: emailService.generateEmailSummary(email.metadata),
       has_attachments: email.metadata.has_attachments,
       attachment_count: email.metadata.attachment_count || 0
@@ -201,7 +226,8 @@ router.post('/query', async (req, res) => {
           totalEmails: searchResults.length,
           model: aiResponse.model,
           tokens: aiResponse.tokens,
-          searchType: useAdvancedSearch ? 'advanced' : 'semantic'
+          searchType: useAdvancedSearch ? 'advanced' : 'semantic',
+          reranked
         },
       timestamp: new Date().toISOString()
     };
@@ -570,6 +596,7 @@ router.post('/search', async (req, res) => {
       sender_email: email.metadata.sender_email,
       time_received: email.metadata.time_received,
       similarity: email.similarity,
+      rerankScore: email.rerankScore ?? null,
       summary: emailService.generateEmailSummary(email.metadata),
       has_attachments: email.metadata.has_attachments,
       attachment_count: email.metadata.attachment_count || 0,
@@ -1,23 +1,66 @@
-import Groq from 'groq-sdk';
+import { createLLMProvider, getLLMProviderType, LLM_PROVIDERS } from './llmProviders/index.js';
+import promptTemplateService from './promptTemplateService.js';
+import llmTokenizerService from './llmTokenizerService.js';
+import groundingService from './groundingService.js';
+
+// Context chunks are labelled [C1], [C2], ... and answers cite those labels inline.
+// Added to every answer prompt, so custom templates get citations too.
+const CITATION_INSTRUCTIONS = `CITATIONS:
+- Each context chunk starts with its ID in square brackets, such as [C1]
+- Cite the chunks that support each statement right after it, e.g. "Revenue rose 12% [C2]." Cite several chunks as [C1][C3]
+- Only cite IDs that appear in the context`;
+const CITATION_PATTERN = /\[(C\d+(?:\s*,\s*C\d+)*)\]/g;
 
 class AIService {
   constructor() {
-    this.groq = null;
+    this.providers = new Map(); // provider type -> provider, created on first use
+    this.historyShare = parseFloat(process.env.HISTORY_TOKEN_SHARE) || 0.25; // Most of the context window history may take
   }
 
   /**
-   * Initialize Groq client lazily
+   * Get a chat completion provider
+   * @param {string} type - Provider type (defaults to LLM_PROVIDER)
+   * @returns {Object} - Provider, see llmProviders/index.js
    */
-  _initGroq() {
-    if (!this.groq) {
-      if (!process.env.GROQ_API_KEY) {
-        throw new Error('GROQ_API_KEY environment variable is missing or empty');
-      }
-      this.groq = new Groq({
-        apiKey: process.env.GROQ_API_KEY
-      });
+  getProvider(type = getLLMProviderType()) {
+    if (!this.providers.has(type)) {
+      this.providers.set(type, createLLMProvider({ type }));
     }
-    return this.groq;
+    return this.providers.get(type);
+  }
+
+  /**
+   * Get the provider types that can be chosen per request
+   * @returns {Array<string>} - Provider types
+   */
+  getProviderTypes() {
+    return LLM_PROVIDERS;
+  }
+
+  /**
+   * Resolve the provider and model a call uses
+   * @param {Object} options - Call options
+   * @param {string} options.provider - Provider type (optional, defaults to LLM_PROVIDER)
+   * @param {string} options.model - Model name (optional, defaults to the provider's model)
+   * @returns {{provider: Object, model: string}} - Provider and model
+   */
+  resolveModel(options = {}) {
+    const provider = this.getProvider(options.provider || undefined);
+    return { provider, model: options.model || provider.defaultModel };
+  }
+
+  /**
+   * Generate a complete reply through the chosen provider, retrying on rate limits
+   * @param {Object} request - Completion request without the model (messages, maxTokens, temperature, ...)
+   * @param {Object} options - Call options (provider, model, signal)
+   * @returns {Promise<{content: string, totalTokens: number, model: string, provider: string}>} - Reply
+   */
+  async complete(request, options = {}) {
+    const { provider, model } = this.resolveModel(options);
+    const response = await this.makeRequestWithRetry(() =>
+      provider.complete({ ...request, model }, { signal: options.signal })
+    );
+    return { ...response, model, provider: provider.type };
   }
 
   /**
@@ -30,105 +73,487 @@ class AIService {
   async generateAnswer(question, context, options = {}) {
     try {
       if (!context || context.length === 0) {
-        return {
-          answer: "I don't have enough information to answer this question. Please try uploading some relevant documents first.",
-          sources: [],
-          confidence: 0
-        };
+        return this.getNoContextAnswer();
       }
 
-      // Truncate context to fit within token limits
-      const maxTokens = 5000;
-      const truncatedContext = this.truncateContext(context, question, maxTokens);
-      
-      console.log(`📊 Context stats: ${context.length} documents -> ${truncatedContext.documents.length} documents (${truncatedContext.estimatedTokens} estimated tokens)`);
+      const { model } = this.resolveModel(options);
+      const prompt = await this.prepareAnswerPrompt(question, context, { ...options, model });
 
-      // Check if this is an email query by looking at context metadata
-      const isEmailQuery = this.isEmailQuery(context);
-      
-      // Check if question is about tables, charts, or structured data
-      const isStructuredDataQuestion = this.isStructuredDataQuestion(question);
-      
-      // Prepare context text with appropriate formatting
-      const contextText = this.formatContextForAI(truncatedContext.documents, isStructuredDataQuestion, isEmailQuery);
+      // Generate response with retry logic for rate limits
+      const response = await this.complete(this.buildAnswerRequest(prompt, options), options);
 
-      // Create specialized prompts based on query type
-      let systemPrompt, userPrompt;
-      
-      if (isEmailQuery) {
-        systemPrompt = this.getEmailSystemPrompt(contextText);
-        userPrompt = this.getEmailUserPrompt(question);
-      } else if (isStructuredDataQuestion) {
-        systemPrompt = this.getStructuredDataSystemPrompt(contextText);
-        userPrompt = this.getStructuredDataUserPrompt(question);
-      } else {
-        systemPrompt = this.getStandardSystemPrompt(contextText);
-        userPrompt = this.getStandardUserPrompt(question);
+      return await this.buildAnswerResult(response.content, context, prompt, response.model, response.totalTokens, response.provider);
+    } catch (error) {
+      console.error('Error generating answer:', error);
+      throw this.normalizeAnswerError(error);
+    }
+  }
+
+  /**
+   * Generate an answer and stream it token by token
+   * @param {string} question - User's question
+   * @param {Array<{text: string, metadata: Object}>} context - Retrieved relevant documents
+   * @param {Object} options - Additional options (options.signal aborts the stream)
+   * @param {Function} onToken - Called with each text delta as it arrives
+   * @returns {Promise<{answer: string, sources: Array, confidence: number}>} - Complete answer once the stream ends
+   */
+  async generateAnswerStream(question, context, options = {}, onToken = () => {}) {
+    try {
+      if (!context || context.length === 0) {
+        const result = this.getNoContextAnswer();
+        onToken(result.answer);
+        return result;
       }
 
-      // Generate response using Groq with retry logic for rate limits
-      const groq = this._initGroq();
-      const model = process.env.AI_MODEL || 'llama-3.3-70b-versatile';
-      
-      const response = await this.makeGroqRequestWithRetry(() => 
-        groq.chat.completions.create({
-          model: model,
-          messages: [
-            { role: 'system', content: systemPrompt },
-            { role: 'user', content: userPrompt }
-          ],
-          max_tokens: maxTokens,
-          temperature: options.temperature || parseFloat(process.env.AI_TEMPERATURE) || 0.3,
-          top_p: options.topP || 1,
-          frequency_penalty: options.frequencyPenalty || 0,
-          presence_penalty: options.presencePenalty || 0
-        })
+      const { provider, model } = this.resolveModel(options);
+      const prompt = await this.prepareAnswerPrompt(question, context, { ...options, model });
+
+      const stream = await this.makeRequestWithRetry(() =>
+        provider.stream({ ...this.buildAnswerRequest(prompt, options), model }, { signal: options.signal })
       );
 
-      const answer = response.choices[0].message.content;
+      let answer = '';
+      let tokens = 0;
 
-      // Extract sources from context (use original context for sources)
-      const sources = context.slice(0, 5).map(doc => ({
-        text: doc.text.substring(0, 200) + '...',
-        metadata: doc.metadata,
-        relevance: doc.distance || 0
-      }));
+      for await (const { delta, totalTokens } of stream) {
+        if (delta) {
+          answer += delta;
+          onToken(delta);
+        }
+
+        // Providers report usage on the final chunk
+        if (totalTokens) {
+          tokens = totalTokens;
+        }
+      }
+
+      return await this.buildAnswerResult(answer, context, prompt, model, tokens, provider.type);
+    } catch (error) {
+      console.error('Error streaming answer:', error);
+      throw this.normalizeAnswerError(error);
+    }
+  }
+
+  /**
+   * Answer returned when no documents were retrieved
+   * @returns {{answer: string, sources: Array, confidence: number}} - Fallback answer
+   */
+  getNoContextAnswer() {
+    return {
+      answer: "I don't have enough information to answer this question. Please try uploading some relevant documents first.",
+      sources: [],
+      confidence: 0
+    };
+  }
+
+  /**
+   * Budget the context window and build the system and user prompts for an answer.
+   * The answer, the prompt around the context and the conversation history are reserved first;
+   * the retrieved chunks get the rest, see truncateContext.
+   * @param {string} question - User's question
+   * @param {Array<{text: string, metadata: Object}>} context - Retrieved relevant documents
+   * @param {Object} options - Additional options
+   * @param {Array<{question: string, answer: string}>} options.history - Prior conversation turns, oldest first
+   * @param {string} options.model - Model the prompt is for, which sets the context limit and tokenizer
+   * @param {number} options.maxTokens - Maximum tokens of the answer (default 5000)
+   * @param {number} options.contextShare - Fraction of the remaining budget given to chunks (default 1)
+   * @param {Object} options.template - Prompt template from PromptTemplateService (defaults to the built-in
+   *   template for the kind of question)
+   * @param {Object} options.user - Values of the template's {{user.<field>}} variables
+   * @returns {Promise<Object>} - Prompts, template used, chosen context, token budget and query classification
+   */
+  async prepareAnswerPrompt(question, context, options = {}) {
+    const maxTokens = options.maxTokens || 5000;
+    const model = options.model || this.resolveModel().model;
+
+    // Check if this is an email query by looking at context metadata
+    const isEmailQuery = this.isEmailQuery(context);
+    
+    // Check if question is about tables, charts, or structured data
+    const isStructuredDataQuestion = this.isStructuredDataQuestion(question);
+
+    // Use the requested template, or the built-in one for the query type
+    const template = options.template || promptTemplateService.getBuiltInTemplate(
+      isEmailQuery ? 'email' : isStructuredDataQuestion ? 'structured-data' : 'standard'
+    );
+    const render = (contextText) => {
+      const rendered = promptTemplateService.render(template, {
+        context: contextText,
+        question,
+        user: options.user
+      });
+      return { ...rendered, systemPrompt: `${rendered.systemPrompt}\n\n${CITATION_INSTRUCTIONS}` };
+    };
+
+    const counter = await llmTokenizerService.getTokenCounter(model);
+    const contextLimit = this.getModelContextLimit(model);
+
+    // Reserve the answer, the prompt without context and the history; estimated counts get a wider margin
+    const scaffold = render('');
+    const promptTokens = counter.countMessages([
+      { role: 'system', content: scaffold.systemPrompt },
+      { role: 'user', content: scaffold.userPrompt }
+    ]);
+    const history = this.fitHistoryMessages(
+      this.formatHistoryMessages(options.history),
+      Math.floor(contextLimit * this.historyShare),
+      counter
+    );
+    const marginTokens = counter.exact ? 100 : Math.ceil(contextLimit * 0.1);
+    const chunkBudget = Math.max(0, Math.floor(
+      (contextLimit - maxTokens - promptTokens - history.tokens - marginTokens) * (options.contextShare ?? 1)
+    ));
+
+    // Chunks are costed as they will appear in the prompt, plus the blank line between them
+    const truncatedContext = this.truncateContext(context, chunkBudget, (doc) =>
+      counter.countTokens(this.formatContextForAI([doc], isStructuredDataQuestion, isEmailQuery)) + 2
+    );
+
+    // Prepare context text with appropriate formatting
+    const contextText = this.formatContextForAI(truncatedContext.documents, isStructuredDataQuestion, isEmailQuery);
+    const { systemPrompt, userPrompt } = render(contextText);
+
+    const totalPromptTokens = counter.countMessages([
+      { role: 'system', content: systemPrompt },
+      ...history.messages,
+      { role: 'user', content: userPrompt }
+    ]);
+
+    console.log(`📊 Context budget (${model}, ${counter.tokenizer}): ${truncatedContext.documents.length} of ${context.length} chunks, ${totalPromptTokens} prompt + ${maxTokens} answer tokens of ${contextLimit}`);
+
+    return {
+      systemPrompt,
+      userPrompt,
+      template: { name: template.name, version: template.version },
+      historyMessages: history.messages,
+      maxTokens,
+      truncatedContext,
+      budget: {
+        model,
+        tokenizer: counter.tokenizer,
+        exact: counter.exact,
+        contextLimit,
+        answerTokens: maxTokens,
+        promptTokens,
+        historyTokens: history.tokens,
+        historyTurnsDropped: history.turnsDropped,
+        chunkBudget,
+        chunkTokens: truncatedContext.tokens,
+        totalPromptTokens
+      },
+      isEmailQuery,
+      isStructuredDataQuestion
+    };
+  }
+
+  /**
+   * Build the completion request for an answer
+   * @param {Object} prompt - Output of prepareAnswerPrompt
+   * @param {Object} options - Additional options
+   * @returns {Object} - Completion request, without the model
+   */
+  buildAnswerRequest(prompt, options = {}) {
+    return {
+      messages: [
+        { role: 'system', content: prompt.systemPrompt },
+        ...prompt.historyMessages,
+        { role: 'user', content: prompt.userPrompt }
+      ],
+      maxTokens: prompt.maxTokens,
+      temperature: options.temperature ?? (parseFloat(process.env.AI_TEMPERATURE) || 0.3),
+      topP: options.topP || 1,
+      frequencyPenalty: options.frequencyPenalty || 0,
+      presencePenalty: options.presencePenalty || 0
+    };
+  }
+
+  /**
+   * Turn prior conversation turns into chat messages.
+   * Long answers are clipped so the history cannot crowd out the retrieved context.
+   * @param {Array<{question: string, answer: string}>} history - Prior turns, oldest first
+   * @param {number} maxAnswerLength - Maximum characters kept per answer
+   * @returns {Array<{role: string, content: string}>} - Chat messages
+   */
+  formatHistoryMessages(history = [], maxAnswerLength = 1500) {
+    if (!Array.isArray(history) || history.length === 0) {
+      return [];
+    }
+
+    return history.flatMap(turn => [
+      { role: 'user', content: turn.question },
+      {
+        role: 'assistant',
+        content: turn.answer && turn.answer.length > maxAnswerLength
+          ? turn.answer.substring(0, maxAnswerLength) + '... [truncated]'
+          : turn.answer || ''
+      }
+    ]);
+  }
 
-      // Calculate confidence based on context relevance
-      const avgRelevance = context.reduce((sum, doc) => sum + (doc.distance || 0), 0) / context.length;
-      const confidence = Math.max(0, Math.min(1, 1 - avgRelevance)); // Higher distance = lower confidence
+  /**
+   * Keep the most recent history messages that fit the history budget, dropping whole turns
+   * @param {Array<{role: string, content: string}>} messages - History messages, a user and an assistant message per turn
+   * @param {number} budget - Tokens available for history
+   * @param {Object} counter - Token counter from LLMTokenizerService
+   * @returns {{messages: Array, tokens: number, turnsDropped: number}} - Messages kept and their tokens
+   */
+  fitHistoryMessages(messages, budget, counter) {
+    let kept = messages;
+    let tokens = counter.countMessages(kept);
+
+    while (kept.length > 0 && tokens > budget) {
+      kept = kept.slice(2);
+      tokens = counter.countMessages(kept);
+    }
+
+    return { messages: kept, tokens, turnsDropped: (messages.length - kept.length) / 2 };
+  }
+
+  /**
+   * Rewrite a follow-up question into a standalone question using prior turns,
+   * so retrieval works for questions like "what about the second one?"
+   * @param {string} question - Follow-up question
+   * @param {Array<{question: string, answer: string}>} history - Prior turns, oldest first
+   * @param {Object} options - Call options (provider, model)
+   * @returns {Promise<string>} - Standalone question (the original question if rewriting is not needed or fails)
+   */
+  async rewriteFollowUpQuestion(question, history = [], options = {}) {
+    if (!Array.isArray(history) || history.length === 0) {
+      return question;
+    }
+
+    try {
+      const transcript = history.map(turn => {
+        const answer = turn.answer && turn.answer.length > 500 ? turn.answer.substring(0, 500) + '...' : turn.answer;
+        return `User: ${turn.question}\nAssistant: ${answer}`;
+      }).join('\n\n');
+
+      const response = await this.complete({
+        messages: [
+          {
+            role: 'system',
+            content: 'You rewrite follow-up questions into standalone search queries. Resolve pronouns and references such as "it", "that one" or "the second one" using the conversation. Keep names, numbers and identifiers exactly as written. If the question is already standalone, return it unchanged. Reply with the rewritten question only.'
+          },
+          {
+            role: 'user',
+            content: `Conversation:\n${transcript}\n\nFollow-up question: ${question}\n\nStandalone question:`
+          }
+        ],
+        maxTokens: 200,
+        temperature: 0
+      }, options);
 
+      const rewritten = response.content.trim().replace(/^["']|["']$/g, '');
+      if (!rewritten) {
+        return question;
+      }
+
+      console.log(`🔄 Rewrote follow-up question: "${question}" -> "${rewritten}"`);
+      return rewritten;
+    } catch (error) {
+      console.warn(`⚠️ Failed to rewrite follow-up question, using it as asked: ${error.message}`);
+      return question;
+    }
+  }
+
+  /**
+   * Turn a question into a query over stored spreadsheet tables, so it can be answered by
+   * filtering and aggregating the actual rows instead of reading chunks of them
+   * @param {string} question - User's question
+   * @param {Array<Object>} schemas - Table schemas from TableStoreService.getSchema
+   * @param {Object} options - Call options (provider, model)
+   * @returns {Promise<{documentId: string, query: Object}|null>} - Table query (see TableStoreService.validateQuery),
+   *   or null if the tables cannot answer the question or planning fails
+   */
+  async generateTableQuery(question, schemas, options = {}) {
+    if (!Array.isArray(schemas) || schemas.length === 0) {
+      return null;
+    }
+
+    try {
+      const tables = schemas.map(schema => JSON.stringify(schema)).join('\n');
+
+      const response = await this.complete({
+        messages: [
+          {
+            role: 'system',
+            content: `You translate questions about spreadsheet data into JSON queries. Reply with a JSON object only.
+If the tables can answer the question, reply {"documentId": "...", "query": {...}} where query has:
+- "sheet": sheet name
+- "filter": [{"column": "...", "op": "eq|ne|gt|gte|lt|lte|contains|in", "value": ...}] (all conditions must hold; "in" takes an array)
+- "groupBy": ["column", ...]
+- "aggregates": [{"fn": "count|sum|avg|min|max", "column": "...", "as": "name"}] ("count" without a column counts rows)
+- "columns": ["column", ...] (columns to return when there are no aggregates)
+- "orderBy": [{"column": "column or aggregate name", "direction": "asc|desc"}]
+- "limit": number
+Use only column names that appear in the schema. Dates are ISO strings (YYYY-MM-DD).
+If the question is not about the rows of these tables, reply {"documentId": null}.`
+          },
+          {
+            role: 'user',
+            content: `Tables:\n${tables}\n\nQuestion: ${question}`
+          }
+        ],
+        maxTokens: 500,
+        temperature: 0,
+        json: true
+      }, options);
+
+      const content = response.content;
+      const plan = JSON.parse(content.substring(content.indexOf('{'), content.lastIndexOf('}') + 1));
+      if (!plan.documentId || !plan.query) {
+        return null;
+      }
+
+      console.log(`📊 Planned table query for "${question}": ${JSON.stringify(plan)}`);
+      return { documentId: plan.documentId, query: plan.query };
+    } catch (error) {
+      console.warn(`⚠️ Failed to plan table query, answering from text only: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Assemble the answer result with citations and sources, and verify it against the chunks provided.
+   * The confidence is how well the chunks support the answer's claims, see GroundingService.
+   * @param {string} answer - Generated answer text
+   * @param {Array<{text: string, metadata: Object}>} context - Retrieved relevant documents
+   * @param {Object} prompt - Output of prepareAnswerPrompt
+   * @param {string} model - Model name
+   * @param {number} tokens - Total tokens used
+   * @param {string} provider - Provider type
+   * @returns {Promise<Object>} - Answer result
+   */
+  async buildAnswerResult(answer, context, prompt, model, tokens, provider) {
+    const documents = prompt.truncatedContext.documents;
+    const citations = this.extractCitations(answer, documents);
+    const citedIds = [...new Set(citations.filter(citation => citation.valid).map(citation => citation.id))];
+
+    // Sources are the chunks the answer cites; answers without citations list the first chunks provided
+    const sourceIds = citedIds.length > 0
+      ? citedIds
+      : documents.slice(0, 5).map((doc, index) => this.getCitationId(index));
+    const sources = sourceIds.map(id => {
+      const doc = documents[this.getCitationIndex(id)];
+      // Computed table query results rank above everything and count as fully relevant
+      const score = this.getChunkScore(doc);
       return {
-        answer,
-        sources,
-        confidence,
-        model: model,
-        tokens: response.usage?.total_tokens || 0,
-        contextTruncated: truncatedContext.wasTruncated,
-        documentsUsed: truncatedContext.documents.length,
-        totalDocumentsAvailable: context.length,
-        isStructuredDataQuestion,
-        isEmailQuery
+        citationId: id,
+        cited: citedIds.length > 0,
+        text: doc.text.substring(0, 200) + '...',
+        metadata: doc.metadata,
+        relevance: Number.isFinite(score) ? score : 1,
+        pageStart: doc.metadata?.pageStart ?? null,
+        pageEnd: doc.metadata?.pageEnd ?? null,
+        sectionHeading: doc.metadata?.sectionHeading ?? null
       };
-    } catch (error) {
-      console.error('Error generating answer:', error);
-      
-      // Handle rate limit errors specifically
-      if (error.status === 429) {
-        if (error.message.includes('rate limit') || error.message.includes('tokens per min')) {
-          throw new Error('Rate limit exceeded. Please wait a moment and try again. Consider using a shorter question or upgrading your OpenAI plan.');
-        } else if (error.message.includes('Request too large')) {
-          throw new Error('Request too large for the model. The system will automatically reduce context size on retry.');
+    });
+
+    const grounding = await groundingService.verify(answer, documents, citations);
+
+    return {
+      answer,
+      sources,
+      citations,
+      invalidCitations: [...new Set(citations.filter(citation => !citation.valid).map(citation => citation.id))],
+      confidence: grounding.confidence,
+      grounding,
+      model: model,
+      provider,
+      template: prompt.template,
+      tokens,
+      contextTruncated: prompt.truncatedContext.wasTruncated,
+      documentsUsed: prompt.truncatedContext.documents.length,
+      totalDocumentsAvailable: context.length,
+      contextBudget: {
+        ...prompt.budget,
+        includedChunks: prompt.truncatedContext.included,
+        droppedChunks: prompt.truncatedContext.dropped
+      },
+      isStructuredDataQuestion: prompt.isStructuredDataQuestion,
+      isEmailQuery: prompt.isEmailQuery
+    };
+  }
+
+  /**
+   * Citation ID of the chunk at a position in the prompt context
+   * @param {number} index - Position of the chunk, from 0
+   * @returns {string} - Citation ID, such as C1
+   */
+  getCitationId(index) {
+    return `C${index + 1}`;
+  }
+
+  /**
+   * Position in the prompt context of the chunk a citation ID refers to
+   * @param {string} id - Citation ID
+   * @returns {number} - Position, from 0
+   */
+  getCitationIndex(id) {
+    return parseInt(id.slice(1)) - 1;
+  }
+
+  /**
+   * Find the inline citations in an answer and map them to the chunks they cite
+   * @param {string} answer - Generated answer text
+   * @param {Array<{text: string, metadata: Object}>} documents - Chunks provided in the prompt, in order
+   * @returns {Array<Object>} - One entry per cited ID: the ID, its position in the answer (start, end), whether
+   *   the chunk was provided (valid) and, if so, its documentId, chunkId, chunkIndex, character span and pages
+   */
+  extractCitations(answer, documents) {
+    const citations = [];
+
+    for (const match of (answer || '').matchAll(CITATION_PATTERN)) {
+      for (const id of match[1].split(',').map(part => part.trim())) {
+        const doc = documents[this.getCitationIndex(id)];
+        const citation = { id, start: match.index, end: match.index + match[0].length, valid: Boolean(doc) };
+
+        if (!doc) {
+          citations.push(citation);
+          continue;
         }
+
+        const metadata = doc.metadata || {};
+        citations.push({
+          ...citation,
+          documentId: metadata.documentId ?? metadata.parentDocumentId ?? null,
+          originalFilename: metadata.originalFilename ?? null,
+          version: metadata.version ?? null,
+          chunkId: metadata.id ?? null,
+          chunkIndex: metadata.chunkIndex ?? null,
+          charStart: metadata.chunkStart ?? null,
+          charEnd: metadata.chunkEnd ?? null,
+          pageStart: metadata.pageStart ?? null,
+          pageEnd: metadata.pageEnd ?? null,
+          sectionHeading: metadata.sectionHeading ?? null
+        });
       }
-      
-      // Handle context length exceeded errors
-      if (error.status === 400 && error.message.includes('context_length_exceeded')) {
-        throw new Error('Context too long for the model. The system will automatically reduce context size on retry.');
+    }
+
+    return citations;
+  }
+
+  /**
+   * Map provider errors to the messages the routes react to
+   * @param {Error} error - Original error
+   * @returns {Error} - Normalized error
+   */
+  normalizeAnswerError(error) {
+    // Handle rate limit errors specifically
+    if (error.status === 429) {
+      if (error.message.includes('rate limit') || error.message.includes('tokens per min')) {
+        return new Error('Rate limit exceeded. Please wait a moment and try again. Consider using a shorter question or upgrading your OpenAI plan.');
+      } else if (error.message.includes('Request too large')) {
+        return new Error('Request too large for the model. The system will automatically reduce context size on retry.');
       }
-      
-      throw new Error(`Failed to generate answer: ${error.message}`);
     }
+    
+    // Handle context length exceeded errors
+    if (error.status === 400 && error.message.includes('context_length_exceeded')) {
+      return new Error('Context too long for the model. The system will automatically reduce context size on retry.');
+    }
+    
+    return new Error(`Failed to generate answer: ${error.message}`);
   }
 
   /**
@@ -149,7 +574,7 @@ class AIService {
       }
 
       // Use only the most relevant document with heavy truncation
-      const mostRelevantDoc = context.sort((a, b) => (a.distance || 0) - (b.distance || 0))[0];
+      const mostRelevantDoc = [...context].sort((a, b) => this.getChunkScore(b) - this.getChunkScore(a))[0];
       const truncatedText = mostRelevantDoc.text.substring(0, 2000) + '... [heavily truncated]';
       
       console.log(`🔄 Using minimal context fallback: 1 document, ~${Math.ceil(truncatedText.length / 4)} tokens`);
@@ -162,28 +587,30 @@ Question: ${question}
 
 Answer:`;
 
-      const openai = this._initOpenAI();
-      const response = await openai.chat.completions.create({
-        model: 'llama-3.3-70b-versatile',
+      const response = await this.complete({
         messages: [
           { role: 'user', content: systemPrompt }
         ],
-        max_tokens: 500,
+        maxTokens: 500,
         temperature: options.temperature || 0.3
-      });
+      }, options);
 
-      const answer = response.choices[0].message.content;
+      const grounding = await groundingService.verify(response.content, [{ text: truncatedText }]);
 
       return {
-        answer,
+        answer: response.content,
         sources: [{
           text: mostRelevantDoc.text.substring(0, 200) + '...',
           metadata: mostRelevantDoc.metadata,
           relevance: mostRelevantDoc.distance || 0
         }],
-        confidence: 0.3, // Lower confidence due to minimal context
-        model: 'llama-3.3-70b-versatile',
-        tokens: response.usage?.total_tokens || 0,
+        citations: [],
+        invalidCitations: [],
+        confidence: grounding.confidence,
+        grounding,
+        model: response.model,
+        provider: response.provider,
+        tokens: response.totalTokens,
         contextTruncated: true,
         documentsUsed: 1,
         totalDocumentsAvailable: context.length,
@@ -196,81 +623,113 @@ Answer:`;
   }
 
   /**
-   * Truncate context to fit within token limits
-   * @param {Array<Object>} context - Original context documents
-   * @param {string} question - User question
-   * @param {number} maxTokens - Maximum tokens for the response
-   * @returns {Object} - Truncated context with metadata
+   * Choose the retrieved chunks that fit the token budget. Chunks are taken best score first
+   * and dropped whole when they do not fit, so smaller chunks further down can still be used.
+   * Only when not even the best chunk fits is it cut to the budget. The chosen chunks keep
+   * their retrieval order.
+   * @param {Array<Object>} context - Retrieved chunks
+   * @param {number} budget - Tokens available for chunks
+   * @param {Function} countChunk - Returns the tokens a chunk takes up in the prompt
+   * @returns {{documents: Array, included: Array, dropped: Array, wasTruncated: boolean, tokens: number, budget: number}} -
+   *   Chosen chunks, and which chunks were included and dropped with their score and tokens
+   * @throws {Error} - When the budget cannot hold any part of a chunk
    */
-  truncateContext(context, question, maxTokens) {
-    // Estimate tokens (rough approximation: 1 token ≈ 4 characters)
-    const estimateTokens = (text) => Math.ceil(text.length / 4);
-    
-    // Get model context limits - use configured model
-    const model = process.env.AI_MODEL || 'llama-3.3-70b-versatile';
-    const modelContextLimit = this.getModelContextLimit(model);
-    
-    // Reserve tokens for the prompt structure, question, and response
-    const systemPromptTokens = estimateTokens(`You are a helpful AI assistant...`) + 500; // Base prompt + buffer
-    const questionTokens = estimateTokens(question);
-    const responseTokens = maxTokens;
-    const bufferTokens = 1000; // Safety buffer
-    
-    // Calculate available tokens for context (use model limit, not TPM limit)
-    const availableTokensForContext = Math.max(1000, 
-      modelContextLimit - systemPromptTokens - questionTokens - responseTokens - bufferTokens);
-    
-    console.log(`🔍 Token calculation: Model=${model}, ContextLimit=${modelContextLimit}, Available=${availableTokensForContext}`);
-    
-    let currentTokens = 0;
-    const truncatedDocuments = [];
-    let wasTruncated = false;
-    
-    // Sort documents by relevance (lower distance = more relevant)
-    const sortedContext = [...context].sort((a, b) => (a.distance || 0) - (b.distance || 0));
-    
-    for (const doc of sortedContext) {
-      const docText = doc.text || '';
-      const docTokens = estimateTokens(docText) + estimateTokens(JSON.stringify(doc.metadata || {})) + 50; // Metadata + formatting
-      
-      if (currentTokens + docTokens <= availableTokensForContext) {
-        truncatedDocuments.push(doc);
-        currentTokens += docTokens;
+  truncateContext(context, budget, countChunk) {
+    const entries = context.map((doc, index) => ({ doc, index, score: this.getChunkScore(doc), tokens: countChunk(doc) }));
+    const ranked = [...entries].sort((a, b) => b.score - a.score);
+
+    const chosen = [];
+    let tokens = 0;
+    for (const entry of ranked) {
+      if (tokens + entry.tokens <= budget) {
+        chosen.push(entry);
+        tokens += entry.tokens;
+      }
+    }
+
+    if (chosen.length === 0 && ranked.length > 0) {
+      const cut = this.cutChunk(ranked[0].doc, budget, countChunk);
+      if (!cut) {
+        throw new Error(`Context too long for the model: only ${budget} tokens are left for retrieved documents. Ask for a shorter answer or use a model with a larger context.`);
+      }
+      chosen.push({ ...ranked[0], doc: cut.doc, tokens: cut.tokens, cut: true });
+      tokens = cut.tokens;
+    }
+
+    chosen.sort((a, b) => a.index - b.index);
+    const chosenIndexes = new Set(chosen.map(entry => entry.index));
+    const dropped = entries.filter(entry => !chosenIndexes.has(entry.index));
+
+    return {
+      documents: chosen.map(entry => entry.doc),
+      included: chosen.map(entry => this.describeChunk(entry)),
+      dropped: dropped.map(entry => this.describeChunk(entry)),
+      wasTruncated: dropped.length > 0 || chosen.some(entry => entry.cut),
+      tokens,
+      budget
+    };
+  }
+
+  /**
+   * Cut a chunk's text to the longest prefix that fits the budget
+   * @param {Object} doc - Chunk
+   * @param {number} budget - Tokens available
+   * @param {Function} countChunk - Returns the tokens a chunk takes up in the prompt
+   * @returns {{doc: Object, tokens: number}|null} - Cut chunk, or null if not even its metadata fits
+   * @private
+   */
+  cutChunk(doc, budget, countChunk) {
+    const text = doc.text || '';
+    const withText = (length) => ({ ...doc, text: text.substring(0, length) + '... [truncated]' });
+
+    let low = 0;
+    let high = text.length;
+    if (countChunk(withText(low)) > budget) {
+      return null;
+    }
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (countChunk(withText(mid)) <= budget) {
+        low = mid;
       } else {
-        // Try to fit a truncated version of this document
-        const remainingTokens = availableTokensForContext - currentTokens - 100; // Reserve for metadata and formatting
-        if (remainingTokens > 500) { // Only if we have meaningful space (at least 2000 chars)
-          const maxChars = Math.min(remainingTokens * 4, 8000); // Cap at 8000 chars max
-          const truncatedText = docText.substring(0, maxChars) + '... [truncated]';
-          
-          truncatedDocuments.push({
-            ...doc,
-            text: truncatedText
-          });
-          wasTruncated = true;
-        } else {
-          wasTruncated = true;
-        }
-        break; // Stop adding more documents
+        high = mid - 1;
       }
     }
-    
-    // Ensure we have at least one document
-    if (truncatedDocuments.length === 0 && context.length > 0) {
-      const firstDoc = sortedContext[0];
-      const maxChars = Math.min(4000, availableTokensForContext * 4 - 200); // At most 4000 chars
-      truncatedDocuments.push({
-        ...firstDoc,
-        text: firstDoc.text.substring(0, maxChars) + '... [truncated due to length]'
-      });
-      wasTruncated = true;
+
+    const cut = withText(low);
+    return { doc: cut, tokens: countChunk(cut) };
+  }
+
+  /**
+   * Retrieval score a chunk is ranked by when the budget runs out. Computed table query results
+   * come first, then rerank scores, then the fused search score.
+   * @param {Object} doc - Chunk
+   * @returns {number} - Score, higher is better
+   */
+  getChunkScore(doc) {
+    const metadata = doc.metadata || {};
+    if (metadata.type === 'table_query_result') {
+      return Infinity;
     }
-    
+    return metadata.rerankScore ?? metadata.score ?? metadata.similarity ?? 0;
+  }
+
+  /**
+   * Describe a chunk for the budget report
+   * @param {Object} entry - Budget entry
+   * @returns {Object} - Chunk ID, document, score and tokens
+   * @private
+   */
+  describeChunk({ doc, score, tokens, cut = false }) {
+    const metadata = doc.metadata || {};
     return {
-      documents: truncatedDocuments,
-      wasTruncated,
-      estimatedTokens: currentTokens,
-      availableTokens: availableTokensForContext
+      id: metadata.id ?? null,
+      documentId: metadata.documentId ?? metadata.parentDocumentId ?? null,
+      chunkIndex: metadata.chunkIndex ?? null,
+      type: metadata.type === 'table_query_result' ? 'table_query_result' : 'chunk',
+      score: Number.isFinite(score) ? score : null,
+      tokens,
+      truncated: cut
     };
   }
 
@@ -320,7 +779,7 @@ Answer:`;
   formatContextForAI(documents, isStructuredDataQuestion, isEmailQuery = false) {
     if (isStructuredDataQuestion) {
       return documents.map((doc, index) => {
-        let formattedText = `=== Document ${index + 1} ===\n`;
+        let formattedText = `=== [${this.getCitationId(index)}] ${doc.metadata?.originalFilename || 'Document'} ===\n`;
         
         // Include structured data if available
         if (doc.metadata && doc.metadata.tables && doc.metadata.tables.length > 0) {
@@ -368,7 +827,7 @@ Answer:`;
     } else if (isEmailQuery) {
       // Email-specific formatting without document numbers
       return documents.map((doc, index) => 
-        `=== Email ${index + 1} ===
+        `=== [${this.getCitationId(index)}] Email ===
 From: ${doc.metadata?.sender_email || 'Unknown'}
 To: ${doc.metadata?.receiver_emails || 'Unknown'}
 Subject: ${doc.metadata?.subject || 'No Subject'}
@@ -379,7 +838,7 @@ Content: ${doc.text}
     } else {
       // Standard formatting for non-structured data questions
       return documents.map((doc, index) => 
-        `=== Document ${index + 1} ===
+        `=== [${this.getCitationId(index)}] ${doc.metadata?.originalFilename || 'Document'} ===
 Content: ${doc.text}
 Metadata: ${JSON.stringify(doc.metadata || {}, null, 2)}
 ---`
@@ -387,169 +846,6 @@ Metadata: ${JSON.stringify(doc.metadata || {}, null, 2)}
     }
   }
 
-  /**
-   * Get system prompt for structured data questions
-   * @param {string} contextText - Formatted context text
-   * @returns {string} - System prompt
-   */
-  getStructuredDataSystemPrompt(contextText) {
-    return `You are a specialized AI assistant that excels at analyzing structured data like tables, charts, and numerical information.
-
-IMPORTANT INSTRUCTIONS FOR STRUCTURED DATA:
-- Pay special attention to tables, charts, and numerical data in the context
-- When analyzing tables, identify headers, rows, columns, and data relationships
-- For charts and graphs, extract trends, patterns, and key data points
-- Look for numerical patterns, percentages, totals, and comparisons
-- Identify relationships between different data points
-- When asked about specific values, search through all structured data carefully
-- If you find relevant data in tables or charts, cite the specific table/chart number
-- For numerical questions, provide exact values when available
-- Compare data across different tables or charts when relevant
-- Look for trends, patterns, and anomalies in the data
-
-STRUCTURED DATA ANALYSIS GUIDELINES:
-- Tables: Identify headers, data types, and relationships between columns
-- Charts: Determine chart type, extract data points, identify trends
-- Numbers: Look for totals, percentages, averages, and comparisons
-- Patterns: Identify trends, correlations, and anomalies
-- Context: Consider the broader context when interpreting data
-
-Context:
-${contextText}
-
-Please analyze the structured data and answer the following question. If you find relevant information in tables, charts, or other structured formats, cite the specific source and explain your reasoning.`;
-  }
-
-  /**
-   * Get email-specific system prompt
-   * @param {string} contextText - Formatted context text
-   * @returns {string} - System prompt
-   */
-  getEmailSystemPrompt(contextText) {
-    return `You are a helpful AI assistant that answers questions about emails based on the provided context. 
-
-IMPORTANT INSTRUCTIONS:
-- You MUST use information from the provided emails to answer questions
-- If the emails contain relevant information, even if it's not a perfect match, use it to provide a helpful answer
-- Look for related terms, synonyms, or broader categories that might answer the question
-- Only say "I couldn't find any emails matching your query" if you've thoroughly searched and found absolutely nothing relevant
-- Provide natural, conversational responses without mentioning document numbers or technical references
-- Focus on the content and meaning of the emails rather than technical details
-
-EMAIL-SPECIFIC INSTRUCTIONS:
-- When filtering by sender, ONLY mention emails that actually contain the requested content
-- If an email is from the specified sender but doesn't contain the requested content, DO NOT include it in your response
-- Be explicit about which emails are relevant vs. which are not when filtering by sender
-- If you find emails that don't contain the requested content, clearly state this
-- Focus on emails that have both the correct sender AND the requested content
-- When asked about specific topics (like "RFP"), only include emails that actually mention or discuss that topic
-- Provide natural summaries of email content without technical formatting
-
-Guidelines:
-- Provide accurate and relevant answers based on the email context
-- Be concise but comprehensive
-- If you're unsure about something, acknowledge the uncertainty but still provide what you can from the emails
-- Look for indirect answers - if someone asks about one topic but emails discuss related topics, use that information
-- Write in a natural, conversational tone as if you're summarizing emails for a colleague
-
-Context:
-${contextText}
-
-Please answer the following question based on the email context provided. Provide a natural, conversational response:`;
-  }
-
-  /**
-   * Get standard system prompt for regular questions
-   * @param {string} contextText - Formatted context text
-   * @returns {string} - System prompt
-   */
-  getStandardSystemPrompt(contextText) {
-    return `You are a helpful AI assistant that answers questions based on the provided context. 
-
-IMPORTANT INSTRUCTIONS:
-- You MUST use information from the provided context to answer questions
-- If the context contains relevant information, even if it's not a perfect match, use it to provide a helpful answer
-- Look for related terms, synonyms, or broader categories that might answer the question
-- If the context has pricing information, costs, or financial data, use it even if the exact product name doesn't match
-- If the context has feature descriptions, capabilities, or product information, use it to answer related questions
-- Only say "the context doesn't contain information" if you've thoroughly searched and found absolutely nothing relevant
-- Always cite which document(s) you're using for your answer
-- If someone asks about "executive AI" but you find "AI-powered meeting assistant" or "meeting bot" pricing, use that information and explain the connection
-- If someone asks about pricing but you find cost information for similar services, use that as a reference point
-- When you find pricing information, always mention the specific product/service name from the context and explain how it relates to the question
-
-EMAIL-SPECIFIC INSTRUCTIONS:
-- When filtering by sender, ONLY mention emails that actually contain the requested content
-- If an email is from the specified sender but doesn't contain the requested content, DO NOT include it in your response
-- Be explicit about which emails are relevant vs. which are not when filtering by sender
-- If you find emails that don't contain the requested content, clearly state this
-- Focus on emails that have both the correct sender AND the requested content
-- When asked about specific topics (like "RFP"), only include emails that actually mention or discuss that topic
-
-Guidelines:
-- Provide accurate and relevant answers based on the context
-- Be concise but comprehensive
-- If you're unsure about something, acknowledge the uncertainty but still provide what you can from the context
-- Look for indirect answers - if someone asks about "executive AI" but the context has "AI-powered meeting assistant" or similar, use that information
-
-Context:
-${contextText}
-
-Please answer the following question based on the context provided. If you find relevant information, use it and cite the document number:`;
-  }
-
-  /**
-   * Get user prompt for structured data questions
-   * @param {string} question - User's question
-   * @returns {string} - User prompt
-   */
-  getStructuredDataUserPrompt(question) {
-    return `Question: ${question}
-
-Please analyze the structured data (tables, charts, numbers) in the provided context and answer this question. 
-
-IMPORTANT:
-- Look specifically at tables, charts, and numerical data
-- Provide exact values when available in the data
-- Cite specific table or chart numbers when referencing data
-- Identify patterns, trends, and relationships in the data
-- If the question asks for specific numbers, search through all tables and charts carefully
-- Compare data across different sources when relevant
-- Explain your reasoning and how you arrived at your answer
-
-Please provide a detailed analysis using the structured data from the provided context.`;
-  }
-
-  /**
-   * Get email-specific user prompt
-   * @param {string} question - User's question
-   * @returns {string} - User prompt
-   */
-  getEmailUserPrompt(question) {
-    return `Question: ${question}
-
-Please provide a natural, conversational answer about the emails based on the provided context. Focus on the content and meaning of the emails rather than technical details.
-
-For email filtering: If the question asks for emails from a specific sender about a specific topic, only include emails that contain both the sender AND the topic content. Do not include emails that are from the sender but don't contain the requested content.
-
-Provide a helpful summary of the relevant email information in a conversational tone.`;
-  }
-
-  /**
-   * Get standard user prompt for regular questions
-   * @param {string} question - User's question
-   * @returns {string} - User prompt
-   */
-  getStandardUserPrompt(question) {
-    return `Question: ${question}
-
-Please provide a detailed answer using the information from the provided context. If you find relevant information, even if it's not an exact match, use it and cite the specific document number(s).
-
-For pricing questions: If the exact product name isn't found but you see pricing for similar services (like "meeting bot" when asked about "executive AI"), use that information and explain the connection.
-
-For email filtering: If the question asks for emails from a specific sender about a specific topic, only include emails that contain both the sender AND the topic content. Do not include emails that are from the sender but don't contain the requested content.`;
-  }
-
   /**
    * Get the context length limit for different models
    * @param {string} model - Model name
@@ -568,20 +864,22 @@ For email filtering: If the question asks for emails from a specific sender abou
       'gpt-4': 8192,
       'gpt-4-32k': 32768,
       'gpt-4o': 128000,
+      'gpt-4o-mini': 128000,
       'gpt-4-turbo': 128000,
       'gpt-4-turbo-preview': 128000
     };
     
-    return limits[model] || 131072; // Default to Llama 3.1 limit
+    // Self-hosted models have whatever limit the server was started with
+    return parseInt(process.env.LLM_CONTEXT_LIMIT) || limits[model] || 131072; // Default to Llama 3.1 limit
   }
 
   /**
-   * Make Groq request with retry logic for rate limits
-   * @param {Function} requestFn - Function that makes the Groq request
+   * Make a provider request with retry logic for rate limits
+   * @param {Function} requestFn - Function that makes the request
    * @param {number} maxRetries - Maximum number of retries
-   * @returns {Promise} - Groq response
+   * @returns {Promise} - Provider response
    */
-  async makeGroqRequestWithRetry(requestFn, maxRetries = 2) {
+  async makeRequestWithRetry(requestFn, maxRetries = 2) {
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
       try {
         return await requestFn();
@@ -597,6 +895,29 @@ For email filtering: If the question asks for emails from a specific sender abou
     }
   }
 
+  /**
+   * Generate a free-form response to a prompt, such as an analysis of OCR output
+   * @param {string} prompt - Prompt
+   * @param {Object} options - Additional options (temperature, maxTokens, provider, model)
+   * @returns {Promise<string>} - Generated response
+   */
+  async generateResponse(prompt, options = {}) {
+    try {
+      const response = await this.complete({
+        messages: [
+          { role: 'user', content: prompt }
+        ],
+        maxTokens: options.maxTokens || 5000,
+        temperature: options.temperature || parseFloat(process.env.AI_TEMPERATURE) || 0.3
+      }, options);
+
+      return response.content;
+    } catch (error) {
+      console.error('Error generating response:', error);
+      throw new Error(`Failed to generate response: ${error.message}`);
+    }
+  }
+
   /**
    * Generate a summary of the provided documents
    * @param {Array<{text: string, metadata: Object}>} documents - Documents to summarize
@@ -621,17 +942,15 @@ For email filtering: If the question asks for emails from a specific sender abou
       
       Summary:`;
 
-      const openai = this._initOpenAI();
-      const response = await openai.chat.completions.create({
-        model: 'llama-3.3-70b-versatile',
+      const response = await this.complete({
         messages: [
           { role: 'user', content: prompt }
         ],
-        max_tokens: 5000,
+        maxTokens: options.maxTokens || 5000,
         temperature: options.temperature || parseFloat(process.env.AI_TEMPERATURE) || 0.5
-      });
+      }, options);
 
-      return response.choices[0].message.content;
+      return response.content;
     } catch (error) {
       console.error('Error generating summary:', error);
       throw new Error(`Failed to generate summary: ${error.message}`);
@@ -662,17 +981,15 @@ For email filtering: If the question asks for emails from a specific sender abou
       
       Topics:`;
 
-      const openai = this._initOpenAI();
-      const response = await openai.chat.completions.create({
-        model: 'llama-3.3-70b-versatile',
+      const response = await this.complete({
         messages: [
           { role: 'user', content: prompt }
         ],
-        max_tokens: 5000,
+        maxTokens: options.maxTokens || 5000,
         temperature: options.temperature || parseFloat(process.env.AI_TEMPERATURE) || 0.3
-      });
+      }, options);
 
-      const topicsText = response.choices[0].message.content;
+      const topicsText = response.content;
       return topicsText.split('\n').filter(topic => topic.trim().length > 0);
     } catch (error) {
       console.error('Error extracting topics:', error);
@@ -686,20 +1003,13 @@ For email filtering: If the question asks for emails from a specific sender abou
    */
   async validateService() {
     try {
-      if (!process.env.GROQ_API_KEY) {
-        throw new Error('GROQ_API_KEY is not configured');
-      }
-
-      // Test with a simple completion
-      const groq = this._initGroq();
-      const model = process.env.AI_MODEL || 'llama-3.3-70b-versatile';
-      const response = await groq.chat.completions.create({
-        model: model,
+      // Test with a simple completion on the configured provider
+      const response = await this.complete({
         messages: [{ role: 'user', content: 'Hello' }],
-        max_tokens: 5
+        maxTokens: 5
       });
 
-      return response.choices[0].message.content.length > 0;
+      return response.content.length > 0;
     } catch (error) {
       console.error('AI service validation failed:', error);
       return false;
@@ -711,18 +1021,12 @@ For email filtering: If the question asks for emails from a specific sender abou
    * @returns {Promise<Array<string>>} - List of available models
    */
   async getAvailableModels() {
+    const provider = this.getProvider();
     try {
-      const groq = this._initGroq();
-      const models = await groq.models.list();
-      return models.data.map(model => model.id);
+      return await provider.listModels();
     } catch (error) {
       console.error('Error getting available models:', error);
-      return [
-        'llama-3.3-70b-versatile',
-        'llama-3.1-8b-instant', 
-        'mixtral-8x7b-32768',
-        'gemma2-9b-it'
-      ];
+      return provider.getFallbackModels();
     }
   }
 }
@@ -0,0 +1,219 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import metadataFilter from '../utils/metadataFilter.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Named collections of a user's documents. A collection is stored as a tag on every chunk of its
+ * documents, so queries can be scoped to it with the `tags` filter.
+ */
+class CollectionService {
+  constructor() {
+    this.collectionsFile = path.join(__dirname, '../../data/collections.json');
+    this.maxNameLength = 100;
+    this.collections = [];
+    this.initialized = false;
+  }
+
+  /**
+   * Initialize the service and load existing collections
+   */
+  async initialize() {
+    if (this.initialized) return;
+
+    try {
+      // Ensure data directory exists
+      const dataDir = path.dirname(this.collectionsFile);
+      try {
+        await fs.access(dataDir);
+      } catch {
+        await fs.mkdir(dataDir, { recursive: true });
+      }
+
+      // Load existing collections
+      try {
+        const data = await fs.readFile(this.collectionsFile, 'utf8');
+        this.collections = JSON.parse(data);
+      } catch (error) {
+        // File doesn't exist or is invalid, start with no collections
+        this.collections = [];
+      }
+
+      this.initialized = true;
+      console.log(`✅ Collection service initialized with ${this.collections.length} collections`);
+    } catch (error) {
+      console.error('Error initializing collection service:', error);
+      throw new Error(`Failed to initialize collection service: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check a collection name
+   * @param {string} name - Collection name
+   * @returns {string|null} - Problem with the name, or null if it is valid
+   */
+  validateName(name) {
+    if (typeof name !== 'string' || !name.trim()) {
+      return 'name is required and must be a non-empty string';
+    }
+    if (name.trim().length > this.maxNameLength) {
+      return `name must be at most ${this.maxNameLength} characters`;
+    }
+    if (name.includes(',')) {
+      return 'name must not contain commas';
+    }
+    return null;
+  }
+
+  /**
+   * Create a collection
+   * @param {Object} collectionData - Collection data
+   * @param {string} collectionData.userId - Owner of the collection
+   * @param {string} collectionData.name - Name, unique per user regardless of case
+   * @param {string} collectionData.description - Optional description
+   * @returns {Promise<Object>} - The created collection
+   */
+  async createCollection({ userId, name, description }) {
+    await this.initialize();
+
+    const tag = metadataFilter.normalizeTag(name);
+    if (this.findByTag(userId, tag)) {
+      throw new Error(`Collection already exists: ${name.trim()}`);
+    }
+
+    const now = new Date().toISOString();
+    const collection = {
+      id: this.generateId(),
+      userId,
+      name: name.trim(),
+      tag,
+      description: description || null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.collections.push(collection);
+    await this.saveCollections();
+
+    return collection;
+  }
+
+  /**
+   * Get a collection by ID or by name
+   * @param {string} idOrName - Collection ID, or its name in any case
+   * @param {string} userId - Owner of the collection
+   * @returns {Promise<Object|null>} - Collection or null if not found
+   */
+  async getCollection(idOrName, userId) {
+    await this.initialize();
+
+    const byId = this.collections.find(c => c.id === idOrName && c.userId === userId);
+    return byId || this.findByTag(userId, metadataFilter.normalizeTag(idOrName)) || null;
+  }
+
+  /**
+   * List a user's collections
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} - Collections sorted by name
+   */
+  async listCollections(userId) {
+    await this.initialize();
+
+    return this.collections
+      .filter(c => c.userId === userId)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Rename a collection or change its description
+   * @param {string} id - Collection ID
+   * @param {string} userId - Owner of the collection
+   * @param {Object} updates - Fields to change
+   * @param {string} updates.name - New name (optional)
+   * @param {string} updates.description - New description (optional)
+   * @returns {Promise<{collection: Object, previousTag: string}|null>} - Updated collection and its tag before
+   *   the update, or null if not found
+   */
+  async updateCollection(id, userId, { name, description }) {
+    await this.initialize();
+
+    const collection = this.collections.find(c => c.id === id && c.userId === userId);
+    if (!collection) {
+      return null;
+    }
+
+    const previousTag = collection.tag;
+    if (name !== undefined) {
+      const tag = metadataFilter.normalizeTag(name);
+      const existing = this.findByTag(userId, tag);
+      if (existing && existing.id !== id) {
+        throw new Error(`Collection already exists: ${name.trim()}`);
+      }
+      collection.name = name.trim();
+      collection.tag = tag;
+    }
+    if (description !== undefined) {
+      collection.description = description || null;
+    }
+    collection.updatedAt = new Date().toISOString();
+
+    await this.saveCollections();
+    return { collection, previousTag };
+  }
+
+  /**
+   * Delete a collection. Its documents are not deleted.
+   * @param {string} id - Collection ID
+   * @param {string} userId - Owner of the collection
+   * @returns {Promise<Object|null>} - The deleted collection, or null if not found
+   */
+  async deleteCollection(id, userId) {
+    await this.initialize();
+
+    const collection = this.collections.find(c => c.id === id && c.userId === userId);
+    if (!collection) {
+      return null;
+    }
+
+    this.collections = this.collections.filter(c => c !== collection);
+    await this.saveCollections();
+    return collection;
+  }
+
+  /**
+   * Find a user's collection by its tag
+   * @param {string} userId - User ID
+   * @param {string} tag - Normalized tag
+   * @returns {Object|undefined} - Collection
+   * @private
+   */
+  findByTag(userId, tag) {
+    return this.collections.find(c => c.userId === userId && c.tag === tag);
+  }
+
+  /**
+   * Save collections to file
+   * @private
+   */
+  async saveCollections() {
+    try {
+      await fs.writeFile(this.collectionsFile, JSON.stringify(this.collections, null, 2), 'utf8');
+    } catch (error) {
+      console.error('Error saving collections:', error);
+      throw new Error(`Failed to save collections: ${error.message}`);
+    }
+  }
+
+  /**
+   * Generate a unique ID for collections
+   * @private
+   */
+  generateId() {
+    return `coll_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+}
+
+export default new CollectionService();
@@ -0,0 +1,238 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+class ConversationService {
+  constructor() {
+    this.conversationsFile = path.join(__dirname, '../../data/conversations.json');
+    this.historyWindowTurns = parseInt(process.env.CONVERSATION_HISTORY_TURNS) || 5; // Turns included in prompts
+    this.maxTurnsPerConversation = 200;
+    this.conversations = [];
+    this.initialized = false;
+  }
+
+  /**
+   * Initialize the service and load existing conversations
+   */
+  async initialize() {
+    if (this.initialized) return;
+
+    try {
+      // Ensure data directory exists
+      const dataDir = path.dirname(this.conversationsFile);
+      try {
+        await fs.access(dataDir);
+      } catch {
+        await fs.mkdir(dataDir, { recursive: true });
+      }
+
+      // Load existing conversations
+      try {
+        const data = await fs.readFile(this.conversationsFile, 'utf8');
+        this.conversations = JSON.parse(data);
+      } catch (error) {
+        // File doesn't exist or is invalid, start with no conversations
+        this.conversations = [];
+      }
+
+      this.initialized = true;
+      console.log(`✅ Conversation service initialized with ${this.conversations.length} conversations`);
+    } catch (error) {
+      console.error('Error initializing conversation service:', error);
+      throw new Error(`Failed to initialize conversation service: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create a new conversation
+   * @param {Object} conversationData - Conversation data
+   * @param {string} conversationData.userId - Owner of the conversation
+   * @param {string} conversationData.title - Optional title
+   * @returns {Promise<Object>} - The created conversation
+   */
+  async createConversation({ userId, title }) {
+    await this.initialize();
+
+    const now = new Date().toISOString();
+    const conversation = {
+      id: this.generateId(),
+      userId,
+      title: title || null,
+      createdAt: now,
+      updatedAt: now,
+      lastTurnNumber: 0,
+      turns: []
+    };
+
+    this.conversations.unshift(conversation);
+    await this.saveConversations();
+
+    return conversation;
+  }
+
+  /**
+   * Get a conversation by ID
+   * @param {string} id - Conversation ID
+   * @param {string} userId - Only return the conversation if it belongs to this user (optional)
+   * @returns {Promise<Object|null>} - Conversation or null if not found
+   */
+  async getConversation(id, userId = null) {
+    await this.initialize();
+
+    const conversation = this.conversations.find(c => c.id === id);
+    if (!conversation || (userId && conversation.userId !== userId)) {
+      return null;
+    }
+    return conversation;
+  }
+
+  /**
+   * List a user's conversations without their turns
+   * @param {string} userId - User ID
+   * @param {number} limit - Maximum number of conversations to return
+   * @returns {Promise<Array>} - Conversation summaries, most recently updated first
+   */
+  async listConversations(userId, limit = 50) {
+    await this.initialize();
+
+    return this.conversations
+      .filter(c => c.userId === userId)
+      .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))
+      .slice(0, limit)
+      .map(({ turns, ...conversation }) => ({
+        ...conversation,
+        turnCount: turns.length,
+        lastQuestion: turns.length > 0 ? turns[turns.length - 1].question : null
+      }));
+  }
+
+  /**
+   * Append a turn to a conversation
+   * @param {string} id - Conversation ID
+   * @param {Object} turnData - Turn data
+   * @param {string} turnData.question - Question as the user asked it
+   * @param {string} turnData.standaloneQuestion - Question rewritten for retrieval
+   * @param {string} turnData.answer - The answer provided
+   * @param {Array} turnData.sources - Source documents
+   * @param {Array} turnData.citations - Inline citations of the answer, see AIService.extractCitations
+   * @param {Array<string>} turnData.invalidCitations - Cited IDs of chunks that were not provided
+   * @param {Array} turnData.unsupportedClaims - Answer sentences the sources do not support, see GroundingService.verify
+   * @param {number} turnData.confidence - Confidence score
+   * @param {string} turnData.model - AI model used
+   * @param {{name: string, version: number}} turnData.template - Prompt template used
+   * @param {number} turnData.tokens - Tokens used
+   * @param {string} turnData.historyId - Question history entry ID
+   * @returns {Promise<Object>} - The saved turn
+   */
+  async addTurn(id, turnData) {
+    await this.initialize();
+
+    const conversation = this.conversations.find(c => c.id === id);
+    if (!conversation) {
+      throw new Error(`Conversation not found: ${id}`);
+    }
+
+    // Numbers keep increasing after the oldest turns are trimmed, so turn IDs are never reused
+    conversation.lastTurnNumber = (conversation.lastTurnNumber ?? this.getLastTurnNumber(conversation)) + 1;
+
+    const turn = {
+      id: `turn_${conversation.lastTurnNumber}`,
+      timestamp: new Date().toISOString(),
+      question: turnData.question,
+      standaloneQuestion: turnData.standaloneQuestion || turnData.question,
+      answer: turnData.answer,
+      sources: turnData.sources || [],
+      citations: turnData.citations || [],
+      invalidCitations: turnData.invalidCitations || [],
+      unsupportedClaims: turnData.unsupportedClaims || [],
+      confidence: turnData.confidence || 0,
+      model: turnData.model || 'unknown',
+      template: turnData.template || null,
+      tokens: turnData.tokens || 0,
+      historyId: turnData.historyId || null
+    };
+
+    conversation.turns.push(turn);
+    if (conversation.turns.length > this.maxTurnsPerConversation) {
+      conversation.turns = conversation.turns.slice(-this.maxTurnsPerConversation);
+    }
+
+    // Name untitled conversations after their first question
+    if (!conversation.title) {
+      conversation.title = turn.question.substring(0, 80);
+    }
+    conversation.updatedAt = turn.timestamp;
+
+    await this.saveConversations();
+    return turn;
+  }
+
+  /**
+   * Get the most recent turns of a conversation for prompting
+   * @param {Object} conversation - Conversation
+   * @param {number} maxTurns - Maximum number of turns (defaults to CONVERSATION_HISTORY_TURNS)
+   * @returns {Array<{question: string, answer: string}>} - Oldest first
+   */
+  getHistoryWindow(conversation, maxTurns = this.historyWindowTurns) {
+    if (maxTurns <= 0) return [];
+
+    return conversation.turns
+      .slice(-maxTurns)
+      .map(turn => ({ question: turn.question, answer: turn.answer }));
+  }
+
+  /**
+   * Highest turn number used in a conversation, for conversations saved before the count was stored
+   * @private
+   * @param {Object} conversation - Conversation
+   * @returns {number} - Last turn number, or 0 if the conversation has no turns
+   */
+  getLastTurnNumber(conversation) {
+    return conversation.turns.reduce((max, turn) => Math.max(max, parseInt(turn.id.replace('turn_', '')) || 0), 0);
+  }
+
+  /**
+   * Delete a conversation
+   * @param {string} id - Conversation ID
+   * @param {string} userId - Only delete the conversation if it belongs to this user (optional)
+   * @returns {Promise<boolean>} - True if the conversation was deleted
+   */
+  async deleteConversation(id, userId = null) {
+    await this.initialize();
+
+    const initialLength = this.conversations.length;
+    this.conversations = this.conversations.filter(c => !(c.id === id && (!userId || c.userId === userId)));
+
+    if (this.conversations.length < initialLength) {
+      await this.saveConversations();
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Save conversations to file
+   * @private
+   */
+  async saveConversations() {
+    try {
+      await fs.writeFile(this.conversationsFile, JSON.stringify(this.conversations, null, 2), 'utf8');
+    } catch (error) {
+      console.error('Error saving conversations:', error);
+      throw new Error(`Failed to save conversations: ${error.message}`);
+    }
+  }
+
+  /**
+   * Generate a unique ID for conversations
+   * @private
+   */
+  generateId() {
+    return `conv_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+}
+
+export default new ConversationService();
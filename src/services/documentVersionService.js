@@ -0,0 +1,224 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import metadataFilter from '../utils/metadataFilter.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Chunk-level metadata that does not describe the document version itself
+const CHUNK_METADATA_KEYS = [
+  'chunkIndex', 'totalChunks', 'chunkStart', 'chunkEnd', 'chunkSize', 'chunkId',
+  'chunkNumber', 'isChunk', 'parentDocumentId', 'type', 'structuredData', 'pageStart', 'pageEnd',
+  'sectionHeading', 'headingPath', 'sheetName', 'tokenCount', 'chunkBoundary'
+];
+
+class DocumentVersionService {
+  constructor() {
+    this.versionsFile = path.join(__dirname, '../../data/document_versions.json');
+    this.documents = {};
+    this.initialized = false;
+  }
+
+  /**
+   * Initialize the service and load existing version history
+   */
+  async initialize() {
+    if (this.initialized) return;
+
+    try {
+      // Ensure data directory exists
+      const dataDir = path.dirname(this.versionsFile);
+      try {
+        await fs.access(dataDir);
+      } catch {
+        await fs.mkdir(dataDir, { recursive: true });
+      }
+
+      // Load existing version history
+      try {
+        const data = await fs.readFile(this.versionsFile, 'utf8');
+        this.documents = JSON.parse(data);
+      } catch (error) {
+        // File doesn't exist or is invalid, start with no history
+        this.documents = {};
+      }
+
+      this.initialized = true;
+      console.log(`✅ Document version service initialized with ${Object.keys(this.documents).length} documents`);
+    } catch (error) {
+      console.error('Error initializing document version service:', error);
+      throw new Error(`Failed to initialize document version service: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the version history of a document
+   * @param {string} documentId - Document ID
+   * @param {string} userId - Only return the history if it belongs to this user (optional)
+   * @returns {Promise<Object|null>} - { documentId, userId, currentVersion, versions } or null if none is recorded
+   */
+  async getDocument(documentId, userId = null) {
+    await this.initialize();
+
+    const document = this.documents[documentId];
+    if (!document || (userId && document.userId !== userId)) {
+      return null;
+    }
+    return document;
+  }
+
+  /**
+   * Record a new version of a document and make it the current one
+   * @param {string} documentId - Document ID
+   * @param {Object} versionData - Version data
+   * @param {string} versionData.userId - Owner of the document
+   * @param {number} versionData.version - Version number
+   * @param {string} versionData.filename - Stored file name
+   * @param {string} versionData.originalname - File name as uploaded
+   * @param {string} versionData.contentHash - Hash of the extracted text
+   * @param {number} versionData.totalChunks - Number of chunks
+   * @param {Object} versionData.metadata - Document metadata of this version
+   * @returns {Promise<Object>} - The updated version history
+   */
+  async recordVersion(documentId, versionData) {
+    await this.initialize();
+
+    const now = new Date().toISOString();
+    const document = this.documents[documentId] || {
+      documentId,
+      userId: versionData.userId,
+      currentVersion: 0,
+      versions: []
+    };
+
+    const previous = document.versions.find(v => v.version === document.currentVersion);
+    if (previous && !previous.supersededAt) {
+      previous.supersededAt = now;
+    }
+
+    document.versions = document.versions.filter(v => v.version !== versionData.version);
+    document.versions.push({
+      version: versionData.version,
+      filename: versionData.filename || null,
+      originalname: versionData.originalname || versionData.filename || null,
+      contentHash: versionData.contentHash || null,
+      totalChunks: versionData.totalChunks || 0,
+      metadata: this.toVersionMetadata(versionData.metadata || {}),
+      createdAt: versionData.createdAt || now,
+      supersededAt: null
+    });
+    document.versions.sort((a, b) => a.version - b.version);
+    document.currentVersion = versionData.version;
+    document.updatedAt = now;
+
+    this.documents[documentId] = document;
+    await this.saveVersions();
+
+    return document;
+  }
+
+  /**
+   * Build a version record for a document ingested before versions were tracked
+   * @param {Object} chunkMetadata - Metadata of one of the document's chunks
+   * @returns {Object} - Version data for recordVersion
+   */
+  versionFromChunkMetadata(chunkMetadata) {
+    return {
+      userId: chunkMetadata.userId,
+      version: chunkMetadata.version || 1,
+      filename: chunkMetadata.originalFilename || chunkMetadata.filename,
+      contentHash: chunkMetadata.contentHash,
+      totalChunks: chunkMetadata.totalChunks,
+      metadata: chunkMetadata,
+      createdAt: chunkMetadata.processedAt
+    };
+  }
+
+  /**
+   * Remove a version that never became current, e.g. after a failed update
+   * @param {string} documentId - Document ID
+   * @param {number} version - Version to remove
+   * @returns {Promise<boolean>} - True if the version was removed
+   */
+  async removeVersion(documentId, version) {
+    await this.initialize();
+
+    const document = this.documents[documentId];
+    if (!document || !document.versions.some(v => v.version === version)) {
+      return false;
+    }
+
+    document.versions = document.versions.filter(v => v.version !== version);
+    if (document.versions.length === 0) {
+      delete this.documents[documentId];
+    } else if (document.currentVersion === version) {
+      const latest = document.versions[document.versions.length - 1];
+      latest.supersededAt = null;
+      document.currentVersion = latest.version;
+    }
+
+    await this.saveVersions();
+    return true;
+  }
+
+  /**
+   * Delete the version history of a document
+   * @param {string} documentId - Document ID
+   * @returns {Promise<boolean>} - True if history was deleted
+   */
+  async deleteDocument(documentId) {
+    await this.initialize();
+
+    if (!this.documents[documentId]) {
+      return false;
+    }
+
+    delete this.documents[documentId];
+    await this.saveVersions();
+    return true;
+  }
+
+  /**
+   * Delete the version history of every document of a user
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} - Number of documents removed
+   */
+  async deleteUserDocuments(userId) {
+    await this.initialize();
+
+    const documentIds = Object.keys(this.documents).filter(id => this.documents[id].userId === userId);
+    documentIds.forEach(id => delete this.documents[id]);
+
+    if (documentIds.length > 0) {
+      await this.saveVersions();
+    }
+    return documentIds.length;
+  }
+
+  /**
+   * Strip chunk-level fields from metadata
+   * @param {Object} metadata - Chunk or document metadata
+   * @returns {Object} - Document-level metadata
+   */
+  toVersionMetadata(metadata) {
+    return Object.fromEntries(
+      Object.entries(metadata).filter(([key]) => !CHUNK_METADATA_KEYS.includes(key) && !metadataFilter.isIndexKey(key))
+    );
+  }
+
+  /**
+   * Save version history to file
+   * @private
+   */
+  async saveVersions() {
+    try {
+      await fs.writeFile(this.versionsFile, JSON.stringify(this.documents, null, 2), 'utf8');
+    } catch (error) {
+      console.error('Error saving document versions:', error);
+      throw new Error(`Failed to save document versions: ${error.message}`);
+    }
+  }
+}
+
+export default new DocumentVersionService();
@@ -1,12 +1,10 @@
-import { ChromaClient } from 'chromadb';
 import { v4 as uuidv4 } from 'uuid';
 import vextService from './vextService.js';
+import vectorStore from './vectorStores/index.js';
 
 class EmailVectorService {
   constructor() {
-    this.client = new ChromaClient({
-      path: process.env.CHROMA_URL || 'http://3.6.147.238:8000'
-    });
+    this.client = vectorStore;
     this.collections = new Map(); // Store user-specific collections
     this.baseCollectionName = 'email_rag';
   }
@@ -104,7 +102,8 @@ class EmailVectorService {
   }
 
   /**
-   * Add emails to the vector database
+   * Add emails to the vector database. Emails are upserted by email_id, so
+   * re-ingesting an email replaces the stored copy instead of duplicating it.
    * @param {Array<{text: string, metadata: Object}>} emailDocuments - Email documents to add
    * @param {string} userID - User ID for data isolation (required)
    * @returns {Promise<Array<string>>} - Array of document IDs
@@ -124,8 +123,8 @@ class EmailVectorService {
 
       console.log(`📧 Adding ${emailDocuments.length} emails to vector database for user: ${userID}...`);
 
-      // Validate and clean email documents
-      const cleanedDocuments = this.validateAndCleanEmailDocuments(emailDocuments, userID);
+      // Validate and clean email documents, keeping the last copy of any email_id repeated in the batch
+      const cleanedDocuments = this.dedupeByEmailId(this.validateAndCleanEmailDocuments(emailDocuments, userID));
       
       // Extract text content for embedding generation
       const texts = cleanedDocuments.map(doc => doc.text);
@@ -134,27 +133,38 @@ class EmailVectorService {
       console.log(`🔄 Generating embeddings for ${texts.length} emails...`);
       const embeddings = await this.generateEmbeddingsInBatches(texts);
 
-      // Generate unique IDs for each email
-      const emailIds = cleanedDocuments.map(doc => 
-        doc.metadata.document_id || `email_${uuidv4()}`
-      );
+      // Reuse the stored ID of emails that are already indexed
+      const existingIds = await this.findExistingEmailIds(collection, cleanedDocuments);
+      const emailIds = cleanedDocuments.map(doc => {
+        const stored = existingIds.get(doc.metadata.email_id);
+        return stored ? stored[0] : (doc.metadata.document_id || `email_${uuidv4()}`);
+      });
       
       // Prepare metadata for ChromaDB (userID already included in cleaned documents)
-      const metadatas = cleanedDocuments.map(doc => ({
+      const metadatas = cleanedDocuments.map((doc, index) => ({
         ...doc.metadata,
+        document_id: emailIds[index],
         document_type: 'email',
         indexed_at: new Date().toISOString()
       }));
 
-      // Add to user-specific ChromaDB collection
-      await collection.add({
+      // Upsert into user-specific ChromaDB collection
+      await collection.upsert({
         ids: emailIds,
         embeddings: embeddings,
         documents: texts,
         metadatas: metadatas
       });
 
-      console.log(`✅ Successfully added ${emailDocuments.length} emails to vector database for user: ${userID}`);
+      // Remove extra copies left by ingestion before emails were upserted
+      const staleIds = [...existingIds.values()].flatMap(ids => ids.slice(1));
+      if (staleIds.length > 0) {
+        await collection.delete({ ids: staleIds });
+        console.log(`🧹 Removed ${staleIds.length} duplicate email records for user: ${userID}`);
+      }
+
+      const updatedCount = existingIds.size;
+      console.log(`✅ Successfully upserted ${cleanedDocuments.length} emails (${cleanedDocuments.length - updatedCount} new, ${updatedCount} updated) for user: ${userID}`);
       return emailIds;
     } catch (error) {
       console.error(`❌ Error adding emails to vector database for user ${userID}:`, error);
@@ -575,6 +585,7 @@ class EmailVectorService {
       
       return {
         healthy: true,
+        store: this.client.getInfo(),
         collections: collections.length,
         service: 'EmailVectorService',
         timestamp: new Date().toISOString()
@@ -664,6 +675,59 @@ class EmailVectorService {
       };
     });
   }
+
+  /**
+   * Keep only the last occurrence of each email_id
+   * @param {Array<{text: string, metadata: Object}>} emailDocuments - Cleaned email documents
+   * @returns {Array<{text: string, metadata: Object}>} - Documents with unique email IDs
+   */
+  dedupeByEmailId(emailDocuments) {
+    const byEmailId = new Map();
+    const withoutEmailId = [];
+
+    emailDocuments.forEach(doc => {
+      if (doc.metadata.email_id) {
+        byEmailId.delete(doc.metadata.email_id);
+        byEmailId.set(doc.metadata.email_id, doc);
+      } else {
+        withoutEmailId.push(doc);
+      }
+    });
+
+    return [...byEmailId.values(), ...withoutEmailId];
+  }
+
+  /**
+   * Look up stored records for the email IDs in a batch
+   * @param {Object} collection - User email collection
+   * @param {Array<{text: string, metadata: Object}>} emailDocuments - Email documents
+   * @returns {Promise<Map<string, Array<string>>>} - Stored record IDs by email_id
+   */
+  async findExistingEmailIds(collection, emailDocuments) {
+    const emailIdValues = emailDocuments
+      .map(doc => doc.metadata.email_id)
+      .filter(Boolean);
+
+    const existing = new Map();
+    if (emailIdValues.length === 0) {
+      return existing;
+    }
+
+    const results = await collection.get({
+      where: { email_id: { $in: emailIdValues } },
+      include: ['metadatas']
+    });
+
+    results.ids.forEach((id, index) => {
+      const emailId = results.metadatas[index]?.email_id;
+      if (!existing.has(emailId)) {
+        existing.set(emailId, []);
+      }
+      existing.get(emailId).push(id);
+    });
+
+    return existing;
+  }
 }
 
 export default new EmailVectorService();
\ No newline at end of file
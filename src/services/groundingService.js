@@ -0,0 +1,275 @@
+import { AutoTokenizer, AutoModelForSequenceClassification } from '@xenova/transformers';
+import TextChunker from '../utils/textChunker.js';
+import { tokenize } from '../utils/lexicalIndex.js';
+
+// Inline citations such as [C1] or [C1, C3], removed before sentences are compared with chunks
+const CITATION_MARKER = /\s*\[C\d+(?:\s*,\s*C\d+)*\]/g;
+
+/**
+ * Checks generated answers against the chunks they were generated from. Every answer sentence
+ * is compared with the chunks it cites (or, without citations, with each chunk provided) and
+ * labelled grounded or ungrounded, so unsupported claims can be flagged and the answer gets a
+ * confidence based on how much of it the sources support.
+ *
+ * Support is measured by lexical overlap: the share of the sentence's terms found in the chunks,
+ * capped by the share of its numbers found there, since a wrong figure is the claim most worth
+ * catching. With GROUNDING_NLI=true a local NLI model (GROUNDING_NLI_MODEL) decides instead,
+ * scoring how strongly the chunks entail the sentence; if it cannot be loaded, overlap is used.
+ */
+class GroundingService {
+  constructor() {
+    this.tokenizer = null;
+    this.model = null;
+    this.loading = null;
+    this.nliEnabled = process.env.GROUNDING_NLI === 'true';
+    this.modelName = process.env.GROUNDING_NLI_MODEL || 'Xenova/nli-deberta-v3-xsmall';
+    this.lexicalThreshold = parseFloat(process.env.GROUNDING_THRESHOLD) || 0.5;
+    this.nliThreshold = parseFloat(process.env.GROUNDING_NLI_THRESHOLD) || 0.5;
+    this.maxPremiseLength = 2000; // Characters; the tokenizer truncates to the model's 512 word pieces anyway
+    this.batchSize = 8; // Pairs per forward pass, bounding memory for long answers
+    this.nliCandidates = 3; // Uncited sentences are checked against the chunks with the most overlap
+    this.minClaimTerms = 2; // Sentences with fewer terms and no numbers ("Yes.") are not claims
+    this.chunker = new TextChunker();
+    this.isEC2 = process.env.EC2_INSTANCE || process.env.AWS_REGION || false;
+  }
+
+  /**
+   * Initialize the NLI model lazily, with the same cache and quantization settings as the reranker
+   */
+  async _initModel() {
+    if (this.model && this.tokenizer) {
+      return;
+    }
+
+    // Concurrent answers share a single load
+    if (!this.loading) {
+      this.loading = (async () => {
+        console.log(`🤗 Loading NLI model: ${this.modelName}...`);
+
+        const modelOptions = {
+          cache_dir: './models',
+          quantized: true
+        };
+
+        if (this.isEC2) {
+          modelOptions.backend = 'cpu';
+        }
+
+        this.tokenizer = await AutoTokenizer.from_pretrained(this.modelName, modelOptions);
+        this.model = await AutoModelForSequenceClassification.from_pretrained(this.modelName, modelOptions);
+        console.log(`✅ Successfully loaded ${this.modelName}`);
+      })();
+    }
+
+    try {
+      await this.loading;
+    } catch (error) {
+      this.loading = null;
+      this.tokenizer = null;
+      this.model = null;
+      console.error(`❌ Failed to load ${this.modelName}:`, error);
+      throw new Error(`Failed to initialize NLI model: ${error.message}`);
+    }
+  }
+
+  /**
+   * Score how strongly each premise entails its hypothesis
+   * @param {Array<{premise: string, hypothesis: string}>} pairs - Premise/hypothesis pairs
+   * @returns {Promise<Array<number>>} - Entailment probabilities (0-1), one per pair
+   */
+  async scoreEntailment(pairs) {
+    await this._initModel();
+
+    const id2label = this.model.config.id2label || {};
+    const entailmentIndex = Number(Object.keys(id2label).find(id => /entail/i.test(id2label[id])) ?? 0);
+
+    const scores = [];
+
+    for (let i = 0; i < pairs.length; i += this.batchSize) {
+      const batch = pairs.slice(i, i + this.batchSize);
+
+      const inputs = this.tokenizer(batch.map(pair => pair.premise.substring(0, this.maxPremiseLength)), {
+        text_pair: batch.map(pair => pair.hypothesis),
+        padding: true,
+        truncation: true
+      });
+      const { logits } = await this.model(inputs);
+
+      const labels = logits.dims[1];
+      for (let j = 0; j < batch.length; j++) {
+        const row = Array.from(logits.data.slice(j * labels, (j + 1) * labels));
+        const max = Math.max(...row);
+        const exps = row.map(logit => Math.exp(logit - max));
+        scores.push(exps[entailmentIndex] / exps.reduce((sum, value) => sum + value, 0));
+      }
+    }
+
+    return scores;
+  }
+
+  /**
+   * Terms of a text for overlap, with plurals folded into their singular
+   * @param {string} text - Text
+   * @returns {Set<string>} - Terms
+   */
+  getTerms(text) {
+    return new Set(tokenize(text).map(term =>
+      term.length > 3 && term.endsWith('s') && !term.endsWith('ss') ? term.slice(0, -1) : term
+    ));
+  }
+
+  /**
+   * Share of a sentence's terms, and of its numbers, that a text contains
+   * @param {Set<string>} sentenceTerms - Terms of the sentence
+   * @param {Set<string>} textTerms - Terms of the supporting text
+   * @returns {number} - Support score (0-1)
+   */
+  scoreOverlap(sentenceTerms, textTerms) {
+    const terms = [...sentenceTerms];
+    const numbers = terms.filter(term => /\d/.test(term));
+
+    const coverage = terms.filter(term => textTerms.has(term)).length / terms.length;
+    if (numbers.length === 0) {
+      return coverage;
+    }
+    return Math.min(coverage, numbers.filter(term => textTerms.has(term)).length / numbers.length);
+  }
+
+  /**
+   * Check every sentence of an answer against the chunks it was generated from
+   * @param {string} answer - Generated answer text
+   * @param {Array<{text: string}>} documents - Chunks provided in the prompt, in citation order
+   * @param {Array<{id: string, start: number, end: number, valid: boolean}>} citations - Inline citations,
+   *   see AIService.extractCitations
+   * @returns {Promise<Object>} - { method, threshold, confidence, sentences, unsupportedClaims, markedAnswer }. Each sentence has its
+   *   text, start and end in the answer, label (grounded or ungrounded), whether it is a claim, support score,
+   *   lexicalScore and supportingChunks (citation IDs). Confidence is the mean support score of the claims.
+   */
+  async verify(answer, documents, citations = []) {
+    const chunkTerms = documents.map(doc => this.getTerms(doc.text));
+
+    const sentences = this.chunker.splitSentencesWithOffsets(answer || '').map(sentence => {
+      // A sentence is supported by the valid citations inside it or right after it
+      const cited = [...new Set(citations
+        .filter(citation => citation.valid && citation.start >= sentence.start && citation.start <= sentence.end + 1)
+        .map(citation => parseInt(citation.id.slice(1)) - 1))];
+
+      const text = sentence.text.replace(CITATION_MARKER, '').trim();
+      const terms = this.getTerms(text);
+      // Lead-ins such as "The documents mention:" introduce claims rather than make them
+      const isClaim = !text.endsWith(':') && (terms.size >= this.minClaimTerms || [...terms].some(term => /\d/.test(term)));
+
+      return { ...sentence, text, cited, terms, isClaim };
+    }).filter(sentence => sentence.text);
+
+    for (const sentence of sentences.filter(s => s.isClaim)) {
+      if (sentence.cited.length > 0) {
+        // Cited chunks are read together, as a claim may combine them
+        const citedTerms = new Set(sentence.cited.flatMap(index => [...chunkTerms[index]]));
+        sentence.lexicalScore = this.scoreOverlap(sentence.terms, citedTerms);
+        sentence.supporting = sentence.cited;
+      } else {
+        const ranked = chunkTerms
+          .map((terms, index) => ({ index, score: this.scoreOverlap(sentence.terms, terms) }))
+          .sort((a, b) => b.score - a.score);
+        sentence.lexicalScore = ranked[0]?.score ?? 0;
+        sentence.supporting = ranked.slice(0, this.nliCandidates).map(entry => entry.index);
+      }
+      sentence.score = sentence.lexicalScore;
+    }
+
+    const method = await this.applyEntailment(sentences.filter(s => s.isClaim), documents);
+    const threshold = method === 'nli' ? this.nliThreshold : this.lexicalThreshold;
+
+    const result = sentences.map(sentence => {
+      if (!sentence.isClaim) {
+        return { text: sentence.text, start: sentence.start, end: sentence.end, label: 'grounded', claim: false, score: null, lexicalScore: null, supportingChunks: [] };
+      }
+
+      const grounded = sentence.score >= threshold;
+      return {
+        text: sentence.text,
+        start: sentence.start,
+        end: sentence.end,
+        label: grounded ? 'grounded' : 'ungrounded',
+        claim: true,
+        score: Math.round(sentence.score * 1000) / 1000,
+        lexicalScore: Math.round(sentence.lexicalScore * 1000) / 1000,
+        // Uncited sentences name the best chunk only when it supports them
+        supportingChunks: (sentence.cited.length > 0 ? sentence.cited : grounded ? sentence.supporting.slice(0, 1) : [])
+          .map(index => `C${index + 1}`)
+      };
+    });
+
+    const claims = result.filter(sentence => sentence.claim);
+    const confidence = claims.length > 0
+      ? Math.round(claims.reduce((sum, sentence) => sum + sentence.score, 0) / claims.length * 1000) / 1000
+      : 0;
+
+    const unsupportedClaims = result
+      .filter(sentence => sentence.label === 'ungrounded')
+      .map(({ text, start, end, score }) => ({ text, start, end, score }));
+
+    return {
+      method,
+      threshold,
+      confidence,
+      sentences: result,
+      unsupportedClaims,
+      markedAnswer: this.markUnsupported(answer || '', unsupportedClaims)
+    };
+  }
+
+  /**
+   * Mark unsupported claims in the answer text
+   * @param {string} answer - Generated answer text
+   * @param {Array<{start: number, end: number}>} claims - Unsupported claims, in answer order
+   * @returns {string} - Answer with [unsupported] after each unsupported claim
+   */
+  markUnsupported(answer, claims) {
+    let marked = answer;
+    for (const claim of [...claims].reverse()) {
+      marked = `${marked.substring(0, claim.end)} [unsupported]${marked.substring(claim.end)}`;
+    }
+    return marked;
+  }
+
+  /**
+   * Replace the overlap scores of claims with NLI entailment scores, when NLI is enabled
+   * @param {Array<Object>} claims - Claim sentences with their supporting chunk indexes
+   * @param {Array<{text: string}>} documents - Chunks provided in the prompt
+   * @returns {Promise<string>} - Method the scores came from: nli or lexical
+   * @private
+   */
+  async applyEntailment(claims, documents) {
+    if (!this.nliEnabled || claims.length === 0) {
+      return 'lexical';
+    }
+
+    try {
+      const pairs = claims.flatMap(sentence => sentence.cited.length > 0
+        ? [{ sentence, index: null, premise: sentence.cited.map(index => documents[index].text).join('\n') }]
+        : sentence.supporting.map(index => ({ sentence, index, premise: documents[index].text })));
+      const scores = await this.scoreEntailment(pairs.map(pair => ({ premise: pair.premise, hypothesis: pair.sentence.text })));
+
+      for (const sentence of claims) {
+        sentence.score = 0;
+      }
+      pairs.forEach((pair, i) => {
+        if (scores[i] > pair.sentence.score) {
+          pair.sentence.score = scores[i];
+          // The chunk that entails an uncited sentence best is named as its support
+          if (pair.index !== null) {
+            pair.sentence.supporting = [pair.index, ...pair.sentence.supporting.filter(index => index !== pair.index)];
+          }
+        }
+      });
+      return 'nli';
+    } catch (error) {
+      console.warn(`⚠️ NLI grounding failed, using lexical overlap: ${error.message}`);
+      return 'lexical';
+    }
+  }
+}
+
+export default new GroundingService();
@@ -1,10 +1,12 @@
-import { pipeline } from '@xenova/transformers';
+import { pipeline, AutoTokenizer } from '@xenova/transformers';
 
 class HuggingFaceEmbeddingService {
   constructor() {
     this.pipeline = null;
     this.modelName = 'Xenova/all-MiniLM-L6-v2';
     this.dimensions = 384; // all-MiniLM-L6-v2 produces 384-dimensional embeddings
+    this.maxSequenceLength = 256; // Word pieces the model was trained on; longer input is truncated
+    this.tokenizer = null;
     this.maxRetries = 3;
     this.batchSize = 10; // Optimized batch size for performance and memory balance
     this.isEC2 = process.env.EC2_INSTANCE || process.env.AWS_REGION || false;
@@ -49,6 +51,23 @@ class HuggingFaceEmbeddingService {
     return this.pipeline;
   }
 
+  /**
+   * Load the model's tokenizer lazily. It is kept apart from the pipeline so counting tokens
+   * does not load the model, and survives pipeline cleanups.
+   * @returns {Promise<Object>} - Tokenizer
+   */
+  async getTokenizer() {
+    if (!this.tokenizer) {
+      try {
+        this.tokenizer = await AutoTokenizer.from_pretrained(this.modelName, { cache_dir: './models' });
+      } catch (error) {
+        console.error(`❌ Failed to load tokenizer for ${this.modelName}:`, error);
+        throw new Error(`Failed to load tokenizer: ${error.message}`);
+      }
+    }
+    return this.tokenizer;
+  }
+
   /**
    * Generate embeddings for text using Hugging Face model with enhanced error handling
    * @param {string|string[]} text - Text or array of texts to embed
@@ -371,6 +390,7 @@ class HuggingFaceEmbeddingService {
     return {
       name: this.modelName,
       dimensions: this.dimensions,
+      maxSequenceLength: this.maxSequenceLength,
       type: 'sentence-transformer',
       provider: 'huggingface'
     };
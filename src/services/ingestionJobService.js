@@ -0,0 +1,583 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { v4 as uuidv4 } from 'uuid';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed', 'cancelled'];
+const TERMINAL_STATUSES = ['succeeded', 'failed', 'cancelled'];
+
+/**
+ * Persistent ingestion job queue.
+ *
+ * Jobs are stored in data/ingestion_jobs.json and processed by a polling worker loop.
+ * Each job type registers a handler:
+ *   run(job, context)  - does the work; context.updateProgress({stage, message, progress}) persists progress
+ *                        and context.throwIfCancelled() should be called between stages
+ *   rollback(job)      - undoes partial writes (called before a retry, on cancellation and for jobs
+ *                        interrupted by a crash)
+ *   cleanup(job, opts) - releases resources (e.g. the uploaded file) once the job reaches a final state;
+ *                        opts.expired is set when a finished job is pruned
+ *   canRetry(job)      - optional; whether a failed job still has what it needs to run again
+ */
+class IngestionJobService {
+  constructor() {
+    this.jobsFile = path.join(__dirname, '../../data/ingestion_jobs.json');
+    this.concurrency = parseInt(process.env.INGEST_CONCURRENCY) || 2;
+    this.maxAttempts = parseInt(process.env.INGEST_MAX_ATTEMPTS) || 3;
+    this.retryBaseDelayMs = parseInt(process.env.INGEST_RETRY_BASE_DELAY_MS) || 5000;
+    this.retentionDays = parseInt(process.env.INGEST_JOB_RETENTION_DAYS) || 7;
+    this.pollIntervalMs = 1000;
+
+    this.jobs = [];
+    this.handlers = new Map();
+    this.activeJobs = new Set();
+    this.initialized = false;
+    this.pollTimer = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Initialize the service and load persisted jobs
+   */
+  async initialize() {
+    if (this.initialized) return;
+
+    try {
+      // Ensure data directory exists
+      const dataDir = path.dirname(this.jobsFile);
+      try {
+        await fs.access(dataDir);
+      } catch {
+        await fs.mkdir(dataDir, { recursive: true });
+      }
+
+      // Load existing jobs
+      try {
+        const data = await fs.readFile(this.jobsFile, 'utf8');
+        this.jobs = JSON.parse(data);
+      } catch (error) {
+        // File doesn't exist or is invalid, start with an empty queue
+        this.jobs = [];
+      }
+
+      this.initialized = true;
+      console.log(`✅ Ingestion job service initialized with ${this.jobs.length} jobs`);
+    } catch (error) {
+      console.error('Error initializing ingestion job service:', error);
+      throw new Error(`Failed to initialize ingestion job service: ${error.message}`);
+    }
+  }
+
+  /**
+   * Register the handler for a job type
+   * @param {string} type - Job type
+   * @param {Object} handler - Handler with run(job, context) and optional rollback(job) and cleanup(job)
+   */
+  registerHandler(type, handler) {
+    if (typeof handler.run !== 'function') {
+      throw new Error(`Handler for job type ${type} must implement run()`);
+    }
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Start the worker loop. Jobs left running by a crash are rolled back and
+   * re-queued, or failed if they have no attempts left.
+   */
+  async start() {
+    await this.initialize();
+
+    if (this.pollTimer) return;
+
+    await this.recoverInterruptedJobs();
+    await this.pruneFinishedJobs();
+
+    this.pollTimer = setInterval(() => {
+      this.tick().catch(error => console.error('❌ Ingestion worker error:', error));
+    }, this.pollIntervalMs);
+    // Don't keep the process alive just for polling
+    this.pollTimer.unref();
+
+    console.log(`👷 Ingestion worker started (concurrency: ${this.concurrency}, max attempts: ${this.maxAttempts})`);
+    await this.tick();
+  }
+
+  /**
+   * Stop the worker loop. Running jobs finish in the background.
+   */
+  stop() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {Object} jobData - Job data
+   * @param {string} jobData.type - Job type (must have a registered handler)
+   * @param {string} jobData.userId - Owner of the job
+   * @param {string} jobData.name - Display name (e.g. the uploaded filename)
+   * @param {Object} jobData.payload - Handler-specific input
+   * @returns {Promise<Object>} - The queued job
+   */
+  async enqueue({ type, userId, name = null, payload = {} }) {
+    await this.initialize();
+
+    const now = new Date().toISOString();
+    const job = {
+      id: uuidv4(),
+      type,
+      userId,
+      name,
+      status: 'queued',
+      payload,
+      progress: {
+        stage: 'queued',
+        message: 'Waiting for an available worker...',
+        progress: 0
+      },
+      result: null,
+      error: null,
+      attempts: 0,
+      maxAttempts: this.maxAttempts,
+      nextRunAt: now,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      finishedAt: null
+    };
+
+    this.jobs.unshift(job);
+    await this.saveJobs();
+
+    console.log(`📥 Queued ${type} job ${job.id} for user ${userId}`);
+
+    // Pick the job up right away if a worker is free
+    if (this.pollTimer) {
+      setImmediate(() => this.tick().catch(error => console.error('❌ Ingestion worker error:', error)));
+    }
+
+    return job;
+  }
+
+  /**
+   * Get a job by ID
+   * @param {string} id - Job ID
+   * @returns {Promise<Object|null>} - Job or null if not found
+   */
+  async getJob(id) {
+    await this.initialize();
+    return this.jobs.find(job => job.id === id) || null;
+  }
+
+  /**
+   * List a user's jobs
+   * @param {string} userId - User ID
+   * @param {Object} options - List options
+   * @param {string} options.status - Only return jobs in this state
+   * @param {number} options.limit - Maximum number of jobs to return
+   * @returns {Promise<Array>} - Jobs, newest first
+   */
+  async listJobs(userId, options = {}) {
+    await this.initialize();
+
+    const { status = null, limit = 50 } = options;
+    return this.jobs
+      .filter(job => job.userId === userId && (!status || job.status === status))
+      .slice(0, limit);
+  }
+
+  /**
+   * Persist a progress update for a running job
+   * @param {string} id - Job ID
+   * @param {Object} progress - Progress data ({stage, message, progress})
+   */
+  async updateProgress(id, progress) {
+    const job = this.jobs.find(j => j.id === id);
+    if (!job) return;
+
+    job.progress = { ...job.progress, ...progress };
+    job.updatedAt = new Date().toISOString();
+    await this.saveJobs();
+  }
+
+  /**
+   * Run one scheduling pass: start due queued jobs up to the concurrency limit
+   */
+  async tick() {
+    await this.initialize();
+
+    const now = Date.now();
+    const dueJobs = this.jobs
+      .filter(job => job.status === 'queued' && new Date(job.nextRunAt).getTime() <= now && !this.activeJobs.has(job.id))
+      // Oldest first
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+    for (const job of dueJobs) {
+      if (this.activeJobs.size >= this.concurrency) break;
+      if (!this.handlers.has(job.type)) continue;
+
+      this.activeJobs.add(job.id);
+      this.runJob(job)
+        .catch(error => console.error(`❌ Unexpected error running job ${job.id}:`, error))
+        .finally(() => this.activeJobs.delete(job.id));
+    }
+  }
+
+  /**
+   * Execute a job with its handler and record the outcome
+   * @private
+   * @param {Object} job - Job to run
+   */
+  async runJob(job) {
+    const handler = this.handlers.get(job.type);
+
+    job.status = 'running';
+    job.attempts++;
+    job.startedAt = new Date().toISOString();
+    job.updatedAt = job.startedAt;
+    job.error = null;
+    await this.saveJobs();
+
+    console.log(`🔄 Running ${job.type} job ${job.id} (attempt ${job.attempts}/${job.maxAttempts})`);
+
+    const isCancelled = () => job.cancelRequested === true;
+
+    try {
+      const result = await handler.run(job, {
+        updateProgress: (progress) => this.updateProgress(job.id, progress),
+        isCancelled,
+        throwIfCancelled: () => {
+          if (isCancelled()) {
+            throw new Error('Job was cancelled');
+          }
+        }
+      });
+
+      job.status = 'succeeded';
+      job.result = result;
+      job.progress = {
+        stage: 'complete',
+        message: 'Processing completed successfully!',
+        progress: 100
+      };
+      console.log(`✅ Job ${job.id} succeeded`);
+    } catch (error) {
+      await this.rollbackJob(job);
+
+      if (isCancelled()) {
+        console.log(`🛑 Job ${job.id} cancelled, partial writes rolled back`);
+        this.markCancelled(job);
+      } else {
+        console.error(`❌ Job ${job.id} failed on attempt ${job.attempts}:`, error.message);
+        this.recordFailure(job, error);
+      }
+    }
+
+    job.updatedAt = new Date().toISOString();
+    if (TERMINAL_STATUSES.includes(job.status)) {
+      job.finishedAt = job.updatedAt;
+      await this.cleanupJob(job);
+    }
+    await this.saveJobs();
+  }
+
+  /**
+   * Re-queue a failed attempt with backoff, or fail the job when it is out of attempts
+   * @private
+   * @param {Object} job - Job
+   * @param {Error} error - Error from the attempt
+   */
+  recordFailure(job, error) {
+    job.error = error.message;
+
+    // Validation errors (bad file, unsupported format) won't succeed on retry
+    const retryable = error.retryable !== false && job.attempts < job.maxAttempts;
+
+    if (retryable) {
+      const delay = this.getRetryDelay(job.attempts);
+      job.status = 'queued';
+      job.nextRunAt = new Date(Date.now() + delay).toISOString();
+      job.progress = {
+        stage: 'retrying',
+        message: `Attempt ${job.attempts} failed: ${error.message}. Retrying in ${Math.round(delay / 1000)}s...`,
+        progress: 0
+      };
+      console.log(`⏳ Job ${job.id} will retry in ${delay}ms`);
+    } else {
+      job.status = 'failed';
+      job.result = {
+        success: false,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      };
+      job.progress = {
+        stage: 'error',
+        message: `Processing failed: ${error.message}`,
+        progress: 0
+      };
+    }
+  }
+
+  /**
+   * Put a job in the cancelled state
+   * @private
+   * @param {Object} job - Job
+   */
+  markCancelled(job) {
+    job.status = 'cancelled';
+    job.error = null;
+    job.result = {
+      success: false,
+      error: 'Job was cancelled',
+      timestamp: new Date().toISOString()
+    };
+    job.progress = {
+      stage: 'cancelled',
+      message: 'Processing was cancelled',
+      progress: 0
+    };
+  }
+
+  /**
+   * Cancel a job. Queued jobs are cancelled immediately; running jobs stop at their
+   * next stage boundary and have their partial writes rolled back.
+   * @param {string} id - Job ID
+   * @returns {Promise<Object|null>} - The job, or null if not found
+   */
+  async cancelJob(id) {
+    await this.initialize();
+
+    const job = this.jobs.find(j => j.id === id);
+    if (!job) return null;
+
+    if (this.isFinished(job)) {
+      throw new Error(`Job is already ${job.status}`);
+    }
+
+    job.cancelRequested = true;
+    job.updatedAt = new Date().toISOString();
+
+    if (job.status === 'queued' && !this.activeJobs.has(job.id)) {
+      // Earlier attempts were already rolled back when they failed
+      this.markCancelled(job);
+      job.finishedAt = job.updatedAt;
+      await this.cleanupJob(job);
+      console.log(`🛑 Cancelled queued job ${job.id}`);
+    } else {
+      job.progress = { ...job.progress, message: 'Cancelling...' };
+      console.log(`🛑 Cancellation requested for running job ${job.id}`);
+    }
+
+    await this.saveJobs();
+    return job;
+  }
+
+  /**
+   * Run a failed job again from the start with a fresh set of attempts
+   * @param {string} id - Job ID
+   * @returns {Promise<Object|null>} - The re-queued job, or null if not found
+   */
+  async retryJob(id) {
+    await this.initialize();
+
+    const job = this.jobs.find(j => j.id === id);
+    if (!job) return null;
+
+    if (job.status !== 'failed') {
+      throw new Error(`Only failed jobs can be retried (job is ${job.status})`);
+    }
+
+    const handler = this.handlers.get(job.type);
+    if (handler?.canRetry && !(await handler.canRetry(job))) {
+      throw new Error('Job can no longer be retried: its input is no longer available');
+    }
+
+    const now = new Date().toISOString();
+    job.status = 'queued';
+    job.attempts = 0;
+    job.retries = (job.retries || 0) + 1;
+    job.error = null;
+    job.result = null;
+    job.cancelRequested = false;
+    job.nextRunAt = now;
+    job.updatedAt = now;
+    job.finishedAt = null;
+    job.progress = {
+      stage: 'queued',
+      message: 'Waiting for an available worker...',
+      progress: 0
+    };
+
+    await this.saveJobs();
+    console.log(`🔁 Re-queued failed job ${job.id}`);
+
+    if (this.pollTimer) {
+      setImmediate(() => this.tick().catch(error => console.error('❌ Ingestion worker error:', error)));
+    }
+
+    return job;
+  }
+
+  /**
+   * Exponential backoff delay for a retry
+   * @param {number} attempt - Attempt number that just failed (1-based)
+   * @returns {number} - Delay in milliseconds
+   */
+  getRetryDelay(attempt) {
+    return this.retryBaseDelayMs * Math.pow(2, attempt - 1);
+  }
+
+  /**
+   * Undo a job's partial writes
+   * @private
+   * @param {Object} job - Job
+   */
+  async rollbackJob(job) {
+    const handler = this.handlers.get(job.type);
+    if (!handler?.rollback) return;
+
+    try {
+      await handler.rollback(job);
+    } catch (error) {
+      console.error(`❌ Failed to roll back job ${job.id}:`, error.message);
+    }
+  }
+
+  /**
+   * Release a finished job's resources
+   * @private
+   * @param {Object} job - Job
+   * @param {Object} options - Cleanup options passed to the handler
+   */
+  async cleanupJob(job, options = {}) {
+    const handler = this.handlers.get(job.type);
+    if (!handler?.cleanup) return;
+
+    try {
+      await handler.cleanup(job, options);
+    } catch (error) {
+      console.error(`❌ Failed to clean up job ${job.id}:`, error.message);
+    }
+  }
+
+  /**
+   * Roll back jobs that were running when the server stopped, then re-queue them
+   * or fail them if they have used all their attempts
+   * @private
+   */
+  async recoverInterruptedJobs() {
+    const interrupted = this.jobs.filter(job => job.status === 'running');
+    if (interrupted.length === 0) return;
+
+    console.log(`🔄 Recovering ${interrupted.length} interrupted ingestion jobs...`);
+
+    for (const job of interrupted) {
+      await this.rollbackJob(job);
+
+      job.updatedAt = new Date().toISOString();
+      if (job.cancelRequested) {
+        this.markCancelled(job);
+        job.finishedAt = job.updatedAt;
+        await this.cleanupJob(job);
+        console.log(`🛑 Cancelled interrupted job ${job.id}`);
+      } else if (job.attempts < job.maxAttempts) {
+        job.status = 'queued';
+        job.nextRunAt = job.updatedAt;
+        job.progress = {
+          stage: 'queued',
+          message: 'Resuming after server restart...',
+          progress: 0
+        };
+        console.log(`📥 Re-queued interrupted job ${job.id}`);
+      } else {
+        job.status = 'failed';
+        job.error = 'Interrupted by server restart';
+        job.finishedAt = job.updatedAt;
+        job.result = {
+          success: false,
+          error: job.error,
+          timestamp: job.updatedAt
+        };
+        job.progress = {
+          stage: 'error',
+          message: `Processing failed: ${job.error}`,
+          progress: 0
+        };
+        await this.cleanupJob(job);
+        console.log(`❌ Failed interrupted job ${job.id}: no attempts left`);
+      }
+    }
+
+    await this.saveJobs();
+  }
+
+  /**
+   * Drop finished jobs older than the retention period
+   * @private
+   */
+  async pruneFinishedJobs() {
+    const cutoff = Date.now() - this.retentionDays * 24 * 60 * 60 * 1000;
+    const initialLength = this.jobs.length;
+
+    const isExpired = (job) =>
+      TERMINAL_STATUSES.includes(job.status) && new Date(job.finishedAt || job.updatedAt).getTime() < cutoff;
+
+    for (const job of this.jobs.filter(isExpired)) {
+      await this.cleanupJob(job, { expired: true });
+    }
+    this.jobs = this.jobs.filter(job => !isExpired(job));
+
+    if (this.jobs.length < initialLength) {
+      console.log(`🧹 Pruned ${initialLength - this.jobs.length} finished ingestion jobs`);
+      await this.saveJobs();
+    }
+  }
+
+  /**
+   * Job fields safe to return from the API (the payload holds server file paths)
+   * @param {Object} job - Job
+   * @returns {Object} - Public job representation
+   */
+  toPublicJob(job) {
+    const { payload, ...publicJob } = job;
+    return publicJob;
+  }
+
+  /**
+   * Check whether a job is in a final state
+   * @param {Object} job - Job
+   * @returns {boolean} - True if the job will not change anymore
+   */
+  isFinished(job) {
+    return TERMINAL_STATUSES.includes(job.status);
+  }
+
+  /**
+   * Save jobs to file. Writes are serialized and made atomic via rename so a
+   * crash mid-write cannot corrupt the queue.
+   * @private
+   */
+  async saveJobs() {
+    const write = this.writeQueue.catch(() => {}).then(async () => {
+      const tempFile = `${this.jobsFile}.${process.pid}.tmp`;
+      await fs.writeFile(tempFile, JSON.stringify(this.jobs, null, 2), 'utf8');
+      await fs.rename(tempFile, this.jobsFile);
+    });
+
+    this.writeQueue = write;
+
+    try {
+      await write;
+    } catch (error) {
+      console.error('Error saving ingestion jobs:', error);
+      throw new Error(`Failed to save ingestion jobs: ${error.message}`);
+    }
+  }
+}
+
+export default new IngestionJobService();
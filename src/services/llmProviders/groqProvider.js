@@ -0,0 +1,55 @@
+import Groq from 'groq-sdk';
+import OpenAICompatibleProvider from './openAICompatibleProvider.js';
+
+/**
+ * Chat completion provider for Groq. Configured with GROQ_API_KEY.
+ * The Groq SDK mirrors the OpenAI client, so only client creation and streamed usage differ.
+ */
+class GroqProvider extends OpenAICompatibleProvider {
+  constructor(options = {}) {
+    super({
+      type: 'groq',
+      apiKey: options.apiKey || process.env.GROQ_API_KEY,
+      model: options.model || 'llama-3.3-70b-versatile'
+    });
+  }
+
+  /**
+   * Create the Groq client
+   * @returns {Groq} - API client
+   * @protected
+   */
+  createClient() {
+    if (!this.apiKey) {
+      throw new Error('GROQ_API_KEY environment variable is missing or empty');
+    }
+    return new Groq({
+      apiKey: this.apiKey
+    });
+  }
+
+  /**
+   * Groq reports usage on the final chunk, under x_groq
+   * @param {Object} chunk - Stream chunk
+   * @returns {number|null} - Total tokens, or null
+   * @protected
+   */
+  readStreamUsage(chunk) {
+    return (chunk.x_groq?.usage || chunk.usage)?.total_tokens || null;
+  }
+
+  /**
+   * Groq's production models, reported when the models endpoint cannot be reached
+   * @returns {Array<string>} - Model IDs
+   */
+  getFallbackModels() {
+    return [
+      'llama-3.3-70b-versatile',
+      'llama-3.1-8b-instant',
+      'mixtral-8x7b-32768',
+      'gemma2-9b-it'
+    ];
+  }
+}
+
+export default GroqProvider;
@@ -0,0 +1,49 @@
+import GroqProvider from './groqProvider.js';
+import OpenAIProvider from './openAIProvider.js';
+import OpenAICompatibleProvider from './openAICompatibleProvider.js';
+
+/**
+ * Chat completion providers.
+ *
+ * Every provider exposes the same API:
+ *   complete(request, {signal}) -> {content, totalTokens}
+ *   stream(request, {signal}) -> async iterable of {delta, totalTokens}
+ *   listModels(), getFallbackModels(), type, defaultModel
+ *
+ * where request is {model, messages, maxTokens, temperature, topP, frequencyPenalty, presencePenalty, json},
+ * so AIService builds its prompts once and works unchanged against any of them.
+ */
+const llmProviders = {
+  groq: GroqProvider,
+  openai: OpenAIProvider,
+  'openai-compatible': OpenAICompatibleProvider
+};
+
+export const LLM_PROVIDERS = Object.keys(llmProviders);
+
+/**
+ * Resolve the configured provider type. LLM_PROVIDER wins; Groq is the default.
+ * @returns {string} - Provider type
+ */
+export function getLLMProviderType() {
+  return (process.env.LLM_PROVIDER || 'groq').toLowerCase();
+}
+
+/**
+ * Create a chat completion provider
+ * @param {Object} options - Provider options
+ * @param {string} options.type - Provider type (defaults to the configured one)
+ * @param {string} options.model - Default model (optional; AI_MODEL applies to the configured provider)
+ * @returns {OpenAICompatibleProvider} - Provider
+ */
+export function createLLMProvider(options = {}) {
+  const type = options.type || getLLMProviderType();
+  const Provider = llmProviders[type];
+
+  if (!Provider) {
+    throw new Error(`Unsupported LLM provider: ${type}. Supported providers: ${LLM_PROVIDERS.join(', ')}`);
+  }
+
+  const model = options.model || (type === getLLMProviderType() ? process.env.AI_MODEL : undefined);
+  return new Provider({ ...options, model });
+}
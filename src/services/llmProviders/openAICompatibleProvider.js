@@ -0,0 +1,151 @@
+import OpenAI from 'openai';
+
+/**
+ * Chat completion provider for any server that implements the OpenAI chat completions API,
+ * such as vLLM, llama.cpp, Ollama, LM Studio or a local mock. Configured with LLM_BASE_URL,
+ * LLM_API_KEY (optional for servers without authentication) and LLM_MODEL.
+ */
+class OpenAICompatibleProvider {
+  constructor(options = {}) {
+    this.type = options.type || 'openai-compatible';
+    this.baseURL = options.baseURL || process.env.LLM_BASE_URL;
+    this.apiKey = options.apiKey || process.env.LLM_API_KEY;
+    this.defaultModel = options.model || process.env.LLM_MODEL;
+    this.client = null;
+  }
+
+  /**
+   * Create the API client
+   * @returns {Object} - Client exposing chat.completions.create and models.list
+   * @protected
+   */
+  createClient() {
+    if (!this.baseURL) {
+      throw new Error('LLM_BASE_URL environment variable is missing or empty');
+    }
+    if (!this.defaultModel) {
+      throw new Error('LLM_MODEL environment variable is missing or empty');
+    }
+    return new OpenAI({
+      // The SDK requires a key even when the server does not check one
+      apiKey: this.apiKey || 'not-needed',
+      baseURL: this.baseURL
+    });
+  }
+
+  /**
+   * Get the API client, creating it lazily
+   * @returns {Object} - API client
+   */
+  getClient() {
+    if (!this.client) {
+      this.client = this.createClient();
+    }
+    return this.client;
+  }
+
+  /**
+   * Translate a provider-neutral request into chat completion parameters
+   * @param {Object} request - Completion request
+   * @param {string} request.model - Model name
+   * @param {Array<{role: string, content: string}>} request.messages - Chat messages
+   * @param {number} request.maxTokens - Maximum tokens to generate
+   * @param {number} request.temperature - Sampling temperature
+   * @param {number} request.topP - Nucleus sampling (optional)
+   * @param {number} request.frequencyPenalty - Frequency penalty (optional)
+   * @param {number} request.presencePenalty - Presence penalty (optional)
+   * @param {boolean} request.json - Ask for a JSON object reply (optional)
+   * @returns {Object} - Chat completion parameters
+   * @protected
+   */
+  toParams(request) {
+    const params = {
+      model: request.model,
+      messages: request.messages,
+      max_tokens: request.maxTokens,
+      temperature: request.temperature
+    };
+    if (request.topP !== undefined) params.top_p = request.topP;
+    if (request.frequencyPenalty !== undefined) params.frequency_penalty = request.frequencyPenalty;
+    if (request.presencePenalty !== undefined) params.presence_penalty = request.presencePenalty;
+    if (request.json) params.response_format = { type: 'json_object' };
+    return params;
+  }
+
+  /**
+   * Extra parameters for streamed requests
+   * @returns {Object} - Parameters merged into the request
+   * @protected
+   */
+  getStreamParams() {
+    return {};
+  }
+
+  /**
+   * Read the total token count from a streamed chunk
+   * @param {Object} chunk - Stream chunk
+   * @returns {number|null} - Total tokens, or null if the chunk does not report usage
+   * @protected
+   */
+  readStreamUsage(chunk) {
+    return chunk.usage?.total_tokens || null;
+  }
+
+  /**
+   * Generate a complete reply
+   * @param {Object} request - Completion request, see toParams
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Aborts the request (optional)
+   * @returns {Promise<{content: string, totalTokens: number}>} - Reply text and tokens used
+   */
+  async complete(request, { signal } = {}) {
+    const response = await this.getClient().chat.completions.create(this.toParams(request), { signal });
+    return {
+      content: response.choices[0]?.message?.content || '',
+      totalTokens: response.usage?.total_tokens || 0
+    };
+  }
+
+  /**
+   * Generate a reply as a stream of text deltas. Resolves once the stream is open, so
+   * request errors such as rate limits are thrown here rather than while iterating.
+   * @param {Object} request - Completion request, see toParams
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Aborts the stream (optional)
+   * @returns {Promise<AsyncIterable<{delta: string, totalTokens: number|null}>>} - Text deltas, with the usage
+   *   on the chunk that reports it
+   */
+  async stream(request, { signal } = {}) {
+    const stream = await this.getClient().chat.completions.create({
+      ...this.toParams(request),
+      ...this.getStreamParams(),
+      stream: true
+    }, { signal });
+
+    const readUsage = (chunk) => this.readStreamUsage(chunk);
+    return (async function* () {
+      for await (const chunk of stream) {
+        yield { delta: chunk.choices[0]?.delta?.content || '', totalTokens: readUsage(chunk) };
+      }
+    })();
+  }
+
+  /**
+   * List the models the server offers
+   * @returns {Promise<Array<string>>} - Model IDs
+   */
+  async listModels() {
+    const models = await this.getClient().models.list();
+    return models.data.map(model => model.id);
+  }
+
+  /**
+   * Models to report when the server cannot be asked
+   * @returns {Array<string>} - Model IDs
+   */
+  getFallbackModels() {
+    return this.defaultModel ? [this.defaultModel] : [];
+  }
+}
+
+export default OpenAICompatibleProvider;
@@ -0,0 +1,43 @@
+import OpenAI from 'openai';
+import OpenAICompatibleProvider from './openAICompatibleProvider.js';
+
+/**
+ * Chat completion provider for the OpenAI API. Configured with OPENAI_API_KEY and,
+ * for proxies or Azure-style gateways, OPENAI_BASE_URL.
+ */
+class OpenAIProvider extends OpenAICompatibleProvider {
+  constructor(options = {}) {
+    super({
+      type: 'openai',
+      baseURL: options.baseURL || process.env.OPENAI_BASE_URL,
+      apiKey: options.apiKey || process.env.OPENAI_API_KEY,
+      model: options.model || 'gpt-4o-mini'
+    });
+  }
+
+  /**
+   * Create the OpenAI client
+   * @returns {OpenAI} - API client
+   * @protected
+   */
+  createClient() {
+    if (!this.apiKey) {
+      throw new Error('OPENAI_API_KEY environment variable is missing or empty');
+    }
+    return new OpenAI({
+      apiKey: this.apiKey,
+      ...(this.baseURL ? { baseURL: this.baseURL } : {})
+    });
+  }
+
+  /**
+   * OpenAI only reports usage on streams that ask for it
+   * @returns {Object} - Stream parameters
+   * @protected
+   */
+  getStreamParams() {
+    return { stream_options: { include_usage: true } };
+  }
+}
+
+export default OpenAIProvider;
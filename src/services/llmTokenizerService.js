@@ -0,0 +1,100 @@
+import { AutoTokenizer } from '@xenova/transformers';
+
+// Tokenizers of the chat model families, as published for transformers.js. The first match wins.
+const MODEL_TOKENIZERS = [
+  { pattern: /^(gpt-4o|gpt-4\.1|o1|o3|o4)/, tokenizer: 'Xenova/gpt-4o' },
+  { pattern: /^gpt-(4|3\.5)/, tokenizer: 'Xenova/gpt-4' },
+  { pattern: /llama-?3/i, tokenizer: 'Xenova/llama3-tokenizer-new' },
+  { pattern: /llama/i, tokenizer: 'Xenova/llama2-tokenizer' },
+  { pattern: /mistral|mixtral/i, tokenizer: 'Xenova/mistral-tokenizer-v1' },
+  { pattern: /gemma/i, tokenizer: 'Xenova/gemma-tokenizer' }
+];
+
+// Chat formats wrap every message in a few tokens of their own
+const TOKENS_PER_MESSAGE = 4;
+
+/**
+ * Counts tokens the way the chat model does, so prompts can be budgeted exactly.
+ * The tokenizer follows the model family, or LLM_TOKENIZER (a Hugging Face tokenizer ID) for
+ * models it does not know. Tokenizers are downloaded to ./models on first use; when one cannot
+ * be loaded, counts fall back to a conservative character estimate and are reported as inexact.
+ */
+class LLMTokenizerService {
+  constructor() {
+    this.tokenizers = new Map(); // tokenizer ID -> Promise of the tokenizer
+    this.failedLoads = new Map(); // tokenizer ID -> time of its last failed load
+    this.retryAfterMs = 10 * 60 * 1000; // Offline hosts would otherwise wait for the download to fail on every request
+    this.charsPerToken = 3; // Fallback estimate; errs towards more tokens than most tokenizers produce
+  }
+
+  /**
+   * Get the tokenizer ID for a model
+   * @param {string} model - Model name
+   * @returns {string|null} - Tokenizer ID, or null if the model family is unknown
+   */
+  getTokenizerName(model) {
+    if (process.env.LLM_TOKENIZER) {
+      return process.env.LLM_TOKENIZER;
+    }
+    const match = MODEL_TOKENIZERS.find(entry => entry.pattern.test(model || ''));
+    return match ? match.tokenizer : null;
+  }
+
+  /**
+   * Load a tokenizer once. Concurrent requests share a load in progress; after a failed load
+   * the estimate is used until retryAfterMs has passed, then the load is tried again
+   * @param {string} name - Tokenizer ID
+   * @returns {Promise<Object|null>} - Tokenizer, or null if it could not be loaded
+   * @private
+   */
+  loadTokenizer(name) {
+    const failedAt = this.failedLoads.get(name);
+    if (failedAt !== undefined && Date.now() - failedAt < this.retryAfterMs) {
+      return Promise.resolve(null);
+    }
+
+    if (!this.tokenizers.has(name)) {
+      this.tokenizers.set(name, AutoTokenizer.from_pretrained(name, { cache_dir: './models' })
+        .then(tokenizer => {
+          console.log(`✅ Loaded tokenizer ${name}`);
+          this.failedLoads.delete(name);
+          return tokenizer;
+        })
+        .catch(error => {
+          console.warn(`⚠️ Failed to load tokenizer ${name}, estimating tokens from characters: ${error.message}`);
+          this.tokenizers.delete(name);
+          this.failedLoads.set(name, Date.now());
+          return null;
+        }));
+    }
+    return this.tokenizers.get(name);
+  }
+
+  /**
+   * Get a token counter for a model
+   * @param {string} model - Model name
+   * @returns {Promise<{tokenizer: string, exact: boolean, countTokens: Function, countMessages: Function}>} -
+   *   countTokens(text) counts the tokens of a text; countMessages(messages) those of chat messages,
+   *   including the chat format's own tokens
+   */
+  async getTokenCounter(model) {
+    const name = this.getTokenizerName(model);
+    const tokenizer = name ? await this.loadTokenizer(name) : null;
+
+    const countTokens = tokenizer
+      ? (text) => tokenizer.encode(text || '', null, { add_special_tokens: false }).length
+      : (text) => Math.ceil((text || '').length / this.charsPerToken);
+
+    return {
+      tokenizer: tokenizer ? name : 'estimate',
+      exact: Boolean(tokenizer),
+      countTokens,
+      countMessages: (messages) => messages.reduce(
+        (sum, message) => sum + TOKENS_PER_MESSAGE + countTokens(message.content),
+        0
+      )
+    };
+  }
+}
+
+export default new LLMTokenizerService();
@@ -420,7 +420,8 @@ class OCRService {
     
     // Process pages from the OCR response
     const pages = ocrResponse.pages?.map((page, index) => ({
-      pageNumber: page.index || (index + 1),
+      // Mistral page indexes start at 0
+      pageNumber: (page.index ?? index) + 1,
       text: page.markdown || '',
       images: page.images || [],
       confidence: null, // Mistral OCR doesn't provide confidence scores
@@ -0,0 +1,436 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// {{context}}, {{question}} and {{user.<field>}}, with optional spaces inside the braces
+const VARIABLE_PATTERN = /\{\{\s*([\w.]+)\s*\}\}/g;
+const TEMPLATE_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+const MAX_PROMPT_LENGTH = 20000;
+const DEFAULT_USER_PROMPT = 'Question: {{question}}';
+
+// Templates answers use when the request names none, chosen by the kind of question
+export const BUILT_IN_TEMPLATES = {
+  standard: {
+    description: 'General questions about documents',
+    systemPrompt: `You are a helpful AI assistant that answers questions based on the provided context. 
+
+IMPORTANT INSTRUCTIONS:
+- You MUST use information from the provided context to answer questions
+- If the context contains relevant information, even if it's not a perfect match, use it to provide a helpful answer
+- Look for related terms, synonyms, or broader categories that might answer the question
+- If the context has pricing information, costs, or financial data, use it even if the exact product name doesn't match
+- If the context has feature descriptions, capabilities, or product information, use it to answer related questions
+- Only say "the context doesn't contain information" if you've thoroughly searched and found absolutely nothing relevant
+- Always cite the chunk IDs (such as [C1]) of the context you're using for your answer
+- If someone asks about "executive AI" but you find "AI-powered meeting assistant" or "meeting bot" pricing, use that information and explain the connection
+- If someone asks about pricing but you find cost information for similar services, use that as a reference point
+- When you find pricing information, always mention the specific product/service name from the context and explain how it relates to the question
+
+EMAIL-SPECIFIC INSTRUCTIONS:
+- When filtering by sender, ONLY mention emails that actually contain the requested content
+- If an email is from the specified sender but doesn't contain the requested content, DO NOT include it in your response
+- Be explicit about which emails are relevant vs. which are not when filtering by sender
+- If you find emails that don't contain the requested content, clearly state this
+- Focus on emails that have both the correct sender AND the requested content
+- When asked about specific topics (like "RFP"), only include emails that actually mention or discuss that topic
+
+Guidelines:
+- Provide accurate and relevant answers based on the context
+- Be concise but comprehensive
+- If you're unsure about something, acknowledge the uncertainty but still provide what you can from the context
+- Look for indirect answers - if someone asks about "executive AI" but the context has "AI-powered meeting assistant" or similar, use that information
+
+Context:
+{{context}}
+
+Please answer the following question based on the context provided. If you find relevant information, use it and cite the chunk IDs:`,
+    userPrompt: `Question: {{question}}
+
+Please provide a detailed answer using the information from the provided context. If you find relevant information, even if it's not an exact match, use it and cite the chunk IDs inline.
+
+For pricing questions: If the exact product name isn't found but you see pricing for similar services (like "meeting bot" when asked about "executive AI"), use that information and explain the connection.
+
+For email filtering: If the question asks for emails from a specific sender about a specific topic, only include emails that contain both the sender AND the topic content. Do not include emails that are from the sender but don't contain the requested content.`
+  },
+  'structured-data': {
+    description: 'Questions about tables, charts and figures',
+    systemPrompt: `You are a specialized AI assistant that excels at analyzing structured data like tables, charts, and numerical information.
+
+IMPORTANT INSTRUCTIONS FOR STRUCTURED DATA:
+- Pay special attention to tables, charts, and numerical data in the context
+- When analyzing tables, identify headers, rows, columns, and data relationships
+- For charts and graphs, extract trends, patterns, and key data points
+- Look for numerical patterns, percentages, totals, and comparisons
+- Identify relationships between different data points
+- When asked about specific values, search through all structured data carefully
+- If you find relevant data in tables or charts, cite the specific table/chart number and its chunk ID
+- For numerical questions, provide exact values when available
+- Compare data across different tables or charts when relevant
+- Look for trends, patterns, and anomalies in the data
+
+STRUCTURED DATA ANALYSIS GUIDELINES:
+- Tables: Identify headers, data types, and relationships between columns
+- Charts: Determine chart type, extract data points, identify trends
+- Numbers: Look for totals, percentages, averages, and comparisons
+- Patterns: Identify trends, correlations, and anomalies
+- Context: Consider the broader context when interpreting data
+
+Context:
+{{context}}
+
+Please analyze the structured data and answer the following question. If you find relevant information in tables, charts, or other structured formats, cite the specific source and explain your reasoning.`,
+    userPrompt: `Question: {{question}}
+
+Please analyze the structured data (tables, charts, numbers) in the provided context and answer this question. 
+
+IMPORTANT:
+- Look specifically at tables, charts, and numerical data
+- Provide exact values when available in the data
+- Cite specific table or chart numbers when referencing data
+- Identify patterns, trends, and relationships in the data
+- If the question asks for specific numbers, search through all tables and charts carefully
+- Compare data across different sources when relevant
+- Explain your reasoning and how you arrived at your answer
+
+Please provide a detailed analysis using the structured data from the provided context.`
+  },
+  email: {
+    description: 'Questions about emails',
+    systemPrompt: `You are a helpful AI assistant that answers questions about emails based on the provided context. 
+
+IMPORTANT INSTRUCTIONS:
+- You MUST use information from the provided emails to answer questions
+- If the emails contain relevant information, even if it's not a perfect match, use it to provide a helpful answer
+- Look for related terms, synonyms, or broader categories that might answer the question
+- Only say "I couldn't find any emails matching your query" if you've thoroughly searched and found absolutely nothing relevant
+- Provide natural, conversational responses without mentioning document numbers or technical references, apart from the chunk IDs you cite
+- Focus on the content and meaning of the emails rather than technical details
+
+EMAIL-SPECIFIC INSTRUCTIONS:
+- When filtering by sender, ONLY mention emails that actually contain the requested content
+- If an email is from the specified sender but doesn't contain the requested content, DO NOT include it in your response
+- Be explicit about which emails are relevant vs. which are not when filtering by sender
+- If you find emails that don't contain the requested content, clearly state this
+- Focus on emails that have both the correct sender AND the requested content
+- When asked about specific topics (like "RFP"), only include emails that actually mention or discuss that topic
+- Provide natural summaries of email content without technical formatting
+
+Guidelines:
+- Provide accurate and relevant answers based on the email context
+- Be concise but comprehensive
+- If you're unsure about something, acknowledge the uncertainty but still provide what you can from the emails
+- Look for indirect answers - if someone asks about one topic but emails discuss related topics, use that information
+- Write in a natural, conversational tone as if you're summarizing emails for a colleague
+
+Context:
+{{context}}
+
+Please answer the following question based on the email context provided. Provide a natural, conversational response:`,
+    userPrompt: `Question: {{question}}
+
+Please provide a natural, conversational answer about the emails based on the provided context. Focus on the content and meaning of the emails rather than technical details.
+
+For email filtering: If the question asks for emails from a specific sender about a specific topic, only include emails that contain both the sender AND the topic content. Do not include emails that are from the sender but don't contain the requested content.
+
+Provide a helpful summary of the relevant email information in a conversational tone.`
+  }
+};
+
+/**
+ * Named prompt templates for answers. A template has a system prompt and a user prompt with
+ * {{context}} (the formatted retrieved documents), {{question}} and {{user.<field>}} variables, where
+ * the user fields are the userId and the userMetadata sent with the query.
+ * Every change to a template creates a new version; earlier versions stay available.
+ */
+class PromptTemplateService {
+  constructor() {
+    this.templatesFile = path.join(__dirname, '../../data/prompt_templates.json');
+    this.maxVersionsKept = 50;
+    this.templates = [];
+    this.initialized = false;
+  }
+
+  /**
+   * Initialize the service and load existing templates
+   */
+  async initialize() {
+    if (this.initialized) return;
+
+    try {
+      // Ensure data directory exists
+      const dataDir = path.dirname(this.templatesFile);
+      try {
+        await fs.access(dataDir);
+      } catch {
+        await fs.mkdir(dataDir, { recursive: true });
+      }
+
+      // Load existing templates
+      try {
+        const data = await fs.readFile(this.templatesFile, 'utf8');
+        this.templates = JSON.parse(data);
+      } catch (error) {
+        // File doesn't exist or is invalid, start with the built-in templates only
+        this.templates = [];
+      }
+
+      this.initialized = true;
+      console.log(`✅ Prompt template service initialized with ${this.templates.length} custom templates`);
+    } catch (error) {
+      console.error('Error initializing prompt template service:', error);
+      throw new Error(`Failed to initialize prompt template service: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a built-in template
+   * @param {string} name - Built-in template name
+   * @returns {Object} - Template
+   */
+  getBuiltInTemplate(name) {
+    return {
+      name,
+      version: 1,
+      versions: [1],
+      builtIn: true,
+      ...BUILT_IN_TEMPLATES[name]
+    };
+  }
+
+  /**
+   * Check whether a name belongs to a built-in template
+   * @param {string} name - Template name
+   * @returns {boolean} - True for built-in templates
+   */
+  isBuiltIn(name) {
+    return Object.prototype.hasOwnProperty.call(BUILT_IN_TEMPLATES, name);
+  }
+
+  /**
+   * Check a template definition
+   * @param {Object} definition - Template fields; a missing userPrompt stands for the default, the question alone
+   * @param {boolean} requireName - Whether the name is part of the definition (creation)
+   * @returns {string|null} - Problem with the definition, or null if it is valid
+   */
+  validateTemplate(definition, requireName = true) {
+    const { name, description, systemPrompt, userPrompt } = definition;
+
+    if (requireName && (typeof name !== 'string' || !TEMPLATE_NAME_PATTERN.test(name))) {
+      return 'name must be 1-64 lower-case letters, digits, hyphens or underscores';
+    }
+    if (description !== undefined && description !== null && typeof description !== 'string') {
+      return 'description must be a string';
+    }
+    if (typeof systemPrompt !== 'string' || !systemPrompt.trim()) {
+      return 'systemPrompt is required and must be a non-empty string';
+    }
+    if (userPrompt !== undefined && (typeof userPrompt !== 'string' || !userPrompt.trim())) {
+      return 'userPrompt must be a non-empty string';
+    }
+
+    const prompts = [systemPrompt, userPrompt ?? DEFAULT_USER_PROMPT];
+    if (prompts.some(prompt => prompt.length > MAX_PROMPT_LENGTH)) {
+      return `Prompts must be at most ${MAX_PROMPT_LENGTH} characters`;
+    }
+
+    const variables = prompts.flatMap(prompt => [...prompt.matchAll(VARIABLE_PATTERN)].map(match => match[1]));
+    const unknown = variables.filter(variable => !['context', 'question'].includes(variable) && !/^user\.\w+$/.test(variable));
+    if (unknown.length > 0) {
+      return `Unknown template variables: ${[...new Set(unknown)].join(', ')}. Use {{context}}, {{question}} and {{user.<field>}}`;
+    }
+    if (!variables.includes('context')) {
+      return 'The template must include {{context}}, where the retrieved documents go';
+    }
+    if (!variables.includes('question')) {
+      return 'The template must include {{question}}';
+    }
+
+    return null;
+  }
+
+  /**
+   * Create a template
+   * @param {Object} definition - Template fields
+   * @param {string} definition.name - Unique name
+   * @param {string} definition.description - Optional description
+   * @param {string} definition.systemPrompt - System prompt
+   * @param {string} definition.userPrompt - User prompt (defaults to the question alone)
+   * @returns {Promise<Object>} - The created template
+   */
+  async createTemplate({ name, description, systemPrompt, userPrompt }) {
+    await this.initialize();
+
+    if (this.isBuiltIn(name) || this.templates.some(t => t.name === name)) {
+      throw new Error(`Prompt template already exists: ${name}`);
+    }
+
+    const now = new Date().toISOString();
+    const template = {
+      name,
+      description: description || null,
+      version: 1,
+      systemPrompt,
+      userPrompt: userPrompt || DEFAULT_USER_PROMPT,
+      createdAt: now,
+      updatedAt: now,
+      history: []
+    };
+
+    this.templates.push(template);
+    await this.saveTemplates();
+
+    return this.toPublic(template);
+  }
+
+  /**
+   * Get a template, built-in or custom
+   * @param {string} name - Template name
+   * @param {number} version - Version to get (optional, defaults to the latest)
+   * @returns {Promise<Object|null>} - Template or null if the template or version does not exist
+   */
+  async getTemplate(name, version = null) {
+    await this.initialize();
+
+    if (this.isBuiltIn(name)) {
+      return !version || version === 1 ? this.getBuiltInTemplate(name) : null;
+    }
+
+    const template = this.templates.find(t => t.name === name);
+    if (!template) {
+      return null;
+    }
+    if (!version || version === template.version) {
+      return this.toPublic(template);
+    }
+
+    const previous = template.history.find(entry => entry.version === version);
+    return previous ? { ...this.toPublic(template), ...previous } : null;
+  }
+
+  /**
+   * List the built-in and custom templates
+   * @returns {Promise<Array>} - Templates, built-in first
+   */
+  async listTemplates() {
+    await this.initialize();
+
+    return [
+      ...Object.keys(BUILT_IN_TEMPLATES).map(name => this.getBuiltInTemplate(name)),
+      ...this.templates.map(template => this.toPublic(template)).sort((a, b) => a.name.localeCompare(b.name))
+    ];
+  }
+
+  /**
+   * Change a custom template, creating a new version
+   * @param {string} name - Template name
+   * @param {Object} changes - Fields to change (description, systemPrompt, userPrompt)
+   * @returns {Promise<Object|null>} - The new version, or null if the template does not exist
+   */
+  async updateTemplate(name, changes) {
+    await this.initialize();
+
+    const template = this.templates.find(t => t.name === name);
+    if (!template) {
+      return null;
+    }
+
+    template.history.push({
+      version: template.version,
+      description: template.description,
+      systemPrompt: template.systemPrompt,
+      userPrompt: template.userPrompt,
+      updatedAt: template.updatedAt
+    });
+    if (template.history.length > this.maxVersionsKept) {
+      template.history = template.history.slice(-this.maxVersionsKept);
+    }
+
+    if (changes.description !== undefined) template.description = changes.description || null;
+    if (changes.systemPrompt !== undefined) template.systemPrompt = changes.systemPrompt;
+    if (changes.userPrompt !== undefined) template.userPrompt = changes.userPrompt;
+    template.version++;
+    template.updatedAt = new Date().toISOString();
+
+    await this.saveTemplates();
+    return this.toPublic(template);
+  }
+
+  /**
+   * Delete a custom template and its versions
+   * @param {string} name - Template name
+   * @returns {Promise<boolean>} - True if the template was deleted
+   */
+  async deleteTemplate(name) {
+    await this.initialize();
+
+    const initialLength = this.templates.length;
+    this.templates = this.templates.filter(t => t.name !== name);
+
+    if (this.templates.length < initialLength) {
+      await this.saveTemplates();
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Fill in a template's variables. Values are inserted once, so variables inside the
+   * context or question are left as they are.
+   * @param {Object} template - Template
+   * @param {Object} variables - Variable values
+   * @param {string} variables.context - Formatted context
+   * @param {string} variables.question - Question
+   * @param {Object} variables.user - User fields; missing fields render as empty text
+   * @returns {{systemPrompt: string, userPrompt: string}} - Rendered prompts
+   */
+  render(template, { context = '', question = '', user = {} }) {
+    const fill = (prompt) => prompt.replace(VARIABLE_PATTERN, (match, variable) => {
+      if (variable === 'context') return context;
+      if (variable === 'question') return question;
+      if (variable.startsWith('user.')) {
+        // Only the user's own fields, not inherited members such as constructor
+        const key = variable.slice(5);
+        const value = Object.hasOwn(user, key) ? user[key] : undefined;
+        return value === undefined || value === null ? '' : String(value);
+      }
+      return match;
+    });
+
+    return {
+      systemPrompt: fill(template.systemPrompt),
+      userPrompt: fill(template.userPrompt)
+    };
+  }
+
+  /**
+   * Strip the stored history from a template, keeping the list of its versions
+   * @param {Object} template - Stored template
+   * @returns {Object} - Template for callers
+   * @private
+   */
+  toPublic({ history, ...template }) {
+    return {
+      ...template,
+      builtIn: false,
+      versions: [...history.map(entry => entry.version), template.version]
+    };
+  }
+
+  /**
+   * Save templates to file
+   * @private
+   */
+  async saveTemplates() {
+    try {
+      await fs.writeFile(this.templatesFile, JSON.stringify(this.templates, null, 2), 'utf8');
+    } catch (error) {
+      console.error('Error saving prompt templates:', error);
+      throw new Error(`Failed to save prompt templates: ${error.message}`);
+    }
+  }
+}
+
+export default new PromptTemplateService();
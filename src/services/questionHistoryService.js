@@ -53,6 +53,7 @@ class QuestionHistoryService {
    * @param {Array} questionData.sources - Source documents
    * @param {number} questionData.confidence - Confidence score
    * @param {string} questionData.model - AI model used
+   * @param {{name: string, version: number}} questionData.template - Prompt template used
    * @param {number} questionData.tokens - Tokens used
    * @returns {Promise<Object>} - The saved question entry
    */
@@ -67,6 +68,7 @@ class QuestionHistoryService {
       sources: questionData.sources || [],
       confidence: questionData.confidence || 0,
       model: questionData.model || 'unknown',
+      template: questionData.template || null,
       tokens: questionData.tokens || 0
     };
 
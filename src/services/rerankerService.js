@@ -0,0 +1,135 @@
+import { AutoTokenizer, AutoModelForSequenceClassification } from '@xenova/transformers';
+
+class RerankerService {
+  constructor() {
+    this.tokenizer = null;
+    this.model = null;
+    this.loading = null;
+    this.modelName = process.env.RERANK_MODEL || 'Xenova/ms-marco-MiniLM-L-6-v2';
+    this.batchSize = 8;
+    this.maxTextLength = 2000; // Characters; the tokenizer truncates to the model's 512 word pieces anyway
+    this.isEC2 = process.env.EC2_INSTANCE || process.env.AWS_REGION || false;
+  }
+
+  /**
+   * Initialize the cross-encoder lazily, with the same cache and quantization
+   * settings as the embedding model
+   */
+  async _initModel() {
+    if (this.model && this.tokenizer) {
+      return;
+    }
+
+    // Concurrent queries share a single load
+    if (!this.loading) {
+      this.loading = (async () => {
+        console.log(`🤗 Loading reranker model: ${this.modelName}...`);
+
+        const modelOptions = {
+          cache_dir: './models',
+          quantized: true,
+          progress_callback: (progress) => {
+            if (progress.status === 'progress') {
+              console.log(`📊 Reranker loading progress: ${Math.round(progress.progress * 100)}%`);
+            }
+          }
+        };
+
+        if (this.isEC2) {
+          modelOptions.backend = 'cpu';
+        }
+
+        this.tokenizer = await AutoTokenizer.from_pretrained(this.modelName, modelOptions);
+        this.model = await AutoModelForSequenceClassification.from_pretrained(this.modelName, modelOptions);
+        console.log(`✅ Successfully loaded ${this.modelName}`);
+      })();
+    }
+
+    try {
+      await this.loading;
+    } catch (error) {
+      this.loading = null;
+      this.tokenizer = null;
+      this.model = null;
+      console.error(`❌ Failed to load ${this.modelName}:`, error);
+      throw new Error(`Failed to initialize reranker model: ${error.message}`);
+    }
+  }
+
+  /**
+   * Score query/passage pairs with the cross-encoder
+   * @param {string} query - Search query
+   * @param {Array<string>} texts - Candidate passages
+   * @returns {Promise<Array<number>>} - Relevance scores (0-1), one per passage
+   */
+  async scorePairs(query, texts) {
+    await this._initModel();
+
+    const scores = [];
+
+    for (let i = 0; i < texts.length; i += this.batchSize) {
+      const batch = texts.slice(i, i + this.batchSize).map(text => (text || '').substring(0, this.maxTextLength));
+
+      const inputs = this.tokenizer(new Array(batch.length).fill(query), {
+        text_pair: batch,
+        padding: true,
+        truncation: true
+      });
+      const { logits } = await this.model(inputs);
+
+      // ms-marco cross-encoders emit a single relevance logit per pair
+      const labels = logits.dims[1] || 1;
+      for (let j = 0; j < batch.length; j++) {
+        const logit = logits.data[j * labels + labels - 1];
+        scores.push(1 / (1 + Math.exp(-logit)));
+      }
+    }
+
+    return scores;
+  }
+
+  /**
+   * Rerank candidates against a query
+   * @param {string} query - Search query
+   * @param {Array<{text: string}>} candidates - Retrieved candidates
+   * @param {Object} options - Rerank options
+   * @param {number} options.topK - Number of candidates to keep (keeps all if omitted)
+   * @returns {Promise<Array<Object>>} - Candidates with a rerankScore, best first
+   */
+  async rerank(query, candidates, options = {}) {
+    try {
+      if (candidates.length === 0) {
+        return [];
+      }
+
+      console.log(`🔄 Reranking ${candidates.length} candidates with ${this.modelName}...`);
+      const startTime = Date.now();
+
+      const scores = await this.scorePairs(query, candidates.map(candidate => candidate.text));
+      const reranked = candidates
+        .map((candidate, index) => ({ ...candidate, rerankScore: scores[index] }))
+        .sort((a, b) => b.rerankScore - a.rerankScore);
+
+      console.log(`✅ Reranked ${candidates.length} candidates in ${Date.now() - startTime}ms`);
+      return options.topK ? reranked.slice(0, options.topK) : reranked;
+    } catch (error) {
+      console.error('Error reranking candidates:', error);
+      throw new Error(`Failed to rerank results: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get model information
+   * @returns {Object} - Model information
+   */
+  getModelInfo() {
+    return {
+      name: this.modelName,
+      type: 'cross-encoder',
+      provider: 'huggingface',
+      loaded: !!this.model
+    };
+  }
+}
+
+export default new RerankerService();
@@ -0,0 +1,550 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const FILTER_OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'contains', 'in'];
+const AGGREGATE_FUNCTIONS = ['count', 'sum', 'avg', 'min', 'max'];
+const MAX_QUERY_LIMIT = 1000;
+
+class TableStoreService {
+  constructor() {
+    this.tablesDir = path.join(__dirname, '../../data/tables');
+    this.maxVersionsKept = 5; // Rows of older versions are dropped so re-uploads do not grow the file without end
+    this.initialized = false;
+  }
+
+  /**
+   * Initialize the service and make sure the tables directory exists
+   */
+  async initialize() {
+    if (this.initialized) return;
+
+    try {
+      await fs.mkdir(this.tablesDir, { recursive: true });
+      this.initialized = true;
+      console.log('✅ Table store service initialized');
+    } catch (error) {
+      console.error('Error initializing table store service:', error);
+      throw new Error(`Failed to initialize table store service: ${error.message}`);
+    }
+  }
+
+  /**
+   * Store the parsed tables of a document version and make it the current one.
+   * Only the latest maxVersionsKept versions keep their tables.
+   * @param {string} documentId - Document ID
+   * @param {Object} tableData - Table data
+   * @param {string} tableData.userId - Owner of the document
+   * @param {number} tableData.version - Document version the tables were parsed from
+   * @param {string} tableData.filename - File name of the document
+   * @param {Array<Object>} tableData.sheets - Sheets from SpreadsheetParser.parse
+   * @returns {Promise<Object>} - Summary of the stored tables
+   */
+  async saveTables(documentId, tableData) {
+    await this.initialize();
+
+    const record = (await this.readRecord(documentId)) || {
+      documentId,
+      userId: tableData.userId,
+      currentVersion: 0,
+      versions: {}
+    };
+
+    const version = tableData.version || 1;
+    record.versions[version] = {
+      version,
+      filename: tableData.filename,
+      sheets: tableData.sheets,
+      createdAt: new Date().toISOString()
+    };
+    record.currentVersion = version;
+
+    const kept = Object.keys(record.versions).map(Number).sort((a, b) => a - b);
+    for (const old of kept.slice(0, -this.maxVersionsKept)) {
+      delete record.versions[old];
+    }
+
+    await this.writeRecord(documentId, record);
+    return this.summarize(record, version);
+  }
+
+  /**
+   * Get the tables of a document
+   * @param {string} documentId - Document ID
+   * @param {Object} options - Lookup options
+   * @param {string} options.userId - Only return the tables if they belong to this user (optional)
+   * @param {number} options.version - Document version (defaults to the current one)
+   * @returns {Promise<Object|null>} - { documentId, userId, version, filename, sheets } or null if none are stored
+   */
+  async getTables(documentId, { userId = null, version = null } = {}) {
+    await this.initialize();
+
+    const record = await this.readRecord(documentId);
+    if (!record || (userId && record.userId !== userId)) {
+      return null;
+    }
+
+    const stored = record.versions[version || record.currentVersion];
+    if (!stored) {
+      return null;
+    }
+
+    return { documentId, userId: record.userId, ...stored };
+  }
+
+  /**
+   * List the tables of every document of a user, without their rows
+   * @param {string} userId - User ID
+   * @returns {Promise<Array<Object>>} - Table summaries
+   */
+  async listTables(userId) {
+    await this.initialize();
+
+    const summaries = [];
+    for (const file of await fs.readdir(this.tablesDir)) {
+      if (!file.endsWith('.json')) continue;
+      const record = await this.readRecord(path.basename(file, '.json'));
+      if (record && record.userId === userId) {
+        summaries.push(this.summarize(record, record.currentVersion));
+      }
+    }
+    return summaries;
+  }
+
+  /**
+   * Describe the tables of a document version: columns, column types, row counts and a few sample rows
+   * @param {Object} tables - Output of getTables
+   * @param {number} sampleRows - Number of sample rows per sheet
+   * @returns {Object} - Table schema
+   */
+  getSchema(tables, sampleRows = 3) {
+    return {
+      documentId: tables.documentId,
+      version: tables.version,
+      filename: tables.filename,
+      sheets: tables.sheets.map(sheet => ({
+        name: sheet.name,
+        columns: sheet.columns.map(column => ({ name: column, type: sheet.columnTypes[column] })),
+        rowCount: sheet.rowCount,
+        sampleRows: sheet.rows.slice(0, sampleRows)
+      }))
+    };
+  }
+
+  /**
+   * Run a query against a sheet of a document
+   * @param {string} documentId - Document ID
+   * @param {Object} query - Query, see validateQuery
+   * @param {Object} options - Lookup options passed to getTables
+   * @returns {Promise<Object|null>} - Query result, or null if the document has no tables
+   */
+  async queryTable(documentId, query, options = {}) {
+    const tables = await this.getTables(documentId, options);
+    if (!tables) {
+      return null;
+    }
+
+    const validationError = this.validateQuery(tables, query);
+    if (validationError) {
+      const error = new Error(validationError);
+      error.validation = true;
+      throw error;
+    }
+
+    return {
+      documentId,
+      version: tables.version,
+      filename: tables.filename,
+      ...this.executeQuery(this.findSheet(tables, query.sheet), query)
+    };
+  }
+
+  /**
+   * Check a query against the tables it runs on
+   * @param {Object} tables - Output of getTables
+   * @param {Object} query - Query
+   * @param {string} query.sheet - Sheet name (defaults to the first sheet)
+   * @param {Array<{column: string, op: string, value: *}>} query.filter - Conditions that every row must meet
+   * @param {Array<string>} query.groupBy - Columns to group rows by
+   * @param {Array<{fn: string, column: string, as: string}>} query.aggregates - Aggregates per group (count needs no column)
+   * @param {Array<string>} query.columns - Columns to return when there are no aggregates
+   * @param {Array<{column: string, direction: string}>} query.orderBy - Sort order (columns or aggregate names)
+   * @param {number} query.limit - Maximum number of rows to return
+   * @returns {string|null} - Error message, or null when the query is valid
+   */
+  validateQuery(tables, query) {
+    if (!query || typeof query !== 'object' || Array.isArray(query)) {
+      return 'Query must be an object';
+    }
+
+    const sheet = this.findSheet(tables, query.sheet);
+    if (!sheet) {
+      return `Sheet not found: ${query.sheet}. Available sheets: ${tables.sheets.map(s => s.name).join(', ')}`;
+    }
+
+    const unknownColumn = (column) => this.resolveColumn(sheet, column) === null;
+    const { filter = [], groupBy = [], aggregates = [], columns = [], orderBy = [], limit } = query;
+
+    if (![filter, groupBy, aggregates, columns, orderBy].every(Array.isArray)) {
+      return 'filter, groupBy, aggregates, columns and orderBy must be arrays';
+    }
+
+    for (const condition of filter) {
+      if (!condition || unknownColumn(condition.column)) {
+        return `Unknown filter column: ${condition?.column}`;
+      }
+      if (!FILTER_OPERATORS.includes(condition.op)) {
+        return `Invalid filter operator: ${condition.op}. Must be one of: ${FILTER_OPERATORS.join(', ')}`;
+      }
+      if (condition.op === 'in' && !Array.isArray(condition.value)) {
+        return 'The in operator needs an array value';
+      }
+    }
+
+    const missing = [...groupBy, ...columns].find(unknownColumn);
+    if (missing !== undefined) {
+      return `Unknown column: ${missing}`;
+    }
+
+    for (const aggregate of aggregates) {
+      if (!aggregate || !AGGREGATE_FUNCTIONS.includes(aggregate.fn)) {
+        return `Invalid aggregate function: ${aggregate?.fn}. Must be one of: ${AGGREGATE_FUNCTIONS.join(', ')}`;
+      }
+      if ((aggregate.fn !== 'count' || aggregate.column !== undefined) && unknownColumn(aggregate.column)) {
+        return `Unknown aggregate column: ${aggregate.column}`;
+      }
+    }
+
+    const aggregateNames = aggregates.map(aggregate => this.aggregateName(sheet, aggregate));
+    for (const order of orderBy) {
+      if (!order || (!aggregateNames.includes(order.column) && unknownColumn(order.column))) {
+        return `Unknown orderBy column: ${order?.column}`;
+      }
+      if (order.direction !== undefined && !['asc', 'desc'].includes(order.direction)) {
+        return 'orderBy direction must be asc or desc';
+      }
+    }
+
+    if (limit !== undefined && (!Number.isInteger(limit) || limit < 1 || limit > MAX_QUERY_LIMIT)) {
+      return `limit must be an integer between 1 and ${MAX_QUERY_LIMIT}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Filter, group, aggregate, sort and limit the rows of a sheet
+   * @param {Object} sheet - Sheet to query
+   * @param {Object} query - Validated query
+   * @returns {{sheet: string, columns: Array<string>, rows: Array<Object>, matchedRows: number, totalRows: number, truncated: boolean, skippedValues: Array<Object>}} - Result rows;
+   *   skippedValues lists, per sum or avg, the non-numeric cells it left out ({aggregate, column, count, examples})
+   */
+  executeQuery(sheet, query) {
+    const { filter = [], groupBy = [], aggregates = [], orderBy = [], limit = 100 } = query;
+    const column = (name) => this.resolveColumn(sheet, name);
+
+    const matched = sheet.rows.filter(row =>
+      filter.every(condition => this.matchesCondition(row[column(condition.column)], condition))
+    );
+
+    let columns;
+    let rows;
+    const skippedValues = new Map(); // aggregate name -> { aggregate, column, count, examples }
+
+    if (groupBy.length > 0 || aggregates.length > 0) {
+      const groupColumns = groupBy.map(column);
+      const groups = new Map();
+      for (const row of matched) {
+        const key = JSON.stringify(groupColumns.map(name => row[name]));
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(row);
+      }
+      // Aggregating without groups still returns one row, even when nothing matched
+      if (groupColumns.length === 0 && groups.size === 0) {
+        groups.set('[]', []);
+      }
+
+      columns = [...groupColumns, ...aggregates.map(aggregate => this.aggregateName(sheet, aggregate))];
+      rows = [...groups.values()].map(groupRows => {
+        const result = Object.fromEntries(groupColumns.map(name => [name, groupRows[0]?.[name] ?? null]));
+        aggregates.forEach(aggregate => {
+          const values = aggregate.column === undefined
+            ? groupRows.map(() => true)
+            : groupRows.map(row => row[column(aggregate.column)]);
+          const name = this.aggregateName(sheet, aggregate);
+          const { value, skipped } = this.aggregate(aggregate.fn, values);
+          result[name] = value;
+
+          if (skipped.length > 0) {
+            const entry = skippedValues.get(name) || { aggregate: name, column: column(aggregate.column), count: 0, examples: [] };
+            entry.count += skipped.length;
+            entry.examples = [...new Set([...entry.examples, ...skipped])].slice(0, 3);
+            skippedValues.set(name, entry);
+          }
+        });
+        return result;
+      });
+    } else {
+      columns = query.columns?.length ? query.columns.map(column) : sheet.columns;
+      rows = matched.map(row => Object.fromEntries(columns.map(name => [name, row[name]])));
+    }
+
+    if (orderBy.length > 0) {
+      const keys = orderBy.map(order => ({
+        name: columns.includes(order.column) ? order.column : column(order.column),
+        direction: order.direction === 'desc' ? -1 : 1
+      }));
+      rows.sort((a, b) => {
+        for (const key of keys) {
+          const comparison = this.compareValues(a[key.name], b[key.name]);
+          if (comparison !== 0) return comparison * key.direction;
+        }
+        return 0;
+      });
+    }
+
+    return {
+      sheet: sheet.name,
+      columns,
+      rows: rows.slice(0, limit),
+      matchedRows: matched.length,
+      totalRows: sheet.rowCount,
+      truncated: rows.length > limit,
+      skippedValues: [...skippedValues.values()]
+    };
+  }
+
+  /**
+   * Check a cell value against a filter condition. Text comparisons ignore case.
+   * @private
+   */
+  matchesCondition(value, { op, value: expected }) {
+    const normalize = v => (typeof v === 'string' ? v.trim().toLowerCase() : v);
+
+    switch (op) {
+      case 'eq':
+        return normalize(value) === normalize(expected);
+      case 'ne':
+        return normalize(value) !== normalize(expected);
+      case 'in':
+        return expected.map(normalize).includes(normalize(value));
+      case 'contains':
+        return value !== null && value !== undefined && String(value).toLowerCase().includes(String(expected).toLowerCase());
+      default: {
+        if (value === null || value === undefined) return false;
+        const comparison = this.compareValues(value, expected);
+        return { gt: comparison > 0, gte: comparison >= 0, lt: comparison < 0, lte: comparison <= 0 }[op];
+      }
+    }
+  }
+
+  /**
+   * Compute an aggregate over values, skipping empty cells. sum and avg also skip values that
+   * are not numbers, and return them so the caller can report them.
+   * @private
+   * @returns {{value: *, skipped: Array}} - Aggregate value and the non-empty values left out
+   */
+  aggregate(fn, values) {
+    const present = values.filter(value => value !== null && value !== undefined && value !== '');
+    const numbers = present.filter(value => typeof value === 'number');
+    const nonNumbers = present.filter(value => typeof value !== 'number');
+
+    switch (fn) {
+      case 'count':
+        return { value: present.length, skipped: [] };
+      case 'sum':
+        return { value: numbers.reduce((sum, value) => sum + value, 0), skipped: nonNumbers };
+      case 'avg':
+        return {
+          value: numbers.length > 0 ? numbers.reduce((sum, value) => sum + value, 0) / numbers.length : null,
+          skipped: nonNumbers
+        };
+      case 'min':
+      case 'max': {
+        if (present.length === 0) return { value: null, skipped: [] };
+        const sorted = [...present].sort((a, b) => this.compareValues(a, b));
+        return { value: fn === 'min' ? sorted[0] : sorted[sorted.length - 1], skipped: [] };
+      }
+      default:
+        return { value: null, skipped: [] };
+    }
+  }
+
+  /**
+   * Compare two cell values: numbers numerically, everything else as text. Empty cells sort last.
+   * @private
+   */
+  compareValues(a, b) {
+    const emptyA = a === null || a === undefined;
+    const emptyB = b === null || b === undefined;
+    if (emptyA || emptyB) return emptyA === emptyB ? 0 : emptyA ? 1 : -1;
+
+    const numberA = typeof a === 'number' ? a : Number(a);
+    const numberB = typeof b === 'number' ? b : Number(b);
+    if ((typeof a === 'number' || typeof b === 'number') && !Number.isNaN(numberA) && !Number.isNaN(numberB)) {
+      return numberA - numberB;
+    }
+    return String(a).localeCompare(String(b), undefined, { sensitivity: 'base' });
+  }
+
+  /**
+   * Name of an aggregate's result column
+   * @private
+   */
+  aggregateName(sheet, aggregate) {
+    if (aggregate.as) return aggregate.as;
+    return aggregate.column === undefined ? aggregate.fn : `${aggregate.fn}(${this.resolveColumn(sheet, aggregate.column)})`;
+  }
+
+  /**
+   * Find a sheet by name (case-insensitive), or the first sheet when no name is given
+   * @private
+   */
+  findSheet(tables, name) {
+    if (name === undefined || name === null) return tables.sheets[0] || null;
+    return tables.sheets.find(sheet => sheet.name === name)
+      || tables.sheets.find(sheet => sheet.name.toLowerCase() === String(name).toLowerCase())
+      || null;
+  }
+
+  /**
+   * Match a column name to a column of the sheet, ignoring case and surrounding whitespace
+   * @private
+   */
+  resolveColumn(sheet, name) {
+    if (typeof name !== 'string') return null;
+    if (sheet.columns.includes(name)) return name;
+    const normalized = name.trim().toLowerCase();
+    return sheet.columns.find(column => column.toLowerCase() === normalized) ?? null;
+  }
+
+  /**
+   * Remove the tables of a version that never became current, e.g. after a failed update
+   * @param {string} documentId - Document ID
+   * @param {number} version - Version to remove
+   * @returns {Promise<boolean>} - True if the version was removed
+   */
+  async removeVersion(documentId, version) {
+    await this.initialize();
+
+    const record = await this.readRecord(documentId);
+    if (!record || !record.versions[version]) {
+      return false;
+    }
+
+    delete record.versions[version];
+    const remaining = Object.keys(record.versions).map(Number).sort((a, b) => a - b);
+    if (remaining.length === 0) {
+      return this.deleteDocument(documentId);
+    }
+    if (record.currentVersion === version) {
+      record.currentVersion = remaining[remaining.length - 1];
+    }
+
+    await this.writeRecord(documentId, record);
+    return true;
+  }
+
+  /**
+   * Delete the tables of a document
+   * @param {string} documentId - Document ID
+   * @returns {Promise<boolean>} - True if tables were deleted
+   */
+  async deleteDocument(documentId) {
+    await this.initialize();
+
+    const recordPath = this.recordPath(documentId);
+    if (!recordPath) return false;
+
+    try {
+      await fs.unlink(recordPath);
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw new Error(`Failed to delete tables: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete the tables of every document of a user
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} - Number of documents removed
+   */
+  async deleteUserDocuments(userId) {
+    const tables = await this.listTables(userId);
+    for (const table of tables) {
+      await this.deleteDocument(table.documentId);
+    }
+    return tables.length;
+  }
+
+  /**
+   * Summarize a stored version without its rows
+   * @private
+   */
+  summarize(record, version) {
+    const stored = record.versions[version];
+    return {
+      documentId: record.documentId,
+      userId: record.userId,
+      version,
+      filename: stored.filename,
+      createdAt: stored.createdAt,
+      sheets: stored.sheets.map(sheet => ({
+        name: sheet.name,
+        columns: sheet.columns,
+        columnTypes: sheet.columnTypes,
+        rowCount: sheet.rowCount,
+        truncated: sheet.truncated
+      }))
+    };
+  }
+
+  /**
+   * Path of the file holding a document's tables. Document IDs are generated UUIDs;
+   * anything else has no path, so a request cannot point outside the tables directory.
+   * @private
+   */
+  recordPath(documentId) {
+    return /^[\w-]+$/.test(documentId) ? path.join(this.tablesDir, `${documentId}.json`) : null;
+  }
+
+  /**
+   * Read the stored tables of a document
+   * @private
+   */
+  async readRecord(documentId) {
+    const recordPath = this.recordPath(documentId);
+    if (!recordPath) return null;
+
+    try {
+      return JSON.parse(await fs.readFile(recordPath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw new Error(`Failed to read tables: ${error.message}`);
+    }
+  }
+
+  /**
+   * Save the tables of a document
+   * @private
+   */
+  async writeRecord(documentId, record) {
+    const recordPath = this.recordPath(documentId);
+    if (!recordPath) {
+      throw new Error(`Invalid document ID: ${documentId}`);
+    }
+
+    try {
+      await fs.writeFile(recordPath, JSON.stringify(record), 'utf8');
+    } catch (error) {
+      console.error('Error saving tables:', error);
+      throw new Error(`Failed to save tables: ${error.message}`);
+    }
+  }
+}
+
+export default new TableStoreService();
@@ -1,14 +1,30 @@
-import { ChromaClient } from 'chromadb';
 import { v4 as uuidv4 } from 'uuid';
 import vextService from './vextService.js';
+import vectorStore from './vectorStores/index.js';
+import rerankerService from './rerankerService.js';
+import LexicalIndex from '../utils/lexicalIndex.js';
+import { DOCUMENT_METADATA_FIELDS } from '../utils/documentProcessor.js';
+import metadataFilter from '../utils/metadataFilter.js';
+
+// Reciprocal rank fusion constant; 60 is the value from the original RRF paper
+const RRF_K = 60;
 
 class VectorService {
   constructor() {
-    this.client = new ChromaClient({
-      path: process.env.CHROMA_URL || 'http://3.6.147.238:8000'
-    });
+    this.client = vectorStore;
     this.collection = null;
     this.collectionName = 'vext_rag_documents';
+    // Superseded document versions live in their own collection so normal searches never see them
+    this.versionsCollection = null;
+    this.versionsCollectionName = `${this.collectionName}_versions`;
+    this.lexicalIndex = new LexicalIndex({
+      name: this.collectionName,
+      storagePath: process.env.LEXICAL_INDEX_PATH
+    });
+    this.lexicalIndexSynced = false;
+    // 0 is a valid weight (semantic matching only), so only unparseable values fall back
+    const configuredWeight = parseFloat(process.env.HYBRID_LEXICAL_WEIGHT);
+    this.defaultLexicalWeight = isNaN(configuredWeight) ? 0.5 : configuredWeight;
   }
 
   /**
@@ -120,6 +136,9 @@ async initialize() {
         }
       });
       
+      await this.lexicalIndex.clear();
+      this.lexicalIndexSynced = true;
+
       console.log(`✅ Collection reset successfully: ${this.collectionName}`);
       return true;
     } catch (error) {
@@ -313,6 +332,8 @@ async initialize() {
       }
       }
 
+      await this.indexLexically(ids, texts, metadatas);
+
       console.log(`✅ Successfully added ${documents.length} documents to vector database`);
       return ids;
     } catch (error) {
@@ -345,12 +366,16 @@ async initialize() {
    * Generate embeddings in batches to avoid timeouts and memory issues
    * @param {Array<string>} texts - Texts to embed
    * @param {number} batchSize - Size of each batch
+   * @param {Object} options - Batch options
+   * @param {Function} options.isCancelled - Checked before each batch; stops early when it returns true
    * @returns {Promise<Array<Array<number>>>} - Array of embedding vectors
    */
-  async generateEmbeddingsInBatches(texts, batchSize = 10) {
+  async generateEmbeddingsInBatches(texts, batchSize = 10, options = {}) {
     const allEmbeddings = [];
     
     for (let i = 0; i < texts.length; i += batchSize) {
+      this.throwIfCancelled(options);
+
       const batch = texts.slice(i, i + batchSize);
       const batchNumber = Math.floor(i / batchSize) + 1;
       const totalBatches = Math.ceil(texts.length / batchSize);
@@ -584,9 +609,10 @@ async initialize() {
    * @param {number} topK - Number of results to return
    * @param {Object} filter - Optional metadata filter
    * @param {number} minSimilarity - Minimum similarity threshold (0-1)
+   * @param {Object} collection - Collection to search (defaults to the document collection)
    * @returns {Promise<Array<{id: string, text: string, metadata: Object, distance: number, similarity: number}>>} - Search results
    */
-  async search(query, topK = 5, filter = null, minSimilarity = 0) {
+  async search(query, topK = 5, filter = null, minSimilarity = 0, collection = null) {
     try {
       if (!this.collection) {
         await this.initialize();
@@ -598,7 +624,7 @@ async initialize() {
       const queryEmbedding = await vextService.embedText(query);
 
       // Search in collection
-      const results = await this.collection.query({
+      const results = await (collection || this.collection).query({
         queryEmbeddings: [queryEmbedding],
         nResults: topK,
         where: filter
@@ -635,19 +661,24 @@ async initialize() {
   /**
    * Get all documents in the collection
    * @param {string} userId - User ID to filter by (optional)
+   * @param {Object} filter - Additional where clause, e.g. from MetadataFilter.toWhere (optional)
    * @returns {Promise<Array<{id: string, text: string, metadata: Object}>>} - All documents
    */
-  async getAllDocuments(userId = null) {
+  async getAllDocuments(userId = null, filter = null) {
     try {
       if (!this.collection) {
         await this.initialize();
       }
 
       let results;
-      if (userId) {
+      if (userId && filter) {
+        results = await this.collection.get({
+          where: { $and: [{ userId: userId }, filter] }
+        });
+      } else if (userId || filter) {
         // Filter by user ID
         results = await this.collection.get({
-          where: { userId: userId }
+          where: filter || { userId: userId }
         });
       } else {
         // Get all documents
@@ -668,7 +699,7 @@ async initialize() {
   /**
    * Get all documents grouped by parent document
    * @param {string} userId - User ID to filter by (optional)
-   * @returns {Promise<Array<{documentId: string, originalFilename: string, fileType: string, totalChunks: number, totalWords: number, totalCharacters: number, processedAt: string, chunks: Array}>>} - Grouped documents
+   * @returns {Promise<Array<{documentId: string, originalFilename: string, fileType: string, totalChunks: number, totalWords: number, totalCharacters: number, processedAt: string, tags: Array<string>, chunks: Array}>>} - Grouped documents
    */
   async getGroupedDocuments(userId = null) {
     try {
@@ -686,10 +717,15 @@ async initialize() {
             documentId: parentDocId,
             originalFilename: originalFilename,
             fileType: chunk.metadata.fileType || 'Unknown',
+            version: chunk.metadata.version || 1,
             totalChunks: 0,
             totalWords: 0,
             totalCharacters: 0,
             processedAt: chunk.metadata.processedAt,
+            metadata: Object.fromEntries(
+              DOCUMENT_METADATA_FIELDS.filter(field => chunk.metadata[field] !== undefined).map(field => [field, chunk.metadata[field]])
+            ),
+            tags: metadataFilter.parseTags(chunk.metadata.tags),
             chunks: []
           };
         }
@@ -699,6 +735,9 @@ async initialize() {
           text: chunk.text,
           chunkIndex: chunk.metadata.chunkIndex || 0,
           chunkNumber: chunk.metadata.chunkNumber || 1,
+          pageStart: chunk.metadata.pageStart ?? null,
+          pageEnd: chunk.metadata.pageEnd ?? null,
+          sectionHeading: chunk.metadata.sectionHeading ?? null,
           wordCount: chunk.metadata.wordCount || chunk.text.split(/\s+/).length,
           characterCount: chunk.text.length
         });
@@ -717,6 +756,233 @@ async initialize() {
     }
   }
 
+  /**
+   * Find a user's documents whose extracted content has the given hash
+   * @param {string} userId - User ID
+   * @param {string} contentHash - Content hash from documentProcessor.computeContentHash
+   * @returns {Promise<Array<{documentId: string, originalFilename: string, processedAt: string}>>} - Matching documents
+   */
+  async findDocumentsByContentHash(userId, contentHash) {
+    try {
+      if (!this.collection) {
+        await this.initialize();
+      }
+
+      const results = await this.collection.get({
+        where: { $and: [{ userId: userId }, { contentHash: contentHash }] },
+        include: ['metadatas']
+      });
+
+      const documents = new Map();
+      results.metadatas.forEach(metadata => {
+        const documentId = metadata.documentId || metadata.parentDocumentId;
+        if (documentId && !documents.has(documentId)) {
+          documents.set(documentId, {
+            documentId,
+            originalFilename: metadata.originalFilename || metadata.filename,
+            processedAt: metadata.processedAt
+          });
+        }
+      });
+
+      return [...documents.values()];
+    } catch (error) {
+      console.error('Error finding documents by content hash:', error);
+      throw new Error(`Failed to find duplicate documents: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the chunks of the current version of a document
+   * @param {string} documentId - Parent document ID
+   * @returns {Promise<Array<{id: string, text: string, metadata: Object}>>} - Chunks in chunk order
+   */
+  async getDocumentChunks(documentId) {
+    try {
+      if (!this.collection) {
+        await this.initialize();
+      }
+
+      const results = await this.collection.get({
+        where: { parentDocumentId: documentId }
+      });
+
+      return results.ids
+        .map((id, index) => ({
+          id: id,
+          text: results.documents[index],
+          metadata: results.metadatas[index]
+        }))
+        .sort((a, b) => (a.metadata.chunkIndex || 0) - (b.metadata.chunkIndex || 0));
+    } catch (error) {
+      console.error('Error getting document chunks:', error);
+      throw new Error(`Failed to get document chunks: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the collection that holds superseded document versions
+   * @returns {Promise<Object>} - Versions collection
+   */
+  async getVersionsCollection() {
+    if (!this.versionsCollection) {
+      this.versionsCollection = await this.client.getOrCreateCollection({
+        name: this.versionsCollectionName,
+        metadata: {
+          description: 'Vext RAG System Superseded Document Versions',
+          created_at: new Date().toISOString()
+        }
+      });
+    }
+    return this.versionsCollection;
+  }
+
+  /**
+   * Move every chunk of a document except the given ones into the versions collection
+   * @param {string} documentId - Parent document ID
+   * @param {Array<string>} keepIds - Chunk IDs of the new version, which stay searchable
+   * @returns {Promise<number>} - Number of chunks archived
+   */
+  async archiveDocumentVersion(documentId, keepIds = []) {
+    try {
+      if (!this.collection) {
+        await this.initialize();
+      }
+
+      const keep = new Set(keepIds);
+      const results = await this.collection.get({
+        where: { parentDocumentId: documentId },
+        include: ['embeddings', 'documents', 'metadatas']
+      });
+
+      const indexes = results.ids
+        .map((id, index) => (keep.has(id) ? -1 : index))
+        .filter(index => index !== -1);
+
+      if (indexes.length === 0) {
+        return 0;
+      }
+
+      const supersededAt = new Date().toISOString();
+      const ids = indexes.map(index => results.ids[index]);
+      const versionsCollection = await this.getVersionsCollection();
+
+      await versionsCollection.upsert({
+        ids: indexes.map(index => `${results.ids[index]}@v${results.metadatas[index].version || 1}`),
+        embeddings: indexes.map(index => results.embeddings[index]),
+        documents: indexes.map(index => results.documents[index]),
+        metadatas: indexes.map(index => ({
+          ...results.metadatas[index],
+          // Chunks stored before versioning are version 1
+          version: results.metadatas[index].version || 1,
+          supersededAt
+        }))
+      });
+
+      await this.collection.delete({ ids });
+      await this.removeFromLexicalIndex(ids);
+
+      console.log(`📚 Archived ${ids.length} chunks of the previous version of document: ${documentId}`);
+      return ids.length;
+    } catch (error) {
+      console.error('Error archiving document version:', error);
+      throw new Error(`Failed to archive document version: ${error.message}`);
+    }
+  }
+
+  /**
+   * Move an archived version back into the document collection. Does nothing if the
+   * document still has chunks there.
+   * @param {string} documentId - Parent document ID
+   * @param {number} version - Version to restore
+   * @returns {Promise<boolean>} - True if the version was restored
+   */
+  async restoreDocumentVersion(documentId, version) {
+    try {
+      const current = await this.getDocumentChunks(documentId);
+      if (current.length > 0) {
+        return false;
+      }
+
+      const versionsCollection = await this.getVersionsCollection();
+      const results = await versionsCollection.get({
+        where: { $and: [{ parentDocumentId: documentId }, { version: version }] },
+        include: ['embeddings', 'documents', 'metadatas']
+      });
+
+      if (results.ids.length === 0) {
+        return false;
+      }
+
+      const ids = results.ids.map(id => id.replace(new RegExp(`@v${version}$`), ''));
+      const metadatas = results.metadatas.map(({ supersededAt, ...metadata }) => metadata);
+
+      await this.collection.add({
+        ids,
+        embeddings: results.embeddings,
+        documents: results.documents,
+        metadatas
+      });
+      await versionsCollection.delete({ ids: results.ids });
+      await this.indexLexically(ids, results.documents, metadatas);
+
+      console.log(`♻️ Restored version ${version} of document: ${documentId}`);
+      return true;
+    } catch (error) {
+      console.error('Error restoring document version:', error);
+      throw new Error(`Failed to restore document version: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete the current-collection chunks of one version of a document
+   * @param {string} documentId - Parent document ID
+   * @param {number} version - Version to delete
+   * @returns {Promise<number>} - Number of chunks deleted
+   */
+  async deleteDocumentVersionChunks(documentId, version) {
+    try {
+      if (!this.collection) {
+        await this.initialize();
+      }
+
+      const chunks = await this.collection.get({
+        where: { $and: [{ parentDocumentId: documentId }, { version: version }] }
+      });
+
+      if (chunks.ids.length > 0) {
+        await this.collection.delete({ ids: chunks.ids });
+        await this.removeFromLexicalIndex(chunks.ids);
+      }
+
+      return chunks.ids.length;
+    } catch (error) {
+      console.error('Error deleting document version chunks:', error);
+      throw new Error(`Failed to delete document version chunks: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete the archived versions of a document, or of every document of a user
+   * @param {Object} where - Either { parentDocumentId } or { userId }
+   * @returns {Promise<number>} - Number of archived chunks deleted
+   */
+  async deleteArchivedVersions(where) {
+    try {
+      const versionsCollection = await this.getVersionsCollection();
+      const archived = await versionsCollection.get({ where });
+
+      if (archived.ids.length > 0) {
+        await versionsCollection.delete({ ids: archived.ids });
+      }
+
+      return archived.ids.length;
+    } catch (error) {
+      console.error('Error deleting archived versions:', error);
+      throw new Error(`Failed to delete archived versions: ${error.message}`);
+    }
+  }
+
   /**
    * Delete a document by ID
    * @param {string} documentId - Document ID to delete
@@ -731,6 +997,7 @@ async initialize() {
       await this.collection.delete({
         ids: [documentId]
       });
+      await this.removeFromLexicalIndex([documentId]);
 
       console.log(`✅ Successfully deleted document: ${documentId}`);
       return true;
@@ -765,6 +1032,7 @@ async initialize() {
         await this.collection.delete({
           ids: chunks.ids
         });
+        await this.removeFromLexicalIndex(chunks.ids);
 
         console.log(`✅ Successfully deleted ${chunks.ids.length} chunks for document: ${parentDocumentId}`);
       } else {
@@ -799,6 +1067,7 @@ async initialize() {
       await this.collection.delete({
         ids: documentIds
       });
+      await this.removeFromLexicalIndex(documentIds);
 
       console.log(`✅ Successfully deleted ${documentIds.length} documents`);
       return true;
@@ -809,10 +1078,11 @@ async initialize() {
   }
 
   /**
-   * Update document metadata
-   * @param {string} documentId - Document ID to update
-   * @param {Object} metadata - New metadata
-   * @returns {Promise<boolean>} - Success status
+   * Update the metadata of every chunk of a document, including the chunks of its archived versions.
+   * A null value removes the key.
+   * @param {string} documentId - Parent document ID
+   * @param {Object} metadata - Metadata to merge
+   * @returns {Promise<number>} - Number of current chunks updated
    */
   async updateDocumentMetadata(documentId, metadata) {
     try {
@@ -820,19 +1090,61 @@ async initialize() {
         await this.initialize();
       }
 
-      await this.collection.update({
-        ids: [documentId],
-        metadatas: [metadata]
-      });
+      const chunks = await this.collection.get({ where: { parentDocumentId: documentId } });
+      if (chunks.ids.length > 0) {
+        await this.collection.update({
+          ids: chunks.ids,
+          metadatas: chunks.ids.map(() => metadata)
+        });
 
-      console.log(`✅ Successfully updated metadata for document: ${documentId}`);
-      return true;
+        try {
+          await this.lexicalIndex.updateMetadata(chunks.ids, metadata);
+        } catch (indexError) {
+          console.warn(`⚠️ Failed to update lexical index metadata, it will be rebuilt on next search: ${indexError.message}`);
+          this.lexicalIndexSynced = false;
+        }
+      }
+
+      // Archived versions keep the document's metadata so restoring one does not undo the update
+      const versionsCollection = await this.getVersionsCollection();
+      const archived = await versionsCollection.get({ where: { parentDocumentId: documentId } });
+      if (archived.ids.length > 0) {
+        await versionsCollection.update({
+          ids: archived.ids,
+          metadatas: archived.ids.map(() => metadata)
+        });
+      }
+
+      console.log(`✅ Successfully updated metadata of ${chunks.ids.length} chunks for document: ${documentId}`);
+      return chunks.ids.length;
     } catch (error) {
       console.error('Error updating document metadata:', error);
       throw new Error(`Failed to update document metadata: ${error.message}`);
     }
   }
 
+  /**
+   * Add tags to a document and remove others from it
+   * @param {string} documentId - Parent document ID
+   * @param {Object} changes - Tag changes
+   * @param {Array<string>} changes.add - Tags to add
+   * @param {Array<string>} changes.remove - Tags to remove
+   * @returns {Promise<Array<string>|null>} - The document's tags after the change, or null if it has no chunks
+   */
+  async updateDocumentTags(documentId, { add = [], remove = [] }) {
+    const chunks = await this.getDocumentChunks(documentId);
+    if (chunks.length === 0) {
+      return null;
+    }
+
+    const previous = metadataFilter.parseTags(chunks[0].metadata.tags);
+    const removed = new Set(metadataFilter.parseTags(remove));
+    const tags = metadataFilter.parseTags([...previous, ...add]).filter(tag => !removed.has(tag));
+
+    await this.updateDocumentMetadata(documentId, metadataFilter.tagUpdate(previous, tags));
+    return tags;
+  }
+
   /**
    * Get collection statistics
    * @param {string} userId - User ID to filter by (optional)
@@ -879,6 +1191,7 @@ async initialize() {
 
       if (userId) {
         console.log(`🔄 Starting collection clear for user: ${userId}...`);
+        await this.deleteArchivedVersions({ userId: userId });
         
         // Get documents for specific user
         const userDocuments = await this.getAllDocuments(userId);
@@ -894,6 +1207,7 @@ async initialize() {
             await this.collection.delete({
               ids: batch
             });
+            await this.removeFromLexicalIndex(batch);
             console.log(`🗑️ Deleted batch of ${batch.length} documents for user: ${userId} (${Math.min(i + batchSize, documentIds.length)}/${documentIds.length})`);
             
             // Small delay between batches
@@ -909,6 +1223,13 @@ async initialize() {
       } else {
         console.log('🔄 Starting collection clear for all users...');
 
+        try {
+          await this.client.deleteCollection({ name: this.versionsCollectionName });
+        } catch (deleteError) {
+          console.log('Versions collection does not exist or already deleted');
+        }
+        this.versionsCollection = null;
+
         // Try a simpler approach first - delete the entire collection and recreate it
         try {
           console.log('🗑️ Attempting to delete entire collection...');
@@ -927,6 +1248,9 @@ async initialize() {
             }
           });
           
+          await this.lexicalIndex.clear();
+          this.lexicalIndexSynced = true;
+
           console.log('✅ Collection recreated successfully');
           return true;
           
@@ -954,6 +1278,7 @@ async initialize() {
                    await this.collection.delete({
                      ids: batch.ids
                    });
+                   await this.removeFromLexicalIndex(batch.ids);
                    totalDeleted += batch.ids.length;
                    console.log(`🗑️ Deleted batch of ${batch.ids.length} documents (${totalDeleted}/${count})`);
                    
@@ -1003,6 +1328,7 @@ async initialize() {
       
       return {
         healthy: true,
+        store: this.client.getInfo(),
         collections: collections.length,
         targetCollectionExists: collectionExists,
         timestamp: new Date().toISOString()
@@ -1011,6 +1337,7 @@ async initialize() {
       console.error('❌ ChromaDB health check failed:', error);
       return {
         healthy: false,
+        store: this.client.getInfo(),
         error: error.message,
         timestamp: new Date().toISOString()
       };
@@ -1045,9 +1372,12 @@ async initialize() {
    * Add document chunks with proper parent document relationships
    * @param {Array<{text: string, metadata: Object}>} chunks - Document chunks to add
    * @param {string} parentDocumentId - ID of the parent document
+   * @param {Object} options - Add options
+   * @param {Function} options.isCancelled - Checked between embedding and insert batches
+   * @param {number} options.version - Document version; later versions get their own chunk IDs
    * @returns {Promise<Array<string>>} - Array of chunk IDs
    */
-  async addDocumentChunks(chunks, parentDocumentId) {
+  async addDocumentChunks(chunks, parentDocumentId, options = {}) {
     try {
       if (!this.collection) {
         await this.initialize();
@@ -1061,10 +1391,11 @@ async initialize() {
       // Generate embeddings for all chunks
       const texts = cleanedChunks.map(chunk => chunk.text);
       console.log(`Generating embeddings for ${texts.length} chunks...`);
-      const embeddings = await this.generateEmbeddingsInBatches(texts);
+      const embeddings = await this.generateEmbeddingsInBatches(texts, 10, options);
 
       // Generate unique IDs for each chunk
-      const chunkIds = cleanedChunks.map((_, index) => `${parentDocumentId}_chunk_${index}`);
+      const chunkIdPrefix = options.version > 1 ? `${parentDocumentId}_v${options.version}` : parentDocumentId;
+      const chunkIds = cleanedChunks.map((_, index) => `${chunkIdPrefix}_chunk_${index}`);
       
       // Prepare metadata with proper relationships
       const metadatas = cleanedChunks.map((chunk, index) => ({
@@ -1081,33 +1412,37 @@ async initialize() {
         throw new Error(`Chunk validation failed: ${validationResult.error}`);
       }
 
-      // Add chunks to collection
+      // Add chunks to collection in batches so a cancelled job stops between writes
       console.log(`📤 Adding ${chunks.length} chunks to ChromaDB...`);
-      try {
-        await this.collection.add({
-          ids: chunkIds,
-          embeddings: embeddings,
-          documents: texts,
-          metadatas: metadatas
-        });
-      } catch (addError) {
-        // Handle dimension mismatch errors
-        if (addError.message.includes('expecting embedding with dimension')) {
-          console.log('🔄 Detected embedding dimension mismatch, resetting collection...');
-          await this.resetCollection();
-          console.log('📤 Retrying chunk addition after collection reset...');
-          
-          await this.collection.add({
-            ids: chunkIds,
-            embeddings: embeddings,
-            documents: texts,
-            metadatas: metadatas
-          });
-        } else {
-          throw addError;
+      const addBatchSize = 100;
+      for (let i = 0; i < chunkIds.length; i += addBatchSize) {
+        this.throwIfCancelled(options);
+
+        const batch = {
+          ids: chunkIds.slice(i, i + addBatchSize),
+          embeddings: embeddings.slice(i, i + addBatchSize),
+          documents: texts.slice(i, i + addBatchSize),
+          metadatas: metadatas.slice(i, i + addBatchSize)
+        };
+
+        try {
+          await this.collection.add(batch);
+        } catch (addError) {
+          // Handle dimension mismatch errors (only possible before anything was written)
+          if (i === 0 && addError.message.includes('expecting embedding with dimension')) {
+            console.log('🔄 Detected embedding dimension mismatch, resetting collection...');
+            await this.resetCollection();
+            console.log('📤 Retrying chunk addition after collection reset...');
+            
+            await this.collection.add(batch);
+          } else {
+            throw addError;
+          }
         }
       }
 
+      await this.indexLexically(chunkIds, texts, metadatas);
+
       console.log(`✅ Successfully added ${chunks.length} chunks for document: ${parentDocumentId}`);
       return chunkIds;
     } catch (error) {
@@ -1117,14 +1452,244 @@ async initialize() {
   }
 
   /**
-   * Search for documents and group results by parent document
+   * Throw if the caller has asked for the current operation to stop
+   * @param {Object} options - Operation options
+   * @param {Function} options.isCancelled - Cancellation check
+   */
+  throwIfCancelled(options = {}) {
+    if (options.isCancelled && options.isCancelled()) {
+      throw new Error('Operation cancelled');
+    }
+  }
+
+  /**
+   * Add records to the lexical index. Failures are logged rather than thrown since
+   * the index can always be rebuilt from the collection.
+   * @param {Array<string>} ids - Record IDs
+   * @param {Array<string>} texts - Record texts
+   * @param {Array<Object>} metadatas - Record metadata
+   */
+  async indexLexically(ids, texts, metadatas) {
+    try {
+      await this.lexicalIndex.addDocuments(ids.map((id, index) => ({
+        id,
+        text: texts[index],
+        metadata: metadatas[index]
+      })));
+    } catch (error) {
+      console.warn(`⚠️ Failed to update lexical index, it will be rebuilt on next search: ${error.message}`);
+      this.lexicalIndexSynced = false;
+    }
+  }
+
+  /**
+   * Remove records from the lexical index
+   * @param {Array<string>} ids - Record IDs
+   */
+  async removeFromLexicalIndex(ids) {
+    try {
+      await this.lexicalIndex.removeDocuments(ids);
+    } catch (error) {
+      console.warn(`⚠️ Failed to update lexical index, it will be rebuilt on next search: ${error.message}`);
+      this.lexicalIndexSynced = false;
+    }
+  }
+
+  /**
+   * Add the derived filter fields (see MetadataFilter.indexFields) to chunks stored before query filters
+   * existed, in both the current and the versions collection, so date, tag and $exists filters match them
+   * @returns {Promise<number>} - Number of chunks updated
+   */
+  async backfillFilterFields() {
+    try {
+      if (!this.collection) {
+        await this.initialize();
+      }
+
+      let updated = 0;
+      for (const collection of [this.collection, await this.getVersionsCollection()]) {
+        const chunks = await collection.get();
+        const missing = chunks.ids
+          .map((id, index) => ({ id, metadata: chunks.metadatas[index] || {} }))
+          .filter(chunk => !Object.keys(chunk.metadata).some(key => metadataFilter.isIndexKey(key)));
+
+        const batchSize = 100;
+        for (let i = 0; i < missing.length; i += batchSize) {
+          const batch = missing.slice(i, i + batchSize);
+          await collection.update({
+            ids: batch.map(chunk => chunk.id),
+            metadatas: batch.map(chunk => metadataFilter.indexFields(chunk.metadata))
+          });
+        }
+        updated += missing.length;
+      }
+
+      // Keyword search filters on the index's copy of the metadata
+      if (updated > 0) {
+        await this.syncLexicalIndex({ rebuild: true });
+      }
+
+      console.log(`✅ Added filter fields to ${updated} chunks`);
+      return updated;
+    } catch (error) {
+      console.error('Error adding filter fields:', error);
+      throw new Error(`Failed to add filter fields: ${error.message}`);
+    }
+  }
+
+  /**
+   * Make sure the lexical index covers the collection, rebuilding it when the
+   * collection holds records that were added before the index existed
+   * @param {Object} options - Sync options
+   * @param {boolean} options.rebuild - Rebuild even if the index has every record, e.g. after their metadata changed
+   */
+  async syncLexicalIndex({ rebuild = false } = {}) {
+    if (this.lexicalIndexSynced && !rebuild) return;
+
+    if (!this.collection) {
+      await this.initialize();
+    }
+
+    await this.lexicalIndex.load();
+    const count = await this.collection.count();
+
+    if (rebuild || count !== this.lexicalIndex.size()) {
+      const results = await this.collection.get();
+      await this.lexicalIndex.rebuild(results.ids.map((id, index) => ({
+        id,
+        text: results.documents[index],
+        metadata: results.metadatas[index]
+      })));
+    }
+
+    this.lexicalIndexSynced = true;
+  }
+
+  /**
+   * Search for chunks by keyword using the BM25 index.
+   * Quoted phrases in the query must appear verbatim in the chunk text.
    * @param {string} query - Search query
    * @param {number} topK - Number of results to return
    * @param {Object} filter - Optional metadata filter
-   * @param {number} minSimilarity - Minimum similarity threshold (0-1)
-   * @returns {Promise<Array<{documentId: string, chunks: Array, totalScore: number}>>} - Grouped search results
+   * @returns {Promise<Array<{id: string, text: string, metadata: Object, lexicalScore: number, matchedTerms: Array<string>}>>} - Search results
    */
-  async searchDocuments(query, topK = 5, filter = null, minSimilarity = 0) {
+  async lexicalSearch(query, topK = 5, filter = null) {
+    try {
+      await this.syncLexicalIndex();
+
+      const phrases = [...query.matchAll(/"([^"]+)"/g)].map(match => match[1].toLowerCase());
+      const hits = await this.lexicalIndex.search(query, {
+        topK: phrases.length > 0 ? topK * 3 : topK,
+        where: filter
+      });
+
+      if (hits.length === 0) {
+        return [];
+      }
+
+      const records = await this.collection.get({ ids: hits.map(hit => hit.id) });
+      const recordsById = new Map(records.ids.map((id, index) => [id, {
+        text: records.documents[index],
+        metadata: records.metadatas[index]
+      }]));
+
+      const results = hits
+        .filter(hit => recordsById.has(hit.id))
+        .map(hit => ({
+          id: hit.id,
+          ...recordsById.get(hit.id),
+          lexicalScore: hit.score,
+          matchedTerms: hit.matchedTerms
+        }))
+        .filter(result => phrases.every(phrase => result.text.toLowerCase().includes(phrase)))
+        .slice(0, topK);
+
+      console.log(`✅ Found ${results.length} keyword matches for: "${query}"`);
+      return results;
+    } catch (error) {
+      console.error('Error searching lexical index:', error);
+      throw new Error(`Failed to search lexical index: ${error.message}`);
+    }
+  }
+
+  /**
+   * Resolve the lexical weight used for hybrid search
+   * @param {number} lexicalWeight - Requested weight (0 = semantic only, 1 = keyword only)
+   * @returns {number} - Weight clamped to [0, 1]; the configured default when none or an invalid one is requested
+   */
+  resolveLexicalWeight(lexicalWeight) {
+    const requested = lexicalWeight === undefined || lexicalWeight === null
+      ? NaN
+      : Number(lexicalWeight);
+    const weight = isNaN(requested) ? this.defaultLexicalWeight : requested;
+
+    return Math.min(1, Math.max(0, weight));
+  }
+
+  /**
+   * Fuse semantic and lexical rankings with weighted reciprocal rank fusion
+   * @param {Array<Object>} semanticResults - Results from search(), best first
+   * @param {Array<Object>} lexicalResults - Results from lexicalSearch(), best first
+   * @param {number} lexicalWeight - Weight of the lexical ranking (0-1)
+   * @returns {Array<Object>} - Fused chunk results, best first
+   */
+  fuseRankings(semanticResults, lexicalResults, lexicalWeight) {
+    const semanticWeight = 1 - lexicalWeight;
+    // Normalize so a chunk ranked first by both retrievers scores 1
+    const maxScore = 1 / (RRF_K + 1);
+    const fused = new Map();
+
+    const entryFor = (result) => {
+      if (!fused.has(result.id)) {
+        fused.set(result.id, {
+          id: result.id,
+          text: result.text,
+          metadata: result.metadata,
+          semanticScore: null,
+          semanticRank: null,
+          lexicalScore: null,
+          lexicalRank: null,
+          matchedTerms: [],
+          score: 0
+        });
+      }
+      return fused.get(result.id);
+    };
+
+    semanticResults.forEach((result, index) => {
+      const entry = entryFor(result);
+      entry.semanticScore = result.similarity;
+      entry.semanticRank = index + 1;
+      entry.score += semanticWeight / (RRF_K + index + 1) / maxScore;
+    });
+
+    lexicalResults.forEach((result, index) => {
+      const entry = entryFor(result);
+      entry.lexicalScore = result.lexicalScore;
+      entry.lexicalRank = index + 1;
+      entry.matchedTerms = result.matchedTerms;
+      entry.score += lexicalWeight / (RRF_K + index + 1) / maxScore;
+    });
+
+    return [...fused.values()].sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Search for documents and group results by parent document.
+   * Combines semantic (embedding) and lexical (BM25) retrieval with reciprocal rank fusion.
+   * When reranking is enabled, candidate chunks are rescored by a cross-encoder and documents
+   * are ranked by their best chunk rather than by the sum of their chunk scores.
+   * @param {string} query - Search query
+   * @param {number} topK - Number of results to return
+   * @param {Object} filter - Optional metadata filter
+   * @param {number} minSimilarity - Minimum similarity threshold (0-1), applied to semantic matches
+   * @param {Object} options - Search options
+   * @param {number} options.lexicalWeight - Weight of keyword matching in the fused ranking (0-1)
+   * @param {boolean} options.rerank - Rescore candidate chunks with the cross-encoder
+   * @param {boolean} options.archived - Search superseded document versions instead of current ones
+   * @returns {Promise<Array<{documentId: string, chunks: Array, totalScore: number, semanticScore: number, lexicalScore: number, rerankScore: number}>>} - Grouped search results
+   */
+  async searchDocuments(query, topK = 5, filter = null, minSimilarity = 0, options = {}) {
     try {
       // Combine user filter with existing filter
       let combinedFilter = filter;
@@ -1135,9 +1700,37 @@ async initialize() {
       } else {
         combinedFilter = {};
       }
-      
-      // First, search for individual chunks
-      const chunkResults = await this.search(query, topK * 3, combinedFilter, minSimilarity);
+
+      // Archived versions have no lexical index, so they are searched semantically only
+      const lexicalWeight = options.archived ? 0 : this.resolveLexicalWeight(options.lexicalWeight);
+      const candidateCount = topK * 3;
+
+      // Search for individual chunks with both retrievers
+      const semanticResults = lexicalWeight < 1
+        ? await this.search(query, candidateCount, combinedFilter, minSimilarity, options.archived ? await this.getVersionsCollection() : null)
+        : [];
+
+      let lexicalResults = [];
+      if (lexicalWeight > 0) {
+        try {
+          lexicalResults = await this.lexicalSearch(query, candidateCount, combinedFilter);
+        } catch (lexicalError) {
+          // Keyword matching is an enhancement; fall back to semantic results
+          console.warn(`⚠️ Lexical search failed, using semantic results only: ${lexicalError.message}`);
+        }
+      }
+
+      let chunkResults = this.fuseRankings(semanticResults, lexicalResults, lexicalWeight);
+      let reranked = false;
+
+      if (options.rerank && chunkResults.length > 0) {
+        try {
+          chunkResults = await rerankerService.rerank(query, chunkResults);
+          reranked = true;
+        } catch (rerankError) {
+          console.warn(`⚠️ Reranking failed, using retrieval order: ${rerankError.message}`);
+        }
+      }
       
       // Group results by parent document
       const documentGroups = {};
@@ -1148,22 +1741,49 @@ async initialize() {
           documentGroups[parentDocId] = {
             documentId: parentDocId,
             originalFilename: result.metadata.originalFilename || 'Unknown',
+            version: result.metadata.version || 1,
             chunks: [],
             totalScore: 0,
+            semanticScore: null,
+            lexicalScore: null,
+            rerankScore: null,
             chunkCount: 0
           };
         }
         
-        documentGroups[parentDocId].chunks.push({
+        const group = documentGroups[parentDocId];
+        group.chunks.push({
           id: result.id,
           text: result.text,
-          similarity: result.similarity,
+          similarity: result.semanticScore ?? 0,
+          semanticScore: result.semanticScore,
+          lexicalScore: result.lexicalScore,
+          score: result.score,
+          rerankScore: result.rerankScore ?? null,
+          matchedTerms: result.matchedTerms,
           chunkIndex: result.metadata.chunkIndex,
-          chunkNumber: result.metadata.chunkNumber
+          chunkNumber: result.metadata.chunkNumber,
+          chunkStart: result.metadata.chunkStart ?? null,
+          chunkEnd: result.metadata.chunkEnd ?? null,
+          pageStart: result.metadata.pageStart ?? null,
+          pageEnd: result.metadata.pageEnd ?? null,
+          sectionHeading: result.metadata.sectionHeading ?? null
         });
         
-        documentGroups[parentDocId].totalScore += result.similarity;
-        documentGroups[parentDocId].chunkCount++;
+        if (reranked) {
+          // Chunks arrive best first, so the first one carries the document's best rerank score
+          group.rerankScore = group.rerankScore ?? result.rerankScore;
+          group.totalScore = group.rerankScore;
+        } else {
+          group.totalScore += result.score;
+        }
+        if (result.semanticScore !== null) {
+          group.semanticScore = Math.max(group.semanticScore ?? -Infinity, result.semanticScore);
+        }
+        if (result.lexicalScore !== null) {
+          group.lexicalScore = Math.max(group.lexicalScore ?? 0, result.lexicalScore);
+        }
+        group.chunkCount++;
       });
       
       // Convert to array and sort by total score
@@ -1171,7 +1791,7 @@ async initialize() {
         .sort((a, b) => b.totalScore - a.totalScore)
         .slice(0, topK);
       
-      console.log(`📄 Found ${groupedResults.length} relevant documents from ${chunkResults.length} chunks`);
+      console.log(`📄 Found ${groupedResults.length} relevant documents from ${chunkResults.length} chunks (semantic: ${semanticResults.length}, lexical: ${lexicalResults.length}, lexical weight: ${lexicalWeight}, reranked: ${reranked})`);
       return groupedResults;
     } catch (error) {
       console.error('Error searching documents:', error);
@@ -0,0 +1,85 @@
+import { ChromaClient } from 'chromadb';
+
+/**
+ * Vector store backed by a remote ChromaDB server.
+ * Chroma collections already expose add/query/get/delete/count/update, so this
+ * adapter only normalizes the client-level calls that differ between chromadb versions.
+ */
+class ChromaVectorStore {
+  constructor(options = {}) {
+    this.type = 'chroma';
+    this.url = options.url || process.env.CHROMA_URL || 'http://localhost:8000';
+    this.client = new ChromaClient({
+      path: this.url
+    });
+  }
+
+  /**
+   * List collections in the store
+   * @returns {Promise<Array<{name: string, metadata: Object}>>} - Collections
+   */
+  async listCollections() {
+    // chromadb >= 1.8 returns plain names from listCollections
+    if (typeof this.client.listCollectionsAndMetadata === 'function') {
+      return await this.client.listCollectionsAndMetadata();
+    }
+
+    const collections = await this.client.listCollections();
+    return collections.map(col => (typeof col === 'string' ? { name: col } : col));
+  }
+
+  /**
+   * Get an existing collection
+   * @param {Object} params - Collection parameters
+   * @param {string} params.name - Collection name
+   * @returns {Promise<Object>} - Collection handle
+   */
+  async getCollection({ name }) {
+    return await this.client.getCollection({ name });
+  }
+
+  /**
+   * Create a new collection
+   * @param {Object} params - Collection parameters
+   * @param {string} params.name - Collection name
+   * @param {Object} params.metadata - Collection metadata
+   * @returns {Promise<Object>} - Collection handle
+   */
+  async createCollection({ name, metadata }) {
+    return await this.client.createCollection({ name, metadata });
+  }
+
+  /**
+   * Get a collection, creating it if it does not exist
+   * @param {Object} params - Collection parameters
+   * @param {string} params.name - Collection name
+   * @param {Object} params.metadata - Collection metadata
+   * @returns {Promise<Object>} - Collection handle
+   */
+  async getOrCreateCollection({ name, metadata }) {
+    return await this.client.getOrCreateCollection({ name, metadata });
+  }
+
+  /**
+   * Delete a collection
+   * @param {Object} params - Collection parameters
+   * @param {string} params.name - Collection name
+   * @returns {Promise<void>}
+   */
+  async deleteCollection({ name }) {
+    await this.client.deleteCollection({ name });
+  }
+
+  /**
+   * Describe the store for health and stats endpoints
+   * @returns {Object} - Store information
+   */
+  getInfo() {
+    return {
+      type: this.type,
+      url: this.url
+    };
+  }
+}
+
+export default ChromaVectorStore;
@@ -0,0 +1,55 @@
+import dotenv from 'dotenv';
+import ChromaVectorStore from './chromaVectorStore.js';
+import LocalVectorStore from './localVectorStore.js';
+
+// The store is chosen at import time, before the entry points load .env
+dotenv.config();
+
+/**
+ * Vector store adapters.
+ *
+ * Every store exposes the same client-level API:
+ *   listCollections(), getCollection({name}), createCollection({name, metadata}),
+ *   getOrCreateCollection({name, metadata}), deleteCollection({name}), getInfo()
+ *
+ * and every collection handle it returns exposes the Chroma collection API:
+ *   add(), upsert(), update(), get(), query(), delete(), count()
+ *
+ * so VectorService and EmailVectorService work unchanged against either backend.
+ */
+const vectorStores = {
+  chroma: ChromaVectorStore,
+  local: LocalVectorStore
+};
+
+/**
+ * Resolve the configured vector store type.
+ * VECTOR_STORE wins; otherwise Chroma is used when CHROMA_URL is set and the embedded store when it is not.
+ * @returns {string} - Vector store type
+ */
+export function getVectorStoreType() {
+  if (process.env.VECTOR_STORE) {
+    return process.env.VECTOR_STORE.toLowerCase();
+  }
+  return process.env.CHROMA_URL ? 'chroma' : 'local';
+}
+
+/**
+ * Create a vector store adapter
+ * @param {Object} options - Store options
+ * @param {string} options.type - Store type ('chroma' or 'local')
+ * @returns {ChromaVectorStore|LocalVectorStore} - Vector store adapter
+ */
+export function createVectorStore(options = {}) {
+  const type = options.type || getVectorStoreType();
+  const VectorStore = vectorStores[type];
+
+  if (!VectorStore) {
+    throw new Error(`Unsupported vector store: ${type}. Supported stores: ${Object.keys(vectorStores).join(', ')}`);
+  }
+
+  console.log(`🗄️ Using ${type} vector store`);
+  return new VectorStore(options);
+}
+
+export default createVectorStore();
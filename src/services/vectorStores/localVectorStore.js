@@ -0,0 +1,516 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Check whether a metadata value satisfies a single Chroma-style operator expression
+ * @param {*} value - Metadata value
+ * @param {*} condition - Literal value or operator object ({$eq, $ne, $gt, $gte, $lt, $lte, $in, $nin})
+ * @returns {boolean} - True if the value matches
+ */
+function matchesCondition(value, condition) {
+  if (condition === null || typeof condition !== 'object' || Array.isArray(condition)) {
+    return value === condition;
+  }
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case '$eq':
+        return value === operand;
+      case '$ne':
+        return value !== operand;
+      case '$gt':
+        return value !== undefined && value > operand;
+      case '$gte':
+        return value !== undefined && value >= operand;
+      case '$lt':
+        return value !== undefined && value < operand;
+      case '$lte':
+        return value !== undefined && value <= operand;
+      case '$in':
+        return Array.isArray(operand) && operand.includes(value);
+      case '$nin':
+        return Array.isArray(operand) && !operand.includes(value);
+      default:
+        throw new Error(`Unsupported where operator: ${operator}`);
+    }
+  });
+}
+
+/**
+ * Check whether metadata satisfies a Chroma-style where clause
+ * @param {Object} metadata - Record metadata
+ * @param {Object} where - Where clause (field conditions, $and, $or)
+ * @returns {boolean} - True if the metadata matches
+ */
+export function matchesWhere(metadata = {}, where = null) {
+  if (!where || Object.keys(where).length === 0) {
+    return true;
+  }
+
+  // Multiple top-level keys are treated as an implicit $and
+  return Object.entries(where).every(([key, condition]) => {
+    if (key === '$and') {
+      return condition.every(clause => matchesWhere(metadata, clause));
+    }
+    if (key === '$or') {
+      return condition.some(clause => matchesWhere(metadata, clause));
+    }
+    return matchesCondition(metadata[key], condition);
+  });
+}
+
+/**
+ * Check whether document text satisfies a Chroma-style whereDocument clause
+ * @param {string} document - Record text
+ * @param {Object} whereDocument - Clause ({$contains}, {$not_contains}, $and, $or)
+ * @returns {boolean} - True if the document matches
+ */
+function matchesWhereDocument(document = '', whereDocument = null) {
+  if (!whereDocument || Object.keys(whereDocument).length === 0) {
+    return true;
+  }
+
+  return Object.entries(whereDocument).every(([operator, operand]) => {
+    switch (operator) {
+      case '$contains':
+        return document.includes(operand);
+      case '$not_contains':
+        return !document.includes(operand);
+      case '$and':
+        return operand.every(clause => matchesWhereDocument(document, clause));
+      case '$or':
+        return operand.some(clause => matchesWhereDocument(document, clause));
+      default:
+        throw new Error(`Unsupported whereDocument operator: ${operator}`);
+    }
+  });
+}
+
+/**
+ * Cosine distance (1 - cosine similarity) between two vectors
+ * @param {number[]} vectorA - First vector
+ * @param {number[]} vectorB - Second vector
+ * @returns {number} - Distance in [0, 2]
+ */
+function cosineDistance(vectorA, vectorB) {
+  let dotProduct = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < vectorA.length; i++) {
+    dotProduct += vectorA[i] * vectorB[i];
+    normA += vectorA[i] * vectorA[i];
+    normB += vectorB[i] * vectorB[i];
+  }
+
+  if (normA === 0 || normB === 0) {
+    return 1;
+  }
+
+  return 1 - dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * A single collection of the embedded store. Mirrors the Chroma collection API.
+ */
+class LocalCollection {
+  constructor(store, name, metadata = {}, records = []) {
+    this.store = store;
+    this.name = name;
+    this.metadata = metadata;
+    this.records = new Map(records.map(record => [record.id, record]));
+  }
+
+  /**
+   * Get the embedding dimension of the collection (null while empty)
+   * @returns {number|null} - Embedding dimension
+   */
+  getDimension() {
+    for (const record of this.records.values()) {
+      if (record.embedding) {
+        return record.embedding.length;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Validate embeddings against the collection dimension
+   * @param {Array<Array<number>>} embeddings - Embeddings to check
+   */
+  validateDimensions(embeddings = []) {
+    const dimension = this.getDimension();
+    if (dimension === null) return;
+
+    for (const embedding of embeddings) {
+      if (embedding && embedding.length !== dimension) {
+        throw new Error(`Collection expecting embedding with dimension of ${dimension}, got ${embedding.length}`);
+      }
+    }
+  }
+
+  /**
+   * Add records to the collection. Existing IDs are skipped, as in Chroma.
+   * @param {Object} params - Records to add ({ids, embeddings, documents, metadatas})
+   * @returns {Promise<boolean>} - Success status
+   */
+  async add({ ids, embeddings = [], documents = [], metadatas = [] }) {
+    const idList = Array.isArray(ids) ? ids : [ids];
+    this.validateDimensions(embeddings);
+
+    let skipped = 0;
+    idList.forEach((id, index) => {
+      if (this.records.has(id)) {
+        skipped++;
+        return;
+      }
+      this.records.set(id, {
+        id,
+        embedding: embeddings[index] || null,
+        document: documents[index] ?? null,
+        metadata: metadatas[index] || {}
+      });
+    });
+
+    if (skipped > 0) {
+      console.warn(`⚠️ Skipped ${skipped} records with existing IDs in collection ${this.name}`);
+    }
+
+    await this.store.saveCollection(this);
+    return true;
+  }
+
+  /**
+   * Insert or replace records
+   * @param {Object} params - Records to upsert ({ids, embeddings, documents, metadatas})
+   * @returns {Promise<boolean>} - Success status
+   */
+  async upsert({ ids, embeddings = [], documents = [], metadatas = [] }) {
+    const idList = Array.isArray(ids) ? ids : [ids];
+    this.validateDimensions(embeddings);
+
+    idList.forEach((id, index) => {
+      const existing = this.records.get(id);
+      this.records.set(id, {
+        id,
+        embedding: embeddings[index] || existing?.embedding || null,
+        document: documents[index] ?? existing?.document ?? null,
+        metadata: metadatas[index] || existing?.metadata || {}
+      });
+    });
+
+    await this.store.saveCollection(this);
+    return true;
+  }
+
+  /**
+   * Update existing records. Metadata keys are merged into the stored metadata.
+   * @param {Object} params - Records to update ({ids, embeddings, documents, metadatas})
+   * @returns {Promise<boolean>} - Success status
+   */
+  async update({ ids, embeddings = [], documents = [], metadatas = [] }) {
+    const idList = Array.isArray(ids) ? ids : [ids];
+    this.validateDimensions(embeddings);
+
+    idList.forEach((id, index) => {
+      const existing = this.records.get(id);
+      if (!existing) {
+        console.warn(`⚠️ Cannot update missing record ${id} in collection ${this.name}`);
+        return;
+      }
+      if (embeddings[index]) existing.embedding = embeddings[index];
+      if (documents[index] !== undefined) existing.document = documents[index];
+      if (metadatas[index]) {
+        existing.metadata = { ...existing.metadata, ...metadatas[index] };
+        // Chroma semantics: a null value removes the key
+        Object.keys(existing.metadata).forEach(key => {
+          if (existing.metadata[key] === null) delete existing.metadata[key];
+        });
+      }
+    });
+
+    await this.store.saveCollection(this);
+    return true;
+  }
+
+  /**
+   * Select records matching ids, where and whereDocument
+   * @param {Object} params - Selection parameters
+   * @returns {Array<Object>} - Matching records
+   */
+  selectRecords({ ids, where, whereDocument } = {}) {
+    const candidates = ids
+      ? (Array.isArray(ids) ? ids : [ids]).map(id => this.records.get(id)).filter(Boolean)
+      : [...this.records.values()];
+
+    return candidates.filter(record =>
+      matchesWhere(record.metadata, where) && matchesWhereDocument(record.document || '', whereDocument)
+    );
+  }
+
+  /**
+   * Get records from the collection
+   * @param {Object} params - Get parameters ({ids, where, whereDocument, limit, offset, include})
+   * @returns {Promise<{ids: Array<string>, documents: Array<string>, metadatas: Array<Object>, embeddings: Array|null}>} - Records
+   */
+  async get({ ids, where, whereDocument, limit, offset = 0, include } = {}) {
+    let records = this.selectRecords({ ids, where, whereDocument });
+    records = records.slice(offset || 0, limit ? (offset || 0) + limit : undefined);
+
+    const includeEmbeddings = Array.isArray(include) && include.includes('embeddings');
+
+    return {
+      ids: records.map(record => record.id),
+      documents: records.map(record => record.document),
+      metadatas: records.map(record => record.metadata),
+      embeddings: includeEmbeddings ? records.map(record => record.embedding) : null
+    };
+  }
+
+  /**
+   * Query nearest neighbours by cosine distance
+   * @param {Object} params - Query parameters ({queryEmbeddings, nResults, where, whereDocument})
+   * @returns {Promise<{ids: Array, distances: Array, documents: Array, metadatas: Array}>} - Results per query embedding
+   */
+  async query({ queryEmbeddings, nResults = 10, where, whereDocument }) {
+    const candidates = this.selectRecords({ where, whereDocument }).filter(record => record.embedding);
+    this.validateDimensions(queryEmbeddings);
+
+    const results = {
+      ids: [],
+      distances: [],
+      documents: [],
+      metadatas: [],
+      embeddings: null
+    };
+
+    for (const queryEmbedding of queryEmbeddings) {
+      const ranked = candidates
+        .map(record => ({ record, distance: cosineDistance(queryEmbedding, record.embedding) }))
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, nResults);
+
+      results.ids.push(ranked.map(item => item.record.id));
+      results.distances.push(ranked.map(item => item.distance));
+      results.documents.push(ranked.map(item => item.record.document));
+      results.metadatas.push(ranked.map(item => item.record.metadata));
+    }
+
+    return results;
+  }
+
+  /**
+   * Delete records by ids and/or filters
+   * @param {Object} params - Delete parameters ({ids, where, whereDocument})
+   * @returns {Promise<Array<string>>} - Deleted IDs
+   */
+  async delete({ ids, where, whereDocument } = {}) {
+    const records = this.selectRecords({ ids, where, whereDocument });
+    records.forEach(record => this.records.delete(record.id));
+
+    await this.store.saveCollection(this);
+    return records.map(record => record.id);
+  }
+
+  /**
+   * Count records in the collection
+   * @returns {Promise<number>} - Record count
+   */
+  async count() {
+    return this.records.size;
+  }
+
+  /**
+   * Peek at the first records in the collection
+   * @param {Object} params - Peek parameters
+   * @param {number} params.limit - Number of records
+   * @returns {Promise<Object>} - Records
+   */
+  async peek({ limit = 10 } = {}) {
+    return this.get({ limit });
+  }
+
+  /**
+   * Serialize the collection for persistence
+   * @returns {Object} - Serializable collection
+   */
+  toJSON() {
+    return {
+      name: this.name,
+      metadata: this.metadata,
+      records: [...this.records.values()]
+    };
+  }
+}
+
+/**
+ * Embedded vector store persisted as one JSON file per collection.
+ * Needs no server, which makes it suitable for development, tests and offline use.
+ */
+class LocalVectorStore {
+  constructor(options = {}) {
+    this.type = 'local';
+    this.storagePath = options.storagePath || process.env.VECTOR_STORE_PATH || path.join(process.cwd(), 'data', 'vector_store');
+    this.collections = new Map();
+    this.writeQueues = new Map();
+  }
+
+  /**
+   * Get the file path of a collection
+   * @param {string} name - Collection name
+   * @returns {string} - File path
+   */
+  getCollectionFile(name) {
+    return path.join(this.storagePath, `${this.getCollectionKey(name)}.json`);
+  }
+
+  /**
+   * Get the cache key of a collection (its file-safe name)
+   * @param {string} name - Collection name
+   * @returns {string} - Cache key
+   */
+  getCollectionKey(name) {
+    return name.replace(/[^a-zA-Z0-9_-]/g, '_');
+  }
+
+  /**
+   * Load a collection from disk (cached after first load)
+   * @param {string} name - Collection name
+   * @returns {Promise<LocalCollection|null>} - Collection or null if it does not exist
+   */
+  async loadCollection(name) {
+    const key = this.getCollectionKey(name);
+    if (this.collections.has(key)) {
+      return this.collections.get(key);
+    }
+
+    try {
+      const data = JSON.parse(await fs.readFile(this.getCollectionFile(name), 'utf8'));
+      const collection = new LocalCollection(this, data.name, data.metadata, data.records);
+      this.collections.set(key, collection);
+      return collection;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw new Error(`Failed to load local collection ${name}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Persist a collection. Writes are serialized per collection and made atomic via rename.
+   * @param {LocalCollection} collection - Collection to save
+   * @returns {Promise<void>}
+   */
+  async saveCollection(collection) {
+    const previous = this.writeQueues.get(collection.name) || Promise.resolve();
+
+    const write = previous.catch(() => {}).then(async () => {
+      await fs.mkdir(this.storagePath, { recursive: true });
+      const file = this.getCollectionFile(collection.name);
+      const tempFile = `${file}.${process.pid}.tmp`;
+      await fs.writeFile(tempFile, JSON.stringify(collection.toJSON()), 'utf8');
+      await fs.rename(tempFile, file);
+    });
+
+    this.writeQueues.set(collection.name, write);
+    await write;
+  }
+
+  /**
+   * List collections in the store
+   * @returns {Promise<Array<{name: string, metadata: Object}>>} - Collections
+   */
+  async listCollections() {
+    let files = [];
+    try {
+      files = await fs.readdir(this.storagePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    for (const file of files) {
+      if (file.endsWith('.json')) {
+        await this.loadCollection(path.basename(file, '.json'));
+      }
+    }
+
+    return [...this.collections.values()].map(collection => ({
+      name: collection.name,
+      metadata: collection.metadata
+    }));
+  }
+
+  /**
+   * Get an existing collection
+   * @param {Object} params - Collection parameters
+   * @param {string} params.name - Collection name
+   * @returns {Promise<LocalCollection>} - Collection handle
+   */
+  async getCollection({ name }) {
+    const collection = await this.loadCollection(name);
+    if (!collection) {
+      throw new Error(`Collection ${name} does not exist.`);
+    }
+    return collection;
+  }
+
+  /**
+   * Create a new collection
+   * @param {Object} params - Collection parameters
+   * @param {string} params.name - Collection name
+   * @param {Object} params.metadata - Collection metadata
+   * @returns {Promise<LocalCollection>} - Collection handle
+   */
+  async createCollection({ name, metadata = {} }) {
+    if (await this.loadCollection(name)) {
+      throw new Error(`Collection ${name} already exists.`);
+    }
+
+    const collection = new LocalCollection(this, name, metadata);
+    this.collections.set(this.getCollectionKey(name), collection);
+    await this.saveCollection(collection);
+    return collection;
+  }
+
+  /**
+   * Get a collection, creating it if it does not exist
+   * @param {Object} params - Collection parameters
+   * @param {string} params.name - Collection name
+   * @param {Object} params.metadata - Collection metadata
+   * @returns {Promise<LocalCollection>} - Collection handle
+   */
+  async getOrCreateCollection({ name, metadata = {} }) {
+    return (await this.loadCollection(name)) || (await this.createCollection({ name, metadata }));
+  }
+
+  /**
+   * Delete a collection
+   * @param {Object} params - Collection parameters
+   * @param {string} params.name - Collection name
+   * @returns {Promise<void>}
+   */
+  async deleteCollection({ name }) {
+    if (!(await this.loadCollection(name))) {
+      throw new Error(`Collection ${name} does not exist.`);
+    }
+
+    await (this.writeQueues.get(name) || Promise.resolve()).catch(() => {});
+    this.collections.delete(this.getCollectionKey(name));
+    this.writeQueues.delete(name);
+    await fs.rm(this.getCollectionFile(name), { force: true });
+  }
+
+  /**
+   * Describe the store for health and stats endpoints
+   * @returns {Object} - Store information
+   */
+  getInfo() {
+    return {
+      type: this.type,
+      storagePath: this.storagePath
+    };
+  }
+}
+
+export default LocalVectorStore;
@@ -1,10 +1,12 @@
 import OpenAI from 'openai';
+import { AutoTokenizer } from '@xenova/transformers';
 import huggingFaceEmbeddingService from './huggingFaceEmbeddingService.js';
 
 class VextService {
   constructor() {
     this.openai = null;
     this.embeddingProvider = process.env.EMBEDDING_PROVIDER || 'huggingface'; // Default to HuggingFace
+    this.openaiTokenizer = null;
   }
 
   /**
@@ -194,6 +196,36 @@ class VextService {
     }
   }
 
+  /**
+   * Get a token counter matching the configured embedding model
+   * @returns {Promise<{model: string, maxSequenceLength: number, countTokens: Function}>} - countTokens(text)
+   *   returns the number of tokens the model sees for text, special tokens included
+   */
+  async getTokenCounter() {
+    try {
+      let tokenizer;
+      if (this.embeddingProvider === 'huggingface') {
+        tokenizer = await huggingFaceEmbeddingService.getTokenizer();
+      } else {
+        // OpenAI's cl100k_base encoding, as published for transformers.js
+        if (!this.openaiTokenizer) {
+          this.openaiTokenizer = await AutoTokenizer.from_pretrained('Xenova/text-embedding-ada-002', { cache_dir: './models' });
+        }
+        tokenizer = this.openaiTokenizer;
+      }
+
+      const { name, maxSequenceLength } = this.getEmbeddingInfo();
+      return {
+        model: name,
+        maxSequenceLength,
+        countTokens: (text) => tokenizer.encode(text || '').length
+      };
+    } catch (error) {
+      console.error('Error loading tokenizer:', error);
+      throw new Error(`Failed to load tokenizer for ${this.embeddingProvider} embeddings: ${error.message}`);
+    }
+  }
+
   /**
    * Get current embedding provider and model information
    * @returns {Object} - Provider and model info
@@ -205,6 +237,7 @@ class VextService {
       return {
         name: 'text-embedding-ada-002',
         dimensions: 1536,
+        maxSequenceLength: 8191,
         type: 'openai-embedding',
         provider: 'openai'
       };
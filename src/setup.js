@@ -89,7 +89,11 @@ function validateEnvironment() {
   // Optional variables
   const optionalVars = [
     'PORT',
+    'VECTOR_STORE',
     'CHROMA_URL',
+    'CHUNK_UNIT',
+    'CHUNK_SIZE_TOKENS',
+    'CHUNK_OVERLAP_TOKENS',
     'CHUNK_SIZE',
     'CHUNK_OVERLAP'
   ];
@@ -138,9 +142,13 @@ async function initializeVectorDatabase() {
     
     const stats = await vectorService.getCollectionStats();
     console.log(`   ✓ Collection stats: ${stats.totalDocuments} documents`);
+
+    // Chunks ingested before query filters existed lack the fields date, tag and $exists filters use
+    const backfilled = await vectorService.backfillFilterFields();
+    console.log(`   ✓ Filter fields added to ${backfilled} older chunks`);
   } catch (error) {
     console.error('   ⚠ Vector database initialization failed:', error.message);
-    console.log('   ℹ Make sure ChromaDB is running or update CHROMA_URL in .env');
+    console.log('   ℹ Make sure ChromaDB is running, update CHROMA_URL, or set VECTOR_STORE=local in .env');
   }
 }
 
@@ -0,0 +1,285 @@
+import fs from 'fs/promises';
+import { createReadStream, createWriteStream } from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import JSZip from 'jszip';
+import tar from 'tar-stream';
+
+class ArchiveExtractor {
+  constructor() {
+    this.archiveFormats = ['.zip', '.tar.gz', '.tgz', '.tar'];
+    this.maxEntries = parseInt(process.env.ARCHIVE_MAX_ENTRIES) || 1000;
+    this.maxFileSize = parseInt(process.env.ARCHIVE_MAX_FILE_SIZE) || 50 * 1024 * 1024; // Same limit as validateFile
+    this.maxTotalSize = parseInt(process.env.ARCHIVE_MAX_TOTAL_SIZE) || 500 * 1024 * 1024;
+    this.maxCompressionRatio = parseInt(process.env.ARCHIVE_MAX_COMPRESSION_RATIO) || 100;
+  }
+
+  /**
+   * Get the archive format of a file
+   * @param {string} filename - File name
+   * @returns {string|null} - Archive extension, or null if the file is not an archive
+   */
+  getArchiveFormat(filename) {
+    const name = filename.toLowerCase();
+    return this.archiveFormats.find(format => name.endsWith(format)) || null;
+  }
+
+  /**
+   * Check if a file is a supported archive
+   * @param {string} filename - File name
+   * @returns {boolean} - True if the file is an archive
+   */
+  isArchive(filename) {
+    return this.getArchiveFormat(filename) !== null;
+  }
+
+  /**
+   * Expand an archive into a directory. Entries are written under generated names,
+   * so nothing can be written outside destDir whatever the archive contains.
+   * @param {string} archivePath - Path to the archive
+   * @param {string} destDir - Directory to extract into
+   * @param {Object} options - Extraction options
+   * @param {string} options.archiveName - Name to check the format against (defaults to the file name)
+   * @param {Function} options.filter - Returns false for entry names that should be skipped
+   * @returns {Promise<{files: Array<Object>, skipped: Array<Object>, totalSize: number}>} - Extracted and skipped entries
+   */
+  async extract(archivePath, destDir, options = {}) {
+    const archiveName = options.archiveName || path.basename(archivePath);
+    const format = this.getArchiveFormat(archiveName);
+
+    if (!format) {
+      throw new Error(`Unsupported archive format: ${archiveName}`);
+    }
+
+    try {
+      const { size: archiveSize } = await fs.stat(archivePath);
+      await fs.mkdir(destDir, { recursive: true });
+
+      const state = {
+        destDir,
+        filter: options.filter || (() => true),
+        // Total extracted bytes may not exceed the ratio limit or the absolute limit
+        maxTotalSize: Math.min(this.maxTotalSize, Math.max(archiveSize, 1) * this.maxCompressionRatio),
+        entryCount: 0,
+        totalSize: 0,
+        files: [],
+        skipped: []
+      };
+
+      if (format === '.zip') {
+        await this.extractZip(archivePath, state);
+      } else {
+        await this.extractTar(archivePath, format !== '.tar', state);
+      }
+
+      console.log(`📦 Extracted ${state.files.length} files from ${archiveName} (${state.skipped.length} skipped)`);
+      return { files: state.files, skipped: state.skipped, totalSize: state.totalSize };
+    } catch (error) {
+      throw new Error(`Failed to extract ${archiveName}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Extract a zip archive
+   * @private
+   */
+  async extractZip(archivePath, state) {
+    const zip = await JSZip.loadAsync(await fs.readFile(archivePath));
+
+    for (const entry of Object.values(zip.files)) {
+      if (entry.dir) continue;
+
+      // JSZip resolves "../" in names; the original name is what the archive asked for
+      const entryName = entry.unsafeOriginalName || entry.name;
+      if (!this.acceptEntry(entryName, state)) continue;
+
+      await this.writeEntry(entry.nodeStream('nodebuffer'), entryName, state);
+    }
+  }
+
+  /**
+   * Extract a tar or tar.gz archive
+   * @private
+   */
+  async extractTar(archivePath, gzipped, state) {
+    const extract = tar.extract();
+    const source = createReadStream(archivePath);
+
+    if (gzipped) {
+      const gunzip = zlib.createGunzip();
+      source.on('error', error => extract.destroy(error));
+      gunzip.on('error', error => extract.destroy(error));
+      source.pipe(gunzip).pipe(extract);
+    } else {
+      source.on('error', error => extract.destroy(error));
+      source.pipe(extract);
+    }
+
+    try {
+      for await (const entry of extract) {
+        const { name, type, size } = entry.header;
+
+        if (type !== 'file' && type !== 'directory') {
+          state.skipped.push({ name, reason: 'Not a regular file' });
+        }
+
+        if (type !== 'file' || !this.acceptEntry(name, state, size)) {
+          // Skipped entries still decompress, so they count towards the total
+          await this.drainEntry(entry, name, state);
+          continue;
+        }
+
+        await this.writeEntry(entry, name, state);
+      }
+    } finally {
+      source.destroy();
+    }
+  }
+
+  /**
+   * Decide whether an entry should be extracted, recording it as skipped if not.
+   * Throws when the archive exceeds the entry limit.
+   * @private
+   */
+  acceptEntry(entryName, state, declaredSize = 0) {
+    state.entryCount++;
+    if (state.entryCount > this.maxEntries) {
+      throw new Error(`Archive has more than ${this.maxEntries} entries`);
+    }
+
+    const baseName = path.posix.basename(entryName.replace(/\\/g, '/'));
+    let reason = null;
+
+    if (!this.isSafeEntryName(entryName)) {
+      reason = 'Unsafe path';
+    } else if (baseName.startsWith('.') || entryName.startsWith('__MACOSX/')) {
+      reason = 'Hidden or system file';
+    } else if (this.isArchive(baseName)) {
+      reason = 'Nested archives are not expanded';
+    } else if (!state.filter(baseName)) {
+      reason = 'Unsupported file format';
+    } else if (declaredSize > this.maxFileSize) {
+      reason = `File exceeds ${this.maxFileSize} bytes`;
+    }
+
+    if (reason) {
+      state.skipped.push({ name: entryName, reason });
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Check that an entry name stays inside the archive root
+   * @param {string} entryName - Path of the entry inside the archive
+   * @returns {boolean} - True if the name is a plain relative path
+   */
+  isSafeEntryName(entryName) {
+    const normalized = entryName.replace(/\\/g, '/');
+
+    if (!normalized || normalized.includes('\0')) return false;
+    if (normalized.startsWith('/') || /^[a-zA-Z]:/.test(normalized)) return false;
+
+    return !normalized.split('/').includes('..');
+  }
+
+  /**
+   * Stream an entry to disk, enforcing the per-file and total size limits on the
+   * bytes actually produced rather than on sizes declared in the archive
+   * @private
+   */
+  async writeEntry(stream, entryName, state) {
+    const index = state.files.length + 1;
+    const baseName = path.posix.basename(entryName.replace(/\\/g, '/'));
+    const safeName = `${String(index).padStart(4, '0')}-${baseName.replace(/[^\w.\- ]/g, '_')}`;
+    const outputPath = path.join(state.destDir, safeName);
+
+    let fileSize = 0;
+    let fileTooLarge = false;
+    const output = createWriteStream(outputPath);
+
+    await new Promise((resolve, reject) => {
+      const fail = (error) => {
+        stream.destroy();
+        output.destroy();
+        reject(error);
+      };
+
+      stream.on('data', (chunk) => {
+        fileSize += chunk.length;
+        state.totalSize += chunk.length;
+
+        if (state.totalSize > state.maxTotalSize) {
+          fail(new Error(`Archive expands to more than ${state.maxTotalSize} bytes`));
+        } else if (fileSize > this.maxFileSize) {
+          // Oversized files are skipped; keep reading so the archive can continue
+          fileTooLarge = true;
+          stream.unpipe(output);
+          output.end();
+        }
+      });
+      stream.on('error', fail);
+      output.on('error', fail);
+      output.on('finish', () => {
+        if (!fileTooLarge) resolve();
+      });
+      stream.on('end', () => {
+        if (fileTooLarge) resolve();
+      });
+
+      stream.pipe(output);
+    }).catch(async (error) => {
+      await fs.unlink(outputPath).catch(() => {});
+      throw error;
+    });
+
+    if (fileTooLarge) {
+      await fs.unlink(outputPath).catch(() => {});
+      state.skipped.push({ name: entryName, reason: `File exceeds ${this.maxFileSize} bytes` });
+      return;
+    }
+
+    if (fileSize === 0) {
+      await fs.unlink(outputPath).catch(() => {});
+      state.skipped.push({ name: entryName, reason: 'File is empty' });
+      return;
+    }
+
+    state.files.push({
+      path: outputPath,
+      filename: safeName,
+      originalname: baseName,
+      archivePath: entryName,
+      size: fileSize
+    });
+  }
+
+  /**
+   * Read and discard an entry that is not extracted
+   * @private
+   */
+  async drainEntry(stream, entryName, state) {
+    for await (const chunk of stream) {
+      state.totalSize += chunk.length;
+      if (state.totalSize > state.maxTotalSize) {
+        throw new Error(`Archive expands to more than ${state.maxTotalSize} bytes`);
+      }
+    }
+  }
+
+  /**
+   * Get extraction limits
+   * @returns {Object} - Configured limits
+   */
+  getLimits() {
+    return {
+      formats: this.archiveFormats.map(format => format.substring(1)),
+      maxEntries: this.maxEntries,
+      maxFileSize: this.maxFileSize,
+      maxTotalSize: this.maxTotalSize,
+      maxCompressionRatio: this.maxCompressionRatio
+    };
+  }
+}
+
+export default new ArchiveExtractor();
@@ -1,30 +1,168 @@
 import fs from 'fs/promises';
 import path from 'path';
+import crypto from 'crypto';
 import pdf from 'pdf-parse';
 import mammoth from 'mammoth';
 import * as cheerio from 'cheerio';
+import JSZip from 'jszip';
 import ocrService from '../services/ocrService.js';
+import spreadsheetParser from './spreadsheetParser.js';
+import ExtractorRegistry from './extractorRegistry.js';
+import languageDetector from './languageDetector.js';
+
+// Document-level fields read from file metadata (and the detected language), copied onto every chunk
+export const DOCUMENT_METADATA_FIELDS = ['title', 'author', 'subject', 'keywords', 'description', 'language', 'createdDate', 'modifiedDate'];
+
+// RTF groups whose content is not document text
+const RTF_DESTINATIONS = new Set([
+  'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'header', 'headerl', 'headerr', 'headerf',
+  'footer', 'footerl', 'footerr', 'footerf', 'listtable', 'listoverridetable', 'rsidtbl', 'generator',
+  'xmlnstbl', 'themedata', 'colorschememapping', 'latentstyles', 'datastore', 'filetbl', 'revtbl',
+  'fldinst', 'bkmkstart', 'bkmkend', 'pntext', 'pntxta', 'pntxtb', 'private'
+]);
+
+// RTF control words that stand for text
+const RTF_SPECIAL_CHARACTERS = {
+  par: '\n', line: '\n', sect: '\n\n', page: '\n\n', row: '\n', cell: '\t', tab: '\t',
+  emdash: '\u2014', endash: '\u2013', emspace: ' ', enspace: ' ', qmspace: ' ', bullet: '\u2022',
+  lquote: '\u2018', rquote: '\u2019', ldblquote: '\u201C', rdblquote: '\u201D'
+};
 
 class DocumentProcessor {
   constructor() {
-    this.supportedFormats = ['.pdf', '.docx', '.txt', '.html', '.htm'];
     this.ocrEnabled = process.env.MISTRAL_API_KEY ? true : false;
-    
-    // Add OCR-supported formats if OCR is available
+    this.extractorsDir = process.env.EXTRACTORS_DIR || null;
+    this.registry = new ExtractorRegistry();
+    this.initPromise = null;
+
+    this.registerBuiltInExtractors();
+  }
+
+  /**
+   * Register the extractors shipped with Vext, then OCR for the formats Mistral reads when OCR is available
+   */
+  registerBuiltInExtractors() {
+    const builtIns = [
+      {
+        name: 'pdf',
+        extensions: ['.pdf'],
+        mimeTypes: ['application/pdf'],
+        capabilities: ['text', 'pages', 'metadata'],
+        extract: async (filePath) => this.processPDF(filePath)
+      },
+      {
+        name: 'docx',
+        extensions: ['.docx'],
+        mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+        capabilities: ['text', 'metadata'],
+        extract: async (filePath) => this.processDOCX(filePath)
+      },
+      {
+        name: 'pptx',
+        extensions: ['.pptx'],
+        mimeTypes: ['application/vnd.openxmlformats-officedocument.presentationml.presentation'],
+        capabilities: ['text', 'pages', 'structure', 'metadata'],
+        extract: async (filePath) => ({ ...await this.processPPTX(filePath), markdown: true })
+      },
+      {
+        name: 'text',
+        extensions: ['.txt'],
+        mimeTypes: ['text/plain'],
+        capabilities: ['text'],
+        extract: async (filePath) => ({ text: await this.processTXT(filePath) })
+      },
+      {
+        name: 'markdown',
+        extensions: ['.md', '.markdown'],
+        mimeTypes: ['text/markdown', 'text/x-markdown', 'text/plain'],
+        capabilities: ['text', 'structure'],
+        extract: async (filePath) => ({ text: await this.processTXT(filePath), markdown: true })
+      },
+      {
+        name: 'html',
+        extensions: ['.html', '.htm'],
+        mimeTypes: ['text/html'],
+        capabilities: ['text', 'structure', 'metadata'],
+        extract: async (filePath, { options }) => this.processHTML(filePath, { markdown: options.preserveStructure })
+      },
+      {
+        name: 'rtf',
+        extensions: ['.rtf'],
+        mimeTypes: ['application/rtf', 'text/rtf'],
+        capabilities: ['text'],
+        extract: async (filePath) => ({ text: await this.processRTF(filePath) })
+      },
+      {
+        name: 'epub',
+        extensions: ['.epub'],
+        mimeTypes: ['application/epub+zip'],
+        capabilities: ['text', 'structure', 'metadata'],
+        extract: async (filePath) => ({ ...await this.processEPUB(filePath), markdown: true })
+      },
+      {
+        name: 'json',
+        extensions: ['.json'],
+        mimeTypes: ['application/json', 'text/json', 'text/plain'],
+        capabilities: ['text', 'structure', 'metadata'],
+        extract: async (filePath) => ({ ...await this.processJSON(filePath), markdown: true })
+      },
+      {
+        name: 'spreadsheet',
+        extensions: ['.csv', '.xlsx'],
+        // Some browsers label .csv as Excel
+        mimeTypes: ['text/csv', 'application/csv', 'application/vnd.ms-excel', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+        capabilities: ['text', 'structure', 'metadata'],
+        extract: async (filePath, { options }) => this.processSpreadsheet(filePath, options.originalname)
+      }
+    ];
+
+    for (const extractor of builtIns) {
+      this.registry.register(extractor);
+    }
+
+    // OCR takes over the document formats it shares with the native extractors
     if (this.ocrEnabled) {
-      const ocrFormats = ocrService.getSupportedFormats();
-      this.supportedFormats = [...new Set([...this.supportedFormats, ...ocrFormats.all])];
+      const { all } = ocrService.getSupportedFormats();
+      this.registry.register({
+        name: 'mistral-ocr',
+        extensions: all,
+        mimeTypes: all.map(format => ocrService.getMimeType(format)),
+        capabilities: ['text', 'pages', 'structure', 'metadata'],
+        extract: async (filePath, { metadata }) => this.processOCR(filePath, metadata)
+      }, 'ocr');
     }
   }
 
+  /**
+   * Load third-party extractors from EXTRACTORS_DIR, once
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    if (!this.extractorsDir) return;
+
+    if (!this.initPromise) {
+      this.initPromise = this.registry.loadDirectory(path.resolve(this.extractorsDir));
+    }
+    await this.initPromise;
+  }
+
   /**
    * Check if file format is supported
    * @param {string} filename - File name
    * @returns {boolean} - True if format is supported
    */
   isSupportedFormat(filename) {
-    const ext = path.extname(filename).toLowerCase();
-    return this.supportedFormats.includes(ext);
+    return this.registry.find(filename) !== null;
+  }
+
+  /**
+   * Check whether an upload can be processed, from its name and the MIME type the client sent
+   * @param {string} filename - File name as uploaded
+   * @param {string} mimetype - MIME type sent with the upload
+   * @returns {boolean} - True if the upload should be accepted
+   */
+  isAllowedUpload(filename, mimetype) {
+    return this.registry.isAllowedUpload(filename, mimetype);
   }
 
   /**
@@ -33,8 +171,7 @@ class DocumentProcessor {
    * @returns {boolean} - True if OCR processing is needed
    */
   shouldUseOCR(filename) {
-    if (!this.ocrEnabled) return false;
-    return ocrService.isSupportedFormat(filename);
+    return this.registry.find(filename)?.source === 'ocr';
   }
 
   /**
@@ -50,76 +187,84 @@ class DocumentProcessor {
    * Process a document file and extract text content
    * @param {string} filePath - Path to the file
    * @param {Object} metadata - Additional metadata
-   * @returns {Promise<{text: string, metadata: Object}>} - Processed document
+   * @param {Object} options - Processing options
+   * @param {boolean} options.preserveStructure - Keep line breaks and render HTML as markdown, for structure-aware chunking
+   * @param {string} options.originalname - File name as uploaded, used to name the table of a CSV file
+   * @returns {Promise<{text: string, metadata: Object, layout: Object, tables: Array<Object>|null}>} - Processed document; layout holds
+   *   page and section offsets into text ({ pages: [{pageNumber, start, end}], sections: [{heading, level, start}] }),
+   *   tables holds the parsed sheets of spreadsheets (always rendered as markdown, whatever preserveStructure says)
    */
-  async processDocument(filePath, metadata = {}) {
+  async processDocument(filePath, metadata = {}, options = {}) {
     try {
+      await this.initialize();
+
       const filename = path.basename(filePath);
       const ext = this.getFileExtension(filename);
+      const extractor = this.registry.find(filename);
 
-      if (!this.isSupportedFormat(filename)) {
+      if (!extractor) {
         throw new Error(`Unsupported file format: ${ext}`);
       }
 
       console.log(`Processing document: ${filename}`);
 
-      let text = '';
-      let extractedMetadata = {
+      const result = await extractor.extract(filePath, { metadata, options, processor: this });
+      if (!result || (typeof result.text !== 'string' && !Array.isArray(result.pages))) {
+        throw new Error(`Extractor ${extractor.name} returned neither text nor pages`);
+      }
+
+      let text = result.text || '';
+      let layout = { pages: [], sections: [] };
+      const tables = result.tables || null;
+      const extractedMetadata = {
         filename,
         fileType: ext,
         processedAt: new Date().toISOString(),
-        ...metadata
+        // Metadata passed in (e.g. a title given at upload) wins over what the file declares
+        ...result.metadata,
+        ...metadata,
+        extractor: extractor.name
       };
 
-      // Check if OCR processing is needed
-      if (this.shouldUseOCR(filename)) {
-        console.log(`🔍 Using OCR processing for: ${filename}`);
-        const ocrResult = await ocrService.processFile(filePath, metadata);
-        
-        text = ocrResult.fullText;
-        extractedMetadata = {
-          ...extractedMetadata,
-          ...ocrResult.statistics,
-          structuredData: ocrResult.structuredData,
-          ocrProcessed: true,
-          ocrModel: ocrResult.metadata.model,
-          detectedLanguages: ocrResult.statistics.detectedLanguages,
-          averageConfidence: ocrResult.statistics.averageConfidence
-        };
+      if (result.pages) {
+        // Pages are cleaned one at a time so their offsets in the final text are known
+        layout = this.buildPageLayout(result.pages, { markdown: result.markdown });
+        text = layout.text;
+        extractedMetadata.totalPages = result.pages.length;
+      } else if (result.markdown) {
+        // Markdown sources keep their line breaks whatever the chunking strategy, so headings stay findable
+        text = this.cleanStructuredText(text);
+        layout = { pages: [], sections: this.findMarkdownHeadings(text) };
+      } else if (tables) {
+        extractedMetadata.tabular = true;
+        extractedMetadata.sheetCount = tables.length;
+        extractedMetadata.sheetNames = tables.map(sheet => sheet.name).join(', ');
+        extractedMetadata.rowCount = tables.reduce((sum, sheet) => sum + sheet.rowCount, 0);
+      } else if (options.preserveStructure) {
+        text = this.cleanStructuredText(text);
       } else {
-        // Use traditional processing methods
-        switch (ext) {
-          case '.pdf':
-            text = await this.processPDF(filePath);
-            break;
-          case '.docx':
-            text = await this.processDOCX(filePath);
-            break;
-          case '.txt':
-            text = await this.processTXT(filePath);
-            break;
-          case '.html':
-          case '.htm':
-            text = await this.processHTML(filePath);
-            break;
-          default:
-            throw new Error(`Unsupported file format: ${ext}`);
-        }
-
         // Clean and normalize text
         text = this.cleanText(text);
       }
 
+      // The language is detected from the text; the declared one is often a template default and is only a fallback
+      if (!metadata.language) {
+        extractedMetadata.language = languageDetector.detect(text) || languageDetector.normalize(result.metadata?.language) || undefined;
+      }
+
       // Add text statistics to metadata
       extractedMetadata.textLength = text.length;
       extractedMetadata.wordCount = text.split(/\s+/).length;
       extractedMetadata.lineCount = text.split('\n').length;
+      extractedMetadata.contentHash = this.computeContentHash(text);
 
       console.log(`✅ Successfully processed ${filename} (${extractedMetadata.wordCount} words)`);
 
       return {
         text,
-        metadata: extractedMetadata
+        metadata: extractedMetadata,
+        layout: { pages: layout.pages, sections: layout.sections },
+        tables
       };
     } catch (error) {
       console.error(`Error processing document ${filePath}:`, error);
@@ -127,35 +272,625 @@ class DocumentProcessor {
     }
   }
 
+  /**
+   * Process a file with Mistral OCR
+   * @param {string} filePath - Path to the file
+   * @param {Object} metadata - Additional metadata passed on to the OCR service
+   * @returns {Promise<{pages: Array<Object>, markdown: boolean, metadata: Object}>} - Markdown pages and OCR statistics
+   */
+  async processOCR(filePath, metadata = {}) {
+    console.log(`🔍 Using OCR processing for: ${path.basename(filePath)}`);
+    const ocrResult = await ocrService.processFile(filePath, metadata);
+
+    return {
+      pages: ocrResult.pages,
+      markdown: true,
+      metadata: {
+        ...ocrResult.statistics,
+        structuredData: ocrResult.structuredData,
+        ocrProcessed: true,
+        ocrModel: ocrResult.metadata.model,
+        detectedLanguages: ocrResult.statistics.detectedLanguages,
+        averageConfidence: ocrResult.statistics.averageConfidence
+      }
+    };
+  }
+
   /**
    * Process PDF file
    * @param {string} filePath - Path to PDF file
-   * @returns {Promise<string>} - Extracted text
+   * @returns {Promise<{pages: Array<{pageNumber: number, text: string}>, metadata: Object}>} - Extracted text of each page
+   *   and the fields of the PDF info dictionary
    */
   async processPDF(filePath) {
     try {
       const dataBuffer = await fs.readFile(filePath);
-      const data = await pdf(dataBuffer);
-      return data.text;
+      const pages = [];
+
+      // pdf-parse renders pages one after another, so they are collected in order
+      const data = await pdf(dataBuffer, {
+        pagerender: async (pageData) => {
+          const text = await this.renderPDFPage(pageData);
+          pages.push({ pageNumber: pageData.pageNumber || pages.length + 1, text });
+          return text;
+        }
+      });
+
+      return { pages, metadata: this.readPDFInfo(data.info) };
     } catch (error) {
       throw new Error(`PDF processing failed: ${error.message}`);
     }
   }
 
+  /**
+   * Read document metadata from a PDF info dictionary
+   * @param {Object} info - Info dictionary as returned by pdf-parse (Title, Author, CreationDate, ...)
+   * @returns {Object} - title, author, subject, keywords, createdDate and modifiedDate, where present
+   */
+  readPDFInfo(info = {}) {
+    const field = (value) => (typeof value === 'string' && value.trim() ? value.trim() : undefined);
+
+    return {
+      title: field(info?.Title),
+      author: field(info?.Author),
+      subject: field(info?.Subject),
+      keywords: field(info?.Keywords),
+      createdDate: this.parsePDFDate(info?.CreationDate),
+      modifiedDate: this.parsePDFDate(info?.ModDate)
+    };
+  }
+
+  /**
+   * Convert a PDF date string (D:YYYYMMDDHHmmSSOHH'mm') to ISO 8601
+   * @param {string} value - PDF date
+   * @returns {string|undefined} - ISO date, or undefined if the value is not a PDF date
+   */
+  parsePDFDate(value) {
+    const match = typeof value === 'string' &&
+      value.match(/^(?:D:)?(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?(?:([Zz+-])(\d{2})?'?(\d{2})?'?)?/);
+    if (!match) return undefined;
+
+    const [, year, month = '01', day = '01', hour = '00', minute = '00', second = '00', sign, offsetHours = '00', offsetMinutes = '00'] = match;
+    const offset = !sign || sign.toUpperCase() === 'Z' ? 'Z' : `${sign}${offsetHours}:${offsetMinutes}`;
+    const date = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}${offset}`);
+    return Number.isNaN(date.getTime()) ? undefined : date.toISOString();
+  }
+
+  /**
+   * Convert a date from document metadata to ISO 8601
+   * @param {string} value - Date in any format Date understands
+   * @returns {string|undefined} - ISO date, or undefined if there is no valid date
+   */
+  parseDate(value) {
+    if (!value) return undefined;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? undefined : date.toISOString();
+  }
+
+  /**
+   * Read the core properties (docProps/core.xml) shared by DOCX, PPTX and XLSX files
+   * @param {JSZip} zip - Opened package
+   * @returns {Promise<Object>} - title, author, subject, keywords, description, language, createdDate and modifiedDate, where present
+   */
+  async readCoreProperties(zip) {
+    const $ = await this.readZipXML(zip, 'docProps/core.xml');
+    if (!$) return {};
+
+    const field = (selector) => $(selector).first().text().trim() || undefined;
+    const date = (selector) => this.parseDate(field(selector));
+
+    return {
+      title: field('dc\\:title'),
+      author: field('dc\\:creator'),
+      subject: field('dc\\:subject'),
+      keywords: field('cp\\:keywords'),
+      description: field('dc\\:description'),
+      language: field('dc\\:language'),
+      createdDate: date('dcterms\\:created'),
+      modifiedDate: date('dcterms\\:modified')
+    };
+  }
+
+  /**
+   * Extract the text of a PDF page, one line per text row (same as pdf-parse's default renderer)
+   * @param {Object} pageData - pdf.js page
+   * @returns {Promise<string>} - Page text
+   * @private
+   */
+  async renderPDFPage(pageData) {
+    const textContent = await pageData.getTextContent({
+      normalizeWhitespace: false,
+      disableCombineTextItems: false
+    });
+
+    let lastY;
+    let text = '';
+    for (const item of textContent.items) {
+      if (lastY === item.transform[5] || !lastY) {
+        text += item.str;
+      } else {
+        text += '\n' + item.str;
+      }
+      lastY = item.transform[5];
+    }
+    return text;
+  }
+
+  /**
+   * Join page texts into one document text, recording where each page and section starts
+   * @param {Array<{pageNumber: number, text: string}>} pages - Page texts
+   * @param {Object} options - Layout options
+   * @param {boolean} options.markdown - Page text is markdown (OCR output) and is kept as is;
+   *   otherwise each page is cleaned with cleanText
+   * @returns {{text: string, pages: Array<Object>, sections: Array<Object>}} - Text with page and section offsets
+   */
+  buildPageLayout(pages, options = {}) {
+    const separator = '\n\n';
+    const layout = { text: '', pages: [], sections: [] };
+
+    (pages || []).forEach((page, index) => {
+      const rawText = page.text || '';
+      const pageText = options.markdown ? rawText : this.cleanText(rawText);
+      const start = layout.text.length + (index > 0 ? separator.length : 0);
+
+      if (index > 0) layout.text += separator;
+      layout.text += pageText;
+
+      layout.pages.push({
+        pageNumber: page.pageNumber || index + 1,
+        start,
+        end: start + pageText.length
+      });
+
+      const headings = options.markdown
+        ? this.findMarkdownHeadings(pageText)
+        : this.findPlainTextHeadings(rawText, pageText);
+      headings.forEach(heading => {
+        layout.sections.push({ ...heading, start: start + heading.start });
+      });
+    });
+
+    return layout;
+  }
+
+  /**
+   * Find markdown headings ("# Title") in text
+   * @param {string} text - Markdown text
+   * @returns {Array<{heading: string, level: number, start: number}>} - Headings with their offsets
+   */
+  findMarkdownHeadings(text) {
+    const headings = [];
+    const pattern = /^(#{1,6})\s+(.+?)\s*#*\s*$/gm;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+      headings.push({ heading: match[2], level: match[1].length, start: match.index });
+    }
+    return headings;
+  }
+
+  /**
+   * Find likely headings in extracted PDF text. Text extraction loses font information, so only
+   * numbered lines ("2.1 Results") and short all-caps lines are treated as headings.
+   * @param {string} rawText - Page text with its original line breaks
+   * @param {string} cleanedText - The same text after cleanText, which offsets refer to
+   * @returns {Array<{heading: string, level: number, start: number}>} - Headings with their offsets
+   */
+  findPlainTextHeadings(rawText, cleanedText) {
+    const headings = [];
+    let searchFrom = 0;
+
+    for (const line of rawText.split('\n')) {
+      const candidate = this.cleanText(line);
+      if (candidate.length < 3 || candidate.length > 80 || /[.,;:]$/.test(candidate)) continue;
+      if (candidate.split(' ').length > 10 || !/[A-Za-z]/.test(candidate)) continue;
+
+      const numbered = candidate.match(/^(\d{1,2}(?:\.\d{1,2})*)\.?\s+[A-Z]/);
+      const allCaps = /[A-Z]{3}/.test(candidate) && /^[A-Z][A-Z0-9 &'()/-]*$/.test(candidate);
+      if (!numbered && !allCaps) continue;
+
+      const start = cleanedText.indexOf(candidate, searchFrom);
+      if (start === -1) continue;
+
+      headings.push({
+        heading: candidate,
+        level: numbered ? numbered[1].split('.').length : 1,
+        start
+      });
+      searchFrom = start + candidate.length;
+    }
+    return headings;
+  }
+
   /**
    * Process DOCX file
    * @param {string} filePath - Path to DOCX file
-   * @returns {Promise<string>} - Extracted text
+   * @returns {Promise<{text: string, metadata: Object}>} - Extracted text and the document's core properties
    */
   async processDOCX(filePath) {
     try {
-      const result = await mammoth.extractRawText({ path: filePath });
-      return result.value;
+      const buffer = await fs.readFile(filePath);
+      const result = await mammoth.extractRawText({ buffer });
+      const metadata = await this.readCoreProperties(await JSZip.loadAsync(buffer));
+      return { text: result.value, metadata };
     } catch (error) {
       throw new Error(`DOCX processing failed: ${error.message}`);
     }
   }
 
+  /**
+   * Process PPTX file. Every slide becomes a page headed by its number and title,
+   * followed by its text, tables and speaker notes.
+   * @param {string} filePath - Path to PPTX file
+   * @returns {Promise<{pages: Array<{pageNumber: number, text: string}>, metadata: Object}>} - Slide texts and slide counts
+   */
+  async processPPTX(filePath) {
+    try {
+      const zip = await JSZip.loadAsync(await fs.readFile(filePath));
+      const presentation = await this.readZipXML(zip, 'ppt/presentation.xml');
+      if (!presentation) {
+        throw new Error('Presentation not found in PPTX file');
+      }
+
+      const slideTargets = await this.readZipRelationships(zip, 'ppt/presentation.xml');
+      const pages = [];
+      let slidesWithNotes = 0;
+
+      const slideIds = presentation('p\\:sldIdLst > p\\:sldId').toArray();
+      for (const [index, slideId] of slideIds.entries()) {
+        const slidePath = slideTargets[presentation(slideId).attr('r:id')]?.target;
+        const $ = slidePath ? await this.readZipXML(zip, slidePath) : null;
+        if (!$) continue;
+
+        const slideNumber = index + 1;
+        const titleShape = $('p\\:sp').filter((_, shape) =>
+          ['title', 'ctrTitle'].includes($(shape).find('p\\:nvSpPr p\\:ph').attr('type'))
+        ).first();
+        const title = this.readPPTXParagraphs($, titleShape).join(' ');
+
+        const blocks = [];
+        $('p\\:spTree').find('p\\:sp, a\\:tbl').each((_, element) => {
+          if (element.name === 'a:tbl') {
+            blocks.push(this.renderPPTXTable($, element));
+            return;
+          }
+          // Titles are in the heading; dates, footers and slide numbers are layout furniture
+          const placeholder = $(element).find('p\\:nvSpPr p\\:ph').attr('type');
+          if (element === titleShape.get(0) || ['dt', 'ftr', 'sldNum'].includes(placeholder)) return;
+          const paragraphs = this.readPPTXParagraphs($, element);
+          if (paragraphs.length > 0) blocks.push(paragraphs.join('\n'));
+        });
+
+        // Speaker notes live in a separate part linked from the slide
+        const slideRelationships = await this.readZipRelationships(zip, slidePath);
+        const notesPath = Object.values(slideRelationships).find(rel => rel.type.endsWith('/notesSlide'))?.target;
+        const notesXML = notesPath ? await this.readZipXML(zip, notesPath) : null;
+        if (notesXML) {
+          const notes = notesXML('p\\:sp')
+            .filter((_, shape) => notesXML(shape).find('p\\:nvSpPr p\\:ph').attr('type') === 'body')
+            .toArray()
+            .flatMap(shape => this.readPPTXParagraphs(notesXML, shape))
+            .join('\n');
+          if (notes) {
+            blocks.push(`Speaker notes:\n${notes}`);
+            slidesWithNotes++;
+          }
+        }
+
+        pages.push({
+          pageNumber: slideNumber,
+          text: [`# Slide ${slideNumber}${title ? `: ${title}` : ''}`, ...blocks].join('\n\n')
+        });
+      }
+
+      return { pages, metadata: { ...await this.readCoreProperties(zip), totalSlides: pages.length, slidesWithNotes } };
+    } catch (error) {
+      throw new Error(`PPTX processing failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read the paragraphs of a PPTX shape, marking indented bullet levels as list items
+   * @private
+   */
+  readPPTXParagraphs($, shape) {
+    return $(shape).find('a\\:p').toArray().map(paragraph => {
+      const text = $(paragraph).find('a\\:t').map((_, run) => $(run).text()).get().join('').replace(/\s+/g, ' ').trim();
+      const level = parseInt($(paragraph).children('a\\:pPr').attr('lvl')) || 0;
+      return text && level > 0 ? `${'  '.repeat(level - 1)}- ${text}` : text;
+    }).filter(Boolean);
+  }
+
+  /**
+   * Render a PPTX table as a markdown table, using the first row as its header
+   * @private
+   */
+  renderPPTXTable($, table) {
+    const rows = $(table).find('a\\:tr').toArray().map(row =>
+      $(row).find('a\\:tc').toArray().map(cell => this.readPPTXParagraphs($, cell).join(' ').replace(/\|/g, '\\|'))
+    ).filter(cells => cells.length > 0);
+
+    if (rows.length === 0) return '';
+
+    const lines = rows.map(cells => `| ${cells.join(' | ')} |`);
+    lines.splice(1, 0, `| ${rows[0].map(() => '---').join(' | ')} |`);
+    return lines.join('\n');
+  }
+
+  /**
+   * Load an XML part of a zip-based document
+   * @private
+   */
+  async readZipXML(zip, name) {
+    const file = zip.file(name);
+    return file ? cheerio.load(await file.async('string'), { xmlMode: true }) : null;
+  }
+
+  /**
+   * Read the relationships of a part of a zip-based document (OOXML _rels files)
+   * @private
+   * @returns {Promise<Object>} - Relationship ID -> { type, target } with targets resolved to zip paths
+   */
+  async readZipRelationships(zip, partName) {
+    const relsName = path.posix.join(path.posix.dirname(partName), '_rels', `${path.posix.basename(partName)}.rels`);
+    const $ = await this.readZipXML(zip, relsName);
+    const relationships = {};
+
+    $?.('Relationship').each((_, rel) => {
+      const target = $(rel).attr('Target') || '';
+      relationships[$(rel).attr('Id')] = {
+        type: $(rel).attr('Type') || '',
+        target: target.startsWith('/') ? target.substring(1) : path.posix.join(path.posix.dirname(partName), target)
+      };
+    });
+    return relationships;
+  }
+
+  /**
+   * Process RTF file
+   * @param {string} filePath - Path to RTF file
+   * @returns {Promise<string>} - Extracted text
+   */
+  async processRTF(filePath) {
+    try {
+      // RTF is 7-bit; other characters are escaped, so reading it as latin1 loses nothing
+      const content = await fs.readFile(filePath, 'latin1');
+      if (!content.startsWith('{\\rtf')) {
+        throw new Error('Not an RTF document');
+      }
+      return this.rtfToText(content);
+    } catch (error) {
+      throw new Error(`RTF processing failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Convert RTF markup to plain text: control words for breaks and punctuation become
+   * characters, hex and unicode escapes are decoded, and non-text groups are skipped
+   * @param {string} rtf - RTF content
+   * @returns {string} - Plain text
+   */
+  rtfToText(rtf) {
+    const pattern = /\\([a-z]{1,32})(-?\d{1,10})? ?|\\'([0-9a-f]{2})|\\([^a-z])|([{}])|[\r\n]+|(.)/gis;
+    const decoder = new TextDecoder('windows-1252');
+    const stack = [];
+    let ignorable = false;
+    let unicodeSkip = 1; // Fallback characters that follow a \u escape
+    let skip = 0;
+    let output = '';
+    let bytes = [];
+
+    const flushBytes = () => {
+      if (bytes.length > 0) {
+        output += decoder.decode(new Uint8Array(bytes));
+        bytes = [];
+      }
+    };
+
+    for (const [, word, arg, hex, symbol, brace, char] of rtf.matchAll(pattern)) {
+      if (hex === undefined) flushBytes();
+
+      if (brace) {
+        skip = 0;
+        if (brace === '{') {
+          stack.push({ ignorable, unicodeSkip });
+        } else if (stack.length > 0) {
+          ({ ignorable, unicodeSkip } = stack.pop());
+        }
+      } else if (symbol) {
+        skip = 0;
+        if (symbol === '*') {
+          ignorable = true;
+        } else if (!ignorable) {
+          if (symbol === '~') output += ' ';
+          else if (symbol === '_') output += '-';
+          else if ('{}\\'.includes(symbol)) output += symbol;
+          else if (symbol === '\n' || symbol === '\r') output += '\n';
+        }
+      } else if (word) {
+        skip = 0;
+        if (RTF_DESTINATIONS.has(word)) {
+          ignorable = true;
+        } else if (ignorable) {
+          continue;
+        } else if (word === 'uc') {
+          unicodeSkip = parseInt(arg) || 0;
+        } else if (word === 'u') {
+          let code = parseInt(arg);
+          if (code < 0) code += 0x10000;
+          output += String.fromCharCode(code);
+          skip = unicodeSkip;
+        } else if (RTF_SPECIAL_CHARACTERS[word]) {
+          output += RTF_SPECIAL_CHARACTERS[word];
+        }
+      } else if (hex) {
+        if (skip > 0) {
+          skip--;
+        } else if (!ignorable) {
+          bytes.push(parseInt(hex, 16));
+        }
+      } else if (char) {
+        if (skip > 0) {
+          skip--;
+        } else if (!ignorable) {
+          output += char;
+        }
+      }
+    }
+    flushBytes();
+
+    return output;
+  }
+
+  /**
+   * Process EPUB file. Chapters follow the reading order of the spine; each starts with a
+   * top-level heading taken from the table of contents, and headings inside a chapter move one level down.
+   * @param {string} filePath - Path to EPUB file
+   * @returns {Promise<{text: string, metadata: Object}>} - Markdown text and book metadata
+   */
+  async processEPUB(filePath) {
+    try {
+      const zip = await JSZip.loadAsync(await fs.readFile(filePath));
+      const container = await this.readZipXML(zip, 'META-INF/container.xml');
+      const packagePath = container?.('rootfile').attr('full-path');
+      const opf = packagePath ? await this.readZipXML(zip, packagePath) : null;
+      if (!opf) {
+        throw new Error('Package document not found in EPUB file');
+      }
+
+      const packageDir = path.posix.dirname(packagePath);
+      const resolve = (base, href) => path.posix.normalize(path.posix.join(base, decodeURIComponent(href.split('#')[0])));
+
+      const manifest = {};
+      opf('manifest > item').each((_, item) => {
+        manifest[opf(item).attr('id')] = {
+          path: resolve(packageDir, opf(item).attr('href') || ''),
+          mediaType: opf(item).attr('media-type'),
+          properties: opf(item).attr('properties') || ''
+        };
+      });
+
+      const titles = await this.readEPUBTableOfContents(zip, opf, manifest);
+
+      const chapters = [];
+      for (const itemref of opf('spine > itemref').toArray()) {
+        const item = manifest[opf(itemref).attr('idref')];
+        const file = item && zip.file(item.path);
+        if (!file || !/html/.test(item.mediaType || '')) continue;
+
+        const $ = cheerio.load(await file.async('string'));
+        $('script, style').remove();
+        let body = this.htmlToMarkdown($, $('body').get(0) || $.root().get(0));
+        if (!body.trim()) continue; // Cover pages and other image-only documents
+
+        const firstHeading = body.match(/^#{1,6} (.+)$/m);
+        const title = titles[item.path] || firstHeading?.[1] || `Chapter ${chapters.length + 1}`;
+
+        // A chapter that opens with its own title would otherwise repeat it
+        if (firstHeading && body.startsWith(firstHeading[0]) && firstHeading[1] === title) {
+          body = body.substring(firstHeading[0].length).trim();
+        }
+        body = body.replace(/^(#{1,5}) /gm, '#$1 ');
+
+        chapters.push({ title, text: `# ${title}${body ? `\n\n${body}` : ''}` });
+      }
+
+      return {
+        text: chapters.map(chapter => chapter.text).join('\n\n'),
+        metadata: {
+          title: opf('metadata > dc\\:title').first().text().trim() || undefined,
+          author: opf('metadata > dc\\:creator').map((_, creator) => opf(creator).text().trim()).get().join(', ') || undefined,
+          subject: opf('metadata > dc\\:subject').map((_, subject) => opf(subject).text().trim()).get().join(', ') || undefined,
+          description: opf('metadata > dc\\:description').first().text().trim() || undefined,
+          language: opf('metadata > dc\\:language').first().text().trim() || undefined,
+          createdDate: this.parseDate(opf('metadata > dc\\:date').first().text().trim()),
+          totalChapters: chapters.length
+        }
+      };
+    } catch (error) {
+      throw new Error(`EPUB processing failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Map chapter files to their titles from the EPUB 3 navigation document or the EPUB 2 NCX
+   * @private
+   */
+  async readEPUBTableOfContents(zip, opf, manifest) {
+    const titles = {};
+    const addTitle = (base, href, title) => {
+      const target = path.posix.normalize(path.posix.join(base, decodeURIComponent((href || '').split('#')[0])));
+      const text = (title || '').replace(/\s+/g, ' ').trim();
+      if (text && !titles[target]) titles[target] = text;
+    };
+
+    const nav = Object.values(manifest).find(item => item.properties.split(' ').includes('nav'));
+    if (nav && zip.file(nav.path)) {
+      const $ = cheerio.load(await zip.file(nav.path).async('string'));
+      const toc = $('nav').filter((_, element) => $(element).attr('epub:type') === 'toc').first();
+      (toc.length > 0 ? toc : $('nav').first()).find('a[href]').each((_, link) => {
+        addTitle(path.posix.dirname(nav.path), $(link).attr('href'), $(link).text());
+      });
+      if (Object.keys(titles).length > 0) return titles;
+    }
+
+    const ncx = manifest[opf('spine').attr('toc')];
+    const $ = ncx ? await this.readZipXML(zip, ncx.path) : null;
+    $?.('navPoint').each((_, point) => {
+      addTitle(path.posix.dirname(ncx.path), $(point).children('content').attr('src'), $(point).children('navLabel').first().text());
+    });
+    return titles;
+  }
+
+  /**
+   * Process JSON file. Every value is written on its own line as "key.path: value", grouped
+   * under a heading per top-level key (or array element), so answers can cite where a value sits.
+   * @param {string} filePath - Path to JSON file
+   * @returns {Promise<{text: string, metadata: Object}>} - Markdown text and the number of values
+   */
+  async processJSON(filePath) {
+    try {
+      const data = JSON.parse((await fs.readFile(filePath, 'utf-8')).replace(/^\uFEFF/, ''));
+
+      // Keys that are not identifiers are written in brackets: users[0]["e-mail"]
+      const childPath = (parent, key) => {
+        if (typeof key === 'number') return `${parent}[${key}]`;
+        if (!/^[A-Za-z_$][\w$]*$/.test(key)) return `${parent}[${JSON.stringify(key)}]`;
+        return parent ? `${parent}.${key}` : key;
+      };
+
+      let valueCount = 0;
+      const collectLines = (value, keyPath, lines) => {
+        if (value !== null && typeof value === 'object') {
+          const entries = Array.isArray(value) ? value.map((item, i) => [i, item]) : Object.entries(value);
+          if (entries.length === 0) {
+            lines.push(`${keyPath}: ${Array.isArray(value) ? '[]' : '{}'}`);
+          }
+          entries.forEach(([key, item]) => collectLines(item, childPath(keyPath, key), lines));
+          return lines;
+        }
+        valueCount++;
+        lines.push(`${keyPath}: ${typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : JSON.stringify(value)}`);
+        return lines;
+      };
+
+      let text;
+      if (data !== null && typeof data === 'object') {
+        const entries = Array.isArray(data) ? data.map((item, i) => [i, item]) : Object.entries(data);
+        text = entries.map(([key, value]) => {
+          const keyPath = childPath('', key);
+          return `# ${keyPath}\n\n${collectLines(value, keyPath, []).join('\n')}`;
+        }).join('\n\n');
+      } else {
+        text = collectLines(data, '$', []).join('\n');
+      }
+
+      return { text, metadata: { jsonValueCount: valueCount } };
+    } catch (error) {
+      throw new Error(`JSON processing failed: ${error.message}`);
+    }
+  }
+
   /**
    * Process TXT file
    * @param {string} filePath - Path to TXT file
@@ -173,25 +908,184 @@ class DocumentProcessor {
   /**
    * Process HTML file
    * @param {string} filePath - Path to HTML file
-   * @returns {Promise<string>} - Extracted text
+   * @param {Object} options - Processing options
+   * @param {boolean} options.markdown - Render headings, lists and tables as markdown instead of plain text
+   * @returns {Promise<{text: string, metadata: Object}>} - Extracted text and the metadata of the page's head
    */
-  async processHTML(filePath) {
+  async processHTML(filePath, options = {}) {
     try {
       const content = await fs.readFile(filePath, 'utf-8');
       const $ = cheerio.load(content);
+      const metadata = this.readHTMLMetadata($);
       
       // Remove script and style elements
       $('script').remove();
       $('style').remove();
+
+      if (options.markdown) {
+        const root = $('body').length > 0 ? $('body').get(0) : $.root().get(0);
+        return { text: this.htmlToMarkdown($, root), metadata };
+      }
       
       // Extract text from body or html element
       const text = $('body').text() || $('html').text() || $.text();
-      return text;
+      return { text, metadata };
     } catch (error) {
       throw new Error(`HTML processing failed: ${error.message}`);
     }
   }
 
+  /**
+   * Read document metadata from the title and meta tags of an HTML page, including Open Graph and Dublin Core names
+   * @param {Object} $ - Loaded cheerio document
+   * @returns {Object} - title, author, description, keywords, language, createdDate and modifiedDate, where present
+   */
+  readHTMLMetadata($) {
+    const meta = (...names) => {
+      for (const name of names) {
+        const content = $(`meta[name="${name}" i], meta[property="${name}" i]`).first().attr('content')?.trim();
+        if (content) return content;
+      }
+      return undefined;
+    };
+
+    return {
+      title: $('head title').first().text().trim() || meta('og:title', 'dc.title') || undefined,
+      author: meta('author', 'article:author', 'dc.creator'),
+      description: meta('description', 'og:description', 'dc.description'),
+      keywords: meta('keywords'),
+      language: $('html').attr('lang')?.trim() || $('meta[http-equiv="content-language" i]').attr('content')?.trim() || meta('dc.language'),
+      createdDate: this.parseDate(meta('article:published_time', 'date', 'dc.date', 'dcterms.created')),
+      modifiedDate: this.parseDate(meta('article:modified_time', 'last-modified', 'dcterms.modified'))
+    };
+  }
+
+  /**
+   * Render the block structure of HTML as markdown: headings, paragraphs, lists, tables and
+   * preformatted text. Inline markup is reduced to its text.
+   * @param {Object} $ - Loaded cheerio document
+   * @param {Object} root - Element to render
+   * @returns {string} - Markdown text
+   */
+  htmlToMarkdown($, root) {
+    const containerTags = new Set([
+      'html', 'body', 'main', 'article', 'section', 'div', 'header', 'footer', 'nav', 'aside',
+      'blockquote', 'figure', 'figcaption', 'form', 'fieldset', 'details', 'summary', 'p', 'dl', 'dt', 'dd', 'address'
+    ]);
+    const blocks = [];
+    let inline = '';
+
+    const flushInline = () => {
+      const paragraph = inline.replace(/\s+/g, ' ').trim();
+      if (paragraph) blocks.push(paragraph);
+      inline = '';
+    };
+
+    const walk = (node) => {
+      $(node).contents().each((_, child) => {
+        if (child.type === 'text') {
+          inline += child.data;
+          return;
+        }
+        if (child.type !== 'tag') return;
+
+        const tag = child.name.toLowerCase();
+        if (/^h[1-6]$/.test(tag)) {
+          flushInline();
+          const heading = $(child).text().replace(/\s+/g, ' ').trim();
+          if (heading) blocks.push(`${'#'.repeat(Number(tag[1]))} ${heading}`);
+        } else if (tag === 'ul' || tag === 'ol') {
+          flushInline();
+          blocks.push(this.renderHTMLList($, child, 0));
+        } else if (tag === 'table') {
+          flushInline();
+          blocks.push(this.renderHTMLTable($, child));
+        } else if (tag === 'pre') {
+          flushInline();
+          blocks.push('```\n' + $(child).text().replace(/\n+$/, '') + '\n```');
+        } else if (tag === 'br') {
+          inline += ' ';
+        } else if (containerTags.has(tag)) {
+          flushInline();
+          walk(child);
+          flushInline();
+        } else {
+          inline += $(child).text();
+        }
+      });
+    };
+
+    walk(root);
+    flushInline();
+
+    return blocks.filter(block => block.trim().length > 0).join('\n\n');
+  }
+
+  /**
+   * Render an HTML list as a markdown list, nesting sub-lists by indentation
+   * @private
+   */
+  renderHTMLList($, list, depth) {
+    const ordered = list.name.toLowerCase() === 'ol';
+    const indent = '  '.repeat(depth);
+    const lines = [];
+
+    $(list).children('li').each((index, item) => {
+      const nestedLists = $(item).children('ul, ol');
+      const text = $(item).clone().children('ul, ol').remove().end().text().replace(/\s+/g, ' ').trim();
+      lines.push(`${indent}${ordered ? `${index + 1}.` : '-'} ${text}`);
+      nestedLists.each((_, nested) => {
+        lines.push(this.renderHTMLList($, nested, depth + 1));
+      });
+    });
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Render an HTML table as a markdown table, using the first row as its header
+   * @private
+   */
+  renderHTMLTable($, table) {
+    const rows = [];
+
+    $(table).find('tr').each((_, row) => {
+      const cells = $(row).children('th, td')
+        .map((__, cell) => $(cell).text().replace(/\s+/g, ' ').trim().replace(/\|/g, '\\|'))
+        .get();
+      if (cells.length > 0) rows.push(cells);
+    });
+
+    if (rows.length === 0) return '';
+
+    const lines = rows.map(cells => `| ${cells.join(' | ')} |`);
+    lines.splice(1, 0, `| ${rows[0].map(() => '---').join(' | ')} |`);
+    return lines.join('\n');
+  }
+
+  /**
+   * Process a CSV or XLSX file. Every sheet becomes a heading followed by a markdown table,
+   * so structure-aware chunking keeps the header with every group of rows.
+   * @param {string} filePath - Path to the spreadsheet
+   * @param {string} originalname - File name as uploaded (optional)
+   * @returns {Promise<{text: string, tables: Array<Object>}>} - Rendered text and parsed sheets
+   */
+  async processSpreadsheet(filePath, originalname = null) {
+    const { sheets } = await spreadsheetParser.parse(filePath, {
+      name: originalname ? path.parse(originalname).name : undefined
+    });
+
+    if (sheets.length === 0) {
+      throw new Error('Spreadsheet contains no data');
+    }
+
+    const text = sheets
+      .map(sheet => `# ${sheet.name}\n\n${spreadsheetParser.toMarkdown(sheet)}`)
+      .join('\n\n');
+
+    return { text, tables: sheets };
+  }
+
   /**
    * Clean and normalize extracted text
    * @param {string} text - Raw text
@@ -212,6 +1106,34 @@ class DocumentProcessor {
       .replace(/\r/g, '\n');
   }
 
+  /**
+   * Normalize extracted text while keeping the line breaks that carry its structure
+   * @param {string} text - Raw text
+   * @returns {string} - Cleaned text
+   */
+  cleanStructuredText(text) {
+    if (!text) return '';
+
+    return text
+      // Normalize line endings
+      .replace(/\r\n?/g, '\n')
+      // Remove trailing whitespace on each line
+      .replace(/[ \t]+$/gm, '')
+      // Remove excessive newlines
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  /**
+   * Hash extracted text so the same content is recognised whatever the file is called
+   * @param {string} text - Extracted text
+   * @returns {string} - SHA-256 hex digest of the whitespace-normalized text
+   */
+  computeContentHash(text) {
+    const normalized = (text || '').replace(/\s+/g, ' ').trim();
+    return crypto.createHash('sha256').update(normalized, 'utf8').digest('hex');
+  }
+
   /**
    * Get file information
    * @param {string} filePath - Path to file
@@ -286,7 +1208,15 @@ class DocumentProcessor {
    * @returns {Array<string>} - List of supported formats
    */
   getSupportedFormats() {
-    return this.supportedFormats.map(format => format.substring(1)); // Remove dot
+    return this.registry.getExtensions().map(format => format.substring(1)); // Remove dot
+  }
+
+  /**
+   * Describe the registered extractors and the formats each one handles
+   * @returns {{extractors: Array<Object>, formats: Object}} - Registry contents
+   */
+  getExtractors() {
+    return this.registry.describe();
   }
 }
 
@@ -0,0 +1,228 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+// What an extractor's output can carry:
+// text - plain text, pages - text split into numbered pages,
+// structure - markdown whose headings mark sections, metadata - document fields such as title or slide count
+export const EXTRACTOR_CAPABILITIES = ['text', 'pages', 'structure', 'metadata'];
+
+// Sent for files whose type the browser does not know
+const GENERIC_MIME_TYPES = ['application/octet-stream', ''];
+
+const PLUGIN_EXTENSIONS = ['.js', '.mjs'];
+
+/**
+ * Extractors keyed by file extension and MIME type.
+ * An extractor is { name, extensions, mimeTypes, capabilities, extract(filePath, context) }, where extract
+ * resolves to { text } or { pages: [{pageNumber, text}] }, plus optional markdown, metadata and tables.
+ * The extractor registered last for an extension handles it, so plugins and OCR can take over built-in formats.
+ */
+class ExtractorRegistry {
+  constructor() {
+    this.extractors = new Map(); // name -> extractor
+    this.extensions = new Map(); // extension -> extractor name
+  }
+
+  /**
+   * Register an extractor, replacing any extractor of the same name
+   * @param {Object} extractor - Extractor definition
+   * @param {string} extractor.name - Unique name
+   * @param {Array<string>} extractor.extensions - File extensions handled, with or without the dot
+   * @param {Array<string>} extractor.mimeTypes - MIME types accepted for uploads of these extensions
+   * @param {Array<string>} extractor.capabilities - Subset of EXTRACTOR_CAPABILITIES
+   * @param {Function} extractor.extract - async (filePath, { metadata, options, processor }) => result
+   * @param {string} source - Where the extractor came from ('built-in', 'ocr' or a plugin file)
+   * @returns {Object} - Registered extractor
+   */
+  register(extractor, source = 'built-in') {
+    const error = this.validate(extractor);
+    if (error) {
+      throw new Error(`Invalid extractor${extractor?.name ? ` ${extractor.name}` : ''}: ${error}`);
+    }
+
+    if (this.extractors.has(extractor.name)) {
+      this.unregister(extractor.name);
+    }
+
+    const registered = {
+      name: extractor.name,
+      extensions: extractor.extensions.map(ext => this.normalizeExtension(ext)),
+      mimeTypes: [...new Set(extractor.mimeTypes.map(type => type.toLowerCase()))],
+      capabilities: [...new Set(extractor.capabilities)],
+      extract: extractor.extract,
+      source
+    };
+
+    this.extractors.set(registered.name, registered);
+    for (const ext of registered.extensions) {
+      this.extensions.set(ext, registered.name);
+    }
+
+    return registered;
+  }
+
+  /**
+   * Remove an extractor. Extensions it took over go back to the most recently registered extractor that lists them.
+   * @param {string} name - Extractor name
+   * @returns {boolean} - True if the extractor was registered
+   */
+  unregister(name) {
+    const extractor = this.extractors.get(name);
+    if (!extractor) return false;
+
+    this.extractors.delete(name);
+    for (const ext of extractor.extensions) {
+      if (this.extensions.get(ext) !== name) continue;
+
+      const fallback = [...this.extractors.values()].reverse().find(candidate => candidate.extensions.includes(ext));
+      if (fallback) {
+        this.extensions.set(ext, fallback.name);
+      } else {
+        this.extensions.delete(ext);
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Check an extractor definition
+   * @param {Object} extractor - Extractor definition
+   * @returns {string|null} - What is wrong with it, or null if it is valid
+   */
+  validate(extractor) {
+    if (!extractor || typeof extractor !== 'object') return 'definition must be an object';
+    if (typeof extractor.name !== 'string' || !extractor.name.trim()) return 'name is required';
+    if (!Array.isArray(extractor.extensions) || extractor.extensions.length === 0 ||
+      !extractor.extensions.every(ext => typeof ext === 'string' && /^\.?[\w-]+$/.test(ext))) {
+      return 'extensions must be a non-empty list such as [".log"]';
+    }
+    if (!Array.isArray(extractor.mimeTypes) || !extractor.mimeTypes.every(type => typeof type === 'string')) {
+      return 'mimeTypes must be a list of strings';
+    }
+    if (!Array.isArray(extractor.capabilities) || extractor.capabilities.length === 0) {
+      return `capabilities must list some of: ${EXTRACTOR_CAPABILITIES.join(', ')}`;
+    }
+    const unknown = extractor.capabilities.filter(capability => !EXTRACTOR_CAPABILITIES.includes(capability));
+    if (unknown.length > 0) {
+      return `unknown capabilities ${unknown.join(', ')} (expected ${EXTRACTOR_CAPABILITIES.join(', ')})`;
+    }
+    if (!extractor.capabilities.includes('text') && !extractor.capabilities.includes('pages')) {
+      return 'capabilities must include text or pages';
+    }
+    if (typeof extractor.extract !== 'function') return 'extract must be a function';
+    return null;
+  }
+
+  /**
+   * Load third-party extractors from the .js and .mjs files of a directory.
+   * Each file default-exports an extractor or a list of them. Files that fail to load are skipped.
+   * @param {string} directory - Directory to load from
+   * @returns {Promise<{loaded: Array<string>, failed: Array<{file: string, error: string}>}>} - Names loaded and files skipped
+   */
+  async loadDirectory(directory) {
+    const loaded = [];
+    const failed = [];
+
+    let entries;
+    try {
+      entries = await fs.readdir(directory, { withFileTypes: true });
+    } catch (error) {
+      console.warn(`⚠️ Could not read extractor directory ${directory}: ${error.message}`);
+      return { loaded, failed };
+    }
+
+    const files = entries
+      .filter(entry => entry.isFile() && PLUGIN_EXTENSIONS.includes(path.extname(entry.name)))
+      .map(entry => entry.name)
+      .sort();
+
+    for (const file of files) {
+      const filePath = path.join(directory, file);
+      try {
+        const module = await import(pathToFileURL(filePath).href);
+        const definitions = [].concat(module.default ?? []);
+        if (definitions.length === 0) {
+          throw new Error('no default export');
+        }
+
+        for (const definition of definitions) {
+          loaded.push(this.register(definition, filePath).name);
+        }
+      } catch (error) {
+        console.warn(`⚠️ Skipping extractor plugin ${file}: ${error.message}`);
+        failed.push({ file, error: error.message });
+      }
+    }
+
+    if (loaded.length > 0) {
+      console.log(`🧩 Loaded extractors from ${directory}: ${loaded.join(', ')}`);
+    }
+
+    return { loaded, failed };
+  }
+
+  /**
+   * Find the extractor for a file
+   * @param {string} filename - File name
+   * @returns {Object|null} - Extractor, or null if the extension is not registered
+   */
+  find(filename) {
+    const name = this.extensions.get(path.extname(filename).toLowerCase());
+    return name ? this.extractors.get(name) : null;
+  }
+
+  /**
+   * Check whether an upload can be processed, from its name and the MIME type the client sent.
+   * The type has to be one the extractor accepts, unless the client did not know the type.
+   * @param {string} filename - File name as uploaded
+   * @param {string} mimetype - MIME type sent with the upload
+   * @returns {boolean} - True if the upload should be accepted
+   */
+  isAllowedUpload(filename, mimetype) {
+    const extractor = this.find(filename);
+    if (!extractor) return false;
+
+    const type = (mimetype || '').toLowerCase();
+    return extractor.mimeTypes.includes(type) || GENERIC_MIME_TYPES.includes(type);
+  }
+
+  /**
+   * Get the registered extensions
+   * @returns {Array<string>} - Extensions with their dot, in registration order
+   */
+  getExtensions() {
+    return [...this.extensions.keys()];
+  }
+
+  /**
+   * Describe the registry for API responses
+   * @returns {{extractors: Array<Object>, formats: Object}} - Extractors without their functions,
+   *   and which extractor handles each extension
+   */
+  describe() {
+    return {
+      extractors: [...this.extractors.values()].map(({ name, extensions, mimeTypes, capabilities, source }) => ({
+        name,
+        extensions,
+        mimeTypes,
+        capabilities,
+        source: source === 'built-in' || source === 'ocr' ? source : 'plugin'
+      })),
+      formats: Object.fromEntries(this.extensions)
+    };
+  }
+
+  /**
+   * Lower-case an extension and make sure it starts with a dot
+   * @param {string} ext - Extension
+   * @returns {string} - Normalized extension
+   */
+  normalizeExtension(ext) {
+    const lower = ext.toLowerCase();
+    return lower.startsWith('.') ? lower : `.${lower}`;
+  }
+}
+
+export default ExtractorRegistry;
@@ -0,0 +1,91 @@
+// Scripts used by one language (or one main language), checked before stop words
+const SCRIPTS = [
+  { language: 'zh', pattern: /[\u3040-\u30FF\u4E00-\u9FFF]/g }, // Han with Kana, told apart from Japanese below
+  { language: 'ko', pattern: /[\uAC00-\uD7AF]/g },
+  { language: 'ru', pattern: /[\u0400-\u04FF]/g },
+  { language: 'ar', pattern: /[\u0600-\u06FF]/g },
+  { language: 'he', pattern: /[\u0590-\u05FF]/g },
+  { language: 'el', pattern: /[\u0370-\u03FF]/g },
+  { language: 'hi', pattern: /[\u0900-\u097F]/g },
+  { language: 'th', pattern: /[\u0E00-\u0E7F]/g }
+];
+
+// Frequent short words of Latin-script languages. Words shared by several languages count for each of them.
+const STOP_WORDS = {
+  en: ['the', 'and', 'of', 'to', 'is', 'in', 'that', 'it', 'for', 'with', 'was', 'on', 'are', 'as', 'this', 'be', 'by', 'not', 'or', 'have', 'from', 'which', 'at', 'but', 'they'],
+  de: ['der', 'die', 'und', 'das', 'ist', 'nicht', 'ein', 'eine', 'zu', 'den', 'mit', 'sich', 'des', 'auf', 'für', 'im', 'dem', 'auch', 'es', 'von', 'wird', 'sind', 'oder', 'bei', 'wie'],
+  fr: ['le', 'la', 'les', 'et', 'des', 'est', 'une', 'un', 'du', 'que', 'dans', 'pour', 'qui', 'pas', 'sur', 'au', 'avec', 'ce', 'il', 'sont', 'par', 'nous', 'mais', 'ou', 'aux'],
+  es: ['el', 'la', 'los', 'las', 'de', 'que', 'y', 'en', 'es', 'del', 'por', 'un', 'una', 'para', 'con', 'no', 'se', 'su', 'al', 'lo', 'como', 'más', 'pero', 'sus', 'está'],
+  it: ['il', 'di', 'che', 'e', 'la', 'per', 'un', 'una', 'non', 'sono', 'della', 'del', 'con', 'è', 'gli', 'nel', 'alla', 'anche', 'come', 'più', 'ma', 'questo', 'delle', 'dei', 'le'],
+  pt: ['de', 'que', 'e', 'o', 'a', 'do', 'da', 'em', 'um', 'uma', 'para', 'com', 'não', 'os', 'no', 'na', 'se', 'por', 'mais', 'as', 'dos', 'das', 'como', 'mas', 'ao'],
+  nl: ['de', 'het', 'een', 'en', 'van', 'is', 'dat', 'op', 'te', 'zijn', 'niet', 'met', 'voor', 'er', 'ook', 'aan', 'maar', 'wordt', 'door', 'bij', 'naar', 'dit', 'deze', 'worden', 'om'],
+  sv: ['och', 'att', 'det', 'som', 'en', 'är', 'av', 'för', 'med', 'till', 'den', 'har', 'inte', 'på', 'om', 'ett', 'de', 'var', 'men', 'eller', 'vi', 'från', 'kan', 'så', 'sig']
+};
+
+const STOP_WORD_SETS = Object.fromEntries(Object.entries(STOP_WORDS).map(([language, words]) => [language, new Set(words)]));
+
+/**
+ * Detects the main language of document text from its script and its most frequent words.
+ * Works offline on a sample of the text; returns ISO 639-1 codes.
+ */
+class LanguageDetector {
+  constructor() {
+    this.sampleSize = 20000; // Characters read from the start of the text
+    this.minWords = 20; // Fewer words than this are not enough to tell languages apart
+  }
+
+  /**
+   * Detect the language of a text
+   * @param {string} text - Text to examine
+   * @returns {string|null} - ISO 639-1 code, or null if the text is too short or ambiguous
+   */
+  detect(text) {
+    if (!text) return null;
+
+    const sample = text.slice(0, this.sampleSize);
+    const letters = (sample.match(/\p{L}/gu) || []).length;
+    if (letters === 0) return null;
+
+    // A script other than Latin decides the language when it makes up much of the text
+    for (const { language, pattern } of SCRIPTS) {
+      const count = (sample.match(pattern) || []).length;
+      if (count / letters >= 0.3) {
+        // Japanese mixes Kana into Han text; Ukrainian has letters Russian lacks
+        if (language === 'zh' && (sample.match(/[\u3040-\u30FF]/g) || []).length / count >= 0.1) return 'ja';
+        if (language === 'ru' && /[\u0404\u0406\u0407\u0454\u0456\u0457\u0490\u0491]/.test(sample)) return 'uk';
+        return language;
+      }
+    }
+
+    const words = sample.toLowerCase().match(/\p{L}+/gu) || [];
+    if (words.length < this.minWords) return null;
+
+    const scores = Object.fromEntries(Object.keys(STOP_WORD_SETS).map(language => [language, 0]));
+    for (const word of words) {
+      for (const [language, stopWords] of Object.entries(STOP_WORD_SETS)) {
+        if (stopWords.has(word)) scores[language]++;
+      }
+    }
+
+    const [[best, bestScore], [, secondScore]] = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+
+    // Require stop words to be common and one language to clearly lead
+    if (bestScore / words.length < 0.05 || bestScore < secondScore * 1.2) {
+      return null;
+    }
+    return best;
+  }
+
+  /**
+   * Reduce a declared language tag such as "en-US" or "EN_gb" to its ISO 639 code
+   * @param {string} tag - Language tag from document metadata
+   * @returns {string|null} - Lower-case language code, or null if the tag is not one
+   */
+  normalize(tag) {
+    if (typeof tag !== 'string') return null;
+    const match = tag.trim().toLowerCase().match(/^([a-z]{2,3})(?:[-_][a-z0-9]+)*$/);
+    return match ? match[1] : null;
+  }
+}
+
+export default new LanguageDetector();
@@ -0,0 +1,297 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { matchesWhere } from '../services/vectorStores/localVectorStore.js';
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'in', 'is', 'it',
+  'its', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'were', 'what', 'when', 'where',
+  'which', 'who', 'why', 'how', 'with', 'does', 'do', 'did', 'about', 'me', 'my', 'i', 'you'
+]);
+
+/**
+ * Tokenize text for indexing and querying.
+ * Identifiers such as "INV-2023-001" are kept whole and also split into their parts.
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} - Tokens
+ */
+export function tokenize(text) {
+  if (!text) return [];
+
+  const tokens = [];
+  const matches = text.toLowerCase().match(/[\p{L}\p{N}]+(?:[-_./:#][\p{L}\p{N}]+)*/gu) || [];
+
+  for (const match of matches) {
+    const parts = match.split(/[-_./:#]/);
+    if (parts.length > 1) {
+      tokens.push(match);
+    }
+    for (const part of parts) {
+      if (part.length > 1 && !STOP_WORDS.has(part)) {
+        tokens.push(part);
+      } else if (parts.length === 1 && /^\p{N}$/u.test(part)) {
+        tokens.push(part);
+      }
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * BM25 inverted index persisted next to the vector store.
+ * Handles the exact-match queries (part numbers, invoice IDs, rare terms) that
+ * embedding similarity misses.
+ */
+class LexicalIndex {
+  constructor(options = {}) {
+    this.name = options.name || 'default';
+    this.storagePath = options.storagePath || path.join(process.cwd(), 'data', 'lexical_index');
+    this.k1 = options.k1 || 1.2;
+    this.b = options.b ?? 0.75;
+
+    this.documents = new Map(); // id -> { length, termFrequencies, metadata }
+    this.postings = new Map(); // term -> Set of ids
+    this.totalLength = 0;
+    this.loaded = false;
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Get the index file path
+   * @returns {string} - File path
+   */
+  getIndexFile() {
+    const safeName = this.name.replace(/[^a-zA-Z0-9_-]/g, '_');
+    return path.join(this.storagePath, `${safeName}.json`);
+  }
+
+  /**
+   * Tokenize text for indexing and querying, see tokenize
+   * @param {string} text - Text to tokenize
+   * @returns {Array<string>} - Tokens
+   */
+  tokenize(text) {
+    return tokenize(text);
+  }
+
+  /**
+   * Load the index from disk
+   */
+  async load() {
+    if (this.loaded) return;
+
+    try {
+      const data = JSON.parse(await fs.readFile(this.getIndexFile(), 'utf8'));
+      for (const doc of data.documents || []) {
+        this.insertDocument(doc.id, doc.length, Object.assign(Object.create(null), doc.termFrequencies), doc.metadata);
+      }
+      console.log(`✅ Loaded lexical index ${this.name} with ${this.documents.size} entries`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`⚠️ Could not load lexical index ${this.name}, starting empty: ${error.message}`);
+      }
+    }
+
+    this.loaded = true;
+  }
+
+  /**
+   * Save the index to disk. Writes are serialized and made atomic via rename.
+   */
+  async save() {
+    const write = this.writeQueue.catch(() => {}).then(async () => {
+      await fs.mkdir(this.storagePath, { recursive: true });
+      const file = this.getIndexFile();
+      const tempFile = `${file}.${process.pid}.tmp`;
+      const documents = [...this.documents.entries()].map(([id, doc]) => ({ id, ...doc }));
+      await fs.writeFile(tempFile, JSON.stringify({ name: this.name, documents }), 'utf8');
+      await fs.rename(tempFile, file);
+    });
+
+    this.writeQueue = write;
+    await write;
+  }
+
+  /**
+   * Insert a document into the in-memory structures
+   * @private
+   */
+  insertDocument(id, length, termFrequencies, metadata = {}) {
+    if (this.documents.has(id)) {
+      this.deleteDocument(id);
+    }
+
+    this.documents.set(id, { length, termFrequencies, metadata });
+    this.totalLength += length;
+
+    for (const term of Object.keys(termFrequencies)) {
+      if (!this.postings.has(term)) {
+        this.postings.set(term, new Set());
+      }
+      this.postings.get(term).add(id);
+    }
+  }
+
+  /**
+   * Remove a document from the in-memory structures
+   * @private
+   */
+  deleteDocument(id) {
+    const doc = this.documents.get(id);
+    if (!doc) return false;
+
+    for (const term of Object.keys(doc.termFrequencies)) {
+      const ids = this.postings.get(term);
+      if (ids) {
+        ids.delete(id);
+        if (ids.size === 0) this.postings.delete(term);
+      }
+    }
+
+    this.totalLength -= doc.length;
+    this.documents.delete(id);
+    return true;
+  }
+
+  /**
+   * Add or replace documents in the index
+   * @param {Array<{id: string, text: string, metadata: Object}>} documents - Documents to index
+   */
+  async addDocuments(documents) {
+    await this.load();
+
+    for (const doc of documents) {
+      const tokens = this.tokenize(doc.text);
+      // No prototype, so tokens such as "constructor" are counted like any other word
+      const termFrequencies = Object.create(null);
+      tokens.forEach(token => {
+        termFrequencies[token] = (termFrequencies[token] || 0) + 1;
+      });
+      this.insertDocument(doc.id, tokens.length, termFrequencies, doc.metadata || {});
+    }
+
+    await this.save();
+  }
+
+  /**
+   * Remove documents from the index
+   * @param {Array<string>} ids - Document IDs to remove
+   * @returns {Promise<number>} - Number of removed documents
+   */
+  async removeDocuments(ids) {
+    await this.load();
+
+    const removed = ids.filter(id => this.deleteDocument(id)).length;
+    if (removed > 0) {
+      await this.save();
+    }
+    return removed;
+  }
+
+  /**
+   * Merge metadata into indexed documents so filters stay in sync. As in the vector store, a null value removes the key.
+   * @param {string|Array<string>} ids - Document ID or IDs
+   * @param {Object} metadata - Metadata to merge
+   */
+  async updateMetadata(ids, metadata) {
+    await this.load();
+
+    let updated = 0;
+    for (const id of [].concat(ids)) {
+      const doc = this.documents.get(id);
+      if (!doc) continue;
+
+      doc.metadata = { ...doc.metadata, ...metadata };
+      Object.keys(doc.metadata).forEach(key => {
+        if (doc.metadata[key] === null) delete doc.metadata[key];
+      });
+      updated++;
+    }
+
+    if (updated > 0) {
+      await this.save();
+    }
+  }
+
+  /**
+   * Remove every document from the index
+   */
+  async clear() {
+    this.documents.clear();
+    this.postings.clear();
+    this.totalLength = 0;
+    this.loaded = true;
+    await this.save();
+  }
+
+  /**
+   * Replace the index contents with the given documents
+   * @param {Array<{id: string, text: string, metadata: Object}>} documents - Documents to index
+   */
+  async rebuild(documents) {
+    console.log(`🔄 Rebuilding lexical index ${this.name} from ${documents.length} documents...`);
+    this.documents.clear();
+    this.postings.clear();
+    this.totalLength = 0;
+    this.loaded = true;
+    await this.addDocuments(documents);
+  }
+
+  /**
+   * Number of indexed documents
+   * @returns {number} - Document count
+   */
+  size() {
+    return this.documents.size;
+  }
+
+  /**
+   * Search the index with BM25 scoring
+   * @param {string} query - Search query
+   * @param {Object} options - Search options
+   * @param {number} options.topK - Number of results to return
+   * @param {Object} options.where - Chroma-style metadata filter
+   * @returns {Promise<Array<{id: string, score: number, matchedTerms: Array<string>}>>} - Ranked results
+   */
+  async search(query, options = {}) {
+    await this.load();
+
+    const { topK = 10, where = null } = options;
+    const queryTerms = [...new Set(this.tokenize(query))];
+    const totalDocuments = this.documents.size;
+
+    if (queryTerms.length === 0 || totalDocuments === 0) {
+      return [];
+    }
+
+    const averageLength = this.totalLength / totalDocuments || 1;
+    const scores = new Map();
+
+    for (const term of queryTerms) {
+      const ids = this.postings.get(term);
+      if (!ids) continue;
+
+      const documentFrequency = ids.size;
+      const idf = Math.log(1 + (totalDocuments - documentFrequency + 0.5) / (documentFrequency + 0.5));
+
+      for (const id of ids) {
+        const doc = this.documents.get(id);
+        if (!matchesWhere(doc.metadata, where)) continue;
+
+        const tf = Object.hasOwn(doc.termFrequencies, term) ? doc.termFrequencies[term] : 0;
+        const termScore = idf * (tf * (this.k1 + 1)) / (tf + this.k1 * (1 - this.b + this.b * doc.length / averageLength));
+
+        const entry = scores.get(id) || { id, score: 0, matchedTerms: [] };
+        entry.score += termScore;
+        entry.matchedTerms.push(term);
+        scores.set(id, entry);
+      }
+    }
+
+    return [...scores.values()]
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK);
+  }
+}
+
+export default LexicalIndex;
@@ -0,0 +1,360 @@
+// Fields a query filter can test, by type. `key` is the chunk metadata key a field is stored under when it differs.
+// Optional fields may be missing from a document; the others are set on every chunk at ingestion.
+export const FILTER_FIELDS = {
+  documentId: { type: 'string', key: 'parentDocumentId' },
+  fileType: { type: 'string' },
+  source: { type: 'string' },
+  processedAt: { type: 'date' },
+  tags: { type: 'tags', optional: true },
+  title: { type: 'string', optional: true },
+  author: { type: 'string', optional: true },
+  subject: { type: 'string', optional: true },
+  keywords: { type: 'string', optional: true },
+  description: { type: 'string', optional: true },
+  language: { type: 'string', optional: true },
+  createdDate: { type: 'date', optional: true },
+  modifiedDate: { type: 'date', optional: true }
+};
+
+const COMPARISON_OPERATORS = ['$eq', '$ne', '$gt', '$gte', '$lt', '$lte', '$in', '$nin', '$all', '$exists'];
+
+// Operators each field type supports; ranges need numbers in the vector store, so dates are stored as timestamps
+const TYPE_OPERATORS = {
+  string: ['$eq', '$ne', '$in', '$nin', '$exists'],
+  date: ['$eq', '$ne', '$gt', '$gte', '$lt', '$lte', '$in', '$nin', '$exists'],
+  tags: ['$eq', '$in', '$all', '$exists']
+};
+
+// Derived chunk metadata written at ingestion so filters stay within the where operators every vector store supports
+const INDEX_PREFIX = 'filter:';
+
+const MAX_DEPTH = 5;
+const MAX_VALUES = 100;
+
+/**
+ * Query filter expressions over document metadata.
+ *
+ * An expression is an object of field conditions, combined with AND, plus optional `$and` / `$or` lists of
+ * sub-expressions. A condition is a value (equality), a list of values (any of them), or an object of operators:
+ * `$eq`, `$ne`, `$gt`, `$gte`, `$lt`, `$lte`, `$in`, `$nin`, `$all` (tags only) and `$exists`.
+ *
+ *   { "fileType": { "$in": [".pdf", ".docx"] }, "processedAt": { "$gte": "2024-01-01" },
+ *     "$or": [{ "tags": "finance" }, { "author": { "$exists": true } }] }
+ *
+ * Expressions are validated, then translated to a Chroma-style where clause over the stored metadata.
+ */
+class MetadataFilter {
+  /**
+   * Check a filter expression
+   * @param {Object} expression - Filter expression
+   * @returns {string|null} - Description of the first problem, or null if the expression is valid
+   */
+  validate(expression) {
+    if (!this.isPlainObject(expression)) {
+      return 'filters must be an object';
+    }
+    return this.validateExpression(expression, 'filters', 1);
+  }
+
+  /**
+   * Check an expression or sub-expression
+   * @param {Object} expression - Expression
+   * @param {string} location - Path of the expression in the request, for error messages
+   * @param {number} depth - Nesting depth
+   * @returns {string|null} - Problem, or null
+   * @private
+   */
+  validateExpression(expression, location, depth) {
+    if (depth > MAX_DEPTH) {
+      return `${location} is nested more than ${MAX_DEPTH} levels deep`;
+    }
+    if (Object.keys(expression).length === 0) {
+      return `${location} must contain at least one condition`;
+    }
+
+    for (const [key, condition] of Object.entries(expression)) {
+      const path = `${location}.${key}`;
+
+      if (key === '$and' || key === '$or') {
+        if (!Array.isArray(condition) || condition.length === 0) {
+          return `${path} must be a non-empty list of filter objects`;
+        }
+        for (const [index, clause] of condition.entries()) {
+          if (!this.isPlainObject(clause)) {
+            return `${path}[${index}] must be an object`;
+          }
+          const error = this.validateExpression(clause, `${path}[${index}]`, depth + 1);
+          if (error) return error;
+        }
+        continue;
+      }
+
+      if (key.startsWith('$')) {
+        return `Unknown logical operator ${key} in ${location}; use $and or $or`;
+      }
+
+      const field = FILTER_FIELDS[key];
+      if (!field) {
+        return `Unknown filter field "${key}". Filterable fields: ${Object.keys(FILTER_FIELDS).join(', ')}`;
+      }
+
+      const error = this.validateCondition(key, field, condition, path);
+      if (error) return error;
+    }
+
+    return null;
+  }
+
+  /**
+   * Check the condition on one field
+   * @param {string} name - Field name
+   * @param {Object} field - Field definition from FILTER_FIELDS
+   * @param {*} condition - Value, list of values or operator object
+   * @param {string} path - Path of the condition, for error messages
+   * @returns {string|null} - Problem, or null
+   * @private
+   */
+  validateCondition(name, field, condition, path) {
+    const operators = this.toOperators(condition);
+    if (Object.keys(operators).length === 0) {
+      return `${path} must contain at least one operator`;
+    }
+
+    for (const [operator, operand] of Object.entries(operators)) {
+      if (!COMPARISON_OPERATORS.includes(operator)) {
+        return `Unknown operator ${operator} in ${path}. Operators: ${COMPARISON_OPERATORS.join(', ')}`;
+      }
+      if (!TYPE_OPERATORS[field.type].includes(operator)) {
+        return `${operator} is not supported for ${name} (${field.type} field); use ${TYPE_OPERATORS[field.type].join(', ')}`;
+      }
+
+      if (operator === '$exists') {
+        if (typeof operand !== 'boolean') {
+          return `${path}.$exists must be true or false`;
+        }
+        if (!field.optional) {
+          return `$exists is not supported for ${name}, which every document has`;
+        }
+        continue;
+      }
+
+      if (['$in', '$nin', '$all'].includes(operator)) {
+        if (!Array.isArray(operand) || operand.length === 0 || operand.length > MAX_VALUES) {
+          return `${path}.${operator} must be a list of 1 to ${MAX_VALUES} values`;
+        }
+        for (const value of operand) {
+          const error = this.validateValue(name, field, value, `${path}.${operator}`);
+          if (error) return error;
+        }
+        continue;
+      }
+
+      const error = this.validateValue(name, field, operand, `${path}.${operator}`);
+      if (error) return error;
+    }
+
+    return null;
+  }
+
+  /**
+   * Check a single operand
+   * @param {string} name - Field name
+   * @param {Object} field - Field definition
+   * @param {*} value - Operand
+   * @param {string} path - Path of the operand, for error messages
+   * @returns {string|null} - Problem, or null
+   * @private
+   */
+  validateValue(name, field, value, path) {
+    if (field.type === 'date') {
+      return this.toTimestamp(value) === null
+        ? `${path} must be an ISO 8601 date or a timestamp in milliseconds`
+        : null;
+    }
+    if (typeof value !== 'string' || !value) {
+      return `${path} must be a non-empty string`;
+    }
+    return null;
+  }
+
+  /**
+   * Translate a validated expression into a where clause over chunk metadata
+   * @param {Object} expression - Filter expression
+   * @returns {Object} - Where clause
+   */
+  toWhere(expression) {
+    const clauses = [];
+
+    for (const [key, condition] of Object.entries(expression)) {
+      if (key === '$and' || key === '$or') {
+        const translated = condition.map(clause => this.toWhere(clause));
+        clauses.push(translated.length === 1 ? translated[0] : { [key]: translated });
+        continue;
+      }
+
+      for (const [operator, operand] of Object.entries(this.toOperators(condition))) {
+        clauses.push(this.translateCondition(key, FILTER_FIELDS[key], operator, operand));
+      }
+    }
+
+    return clauses.length === 1 ? clauses[0] : { $and: clauses };
+  }
+
+  /**
+   * Translate one operator on one field
+   * @param {string} name - Field name
+   * @param {Object} field - Field definition
+   * @param {string} operator - Operator
+   * @param {*} operand - Operand
+   * @returns {Object} - Where clause
+   * @private
+   */
+  translateCondition(name, field, operator, operand) {
+    if (operator === '$exists') {
+      return { [`${INDEX_PREFIX}has:${name}`]: operand };
+    }
+
+    if (field.type === 'tags') {
+      const tags = [].concat(operand).map(tag => this.normalizeTag(tag));
+      const flags = tags.map(tag => ({ [`${INDEX_PREFIX}tag:${tag}`]: true }));
+      if (flags.length === 1) return flags[0];
+      return operator === '$all' ? { $and: flags } : { $or: flags };
+    }
+
+    if (field.type === 'date') {
+      const value = Array.isArray(operand) ? operand.map(item => this.toTimestamp(item)) : this.toTimestamp(operand);
+      return { [`${INDEX_PREFIX}${name}`]: { [operator]: value } };
+    }
+
+    // Languages are stored as lower-case codes
+    const normalize = (value) => (name === 'language' ? value.toLowerCase() : value);
+    const value = Array.isArray(operand) ? operand.map(normalize) : normalize(operand);
+    return { [field.key || name]: operator === '$eq' ? value : { [operator]: value } };
+  }
+
+  /**
+   * Derived metadata that makes a document filterable: timestamps of its dates, one flag per tag,
+   * and whether each optional field is present. Spread into every chunk's metadata at ingestion.
+   * @param {Object} metadata - Document metadata
+   * @returns {Object} - Derived metadata fields
+   */
+  indexFields(metadata = {}) {
+    const fields = {};
+
+    for (const [name, field] of Object.entries(FILTER_FIELDS)) {
+      let present = metadata[name] !== undefined && metadata[name] !== null && metadata[name] !== '';
+
+      if (field.type === 'date' && present) {
+        const timestamp = this.toTimestamp(metadata[name]);
+        present = timestamp !== null;
+        if (present) fields[`${INDEX_PREFIX}${name}`] = timestamp;
+      }
+
+      if (field.type === 'tags') {
+        const tags = this.parseTags(metadata[name]);
+        present = tags.length > 0;
+        for (const tag of tags) {
+          fields[`${INDEX_PREFIX}tag:${tag}`] = true;
+        }
+      }
+
+      if (field.optional) {
+        fields[`${INDEX_PREFIX}has:${name}`] = present;
+      }
+    }
+
+    return fields;
+  }
+
+  /**
+   * Metadata update that changes a document's tags, keeping the derived tag fields in sync.
+   * Flags of removed tags are set to null, which deletes them from the vector store.
+   * @param {Array<string>} previous - Tags the document has now
+   * @param {Array<string>} tags - Tags it should have
+   * @returns {Object} - Metadata to merge into every chunk
+   */
+  tagUpdate(previous, tags) {
+    const next = this.parseTags(tags);
+    const update = {
+      tags: next.length > 0 ? next.join(',') : null,
+      [`${INDEX_PREFIX}has:tags`]: next.length > 0
+    };
+
+    for (const tag of this.parseTags(previous)) {
+      if (!next.includes(tag)) update[`${INDEX_PREFIX}tag:${tag}`] = null;
+    }
+    for (const tag of next) {
+      update[`${INDEX_PREFIX}tag:${tag}`] = true;
+    }
+
+    return update;
+  }
+
+  /**
+   * Check whether a metadata key was written by indexFields
+   * @param {string} key - Metadata key
+   * @returns {boolean} - True for derived filter fields
+   */
+  isIndexKey(key) {
+    return key.startsWith(INDEX_PREFIX);
+  }
+
+  /**
+   * Read tags from metadata, given as a list or a comma-separated string
+   * @param {Array<string>|string} tags - Tags
+   * @returns {Array<string>} - Normalized, unique tags
+   */
+  parseTags(tags) {
+    const list = Array.isArray(tags) ? tags : typeof tags === 'string' ? tags.split(',') : [];
+    return [...new Set(list.filter(tag => typeof tag === 'string').map(tag => this.normalizeTag(tag)).filter(Boolean))];
+  }
+
+  /**
+   * Normalize a tag for storage and comparison
+   * @param {string} tag - Tag
+   * @returns {string} - Trimmed, lower-case tag
+   */
+  normalizeTag(tag) {
+    return tag.trim().toLowerCase();
+  }
+
+  /**
+   * Read a filter condition as an operator object. A bare value means $eq and a list means $in.
+   * @param {*} condition - Condition
+   * @returns {Object} - Operators and operands
+   * @private
+   */
+  toOperators(condition) {
+    if (Array.isArray(condition)) return { $in: condition };
+    if (this.isPlainObject(condition)) return condition;
+    return { $eq: condition };
+  }
+
+  /**
+   * Convert a date operand to milliseconds since the epoch
+   * @param {string|number} value - ISO 8601 date or timestamp in milliseconds
+   * @returns {number|null} - Timestamp, or null if the value is not a date
+   */
+  toTimestamp(value) {
+    if (typeof value === 'number') {
+      return Number.isFinite(value) ? value : null;
+    }
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}/.test(value)) {
+      return null;
+    }
+    const timestamp = Date.parse(value);
+    return Number.isNaN(timestamp) ? null : timestamp;
+  }
+
+  /**
+   * Check for a plain object (not null or a list)
+   * @param {*} value - Value
+   * @returns {boolean} - True for plain objects
+   * @private
+   */
+  isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+}
+
+export default new MetadataFilter();
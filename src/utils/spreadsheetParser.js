@@ -0,0 +1,395 @@
+import fs from 'fs/promises';
+import path from 'path';
+import JSZip from 'jszip';
+import * as cheerio from 'cheerio';
+
+// Built-in Excel number formats that display dates and times
+const BUILTIN_DATE_FORMATS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47]);
+
+// Currency symbols written before or after amounts, e.g. "$1,200" or "1.200,50 €"
+const CURRENCY_SYMBOLS = /^[$€£¥₹]\s*|\s*[$€£¥₹]$/g;
+
+class SpreadsheetParser {
+  constructor() {
+    this.spreadsheetFormats = ['.csv', '.xlsx'];
+    this.maxRows = parseInt(process.env.SPREADSHEET_MAX_ROWS) || 100000;
+  }
+
+  /**
+   * Check if a file is a spreadsheet
+   * @param {string} filename - File name
+   * @returns {boolean} - True if the file is a CSV or XLSX file
+   */
+  isSpreadsheet(filename) {
+    return this.spreadsheetFormats.includes(path.extname(filename).toLowerCase());
+  }
+
+  /**
+   * Parse a spreadsheet into tables. The first non-empty row of every sheet is its header.
+   * @param {string} filePath - Path to the file
+   * @param {Object} options - Parsing options
+   * @param {string} options.name - Sheet name used for CSV files (defaults to the file name)
+   * @returns {Promise<{sheets: Array<{name: string, columns: Array<string>, columnTypes: Object, rows: Array<Object>, rowCount: number, truncated: boolean}>}>} - Parsed sheets;
+   *   rows are keyed by column name, with numbers, booleans and dates (ISO strings) typed and empty cells null
+   */
+  async parse(filePath, options = {}) {
+    const ext = path.extname(filePath).toLowerCase();
+
+    try {
+      let grids;
+      if (ext === '.csv') {
+        const content = await fs.readFile(filePath, 'utf8');
+        grids = [{
+          name: options.name || path.parse(filePath).name,
+          cells: this.typeCSVRows(this.parseCSV(content))
+        }];
+      } else if (ext === '.xlsx') {
+        grids = await this.parseXLSX(filePath);
+      } else {
+        throw new Error(`Unsupported spreadsheet format: ${ext}`);
+      }
+
+      const sheets = grids.map(grid => this.toTable(grid.name, grid.cells)).filter(sheet => sheet.columns.length > 0);
+      console.log(`📊 Parsed ${sheets.length} sheets (${sheets.reduce((sum, sheet) => sum + sheet.rowCount, 0)} rows) from ${path.basename(filePath)}`);
+      return { sheets };
+    } catch (error) {
+      throw new Error(`Failed to parse spreadsheet: ${error.message}`);
+    }
+  }
+
+  /**
+   * Split CSV content into rows of raw values (RFC 4180: quoted fields may contain
+   * delimiters, doubled quotes and line breaks)
+   * @param {string} content - CSV content
+   * @param {string} delimiter - Field delimiter (detected from the first line when omitted)
+   * @returns {Array<Array<string>>} - Rows of values
+   */
+  parseCSV(content, delimiter = null) {
+    const text = content.replace(/^\uFEFF/, '');
+    const separator = delimiter || this.detectDelimiter(text);
+    const rows = [];
+    let row = [];
+    let value = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (inQuotes) {
+        if (char === '"' && text[i + 1] === '"') {
+          value += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          value += char;
+        }
+      } else if (char === '"' && value === '') {
+        inQuotes = true;
+      } else if (char === separator) {
+        row.push(value);
+        value = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(value);
+        rows.push(row);
+        row = [];
+        value = '';
+      } else {
+        value += char;
+      }
+    }
+
+    if (value !== '' || row.length > 0) {
+      row.push(value);
+      rows.push(row);
+    }
+
+    return rows;
+  }
+
+  /**
+   * Pick the delimiter that occurs most often outside quotes on the first line
+   * @private
+   */
+  detectDelimiter(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+    const candidates = [',', ';', '\t', '|'];
+    const counts = candidates.map(candidate => firstLine.split(candidate).length - 1);
+    const best = counts.indexOf(Math.max(...counts));
+    return counts[best] > 0 ? candidates[best] : ',';
+  }
+
+  /**
+   * Type raw CSV values. Columns holding codes with leading zeros (IDs, postcodes) stay text,
+   * and ISO dates are kept as strings but marked as dates. Amounts are read as numbers,
+   * see parseNumber.
+   * @private
+   */
+  typeCSVRows(rows) {
+    const codeColumns = new Set();
+    rows.forEach(row => row.forEach((raw, i) => {
+      if (/^[-+]?0\d+$/.test(raw.trim())) codeColumns.add(i);
+    }));
+
+    return rows.map(row => row.map((raw, i) => {
+      const value = raw.trim();
+      if (value === '') {
+        return { value: null, isDate: false };
+      }
+      const number = codeColumns.has(i) ? null : this.parseNumber(value);
+      if (number !== null) {
+        return { value: number, isDate: false };
+      }
+      if (/^(true|false)$/i.test(value)) {
+        return { value: value.toLowerCase() === 'true', isDate: false };
+      }
+      return { value, isDate: /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2})?)?$/.test(value) };
+    }));
+  }
+
+  /**
+   * Read a number as spreadsheets display it: with grouping separators ("1,200" or "1.200,50"),
+   * a currency symbol ("$1,200", "1.200 €") or accounting parentheses for negatives ("(1,200)").
+   * A single separator is read as a decimal point, so "1.200" is 1.2.
+   * @param {string} value - Trimmed cell text
+   * @returns {number|null} - The number, or null if the text is not one
+   */
+  parseNumber(value) {
+    let text = value;
+    let sign = 1;
+
+    const parenthesized = text.match(/^\((.+)\)$/);
+    if (parenthesized) {
+      text = parenthesized[1];
+      sign = -1;
+    }
+
+    // The sign may come before or after the currency symbol: "-$5" or "$-5"
+    text = text.replace(/^([-+])\s*([$€£¥₹])/, '$2$1').replace(CURRENCY_SYMBOLS, '');
+
+    if (/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(text)) {
+      return sign * Number(text);
+    }
+    if (/^[-+]?\d{1,3}(,\d{3})+(\.\d+)?$/.test(text)) {
+      return sign * Number(text.replace(/,/g, ''));
+    }
+    if (/^[-+]?\d{1,3}(\.\d{3})+(,\d+)?$/.test(text)) {
+      return sign * Number(text.replace(/\./g, '').replace(',', '.'));
+    }
+    return null;
+  }
+
+  /**
+   * Read every worksheet of an XLSX workbook into rows of typed cells
+   * @private
+   */
+  async parseXLSX(filePath) {
+    const zip = await JSZip.loadAsync(await fs.readFile(filePath));
+    const readXML = async (name) => {
+      const file = zip.file(name);
+      return file ? cheerio.load(await file.async('string'), { xmlMode: true }) : null;
+    };
+
+    const workbook = await readXML('xl/workbook.xml');
+    if (!workbook) {
+      throw new Error('Workbook not found in XLSX file');
+    }
+
+    const rels = await readXML('xl/_rels/workbook.xml.rels');
+    const targets = {};
+    rels?.('Relationship').each((_, rel) => {
+      const target = rels(rel).attr('Target');
+      targets[rels(rel).attr('Id')] = target.startsWith('/') ? target.substring(1) : path.posix.join('xl', target);
+    });
+
+    const sharedStrings = [];
+    const strings = await readXML('xl/sharedStrings.xml');
+    strings?.('si').each((_, item) => {
+      // Rich text is stored as runs; phonetic hints are not part of the value
+      sharedStrings.push(strings(item).find('t').not('rPh t').map((__, t) => strings(t).text()).get().join(''));
+    });
+
+    const dateStyles = this.readDateStyles(await readXML('xl/styles.xml'));
+    const date1904 = ['1', 'true'].includes(workbook('workbookPr').attr('date1904'));
+
+    const grids = [];
+    for (const sheet of workbook('sheets > sheet').toArray()) {
+      const name = workbook(sheet).attr('name');
+      const sheetPath = targets[workbook(sheet).attr('r:id')];
+      const $ = sheetPath ? await readXML(sheetPath) : null;
+      if (!$) continue;
+
+      const cells = [];
+      $('sheetData > row').each((rowIndex, row) => {
+        if (cells.length > this.maxRows) return false;
+        const rowNumber = parseInt($(row).attr('r')) || rowIndex + 1;
+        const values = [];
+
+        $(row).children('c').each((cellIndex, cell) => {
+          const ref = $(cell).attr('r');
+          const column = ref ? this.columnIndex(ref) : cellIndex;
+          values[column] = this.readXLSXCell($, cell, sharedStrings, dateStyles, date1904);
+        });
+
+        // Rows are placed by their reference, since rows without values are left out of the XML
+        cells[rowNumber - 1] = Array.from(values, value => value || { value: null, isDate: false });
+      });
+
+      grids.push({ name, cells: Array.from(cells, row => row || []) });
+    }
+
+    return grids;
+  }
+
+  /**
+   * Find the cell styles that format numbers as dates
+   * @private
+   */
+  readDateStyles($) {
+    const dateStyles = new Set();
+    if (!$) return dateStyles;
+
+    const customDateFormats = new Set();
+    $('numFmts > numFmt').each((_, format) => {
+      // Ignore quoted literals and [colour]/[locale] sections when looking for date tokens
+      const code = ($(format).attr('formatCode') || '').replace(/"[^"]*"|\[[^\]]*\]/g, '');
+      if (/[dmyhs]/i.test(code)) {
+        customDateFormats.add(parseInt($(format).attr('numFmtId')));
+      }
+    });
+
+    $('cellXfs > xf').each((index, xf) => {
+      const formatId = parseInt($(xf).attr('numFmtId'));
+      if (BUILTIN_DATE_FORMATS.has(formatId) || customDateFormats.has(formatId)) {
+        dateStyles.add(index);
+      }
+    });
+
+    return dateStyles;
+  }
+
+  /**
+   * Read the value of an XLSX cell
+   * @private
+   */
+  readXLSXCell($, cell, sharedStrings, dateStyles, date1904) {
+    const type = $(cell).attr('t') || 'n';
+    const raw = $(cell).children('v').text();
+
+    switch (type) {
+      case 's':
+        return { value: sharedStrings[parseInt(raw)] ?? null, isDate: false };
+      case 'inlineStr':
+        return { value: $(cell).find('is t').map((_, t) => $(t).text()).get().join('') || null, isDate: false };
+      case 'str':
+      case 'e':
+        return { value: raw || null, isDate: false };
+      case 'b':
+        return { value: raw === '' ? null : raw === '1', isDate: false };
+      case 'd':
+        return { value: raw || null, isDate: Boolean(raw) };
+      default: {
+        if (raw === '') return { value: null, isDate: false };
+        const number = Number(raw);
+        if (dateStyles.has(parseInt($(cell).attr('s')))) {
+          return { value: this.serialToDate(number, date1904), isDate: true };
+        }
+        return { value: number, isDate: false };
+      }
+    }
+  }
+
+  /**
+   * Convert an Excel date serial number to an ISO date (or date-time) string
+   * @private
+   */
+  serialToDate(serial, date1904 = false) {
+    // Serial 0 is 1899-12-30 (which absorbs Excel's 1900 leap year bug) or 1904-01-01
+    const epoch = date1904 ? Date.UTC(1904, 0, 1) : Date.UTC(1899, 11, 30);
+    const date = new Date(epoch + Math.round(serial * 86400000));
+    const iso = date.toISOString();
+    return Number.isInteger(serial) ? iso.substring(0, 10) : iso.substring(0, 19);
+  }
+
+  /**
+   * Convert the column letters of a cell reference (e.g. "AB12") to a zero-based index
+   * @private
+   */
+  columnIndex(ref) {
+    const letters = ref.match(/^[A-Z]+/i)[0].toUpperCase();
+    return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+  }
+
+  /**
+   * Turn a grid of typed cells into a table, using the first non-empty row as the header
+   * @private
+   */
+  toTable(name, cells) {
+    const isEmpty = row => !row || row.every(cell => cell.value === null || cell.value === '');
+    const headerIndex = cells.findIndex(row => !isEmpty(row));
+    if (headerIndex === -1) {
+      return { name, columns: [], columnTypes: {}, rows: [], rowCount: 0, truncated: false };
+    }
+
+    const dataRows = cells.slice(headerIndex + 1).filter(row => !isEmpty(row));
+    const width = dataRows.reduce((max, row) => Math.max(max, row.length), cells[headerIndex].length);
+
+    // Blank headers get a positional name and repeated headers a numeric suffix
+    const columns = [];
+    for (let i = 0; i < width; i++) {
+      const header = cells[headerIndex][i]?.value;
+      const base = header === null || header === undefined || header === '' ? `Column ${i + 1}` : String(header).trim();
+      let column = base;
+      for (let n = 2; columns.includes(column); n++) column = `${base}_${n}`;
+      columns.push(column);
+    }
+
+    const truncated = dataRows.length > this.maxRows;
+    const rows = dataRows.slice(0, this.maxRows).map(row =>
+      Object.fromEntries(columns.map((column, i) => [column, row[i]?.value ?? null]))
+    );
+
+    const columnTypes = {};
+    columns.forEach((column, i) => {
+      const cellsInColumn = dataRows.map(row => row[i]).filter(cell => cell && cell.value !== null);
+      if (cellsInColumn.length === 0) {
+        columnTypes[column] = 'string';
+      } else if (cellsInColumn.every(cell => cell.isDate)) {
+        columnTypes[column] = 'date';
+      } else if (cellsInColumn.every(cell => typeof cell.value === 'number')) {
+        columnTypes[column] = 'number';
+      } else if (cellsInColumn.every(cell => typeof cell.value === 'boolean')) {
+        columnTypes[column] = 'boolean';
+      } else {
+        columnTypes[column] = 'string';
+      }
+    });
+
+    if (truncated) {
+      console.warn(`⚠️ Sheet "${name}" has ${dataRows.length} rows; only the first ${this.maxRows} are kept`);
+    }
+
+    return { name, columns, columnTypes, rows, rowCount: rows.length, truncated };
+  }
+
+  /**
+   * Render a table as a markdown table
+   * @param {Object} sheet - Sheet from parse
+   * @returns {string} - Markdown table
+   */
+  toMarkdown(sheet) {
+    const format = value => value === null || value === undefined
+      ? ''
+      : String(value).replace(/\s+/g, ' ').trim().replace(/\|/g, '\\|');
+
+    const lines = [
+      `| ${sheet.columns.map(format).join(' | ')} |`,
+      `| ${sheet.columns.map(() => '---').join(' | ')} |`,
+      ...sheet.rows.map(row => `| ${sheet.columns.map(column => format(row[column])).join(' | ')} |`)
+    ];
+    return lines.join('\n');
+  }
+}
+
+export default new SpreadsheetParser();
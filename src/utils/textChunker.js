@@ -3,12 +3,28 @@ class TextChunker {
     this.chunkSize = options.chunkSize || 1000;
     this.chunkOverlap = options.chunkOverlap || 200;
     this.separators = options.separators || ['\n\n', '\n', '. ', '! ', '? ', '; ', ', ', ' '];
+    // Measures chunkSize and chunkOverlap; characters unless a token counter is given
+    this.lengthFunction = options.lengthFunction || null;
+  }
+
+  /**
+   * Measure text in the unit chunks are sized in
+   * @param {string} text - Text to measure
+   * @param {Object} options - Chunking options; options.lengthFunction overrides the instance's
+   * @returns {number} - Length in characters, or whatever the length function counts (e.g. tokens)
+   */
+  measure(text, options = {}) {
+    const lengthFunction = options.lengthFunction || this.lengthFunction;
+    return lengthFunction ? lengthFunction(text) : text.length;
   }
 
   /**
    * Split text into chunks based on size and overlap
    * @param {string} text - Text to chunk
    * @param {Object} options - Chunking options
+   * @param {number} options.chunkSize - Maximum chunk size, measured with measure()
+   * @param {number} options.chunkOverlap - Overlap between chunks, measured with measure()
+   * @param {Function} options.lengthFunction - Returns the size of a piece of text, e.g. its token count
    * @returns {Array<{text: string, start: number, end: number}>} - Array of text chunks
    */
   chunkText(text, options = {}) {
@@ -16,7 +32,7 @@ class TextChunker {
     const chunkOverlap = options.chunkOverlap || this.chunkOverlap;
     const separators = options.separators || this.separators;
 
-    if (!text || text.length <= chunkSize) {
+    if (!text || this.measure(text, options) <= chunkSize) {
       return [{
         text: text,
         start: 0,
@@ -28,7 +44,7 @@ class TextChunker {
     let start = 0;
 
     while (start < text.length) {
-      let end = start + chunkSize;
+      let end = this.findChunkEnd(text, start, chunkSize, options);
 
       // If this isn't the last chunk, try to break at a natural boundary
       if (end < text.length) {
@@ -45,8 +61,10 @@ class TextChunker {
         });
       }
 
+      if (end >= text.length) break;
+
       // Move start position for next chunk, accounting for overlap
-      start = end - chunkOverlap;
+      start = this.findOverlapStart(text, end, chunkOverlap, options);
       
       // Ensure we don't go backwards
       if (start <= chunks.length > 0 ? chunks[chunks.length - 1].start : 0) {
@@ -57,6 +75,69 @@ class TextChunker {
     return chunks;
   }
 
+  /**
+   * Find where a chunk starting at start must end to stay within chunkSize
+   * @param {string} text - Full text
+   * @param {number} start - Start position
+   * @param {number} chunkSize - Maximum chunk size, measured with measure()
+   * @param {Object} options - Chunking options
+   * @returns {number} - End position
+   */
+  findChunkEnd(text, start, chunkSize, options = {}) {
+    if (!(options.lengthFunction || this.lengthFunction)) {
+      return Math.min(start + chunkSize, text.length);
+    }
+
+    // Grow the window until it is too large, then binary search for the largest one that fits
+    let low = start + 1;
+    let high = Math.min(start + chunkSize * 4, text.length);
+    while (high < text.length && this.measure(text.substring(start, high), options) <= chunkSize) {
+      low = high;
+      high = Math.min(start + (high - start) * 2, text.length);
+    }
+    if (this.measure(text.substring(start, high), options) <= chunkSize) {
+      return high;
+    }
+
+    while (low < high - 1) {
+      const middle = Math.floor((low + high) / 2);
+      if (this.measure(text.substring(start, middle), options) <= chunkSize) {
+        low = middle;
+      } else {
+        high = middle;
+      }
+    }
+    return low;
+  }
+
+  /**
+   * Find where the next chunk starts so that it repeats about chunkOverlap of the previous one
+   * @param {string} text - Full text
+   * @param {number} end - End of the previous chunk
+   * @param {number} chunkOverlap - Overlap, measured with measure()
+   * @param {Object} options - Chunking options
+   * @returns {number} - Start position
+   */
+  findOverlapStart(text, end, chunkOverlap, options = {}) {
+    if (!(options.lengthFunction || this.lengthFunction)) {
+      return end - chunkOverlap;
+    }
+
+    // Smallest start whose span up to end still fits in the overlap
+    const emptySize = this.measure('', options);
+    let low = Math.max(0, end - chunkOverlap * 20);
+    let high = end;
+    while (low < high) {
+      const middle = Math.floor((low + high) / 2);
+      if (this.measure(text.substring(middle, end), options) - emptySize <= chunkOverlap) {
+        high = middle;
+      } else {
+        low = middle + 1;
+      }
+    }
+    return low;
+  }
+
   /**
    * Find the best break point for a chunk within the given range
    * @param {string} text - Full text
@@ -167,50 +248,481 @@ class TextChunker {
   }
 
   /**
-   * Create semantic chunks based on content similarity
+   * Create semantic chunks: sentences are embedded together with their neighbours, and chunks end
+   * where the similarity between adjacent sentences drops below a percentile of all similarities,
+   * as long as the chunk has reached minChunkSize. Chunks are also ended before they exceed maxChunkSize.
    * @param {string} text - Text to chunk
    * @param {Object} options - Chunking options
-   * @returns {Array<{text: string, start: number, end: number}>} - Array of chunks
+   * @param {Function} options.embed - Async function returning one embedding per text
+   * @param {number} options.minChunkSize - Smallest chunk a similarity drop may end, measured with measure() (default: chunkSize / 4)
+   * @param {number} options.maxChunkSize - Largest chunk, measured with measure() (default: chunkSize)
+   * @param {number} options.breakpointPercentile - Similarity drops larger than this percentile of all drops are boundaries (default: 90)
+   * @param {number} options.bufferSize - Neighbouring sentences embedded with each sentence on either side (default: 1)
+   * @returns {Promise<Array<{text: string, start: number, end: number, boundary: string, boundarySimilarity: number|null, similarityThreshold: number|null}>>} - Array of chunks;
+   *   boundary says why each chunk ended: 'semantic', 'max_size' or 'end'
    */
-  chunkSemantically(text, options = {}) {
-    // This is a simplified semantic chunking approach
-    // In a real implementation, you might use embeddings or NLP techniques
-    
-    const paragraphs = this.splitByParagraphs(text);
-    const maxChunkSize = options.maxChunkSize || 1000;
-    
-    const chunks = [];
-    let currentChunk = '';
-    let start = 0;
+  async chunkSemantically(text, options = {}) {
+    if (typeof options.embed !== 'function') {
+      throw new Error('Semantic chunking requires an embed function');
+    }
 
-    for (const paragraph of paragraphs) {
-      if ((currentChunk + paragraph).length > maxChunkSize && currentChunk.length > 0) {
-        // Current chunk is getting too large, save it and start a new one
-        chunks.push({
-          text: currentChunk.trim(),
-          start: start,
-          end: text.indexOf(currentChunk) + currentChunk.length
-        });
+    const maxChunkSize = options.maxChunkSize || options.chunkSize || this.chunkSize;
+    const minChunkSize = Math.min(options.minChunkSize || Math.floor(maxChunkSize / 4), maxChunkSize);
+    const breakpointPercentile = options.breakpointPercentile ?? 90;
+    const bufferSize = options.bufferSize ?? 1;
 
-        currentChunk = paragraph;
-        start = text.indexOf(paragraph);
+    // Sentences longer than the maximum are cut into pieces first
+    const sentences = [];
+    for (const sentence of this.splitSentencesWithOffsets(text)) {
+      if (this.measure(sentence.text, options) <= maxChunkSize) {
+        sentences.push(sentence);
       } else {
-        currentChunk += (currentChunk ? '\n\n' : '') + paragraph;
+        this.chunkText(sentence.text, { ...options, chunkSize: maxChunkSize }).forEach(piece => {
+          sentences.push({ text: piece.text, start: sentence.start + piece.start, end: sentence.start + piece.end });
+        });
       }
     }
 
-    // Add the last chunk
-    if (currentChunk.length > 0) {
+    if (sentences.length <= 1) {
+      return [{
+        text: text ? text.trim() : text,
+        start: 0,
+        end: text ? text.length : 0,
+        boundary: 'end',
+        boundarySimilarity: null,
+        similarityThreshold: null
+      }];
+    }
+
+    // Embed each sentence with its neighbours so single short sentences do not dominate
+    const windows = sentences.map((_, index) => sentences
+      .slice(Math.max(0, index - bufferSize), index + bufferSize + 1)
+      .map(sentence => sentence.text)
+      .join(' '));
+    const embeddings = await options.embed(windows);
+
+    const similarities = [];
+    for (let i = 0; i < sentences.length - 1; i++) {
+      similarities.push(this.cosineSimilarity(embeddings[i], embeddings[i + 1]));
+    }
+
+    // A boundary is a drop in similarity, so the threshold is taken from the low end
+    const sorted = [...similarities].sort((a, b) => a - b);
+    const thresholdIndex = Math.min(sorted.length - 1, Math.max(0, Math.ceil(((100 - breakpointPercentile) / 100) * sorted.length) - 1));
+    const similarityThreshold = sorted[thresholdIndex];
+
+    const chunks = [];
+    let groupStart = 0;
+
+    const closeGroup = (lastIndex, boundary, boundarySimilarity) => {
+      const start = sentences[groupStart].start;
+      const end = sentences[lastIndex].end;
       chunks.push({
-        text: currentChunk.trim(),
-        start: start,
-        end: text.indexOf(currentChunk) + currentChunk.length
+        text: text.substring(start, end),
+        start,
+        end,
+        boundary,
+        boundarySimilarity,
+        similarityThreshold
       });
+      groupStart = lastIndex + 1;
+    };
+
+    for (let i = 0; i < sentences.length - 1; i++) {
+      const currentSize = this.measure(text.substring(sentences[groupStart].start, sentences[i].end), options);
+      const nextSize = this.measure(text.substring(sentences[groupStart].start, sentences[i + 1].end), options);
+
+      if (similarities[i] <= similarityThreshold && currentSize >= minChunkSize) {
+        closeGroup(i, 'semantic', similarities[i]);
+      } else if (nextSize > maxChunkSize) {
+        closeGroup(i, 'max_size', similarities[i]);
+      }
+    }
+    closeGroup(sentences.length - 1, 'end', null);
+
+    // A short final chunk is merged into the previous one when they fit together
+    if (chunks.length > 1) {
+      const last = chunks[chunks.length - 1];
+      const previous = chunks[chunks.length - 2];
+      const merged = text.substring(previous.start, last.end);
+      if (this.measure(last.text, options) < minChunkSize && this.measure(merged, options) <= maxChunkSize) {
+        chunks.splice(chunks.length - 2, 2, {
+          ...previous,
+          text: merged,
+          end: last.end,
+          boundary: 'end',
+          boundarySimilarity: null
+        });
+      }
     }
 
     return chunks;
   }
 
+  /**
+   * Split text into sentences and lines, keeping their offsets
+   * @param {string} text - Text to split
+   * @returns {Array<{text: string, start: number, end: number}>} - Sentences in order
+   */
+  splitSentencesWithOffsets(text) {
+    const sentences = [];
+    if (!text) return sentences;
+
+    let start = 0;
+    const addSentence = (end) => {
+      const raw = text.substring(start, end);
+      const trimmed = raw.trim();
+      if (trimmed) {
+        const offset = start + raw.indexOf(trimmed);
+        sentences.push({ text: trimmed, start: offset, end: offset + trimmed.length });
+      }
+    };
+
+    for (const match of text.matchAll(/(?<=[.!?]["')\]]?)\s+|\s*\n\s*/g)) {
+      addSentence(match.index);
+      start = match.index + match[0].length;
+    }
+    addSentence(text.length);
+
+    return sentences;
+  }
+
+  /**
+   * Cosine similarity of two vectors
+   * @private
+   */
+  cosineSimilarity(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+      dot += a[i] * b[i];
+      normA += a[i] * a[i];
+      normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+  }
+
+  /**
+   * Get the available chunking strategies
+   * @returns {Array<string>} - Strategy names accepted by chunkWithStrategy
+   */
+  getStrategies() {
+    return ['fixed', 'structure', 'semantic'];
+  }
+
+  /**
+   * Split text into chunks with the given strategy
+   * @param {string} text - Text to chunk
+   * @param {string} strategy - 'fixed' (size-based, see chunkText), 'structure' (see chunkByStructure)
+   *   or 'semantic' (see chunkSemantically, needs options.embed)
+   * @param {Object} options - Chunking options
+   * @returns {Promise<Array<Object>>} - Array of chunks
+   */
+  async chunkWithStrategy(text, strategy = 'fixed', options = {}) {
+    switch (strategy) {
+      case 'fixed':
+        return this.chunkText(text, options);
+      case 'structure':
+        return this.chunkByStructure(text, options);
+      case 'semantic':
+        return this.chunkSemantically(text, options);
+      default:
+        throw new Error(`Unknown chunking strategy: ${strategy}. Must be one of: ${this.getStrategies().join(', ')}`);
+    }
+  }
+
+  /**
+   * Split markdown text along its structure. Chunks never cross a heading, tables and lists are
+   * kept whole when they fit and otherwise split between rows or items (tables repeat their
+   * header), and each chunk starts with the breadcrumb of headings it belongs to.
+   * @param {string} text - Markdown text (HTML is converted to markdown by DocumentProcessor)
+   * @param {Object} options - Chunking options
+   * @returns {Array<{text: string, start: number, end: number, headingPath: Array<string>, sectionHeading: string|null}>} - Array of chunks;
+   *   start and end cover the chunk body in the original text
+   */
+  chunkByStructure(text, options = {}) {
+    const chunkSize = options.chunkSize || this.chunkSize;
+    const chunks = [];
+    const headingStack = [];
+    let pending = [];
+
+    if (!text) {
+      return [{ text: text, start: 0, end: 0, headingPath: [], sectionHeading: null }];
+    }
+
+    const currentPath = () => headingStack.map(heading => heading.text);
+    const bodyLimit = () => {
+      const breadcrumb = this.formatBreadcrumb(currentPath());
+      const overhead = breadcrumb ? this.measure(`${breadcrumb}\n\n`, options) - this.measure('', options) : 0;
+      return Math.max(chunkSize - overhead, Math.floor(chunkSize / 2));
+    };
+
+    const pushChunk = (body, start, end) => {
+      const headingPath = currentPath();
+      const breadcrumb = this.formatBreadcrumb(headingPath);
+      chunks.push({
+        text: breadcrumb ? `${breadcrumb}\n\n${body}` : body,
+        start,
+        end,
+        headingPath,
+        sectionHeading: headingPath.length > 0 ? headingPath[headingPath.length - 1] : null
+      });
+    };
+
+    const flush = () => {
+      if (pending.length === 0) return;
+      const start = pending[0].start;
+      const end = pending[pending.length - 1].end;
+      pushChunk(text.substring(start, end), start, end);
+      pending = [];
+    };
+
+    for (const block of this.parseMarkdownBlocks(text)) {
+      if (block.type === 'heading') {
+        flush();
+        while (headingStack.length > 0 && headingStack[headingStack.length - 1].level >= block.level) {
+          headingStack.pop();
+        }
+        headingStack.push({ level: block.level, text: block.heading });
+        continue;
+      }
+
+      const limit = bodyLimit();
+      const pendingSize = this.measure(pending.length > 0 ? text.substring(pending[0].start, block.end) : block.text, options);
+
+      if (pendingSize <= limit) {
+        pending.push(block);
+        continue;
+      }
+
+      flush();
+      if (this.measure(block.text, options) <= limit) {
+        pending.push(block);
+        continue;
+      }
+
+      // The block alone is too large, so it is split on its own boundaries
+      const parts = block.type === 'table'
+        ? this.splitTableRows(block, limit, options)
+        : block.type === 'list'
+          ? this.splitListItems(block, limit, options)
+          : this.chunkText(block.text, { ...options, chunkSize: limit })
+            .map(part => ({ text: part.text, start: block.start + part.start, end: block.start + part.end }));
+
+      parts.forEach(part => pushChunk(part.text, part.start, part.end));
+    }
+    flush();
+
+    // Text with nothing but headings still needs a chunk
+    return chunks.length > 0 ? chunks : this.chunkText(text, options);
+  }
+
+  /**
+   * Split markdown into headings, tables, lists, code blocks and paragraphs
+   * @param {string} text - Markdown text
+   * @returns {Array<{type: string, text: string, start: number, end: number}>} - Blocks in order;
+   *   headings also have level and heading
+   */
+  parseMarkdownBlocks(text) {
+    const lines = [];
+    let offset = 0;
+    for (const line of text.split('\n')) {
+      lines.push({ text: line, start: offset, end: offset + line.length });
+      offset += line.length + 1;
+    }
+
+    const isBlank = line => line.text.trim() === '';
+    const isFence = line => /^\s*(```|~~~)/.test(line.text);
+    const isTableRow = line => /^\s*\|/.test(line.text);
+    const isListItem = line => /^\s*([-*+]|\d+[.)])\s+/.test(line.text);
+    const headingMatch = line => line.text.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+
+    const blocks = [];
+    const addBlock = (type, first, last, extra = {}) => {
+      const start = lines[first].start;
+      const end = lines[last].end;
+      blocks.push({ type, text: text.substring(start, end), start, end, ...extra });
+    };
+
+    let i = 0;
+    while (i < lines.length) {
+      const line = lines[i];
+
+      if (isBlank(line)) {
+        i++;
+        continue;
+      }
+
+      const heading = headingMatch(line);
+      if (heading) {
+        addBlock('heading', i, i, { level: heading[1].length, heading: heading[2] });
+        i++;
+        continue;
+      }
+
+      let last = i;
+      let type;
+
+      if (isFence(line)) {
+        type = 'code';
+        while (last + 1 < lines.length && !isFence(lines[last + 1])) last++;
+        if (last + 1 < lines.length) last++; // Include the closing fence
+      } else if (isTableRow(line)) {
+        type = 'table';
+        while (last + 1 < lines.length && isTableRow(lines[last + 1])) last++;
+      } else if (isListItem(line)) {
+        type = 'list';
+        // Items, their indented continuation lines, and blank lines between items
+        while (last + 1 < lines.length) {
+          const next = lines[last + 1];
+          if (isListItem(next) || (!isBlank(next) && /^\s+/.test(next.text))) {
+            last++;
+          } else if (isBlank(next) && last + 2 < lines.length && isListItem(lines[last + 2])) {
+            last += 2;
+          } else {
+            break;
+          }
+        }
+      } else {
+        type = 'paragraph';
+        while (last + 1 < lines.length) {
+          const next = lines[last + 1];
+          if (isBlank(next) || headingMatch(next) || isFence(next) || isTableRow(next) || isListItem(next)) break;
+          last++;
+        }
+      }
+
+      addBlock(type, i, last);
+      i = last + 1;
+    }
+
+    return blocks;
+  }
+
+  /**
+   * Split a table into groups of rows, repeating the header row(s) in each group
+   * @param {{text: string, start: number}} block - Table block
+   * @param {number} limit - Maximum size of a group including the header
+   * @param {Object} options - Chunking options
+   * @returns {Array<{text: string, start: number, end: number}>} - Row groups; offsets cover the rows only
+   * @private
+   */
+  splitTableRows(block, limit, options = {}) {
+    const rows = this.splitBlockLines(block);
+
+    // A markdown header is the first row plus its |---|---| separator
+    const headerCount = rows.length > 1 && /^\s*\|?\s*:?-{3,}/.test(rows[1].text) ? 2 : 1;
+    const header = rows.slice(0, headerCount).map(row => row.text).join('\n');
+
+    const headerSize = this.measure(`${header}\n`, options) - this.measure('', options);
+    return this.groupLines(rows.slice(headerCount), limit - headerSize, options)
+      .map(group => ({ ...group, text: `${header}\n${group.text}` }));
+  }
+
+  /**
+   * Split a list between its top-level items
+   * @param {{text: string, start: number}} block - List block
+   * @param {number} limit - Maximum size of a group
+   * @param {Object} options - Chunking options
+   * @returns {Array<{text: string, start: number, end: number}>} - Item groups
+   * @private
+   */
+  splitListItems(block, limit, options = {}) {
+    const items = [];
+    const indent = block.text.match(/^\s*/)[0].length;
+
+    for (const line of this.splitBlockLines(block)) {
+      const isTopLevelItem = /^\s*([-*+]|\d+[.)])\s+/.test(line.text) && line.text.match(/^\s*/)[0].length <= indent;
+      if (isTopLevelItem || items.length === 0) {
+        items.push({ ...line });
+      } else {
+        // Nested items and continuation lines stay with their item
+        const item = items[items.length - 1];
+        item.end = line.end;
+        item.text = `${item.text}\n${line.text}`;
+      }
+    }
+
+    return this.groupLines(items, limit, options);
+  }
+
+  /**
+   * Split a block into its lines with offsets in the original text
+   * @private
+   */
+  splitBlockLines(block) {
+    const lines = [];
+    let offset = block.start;
+    for (const line of block.text.split('\n')) {
+      if (line.trim() !== '') {
+        lines.push({ text: line, start: offset, end: offset + line.length });
+      }
+      offset += line.length + 1;
+    }
+    return lines;
+  }
+
+  /**
+   * Group consecutive lines up to a size limit. A single line over the limit forms its own group.
+   * @private
+   */
+  groupLines(lines, limit, options = {}) {
+    const groups = [];
+    let current = null;
+
+    for (const line of lines) {
+      if (current && this.measure(`${current.text}\n${line.text}`, options) <= limit) {
+        current.text += `\n${line.text}`;
+        current.end = line.end;
+      } else {
+        current = { text: line.text, start: line.start, end: line.end };
+        groups.push(current);
+      }
+    }
+    return groups;
+  }
+
+  /**
+   * Format a heading path as a breadcrumb
+   * @param {Array<string>} headingPath - Headings from the outermost to the innermost
+   * @returns {string} - e.g. "Report > Results > Revenue", or an empty string
+   */
+  formatBreadcrumb(headingPath) {
+    return headingPath.join(' > ');
+  }
+
+  /**
+   * Annotate chunks with the pages they span and the section they belong to
+   * @param {Array<{text: string, start: number, end: number}>} chunks - Chunks of the document text
+   * @param {Object} layout - Page and section offsets from DocumentProcessor.processDocument
+   * @param {Array<{pageNumber: number, start: number, end: number}>} layout.pages - Page offsets
+   * @param {Array<{heading: string, level: number, start: number}>} layout.sections - Section headings
+   * @returns {Array<Object>} - Chunks with pageStart, pageEnd and sectionHeading (null when unknown)
+   */
+  assignLayout(chunks, layout = {}) {
+    const pages = layout.pages || [];
+    const sections = layout.sections || [];
+
+    return chunks.map(chunk => {
+      // Offsets between two pages belong to the separator, so they count towards the next page
+      const firstPage = pages.find(page => page.end > chunk.start);
+      const lastPage = [...pages].reverse().find(page => page.start < chunk.end);
+
+      // The section in effect where the chunk starts, or else the first one that starts inside it
+      const section = [...sections].reverse().find(s => s.start <= chunk.start) ||
+        sections.find(s => s.start < chunk.end);
+
+      return {
+        ...chunk,
+        pageStart: firstPage ? firstPage.pageNumber : null,
+        pageEnd: lastPage ? Math.max(lastPage.pageNumber, firstPage?.pageNumber ?? 0) : null,
+        // Structure-aware chunks already know their section
+        sectionHeading: chunk.sectionHeading ?? (section ? section.heading : null)
+      };
+    });
+  }
+
   /**
    * Get chunk statistics
    * @param {Array<{text: string, start: number, end: number}>} chunks - Array of chunks
@@ -230,13 +742,34 @@ class TextChunker {
     const sizes = chunks.map(chunk => chunk.text.length);
     const totalLength = sizes.reduce((sum, size) => sum + size, 0);
 
-    return {
+    const stats = {
       totalChunks: chunks.length,
       averageChunkSize: Math.round(totalLength / chunks.length),
       minChunkSize: Math.min(...sizes),
       maxChunkSize: Math.max(...sizes),
       totalTextLength: totalLength
     };
+
+    // How semantic chunk boundaries were chosen
+    const boundaries = chunks.map(chunk => chunk.boundary).filter(Boolean);
+    if (boundaries.length === chunks.length) {
+      stats.boundaries = {
+        semantic: boundaries.filter(boundary => boundary === 'semantic').length,
+        maxSize: boundaries.filter(boundary => boundary === 'max_size').length,
+        end: boundaries.filter(boundary => boundary === 'end').length
+      };
+      stats.similarityThreshold = chunks[0].similarityThreshold ?? null;
+    }
+
+    // Token statistics when the chunks have been counted
+    const tokenCounts = chunks.map(chunk => chunk.tokenCount).filter(Number.isFinite);
+    if (tokenCounts.length === chunks.length) {
+      stats.averageTokenCount = Math.round(tokenCounts.reduce((sum, count) => sum + count, 0) / chunks.length);
+      stats.minTokenCount = Math.min(...tokenCounts);
+      stats.maxTokenCount = Math.max(...tokenCounts);
+    }
+
+    return stats;
   }
 
   /**
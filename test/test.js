@@ -1,12 +1,36 @@
 import fs from 'fs/promises';
+import os from 'os';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
+import express from 'express';
+import multer from 'multer';
+import apiRoutes from '../src/routes/api.js';
 import vextService from '../src/services/vextService.js';
 import vectorService from '../src/services/vectorService.js';
 import aiService from '../src/services/aiService.js';
+import { createLLMProvider, getLLMProviderType } from '../src/services/llmProviders/index.js';
+import promptTemplateService from '../src/services/promptTemplateService.js';
+import llmTokenizerService from '../src/services/llmTokenizerService.js';
+import groundingService from '../src/services/groundingService.js';
+import conversationService from '../src/services/conversationService.js';
+import questionHistoryService from '../src/services/questionHistoryService.js';
 import documentProcessor from '../src/utils/documentProcessor.js';
 import textChunker from '../src/utils/textChunker.js';
+import LocalVectorStore from '../src/services/vectorStores/localVectorStore.js';
+import LexicalIndex from '../src/utils/lexicalIndex.js';
+import archiveExtractor from '../src/utils/archiveExtractor.js';
+import tableStoreService from '../src/services/tableStoreService.js';
+import documentVersionService from '../src/services/documentVersionService.js';
+import ingestionJobService from '../src/services/ingestionJobService.js';
+import emailVectorService from '../src/services/emailVectorService.js';
+import rerankerService from '../src/services/rerankerService.js';
+import spreadsheetParser from '../src/utils/spreadsheetParser.js';
+import ExtractorRegistry from '../src/utils/extractorRegistry.js';
+import languageDetector from '../src/utils/languageDetector.js';
+import metadataFilter from '../src/utils/metadataFilter.js';
+import { matchesWhere } from '../src/services/vectorStores/localVectorStore.js';
+import JSZip from 'jszip';
 
 // Load environment variables
 dotenv.config();
@@ -27,9 +51,36 @@ class TestSuite {
       await this.testEnvironment();
       await this.testVextService();
       await this.testAIService();
+      await this.testLLMProviders();
+      await this.testPromptTemplates();
+      await this.testContextBudget();
+      await this.testCitations();
+      await this.testGrounding();
+      await this.testConversations();
       await this.testVectorService();
+      await this.testLocalVectorStore();
+      await this.testLexicalIndex();
+      await this.testIngestionJobs();
+      await this.testJobEndpoints();
+      await this.testDuplicatePolicies();
+      await this.testDocumentVersions();
+      await this.testReranking();
+      await this.testQueryStream();
+      await this.testEmailUpsert();
       await this.testDocumentProcessor();
+      await this.testArchiveExtractor();
+      await this.testSpreadsheetTables();
+      await this.testNativeExtractors();
+      await this.testExtractorRegistry();
+      await this.testDocumentMetadata();
+      await this.testMetadataFilter();
+      await this.testFilterBackfill();
+      await this.testDocumentTags();
       await this.testTextChunker();
+      await this.testPageLayout();
+      await this.testStructureChunker();
+      await this.testTokenSizedChunking();
+      await this.testSemanticChunker();
       await this.testIntegration();
 
       this.printResults();
@@ -84,6 +135,267 @@ class TestSuite {
     }
   }
 
+  async testLLMProviders() {
+    console.log('🔌 Testing LLM Providers...');
+
+    try {
+      const local = createLLMProvider({ type: 'openai-compatible', baseURL: 'http://localhost:11434/v1', model: 'llama3.1' });
+      const params = local.toParams({ model: 'llama3.1', messages: [], maxTokens: 10, temperature: 0, json: true });
+
+      let unsupported = null;
+      try {
+        createLLMProvider({ type: 'unknown' });
+      } catch (error) {
+        unsupported = error.message;
+      }
+
+      // A provider chosen per request receives every call, with the requested model
+      const requests = [];
+      aiService.providers.set('test', {
+        type: 'test',
+        defaultModel: 'test-model',
+        complete: async (request) => {
+          requests.push(request);
+          return { content: 'Topic A\nTopic B', totalTokens: 3 };
+        }
+      });
+      const topics = await aiService.extractTopics([{ text: 'content', metadata: {} }], { provider: 'test', model: 'override' });
+      const summary = await aiService.generateSummary([{ text: 'content', metadata: {} }], { provider: 'test' });
+      aiService.providers.delete('test');
+
+      if (local.type === 'openai-compatible' && params.max_tokens === 10 && params.response_format?.type === 'json_object' &&
+          unsupported?.includes('Unsupported LLM provider') && topics.length === 2 && summary.includes('Topic A') &&
+          requests[0].model === 'override' && requests[1].model === 'test-model') {
+        this.addResult('LLM Providers', true, 'Provider selection, request mapping and per-request overrides working correctly');
+      } else {
+        this.addResult('LLM Providers', false, `Unexpected results: ${JSON.stringify({ params, unsupported, topics, requests })}`);
+      }
+    } catch (error) {
+      this.addResult('LLM Providers', false, error.message);
+    }
+  }
+
+  async testPromptTemplates() {
+    console.log('📝 Testing Prompt Templates...');
+
+    const dataPath = await fs.mkdtemp(path.join(os.tmpdir(), 'vext-templates-'));
+
+    try {
+      const templates = new promptTemplateService.constructor();
+      templates.templatesFile = path.join(dataPath, 'prompt_templates.json');
+
+      const missingContext = templates.validateTemplate({ name: 'brief', systemPrompt: 'Answer briefly.' });
+      const unknownVariable = templates.validateTemplate({ name: 'brief', systemPrompt: '{{context}} {{secret}}' });
+
+      await templates.createTemplate({ name: 'brief', systemPrompt: 'Answer {{user.team}} briefly from:\n{{context}}' });
+      const updated = await templates.updateTemplate('brief', { userPrompt: 'Q ({{user.userId}}): {{question}}' });
+      const first = await templates.getTemplate('brief', 1);
+
+      const rendered = templates.render(updated, { context: 'Doc text {{question}}', question: 'Why?', user: { userId: 'u1' } });
+      const inherited = templates.render({ systemPrompt: '[{{user.constructor}}{{user.toString}}]', userPrompt: '{{question}}' }, { user: {} });
+
+      // Without a template the built-in one for the question type is used
+      const context = [{ text: 'Revenue rose.', metadata: { originalFilename: 'report.pdf' } }];
+      const standard = await aiService.prepareAnswerPrompt('Why did revenue rise?', context, { model: 'test-model' });
+      const custom = await aiService.prepareAnswerPrompt('Why?', context, { model: 'test-model', template: first, user: { team: 'Sales' } });
+
+      if (missingContext?.includes('{{context}}') && unknownVariable?.includes('secret') &&
+          updated.version === 2 && updated.versions.join() === '1,2' && first.userPrompt === 'Question: {{question}}' &&
+          rendered.systemPrompt === 'Answer  briefly from:\nDoc text {{question}}' && rendered.userPrompt === 'Q (u1): Why?' &&
+          inherited.systemPrompt === '[]' &&
+          standard.template.name === 'standard' && standard.systemPrompt.includes('Revenue rose.') &&
+          custom.template.name === 'brief' && custom.template.version === 1 && custom.systemPrompt.startsWith('Answer Sales briefly')) {
+        this.addResult('Prompt Templates', true, 'Template validation, versioning, rendering and selection working correctly');
+      } else {
+        this.addResult('Prompt Templates', false, `Unexpected results: ${JSON.stringify({ missingContext, unknownVariable, updated, rendered, inherited, standard: standard.template, custom: custom.template })}`);
+      }
+    } catch (error) {
+      this.addResult('Prompt Templates', false, error.message);
+    } finally {
+      await fs.rm(dataPath, { recursive: true, force: true });
+    }
+  }
+
+  async testContextBudget() {
+    console.log('🧮 Testing Context Budget...');
+
+    const configuredTokenizer = process.env.LLM_TOKENIZER;
+
+    try {
+      // One token per word, so budgets are easy to follow
+      const countChunk = (doc) => doc.text.split(/\s+/).filter(Boolean).length;
+      const chunk = (id, words, score) => ({ text: 'word '.repeat(words).trim(), metadata: { id, documentId: 'doc1', score } });
+
+      const context = [chunk('low', 10, 0.1), chunk('best', 50, 0.9), chunk('middle', 60, 0.5)];
+      const budgeted = aiService.truncateContext(context, 70, countChunk);
+      const cut = aiService.truncateContext(context, 8, countChunk);
+
+      const counter = { countMessages: (messages) => messages.reduce((sum, message) => sum + countChunk({ text: message.content }), 0) };
+      const history = aiService.fitHistoryMessages([
+        { role: 'user', content: 'first question' }, { role: 'assistant', content: 'a long first answer here' },
+        { role: 'user', content: 'second question' }, { role: 'assistant', content: 'short' }
+      ], 5, counter);
+
+      delete process.env.LLM_TOKENIZER;
+      const estimate = await llmTokenizerService.getTokenCounter('unknown-model');
+
+      // A tokenizer that recently failed to load is not tried again until the retry delay has passed
+      const tokenizers = new llmTokenizerService.constructor();
+      tokenizers.failedLoads.set('Xenova/gpt-4o', Date.now());
+      const afterFailure = await tokenizers.getTokenCounter('gpt-4o');
+
+      if (budgeted.documents.map(doc => doc.metadata.id).join() === 'low,best' &&
+          budgeted.dropped.map(entry => entry.id).join() === 'middle' && budgeted.tokens === 60 && budgeted.wasTruncated &&
+          cut.documents.length === 1 && cut.included[0].id === 'best' && cut.included[0].truncated && cut.tokens === 8 &&
+          history.messages.length === 2 && history.turnsDropped === 1 &&
+          llmTokenizerService.getTokenizerName('llama-3.3-70b-versatile') === 'Xenova/llama3-tokenizer-new' &&
+          !estimate.exact && estimate.countTokens('abcdef') === 2 &&
+          !afterFailure.exact && !tokenizers.tokenizers.has('Xenova/gpt-4o')) {
+        this.addResult('Context Budget', true, 'Low-scoring chunks dropped whole, budgets and history limits respected');
+      } else {
+        this.addResult('Context Budget', false, `Unexpected results: ${JSON.stringify({ budgeted, cut, history, estimate })}`);
+      }
+    } catch (error) {
+      this.addResult('Context Budget', false, error.message);
+    } finally {
+      if (configuredTokenizer !== undefined) {
+        process.env.LLM_TOKENIZER = configuredTokenizer;
+      }
+    }
+  }
+
+  async testCitations() {
+    console.log('🔖 Testing Citations...');
+
+    try {
+      const documents = [
+        { text: 'Revenue rose 12% in Q3.', metadata: { id: 'doc1_4', documentId: 'doc1', chunkIndex: 4, chunkStart: 900, chunkEnd: 923, pageStart: 3, pageEnd: 3, score: 0.8 } },
+        { text: 'Costs were flat.', metadata: { id: 'doc2_0', documentId: 'doc2', chunkIndex: 0, chunkStart: 0, chunkEnd: 16, score: 0.4, rerankScore: 0.6 } }
+      ];
+      const prompt = {
+        truncatedContext: { documents, included: [], dropped: [], wasTruncated: false },
+        budget: {},
+        template: { name: 'standard', version: 1 }
+      };
+
+      const contextText = aiService.formatContextForAI(documents, false);
+      const answer = 'Revenue rose 12% [C1], while costs were flat [C2, C7].';
+      const result = await aiService.buildAnswerResult(answer, documents, prompt, 'test-model', 0, 'test');
+      const [first, second, third] = result.citations;
+
+      if (contextText.includes('=== [C1]') && contextText.includes('=== [C2]') && result.citations.length === 3 &&
+          first.documentId === 'doc1' && first.chunkId === 'doc1_4' && first.charStart === 900 && first.charEnd === 923 &&
+          first.pageStart === 3 && answer.slice(first.start, first.end) === '[C1]' &&
+          second.valid && second.documentId === 'doc2' && !third.valid && result.invalidCitations.join() === 'C7' &&
+          result.sources.map(source => source.citationId).join() === 'C1,C2' &&
+          result.sources.map(source => source.relevance).join() === '0.8,0.6') {
+        this.addResult('Citations', true, 'Chunk IDs labelled in the prompt, citations mapped and unknown IDs flagged');
+      } else {
+        this.addResult('Citations', false, `Unexpected results: ${JSON.stringify({ contextText, result })}`);
+      }
+    } catch (error) {
+      this.addResult('Citations', false, error.message);
+    }
+  }
+
+  async testGrounding() {
+    console.log('🔍 Testing Grounding...');
+
+    try {
+      const grounding = new groundingService.constructor();
+      grounding.nliEnabled = false;
+
+      const documents = [
+        { text: 'Revenue rose 12% in the third quarter, driven by subscription sales.' },
+        { text: 'Operating costs stayed flat at 4.2 million dollars.' }
+      ];
+      const answer = 'Here is what I found:\nRevenue rose 12% in the third quarter [C1]. Operating costs stayed flat at 5.1 million dollars [C2]. ' +
+        'The company also opened three offices in Asia.';
+      const citations = aiService.extractCitations(answer, documents);
+      const result = await grounding.verify(answer, documents, citations);
+      const labels = result.sentences.map(sentence => `${sentence.claim ? sentence.label : 'none'}`);
+
+      // NLI pairs are scored in fixed-size batches, in order; the stand-in model entails premises that contain "yes"
+      const batches = [];
+      grounding.tokenizer = (premises, { text_pair }) => ({ premises, hypotheses: text_pair });
+      grounding.model = async ({ premises }) => {
+        batches.push(premises.length);
+        return { logits: { dims: [premises.length, 2], data: premises.flatMap(premise => premise === 'yes' ? [4, -4] : [-4, 4]) } };
+      };
+      grounding.model.config = { id2label: { 0: 'entailment', 1: 'contradiction' } };
+      const pairs = Array.from({ length: 10 }, (_, i) => ({ premise: i % 3 === 0 ? 'yes' : 'no', hypothesis: 'claim' }));
+      const entailment = await grounding.scoreEntailment(pairs);
+
+      if (labels.join() === 'none,grounded,ungrounded,ungrounded' &&
+          batches.join() === '8,2' && entailment.map(score => score > 0.5 ? 1 : 0).join('') === '1001001001' &&
+          result.sentences[1].supportingChunks.join() === 'C1' &&
+          result.unsupportedClaims.length === 2 && result.unsupportedClaims[0].text.includes('5.1 million') &&
+          result.markedAnswer.includes('[C2]. [unsupported]') && result.markedAnswer.endsWith('Asia. [unsupported]') &&
+          result.confidence > 0.3 && result.confidence < 0.7 && result.method === 'lexical') {
+        this.addResult('Grounding', true, `Sentences labelled, unsupported claims marked, confidence ${result.confidence}`);
+      } else {
+        this.addResult('Grounding', false, `Unexpected results: ${JSON.stringify({ result, batches, entailment })}`);
+      }
+    } catch (error) {
+      this.addResult('Grounding', false, error.message);
+    }
+  }
+
+  async testConversations() {
+    console.log('💬 Testing Conversations...');
+
+    const dataPath = await fs.mkdtemp(path.join(os.tmpdir(), 'vext-conversations-'));
+
+    try {
+      const conversations = new conversationService.constructor();
+      conversations.conversationsFile = path.join(dataPath, 'conversations.json');
+      conversations.maxTurnsPerConversation = 3;
+
+      const conversation = await conversations.createConversation({ userId: 'u1' });
+      const turns = [];
+      for (let i = 1; i <= 5; i++) {
+        turns.push(await conversations.addTurn(conversation.id, { question: `Question ${i}`, answer: `Answer ${i}` }));
+      }
+      const window = conversations.getHistoryWindow(conversation, 2);
+
+      // Conversations saved before turn numbers were stored continue after their highest turn
+      const legacy = await conversations.createConversation({ userId: 'u1' });
+      delete legacy.lastTurnNumber;
+      legacy.turns = [{ id: 'turn_201', question: 'Old', answer: 'Old' }];
+      const legacyTurn = await conversations.addTurn(legacy.id, { question: 'New', answer: 'New' });
+
+      const requests = [];
+      aiService.providers.set('test', {
+        type: 'test',
+        defaultModel: 'test-model',
+        complete: async (request) => {
+          requests.push(request);
+          return { content: '"What is the notice period of the Acme contract?"', totalTokens: 5 };
+        }
+      });
+      const history = [{ question: 'Summarize the Acme contract', answer: 'It runs for two years.' }];
+      const rewritten = await aiService.rewriteFollowUpQuestion('What is its notice period?', history, { provider: 'test' });
+      const standalone = await aiService.rewriteFollowUpQuestion('What is the notice period?', [], { provider: 'test' });
+      aiService.providers.delete('test');
+
+      const ids = turns.map(turn => turn.id);
+      if (ids.join() === 'turn_1,turn_2,turn_3,turn_4,turn_5' &&
+          conversation.turns.map(turn => turn.id).join() === 'turn_3,turn_4,turn_5' &&
+          window.map(turn => turn.question).join() === 'Question 4,Question 5' && conversation.title === 'Question 1' &&
+          legacyTurn.id === 'turn_202' &&
+          rewritten === 'What is the notice period of the Acme contract?' && standalone === 'What is the notice period?' &&
+          requests.length === 1 && requests[0].messages[1].content.includes('User: Summarize the Acme contract')) {
+        this.addResult('Conversations', true, 'Turn IDs stay unique past the turn cap, history windows and follow-up rewriting working correctly');
+      } else {
+        this.addResult('Conversations', false, `Unexpected results: ${JSON.stringify({ ids, conversation, window, legacyTurn, rewritten, standalone })}`);
+      }
+    } catch (error) {
+      this.addResult('Conversations', false, error.message);
+    } finally {
+      await fs.rm(dataPath, { recursive: true, force: true });
+    }
+  }
+
   async testVectorService() {
     console.log('🗄️ Testing Vector Service...');
     
@@ -96,13 +408,548 @@ class TestSuite {
     }
   }
 
+  async testLocalVectorStore() {
+    console.log('💾 Testing Local Vector Store...');
+
+    const storagePath = await fs.mkdtemp(path.join(os.tmpdir(), 'vext-store-'));
+
+    try {
+      const store = new LocalVectorStore({ storagePath });
+      const collection = await store.getOrCreateCollection({ name: 'test_collection' });
+
+      await collection.add({
+        ids: ['a', 'b', 'c'],
+        embeddings: [[1, 0], [0, 1], [0.9, 0.1]],
+        documents: ['alpha', 'beta', 'gamma'],
+        metadatas: [{ userId: 'u1' }, { userId: 'u1' }, { userId: 'u2' }]
+      });
+
+      const results = await collection.query({ queryEmbeddings: [[1, 0]], nResults: 2, where: { userId: 'u1' } });
+      const reloaded = await new LocalVectorStore({ storagePath }).getCollection({ name: 'test_collection' });
+      await reloaded.delete({ where: { userId: { $eq: 'u2' } } });
+
+      if (results.ids[0][0] === 'a' && results.ids[0].length === 2 && await reloaded.count() === 2) {
+        this.addResult('Local Vector Store', true, 'Add, filtered query, persistence and delete working correctly');
+      } else {
+        this.addResult('Local Vector Store', false, `Unexpected results: ${JSON.stringify(results.ids)}`);
+      }
+    } catch (error) {
+      this.addResult('Local Vector Store', false, error.message);
+    } finally {
+      await fs.rm(storagePath, { recursive: true, force: true });
+    }
+  }
+
+  async testLexicalIndex() {
+    console.log('🔎 Testing Lexical Index...');
+
+    const storagePath = await fs.mkdtemp(path.join(os.tmpdir(), 'vext-lexical-'));
+    const configuredWeight = process.env.HYBRID_LEXICAL_WEIGHT;
+
+    try {
+      const index = new LexicalIndex({ name: 'test_index', storagePath });
+      await index.addDocuments([
+        { id: 'a', text: 'Invoice INV-2023-001 covers consulting fees.', metadata: { userId: 'u1' } },
+        { id: 'b', text: 'Invoice INV-2023-002 covers hosting.', metadata: { userId: 'u1' } },
+        { id: 'c', text: 'Invoice INV-2023-001 duplicate for another user.', metadata: { userId: 'u2' } },
+        { id: 'd', text: 'The constructor signed the contract for the toString method.', metadata: { userId: 'u3' } }
+      ]);
+
+      const results = await index.search('INV-2023-001', { topK: 5, where: { userId: 'u1' } });
+      // Words that name Object.prototype members are ordinary terms
+      const prototypeResults = await index.search('constructor contract toString');
+      const reloaded = new LexicalIndex({ name: 'test_index', storagePath });
+      await reloaded.removeDocuments(['b']);
+      const reloadedResults = await reloaded.search('constructor hasOwnProperty');
+
+      // An unparseable HYBRID_LEXICAL_WEIGHT falls back to 0.5; 0 (semantic only) is kept
+      process.env.HYBRID_LEXICAL_WEIGHT = 'half';
+      const unparseableWeight = new vectorService.constructor().resolveLexicalWeight();
+      process.env.HYBRID_LEXICAL_WEIGHT = '0';
+      const semanticOnlyWeight = new vectorService.constructor().resolveLexicalWeight();
+
+      if (unparseableWeight === 0.5 && semanticOnlyWeight === 0 &&
+          results[0]?.id === 'a' && results.every(r => r.id !== 'c') && reloaded.size() === 3 &&
+          prototypeResults.length === 1 && Number.isFinite(prototypeResults[0].score) &&
+          reloadedResults.length === 1 && Number.isFinite(reloadedResults[0].score)) {
+        this.addResult('Lexical Index', true, 'Exact identifier matching, filtering and persistence working correctly');
+      } else {
+        this.addResult('Lexical Index', false, `Unexpected results: ${JSON.stringify({ results, unparseableWeight, semanticOnlyWeight })}`);
+      }
+    } catch (error) {
+      this.addResult('Lexical Index', false, error.message);
+    } finally {
+      if (configuredWeight === undefined) {
+        delete process.env.HYBRID_LEXICAL_WEIGHT;
+      } else {
+        process.env.HYBRID_LEXICAL_WEIGHT = configuredWeight;
+      }
+      await fs.rm(storagePath, { recursive: true, force: true });
+    }
+  }
+
+  async testIngestionJobs() {
+    console.log('👷 Testing Ingestion Jobs...');
+
+    const dataPath = await fs.mkdtemp(path.join(os.tmpdir(), 'vext-jobs-'));
+
+    try {
+      const jobs = new ingestionJobService.constructor();
+      jobs.jobsFile = path.join(dataPath, 'ingestion_jobs.json');
+      jobs.maxAttempts = 2;
+      jobs.retryBaseDelayMs = 1000;
+
+      const calls = [];
+      let releaseRun;
+      let inputAvailable = true;
+      jobs.registerHandler('fake', {
+        run: async (job, { updateProgress, throwIfCancelled }) => {
+          calls.push(`run:${job.payload.name}`);
+          await updateProgress({ stage: 'working', message: 'Working...', progress: 50 });
+          if (job.payload.mode === 'fail') {
+            throw new Error('Embedding service unavailable');
+          }
+          if (job.payload.mode === 'wait') {
+            await new Promise(resolve => { releaseRun = resolve; });
+            throwIfCancelled();
+          }
+          return { success: true };
+        },
+        rollback: async (job) => calls.push(`rollback:${job.payload.name}`),
+        cleanup: async (job) => calls.push(`cleanup:${job.payload.name}`),
+        canRetry: async () => inputAvailable
+      });
+
+      // A failed attempt is rolled back and re-queued with backoff until attempts run out
+      const failing = await jobs.enqueue({ type: 'fake', userId: 'u1', payload: { name: 'failing', mode: 'fail' } });
+      await jobs.runJob(failing);
+      const requeued = { status: failing.status, stage: failing.progress.stage, delay: new Date(failing.nextRunAt) - Date.now() };
+      await jobs.runJob(failing);
+      const failed = { status: failing.status, error: failing.error, attempts: failing.attempts };
+
+      // Failed jobs are retried with a fresh set of attempts while their input exists
+      const retried = await jobs.retryJob(failing.id);
+      const retriedState = { status: retried.status, attempts: retried.attempts, retries: retried.retries };
+      await jobs.runJob(failing);
+      await jobs.runJob(failing);
+      inputAvailable = false;
+      let retryRefused = null;
+      try {
+        await jobs.retryJob(failing.id);
+      } catch (error) {
+        retryRefused = error.message;
+      }
+
+      const queued = await jobs.enqueue({ type: 'fake', userId: 'u1', payload: { name: 'queued' } });
+      await jobs.cancelJob(queued.id);
+
+      // A running job stops at its next checkpoint and is rolled back
+      const running = await jobs.enqueue({ type: 'fake', userId: 'u1', payload: { name: 'running', mode: 'wait' } });
+      const run = jobs.runJob(running);
+      while (!releaseRun) await new Promise(resolve => setTimeout(resolve, 10));
+      await jobs.cancelJob(running.id);
+      const whileRunning = running.status;
+      releaseRun();
+      await run;
+
+      // After a crash, running jobs are rolled back, then resumed, failed or cancelled
+      const crashed = (name, attempts, cancelRequested = false) => ({
+        id: `crashed_${name}`, type: 'fake', userId: 'u1', status: 'running', payload: { name }, progress: { stage: 'working' },
+        attempts, maxAttempts: 2, cancelRequested, createdAt: new Date().toISOString()
+      });
+      const restarted = new ingestionJobService.constructor();
+      restarted.jobsFile = path.join(dataPath, 'restarted_jobs.json');
+      restarted.handlers = jobs.handlers;
+      await fs.writeFile(restarted.jobsFile, JSON.stringify([crashed('resumed', 1), crashed('exhausted', 2), crashed('cancelling', 1, true)]));
+      await restarted.initialize();
+      await restarted.recoverInterruptedJobs();
+      const recovered = Object.fromEntries(restarted.jobs.map(job => [job.payload.name, job.status]));
+      const persisted = JSON.parse(await fs.readFile(restarted.jobsFile, 'utf8'));
+
+      if (requeued.status === 'queued' && requeued.stage === 'retrying' && requeued.delay > 0 && requeued.delay <= 1000 &&
+          failed.status === 'failed' && failed.error === 'Embedding service unavailable' && failed.attempts === 2 &&
+          retriedState.status === 'queued' && retriedState.attempts === 0 && retriedState.retries === 1 &&
+          retryRefused?.includes('no longer available') &&
+          queued.status === 'cancelled' && !calls.includes('run:queued') && calls.includes('cleanup:queued') &&
+          whileRunning === 'running' && running.status === 'cancelled' && calls.includes('rollback:running') &&
+          calls.filter(call => call === 'rollback:failing').length === 4 &&
+          recovered.resumed === 'queued' && recovered.exhausted === 'failed' && recovered.cancelling === 'cancelled' &&
+          ['resumed', 'exhausted', 'cancelling'].every(name => calls.includes(`rollback:${name}`)) &&
+          persisted.every(job => job.status !== 'running')) {
+        this.addResult('Ingestion Jobs', true, 'Retry with backoff, cancellation, manual retry and crash recovery working correctly');
+      } else {
+        this.addResult('Ingestion Jobs', false, `Unexpected results: ${JSON.stringify({ requeued, failed, retriedState, retryRefused, queued, whileRunning, running, recovered, calls })}`);
+      }
+    } catch (error) {
+      this.addResult('Ingestion Jobs', false, error.message);
+    } finally {
+      await fs.rm(dataPath, { recursive: true, force: true });
+    }
+  }
+
+  async testJobEndpoints() {
+    console.log('🛑 Testing Job Endpoints...');
+
+    const dataPath = await fs.mkdtemp(path.join(os.tmpdir(), 'vext-job-endpoints-'));
+    const restoreStores = this.useTestStores(dataPath);
+    const server = await this.startTestServer(dataPath);
+    const request = async (method, route, body) => {
+      const response = await fetch(`${server.url}${route}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body && JSON.stringify(body)
+      });
+      return { status: response.status, body: await response.json() };
+    };
+
+    try {
+      // A running job is only cancelled once it reaches its next checkpoint
+      const stages = [];
+      let releaseRun;
+      ingestionJobService.registerHandler('checkpoint_test', {
+        run: async (job, { throwIfCancelled }) => {
+          stages.push('chunking');
+          await new Promise(resolve => { releaseRun = resolve; });
+          throwIfCancelled();
+          stages.push('embedding');
+          return { success: true };
+        },
+        rollback: async () => stages.push('rollback')
+      });
+
+      const job = await ingestionJobService.enqueue({ type: 'checkpoint_test', userId: 'u1', payload: {} });
+      const run = ingestionJobService.runJob(job);
+      while (!releaseRun) await new Promise(resolve => setTimeout(resolve, 10));
+
+      const otherUser = await request('DELETE', `/ingest/jobs/${job.id}?userId=u2`);
+      const cancel = await request('DELETE', `/ingest/jobs/${job.id}?userId=u1`);
+      releaseRun();
+      await run;
+      const cancelAgain = await request('DELETE', `/ingest/jobs/${job.id}?userId=u1`);
+      const retryCancelled = await request('POST', `/ingest/jobs/${job.id}/retry`, { userId: 'u1' });
+
+      // An empty upload fails validation; the upload is kept so the job can be retried
+      const failed = await this.ingestTestFile(server, 'u1', 'empty.txt', '');
+      const failedStatus = failed.status;
+      const retry = await request('POST', `/ingest/jobs/${failed.id}/retry`, { userId: 'u1' });
+      await ingestionJobService.runJob(failed);
+
+      await fs.unlink(failed.payload.file.path);
+      const retryWithoutUpload = await request('POST', `/ingest/jobs/${failed.id}/retry`, { userId: 'u1' });
+
+      if (otherUser.status === 404 && cancel.status === 200 && cancel.body.message.includes('next checkpoint') &&
+          job.status === 'cancelled' && stages.join() === 'chunking,rollback' &&
+          cancelAgain.status === 409 && retryCancelled.status === 409 && retryCancelled.body.error.includes('Only failed jobs') &&
+          failedStatus === 'failed' && retry.status === 200 && retry.body.status === 'queued' && failed.status === 'failed' &&
+          retryWithoutUpload.status === 409 && retryWithoutUpload.body.error.includes('no longer available')) {
+        this.addResult('Job Endpoints', true, 'Cancellation at checkpoints, retry of failed jobs only and missing uploads handled correctly');
+      } else {
+        this.addResult('Job Endpoints', false, `Unexpected results: ${JSON.stringify({ otherUser, cancel, stages, cancelAgain, retryCancelled, failedStatus, retry, retryWithoutUpload })}`);
+      }
+    } catch (error) {
+      this.addResult('Job Endpoints', false, error.message);
+    } finally {
+      ingestionJobService.handlers.delete('checkpoint_test');
+      await server.close();
+      restoreStores();
+      await fs.rm(dataPath, { recursive: true, force: true });
+    }
+  }
+
+  async testDuplicatePolicies() {
+    console.log('♻️ Testing Duplicate Policies...');
+
+    const dataPath = await fs.mkdtemp(path.join(os.tmpdir(), 'vext-duplicates-'));
+    const restoreStores = this.useTestStores(dataPath);
+    const server = await this.startTestServer(dataPath);
+
+    try {
+      const content = 'The travel policy allows economy flights for trips under six hours.';
+      const original = await this.ingestTestFile(server, 'u1', 'policy.txt', content);
+      const originalId = original.result.data.documentId;
+
+      const skipped = await this.ingestTestFile(server, 'u1', 'copy.txt', content, { duplicatePolicy: 'skip' });
+      const afterSkip = await vectorService.findDocumentsByContentHash('u1', original.result.data.metadata.contentHash);
+
+      const kept = await this.ingestTestFile(server, 'u1', 'copy.txt', content, { duplicatePolicy: 'keep' });
+      const afterKeep = await vectorService.findDocumentsByContentHash('u1', original.result.data.metadata.contentHash);
+
+      const replaced = await this.ingestTestFile(server, 'u1', 'policy-v2.txt', content, { duplicatePolicy: 'replace' });
+      const afterReplace = await vectorService.findDocumentsByContentHash('u1', original.result.data.metadata.contentHash);
+
+      // The same content from another user is not a duplicate
+      const otherUser = await this.ingestTestFile(server, 'u2', 'policy.txt', content);
+
+      // A batch only removes the copies it replaces once all its files are in, so a cancelled batch keeps them
+      const runBatch = async (cancelDuringFirstFile) => {
+        const form = new FormData();
+        form.append('userId', 'u2');
+        form.append('duplicatePolicy', 'replace');
+        form.append('files', new Blob([content], { type: 'text/plain' }), 'policy-copy.txt');
+        form.append('files', new Blob(['Hotel stays are capped at 150 dollars a night.'], { type: 'text/plain' }), 'hotels.txt');
+        const { jobId } = await (await fetch(`${server.url}/ingest/batch`, { method: 'POST', body: form })).json();
+
+        if (cancelDuringFirstFile) {
+          documentVersionService.recordVersion = async (...args) => {
+            delete documentVersionService.recordVersion;
+            await ingestionJobService.cancelJob(jobId);
+            return documentVersionService.recordVersion(...args);
+          };
+        }
+        const job = await ingestionJobService.getJob(jobId);
+        await ingestionJobService.runJob(job);
+        return job;
+      };
+      const otherUserHash = otherUser.result.data.metadata.contentHash;
+      const cancelledBatch = await runBatch(true);
+      const afterCancelledBatch = await vectorService.findDocumentsByContentHash('u2', otherUserHash);
+      const batch = await runBatch(false);
+      const afterBatch = await vectorService.findDocumentsByContentHash('u2', otherUserHash);
+
+      if (skipped.result.data.duplicate?.action === 'skipped' && skipped.result.data.documentId === originalId &&
+          afterSkip.map(doc => doc.documentId).join() === originalId &&
+          kept.result.data.duplicate?.action === 'kept' && afterKeep.length === 2 &&
+          replaced.result.data.duplicate?.action === 'replaced' && replaced.result.data.duplicate.existingDocuments.length === 2 &&
+          afterReplace.map(doc => doc.documentId).join() === replaced.result.data.documentId &&
+          !(await documentVersionService.getDocument(originalId)) &&
+          otherUser.result.data.duplicate === null &&
+          cancelledBatch.status === 'cancelled' &&
+          afterCancelledBatch.map(doc => doc.documentId).join() === otherUser.result.data.documentId &&
+          batch.status === 'succeeded' && batch.result.data.files[0].duplicate?.action === 'replaced' &&
+          afterBatch.map(doc => doc.documentId).join() === batch.result.data.files[0].documentId &&
+          !(await documentVersionService.getDocument(otherUser.result.data.documentId))) {
+        this.addResult('Duplicate Policies', true, 'Re-uploaded content skipped, kept or replaced per policy and per user; cancelled batches keep replaced copies');
+      } else {
+        this.addResult('Duplicate Policies', false, `Unexpected results: ${JSON.stringify({ skipped: skipped.result, kept: kept.result, replaced: replaced.result, afterSkip, afterKeep, afterReplace, cancelledBatch, afterCancelledBatch, batch: batch.result, afterBatch })}`);
+      }
+    } catch (error) {
+      this.addResult('Duplicate Policies', false, error.message);
+    } finally {
+      delete documentVersionService.recordVersion;
+      await server.close();
+      restoreStores();
+      await fs.rm(dataPath, { recursive: true, force: true });
+    }
+  }
+
+  async testDocumentVersions() {
+    console.log('📚 Testing Document Versions...');
+
+    const dataPath = await fs.mkdtemp(path.join(os.tmpdir(), 'vext-versions-'));
+    const restoreStores = this.useTestStores(dataPath);
+    const server = await this.startTestServer(dataPath);
+
+    try {
+      const original = await this.ingestTestFile(server, 'u1', 'policy.txt', 'Remote work is allowed two days a week.');
+      const documentId = original.result.data.documentId;
+      const update = { method: 'PUT', route: `/documents/${documentId}` };
+
+      const updated = await this.ingestTestFile(server, 'u1', 'policy.txt', 'Remote work is allowed three days a week.', {}, update);
+      const current = await vectorService.getDocumentChunks(documentId);
+      const versionsCollection = await vectorService.getVersionsCollection();
+      const archived = await versionsCollection.get({ where: { parentDocumentId: documentId } });
+
+      // A re-ingest that fails after archiving brings the previous version back
+      documentVersionService.recordVersion = async () => {
+        throw new Error('Version history is read-only');
+      };
+      const failedUpdate = await this.ingestTestFile(server, 'u1', 'policy.txt', 'Remote work is not allowed.', {}, update);
+      delete documentVersionService.recordVersion;
+
+      const restored = await vectorService.getDocumentChunks(documentId);
+      const archivedAfterFailure = await versionsCollection.get({ where: { parentDocumentId: documentId } });
+      const history = await (await fetch(`${server.url}/documents/${documentId}/versions?userId=u1`)).json();
+
+      if (updated.status === 'succeeded' && updated.result.data.version === 2 &&
+          current.length > 0 && current.every(chunk => chunk.metadata.version === 2 && chunk.text.includes('three days')) &&
+          archived.ids.length > 0 && archived.metadatas.every(metadata => metadata.version === 1 && metadata.supersededAt) &&
+          failedUpdate.status === 'failed' && failedUpdate.payload.version === 3 &&
+          restored.length === current.length && restored.every(chunk => chunk.metadata.version === 2 && chunk.text.includes('three days')) &&
+          archivedAfterFailure.metadatas.every(metadata => metadata.version === 1) &&
+          history.data.currentVersion === 2 && history.data.versions.map(version => version.version).join() === '1,2') {
+        this.addResult('Document Versions', true, 'Version numbers increase, old chunks archived and restored when an update fails');
+      } else {
+        this.addResult('Document Versions', false, `Unexpected results: ${JSON.stringify({ updated: updated.result, current, archived, failedUpdate: failedUpdate.result, restored, history })}`);
+      }
+    } catch (error) {
+      this.addResult('Document Versions', false, error.message);
+    } finally {
+      delete documentVersionService.recordVersion;
+      await server.close();
+      restoreStores();
+      await fs.rm(dataPath, { recursive: true, force: true });
+    }
+  }
+
+  async testReranking() {
+    console.log('🔄 Testing Reranking...');
+
+    const dataPath = await fs.mkdtemp(path.join(os.tmpdir(), 'vext-rerank-'));
+    const restoreStores = this.useTestStores(dataPath);
+
+    // Stand-in cross-encoder that only rates the chunk stating the notice period as relevant
+    const { tokenizer, model } = rerankerService;
+    rerankerService.tokenizer = (queries, { text_pair }) => ({ texts: text_pair });
+    rerankerService.model = async ({ texts }) => ({
+      logits: { dims: [texts.length, 1], data: texts.map(text => text.includes('30 days') ? 4 : -4) }
+    });
+
+    try {
+      await vectorService.addDocumentChunks([
+        { text: 'Notice periods for annual leave requests. Annual leave notice is required for leave.', metadata: { userId: 'u1', originalFilename: 'leave.txt', chunkIndex: 0 } }
+      ], 'leave');
+      await vectorService.addDocumentChunks([
+        { text: 'Resignations take effect 30 days after the employer is told.', metadata: { userId: 'u1', originalFilename: 'resignation.txt', chunkIndex: 0 } }
+      ], 'resignation');
+
+      const query = 'How much notice is required for annual leave?';
+      const retrieved = await vectorService.searchDocuments(query, 5, { userId: 'u1' });
+      const reranked = await vectorService.searchDocuments(query, 5, { userId: 'u1' }, 0, { rerank: true });
+
+      if (retrieved.map(doc => doc.documentId).join() === 'leave,resignation' && retrieved[0].rerankScore === null &&
+          reranked.map(doc => doc.documentId).join() === 'resignation,leave' &&
+          reranked[0].rerankScore > 0.9 && reranked[1].rerankScore < 0.1) {
+        this.addResult('Reranking', true, 'Cross-encoder scores reorder retrieved documents');
+      } else {
+        this.addResult('Reranking', false, `Unexpected results: ${JSON.stringify({ retrieved, reranked })}`);
+      }
+    } catch (error) {
+      this.addResult('Reranking', false, error.message);
+    } finally {
+      rerankerService.tokenizer = tokenizer;
+      rerankerService.model = model;
+      restoreStores();
+      await fs.rm(dataPath, { recursive: true, force: true });
+    }
+  }
+
+  async testQueryStream() {
+    console.log('📡 Testing Query Stream...');
+
+    const dataPath = await fs.mkdtemp(path.join(os.tmpdir(), 'vext-stream-'));
+    const restoreStores = this.useTestStores(dataPath);
+    const server = await this.startTestServer(dataPath);
+    const providerType = getLLMProviderType();
+    const defaultProvider = aiService.providers.get(providerType);
+    const streamQuery = async (deltas, failure) => {
+      aiService.providers.set(providerType, {
+        type: 'test',
+        defaultModel: 'test-model',
+        stream: async function* () {
+          for (const delta of deltas) {
+            yield { delta };
+          }
+          if (failure) {
+            throw new Error(failure);
+          }
+          yield { delta: '', totalTokens: 12 };
+        }
+      });
+      const response = await fetch(`${server.url}/query/stream`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ question: 'How many days of remote work are allowed?', userId: 'u1' })
+      });
+      const body = await response.text();
+      return body.split('\n\n').filter(Boolean).map(event => JSON.parse(event.replace(/^data: /, '')));
+    };
+
+    try {
+      await this.ingestTestFile(server, 'u1', 'policy.txt', 'Remote work is allowed two days a week.');
+
+      const events = await streamQuery(['Remote work is allowed ', 'two days a week [C1].']);
+      const failed = await streamQuery(['Remote work '], 'Provider connection reset');
+
+      // Unknown collections, documents and templates are refused before any event is sent
+      const refused = await Promise.all([
+        ['/query/stream', { collection: 'missing' }],
+        ['/query', { documentId: 'missing' }],
+        ['/query', { template: 'missing' }]
+      ].map(async ([route, scope]) => {
+        const response = await fetch(`${server.url}${route}`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ question: 'How many days?', userId: 'u1', ...scope })
+        });
+        return `${response.status} ${(await response.json()).error}`;
+      }));
+      const types = events.map(event => event.type);
+      const complete = events.at(-1);
+      const streamed = events.filter(event => event.type === 'token').map(event => event.delta).join('');
+
+      if (types.join() === 'connected,retrieval,token,token,complete' &&
+          events[1].searchResults === 1 && complete.answer === streamed && complete.tokens === 12 &&
+          complete.sources.length === 1 && complete.historyId &&
+          failed.map(event => event.type).join() === 'connected,retrieval,token,error' &&
+          failed.at(-1).error.includes('Provider connection reset') &&
+          refused.join() === '404 Collection not found,404 Document not found,404 Prompt template not found') {
+        this.addResult('Query Stream', true, 'Events arrive as connected, retrieval, tokens, then complete or error; unknown scopes refused');
+      } else {
+        this.addResult('Query Stream', false, `Unexpected events: ${JSON.stringify({ events, failed, refused })}`);
+      }
+    } catch (error) {
+      this.addResult('Query Stream', false, error.message);
+    } finally {
+      if (defaultProvider) {
+        aiService.providers.set(providerType, defaultProvider);
+      } else {
+        aiService.providers.delete(providerType);
+      }
+      await server.close();
+      restoreStores();
+      await fs.rm(dataPath, { recursive: true, force: true });
+    }
+  }
+
+  async testEmailUpsert() {
+    console.log('📧 Testing Email Upsert...');
+
+    const dataPath = await fs.mkdtemp(path.join(os.tmpdir(), 'vext-emails-'));
+    const restoreStores = this.useTestStores(dataPath);
+
+    try {
+      const emails = new emailVectorService.constructor();
+      emails.client = new LocalVectorStore({ storagePath: path.join(dataPath, 'emails') });
+      const email = (id, subject) => ({ text: `Subject: ${subject}`, metadata: { email_id: id, subject } });
+
+      const firstIds = await emails.addEmails([email('e1', 'Budget draft'), email('e2', 'Offsite plan')], 'u1');
+
+      // Copies stored before emails were upserted are merged into one
+      const collection = await emails.initializeUserCollection('u1');
+      await collection.add({
+        ids: ['legacy_copy'],
+        embeddings: [this.embedForTest('Offsite plan')],
+        documents: ['Subject: Offsite plan'],
+        metadatas: [{ email_id: 'e2', userID: 'u1', document_type: 'email' }]
+      });
+
+      // The last copy of an email repeated in a batch wins
+      const secondIds = await emails.addEmails([email('e1', 'Budget v2'), email('e1', 'Budget final'), email('e2', 'Offsite agenda')], 'u1');
+      const stored = await collection.get({ include: ['documents', 'metadatas'] });
+      const byEmailId = Object.fromEntries(stored.ids.map((id, i) => [stored.metadatas[i].email_id, { id, text: stored.documents[i] }]));
+
+      if (secondIds.length === 2 && secondIds[0] === firstIds[0] && secondIds[1] === firstIds[1] &&
+          stored.ids.length === 2 && byEmailId.e1.text === 'Subject: Budget final' && byEmailId.e2.text === 'Subject: Offsite agenda' &&
+          !stored.ids.includes('legacy_copy')) {
+        this.addResult('Email Upsert', true, 'Emails upserted by email_id, batch and stored duplicates collapsed');
+      } else {
+        this.addResult('Email Upsert', false, `Unexpected results: ${JSON.stringify({ firstIds, secondIds, stored })}`);
+      }
+    } catch (error) {
+      this.addResult('Email Upsert', false, error.message);
+    } finally {
+      restoreStores();
+      await fs.rm(dataPath, { recursive: true, force: true });
+    }
+  }
+
   async testDocumentProcessor() {
     console.log('📄 Testing Document Processor...');
     
     try {
       // Test supported formats
       const supportedFormats = documentProcessor.getSupportedFormats();
-      const expectedFormats = ['pdf', 'docx', 'txt', 'html', 'htm'];
+      const expectedFormats = ['pdf', 'docx', 'pptx', 'txt', 'md', 'html', 'htm', 'rtf', 'epub', 'json', 'csv', 'xlsx'];
       
       const allSupported = expectedFormats.every(format => 
         supportedFormats.includes(format)
@@ -118,6 +965,342 @@ class TestSuite {
     }
   }
 
+  async testArchiveExtractor() {
+    console.log('📦 Testing Archive Extractor...');
+
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'vext-archive-'));
+
+    try {
+      const zip = new JSZip();
+      zip.file('docs/notes.txt', 'Quarterly notes');
+      zip.file('../../escape.txt', 'Should never be written');
+      zip.file('image.bmp', 'Unsupported');
+      const archivePath = path.join(workDir, 'upload.zip');
+      await fs.writeFile(archivePath, await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' }));
+
+      const extractDir = path.join(workDir, 'out');
+      const { files, skipped } = await archiveExtractor.extract(archivePath, extractDir, {
+        filter: name => documentProcessor.isSupportedFormat(name)
+      });
+
+      // A small archive that expands far beyond its compression ratio limit
+      const bomb = new JSZip();
+      bomb.file('large.txt', Buffer.alloc(5 * 1024 * 1024, 'a'));
+      const bombPath = path.join(workDir, 'bomb.zip');
+      await fs.writeFile(bombPath, await bomb.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' }));
+      const bombRejected = await archiveExtractor.extract(bombPath, path.join(workDir, 'bomb'))
+        .then(() => false, () => true);
+
+      const extractedInside = files.every(file => path.dirname(file.path) === extractDir);
+      const escapeSkipped = skipped.some(entry => entry.name === '../../escape.txt' && entry.reason === 'Unsafe path');
+
+      if (files.length === 1 && files[0].archivePath === 'docs/notes.txt' && extractedInside && escapeSkipped && bombRejected) {
+        this.addResult('Archive Extractor', true, 'Extraction, path traversal and size limits working correctly');
+      } else {
+        this.addResult('Archive Extractor', false, `Unexpected results: ${JSON.stringify({ files, skipped, bombRejected })}`);
+      }
+    } catch (error) {
+      this.addResult('Archive Extractor', false, error.message);
+    } finally {
+      await fs.rm(workDir, { recursive: true, force: true });
+    }
+  }
+
+  async testSpreadsheetTables() {
+    console.log('📊 Testing Spreadsheet Tables...');
+
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'vext-sheet-'));
+
+    try {
+      const csvPath = path.join(workDir, 'sales.csv');
+      await fs.writeFile(csvPath, 'Region;Product;Revenue;Zip\nNorth;"Widget; large";100.5;01234\nSouth;Gadget;200;99501\nNorth;Gadget;50;\n');
+
+      const processed = await documentProcessor.processDocument(csvPath, {}, { originalname: 'sales.csv' });
+      const [sheet] = processed.tables;
+      const query = {
+        filter: [{ column: 'product', op: 'ne', value: 'widget; large' }],
+        groupBy: ['Region'],
+        aggregates: [{ fn: 'sum', column: 'Revenue', as: 'revenue' }, { fn: 'count' }],
+        orderBy: [{ column: 'revenue', direction: 'desc' }]
+      };
+      const validationError = tableStoreService.validateQuery({ sheets: processed.tables }, query);
+      const result = tableStoreService.executeQuery(sheet, query);
+      const invalid = tableStoreService.validateQuery({ sheets: processed.tables }, { filter: [{ column: 'Profit', op: 'gt', value: 0 }] });
+
+      // Formatted amounts are numbers; text left in a numeric column is reported, not silently dropped
+      const amountsPath = path.join(workDir, 'amounts.csv');
+      await fs.writeFile(amountsPath, 'Item,Amount\nA,10\nB,"1,200"\nC,"$2,500.50"\nD,(300)\nE,n/a\n');
+      const { sheets: [amounts] } = await spreadsheetParser.parse(amountsPath);
+      const totals = tableStoreService.executeQuery(amounts, { aggregates: [{ fn: 'sum', column: 'Amount' }, { fn: 'avg', column: 'Amount' }] });
+      const [sumSkipped] = totals.skippedValues;
+
+      // Only the latest versions of a document keep their rows
+      const store = new tableStoreService.constructor();
+      store.tablesDir = path.join(workDir, 'tables');
+      store.maxVersionsKept = 2;
+      for (let version = 1; version <= 4; version++) {
+        await store.saveTables('sales-doc', { userId: 'u1', version, filename: 'sales.csv', sheets: processed.tables });
+      }
+      const storedVersions = Object.keys(JSON.parse(await fs.readFile(path.join(store.tablesDir, 'sales-doc.json'), 'utf8')).versions);
+      const prunedVersion = await store.getTables('sales-doc', { version: 2 });
+      const keptVersion = await store.getTables('sales-doc', { version: 3 });
+
+      const parsed = sheet.name === 'sales' && sheet.rowCount === 3 && sheet.rows[0].Product === 'Widget; large' &&
+        sheet.columnTypes.Revenue === 'number' && sheet.rows[0].Zip === '01234';
+      const rendered = processed.text.startsWith('# sales\n\n| Region | Product | Revenue | Zip |');
+      const aggregated = JSON.stringify(result.rows) === JSON.stringify([
+        { Region: 'South', revenue: 200, count: 1 },
+        { Region: 'North', revenue: 50, count: 1 }
+      ]);
+
+      const formatted = amounts.rows.map(row => row.Amount).join() === '10,1200,2500.5,-300,n/a' &&
+        totals.rows[0]['sum(Amount)'] === 3410.5 && totals.skippedValues.length === 2 &&
+        sumSkipped.column === 'Amount' && sumSkipped.count === 1 && sumSkipped.examples.join() === 'n/a' && result.skippedValues.length === 0;
+
+      const pruned = storedVersions.join() === '3,4' && prunedVersion === null && keptVersion?.sheets.length === 1;
+
+      if (parsed && rendered && !validationError && aggregated && invalid && formatted && pruned) {
+        this.addResult('Spreadsheet Tables', true, 'CSV parsing, markdown rendering and table queries working correctly');
+      } else {
+        this.addResult('Spreadsheet Tables', false, `Unexpected results: ${JSON.stringify({ sheet, validationError, result, invalid, amounts, totals, storedVersions })}`);
+      }
+    } catch (error) {
+      this.addResult('Spreadsheet Tables', false, error.message);
+    } finally {
+      await fs.rm(workDir, { recursive: true, force: true });
+    }
+  }
+
+  async testNativeExtractors() {
+    console.log('🗂️ Testing Native Extractors...');
+
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'vext-native-'));
+
+    try {
+      const ns = 'xmlns:p="p" xmlns:a="a" xmlns:r="r"';
+      const shape = (placeholder, text) => `<p:sp><p:nvSpPr><p:nvPr>${placeholder ? `<p:ph type="${placeholder}"/>` : ''}</p:nvPr></p:nvSpPr><p:txBody><a:p><a:r><a:t>${text}</a:t></a:r></a:p></p:txBody></p:sp>`;
+      const deck = new JSZip();
+      deck.file('ppt/presentation.xml', `<p:presentation ${ns}><p:sldIdLst><p:sldId id="256" r:id="rId2"/></p:sldIdLst></p:presentation>`);
+      deck.file('ppt/_rels/presentation.xml.rels', '<Relationships><Relationship Id="rId2" Type="x/slide" Target="slides/slide1.xml"/></Relationships>');
+      deck.file('ppt/slides/slide1.xml', `<p:sld ${ns}><p:cSld><p:spTree>${shape('title', 'Quarterly Review')}${shape(null, 'Revenue grew')}</p:spTree></p:cSld></p:sld>`);
+      deck.file('ppt/slides/_rels/slide1.xml.rels', '<Relationships><Relationship Id="rId1" Type="x/notesSlide" Target="../notesSlides/notesSlide1.xml"/></Relationships>');
+      deck.file('ppt/notesSlides/notesSlide1.xml', `<p:notes ${ns}><p:cSld><p:spTree>${shape('body', 'Mention the delay')}</p:spTree></p:cSld></p:notes>`);
+
+      const pptxPath = path.join(workDir, 'deck.pptx');
+      const rtfPath = path.join(workDir, 'note.rtf');
+      const jsonPath = path.join(workDir, 'data.json');
+      await fs.writeFile(pptxPath, await deck.generateAsync({ type: 'nodebuffer' }));
+      await fs.writeFile(rtfPath, String.raw`{\rtf1\ansi{\fonttbl{\f0 Times;}}\f0 Hello {\b bold} world\par Caf\'e9}`);
+      await fs.writeFile(jsonPath, JSON.stringify({ users: [{ name: 'Alice', 'e-mail': 'a@example.com' }] }));
+
+      const pptx = await documentProcessor.processDocument(pptxPath);
+      const rtf = await documentProcessor.processDocument(rtfPath);
+      const json = await documentProcessor.processDocument(jsonPath);
+
+      const slides = pptx.layout.pages.length === 1 && pptx.layout.sections[0]?.heading === 'Slide 1: Quarterly Review' &&
+        pptx.text.includes('Speaker notes:\nMention the delay') && pptx.metadata.slidesWithNotes === 1;
+      const richText = rtf.text.includes('Hello bold world') && rtf.text.includes('Café');
+      const keyPaths = json.text.includes('users[0].name: Alice') && json.text.includes('users[0]["e-mail"]: a@example.com');
+      const uploads = documentProcessor.isAllowedUpload('notes.md', 'application/octet-stream') &&
+        !documentProcessor.isAllowedUpload('report.pdf', 'text/html');
+
+      if (slides && richText && keyPaths && uploads) {
+        this.addResult('Native Extractors', true, 'PPTX, RTF and JSON extraction working correctly');
+      } else {
+        this.addResult('Native Extractors', false, `Unexpected results: ${JSON.stringify({ pptx: pptx.text, layout: pptx.layout, rtf: rtf.text, json: json.text, uploads })}`);
+      }
+    } catch (error) {
+      this.addResult('Native Extractors', false, error.message);
+    } finally {
+      await fs.rm(workDir, { recursive: true, force: true });
+    }
+  }
+
+  async testExtractorRegistry() {
+    console.log('🧩 Testing Extractor Registry...');
+
+    const pluginDir = await fs.mkdtemp(path.join(os.tmpdir(), 'vext-extractors-'));
+
+    try {
+      await fs.writeFile(path.join(pluginDir, 'log.mjs'), `export default {
+        name: 'log',
+        extensions: ['log', '.TXT'],
+        mimeTypes: ['text/plain'],
+        capabilities: ['text', 'metadata'],
+        extract: async () => ({ text: 'line one', metadata: { logLines: 1 } })
+      };`);
+      await fs.writeFile(path.join(pluginDir, 'broken.mjs'), `export default { name: 'broken', extensions: ['.bin'], mimeTypes: [], capabilities: ['ocr'], extract() {} };`);
+
+      const registry = new ExtractorRegistry();
+      registry.register({ name: 'text', extensions: ['.txt'], mimeTypes: ['text/plain'], capabilities: ['text'], extract: async () => ({ text: '' }) });
+      const { loaded, failed } = await registry.loadDirectory(pluginDir);
+      const { extractors, formats } = registry.describe();
+
+      const pluginLoaded = loaded.join() === 'log' && failed.length === 1 && failed[0].file === 'broken.mjs';
+      const takesOver = registry.find('notes.txt')?.name === 'log' && formats['.log'] === 'log' &&
+        extractors.find(extractor => extractor.name === 'log')?.source === 'plugin';
+      const uploads = registry.isAllowedUpload('server.LOG', 'text/plain') && !registry.isAllowedUpload('server.log', 'image/png');
+      registry.unregister('log');
+      const restored = registry.find('notes.txt')?.name === 'text' && !registry.find('server.log');
+      const builtIns = documentProcessor.getExtractors().extractors.every(extractor => extractor.capabilities.length > 0);
+
+      if (pluginLoaded && takesOver && uploads && restored && builtIns) {
+        this.addResult('Extractor Registry', true, 'Plugin loading, format lookup and upload checks working correctly');
+      } else {
+        this.addResult('Extractor Registry', false, `Unexpected registry state: ${JSON.stringify({ loaded, failed, extractors, formats, restored })}`);
+      }
+    } catch (error) {
+      this.addResult('Extractor Registry', false, error.message);
+    } finally {
+      await fs.rm(pluginDir, { recursive: true, force: true });
+    }
+  }
+
+  async testDocumentMetadata() {
+    console.log('🏷️ Testing Document Metadata...');
+
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'vext-metadata-'));
+
+    try {
+      const htmlPath = path.join(workDir, 'page.html');
+      await fs.writeFile(htmlPath, `<html lang="en-GB"><head><title>Release notes</title>
+        <meta name="Author" content="Jane Doe"><meta property="article:published_time" content="2024-03-05T10:00:00Z"></head>
+        <body><p>Die Katze ist nicht auf dem Tisch, und der Hund ist auch nicht da. Es wird sich zeigen, wie das mit dem Wetter ist,
+        oder bei der Arbeit auf dem Feld für die Leute von dem Dorf.</p></body></html>`);
+
+      const { metadata } = await documentProcessor.processDocument(htmlPath);
+      const info = documentProcessor.readPDFInfo({ Title: 'Annual Report ', Author: 'Finance', CreationDate: "D:20230415123000+02'00'" });
+
+      // The detected language wins over the declared one
+      const html = metadata.title === 'Release notes' && metadata.author === 'Jane Doe' &&
+        metadata.createdDate === '2024-03-05T10:00:00.000Z' && metadata.language === 'de';
+      const pdfInfo = info.title === 'Annual Report' && info.author === 'Finance' && info.createdDate === '2023-04-15T10:30:00.000Z';
+      const shortText = languageDetector.detect('Hello world') === null && languageDetector.normalize('EN_gb') === 'en';
+
+      if (html && pdfInfo && shortText) {
+        this.addResult('Document Metadata', true, 'HTML and PDF metadata and language detection working correctly');
+      } else {
+        this.addResult('Document Metadata', false, `Unexpected metadata: ${JSON.stringify({ metadata, info })}`);
+      }
+    } catch (error) {
+      this.addResult('Document Metadata', false, error.message);
+    } finally {
+      await fs.rm(workDir, { recursive: true, force: true });
+    }
+  }
+
+  async testMetadataFilter() {
+    console.log('🔎 Testing Metadata Filter...');
+
+    try {
+      const chunk = (metadata) => ({ ...metadata, ...metadataFilter.indexFields(metadata) });
+      const report = chunk({ fileType: '.pdf', processedAt: '2024-05-01T00:00:00Z', tags: ['Finance', 'q1'], author: 'Jane Doe', language: 'en' });
+      const notes = chunk({ fileType: '.md', processedAt: '2023-01-01T00:00:00Z', language: 'de' });
+
+      const filters = {
+        fileType: { $in: ['.pdf', '.docx'] },
+        processedAt: { $gte: '2024-01-01', $lt: '2025-01-01' },
+        $or: [{ tags: 'finance' }, { author: { $exists: false } }]
+      };
+      const where = metadataFilter.toWhere(filters);
+      const matches = [report, notes].filter(metadata => matchesWhere(metadata, where));
+      const missingAuthor = metadataFilter.toWhere({ author: { $exists: false }, language: 'DE' });
+
+      const errors = [
+        metadataFilter.validate({ size: 3 }),
+        metadataFilter.validate({ processedAt: { $gt: 'yesterday' } }),
+        metadataFilter.validate({ fileType: { $gt: '.pdf' } }),
+        metadataFilter.validate({ $or: [] }),
+        metadataFilter.validate({ fileType: { $exists: true } })
+      ];
+
+      const valid = metadataFilter.validate(filters) === null;
+      const matched = matches.length === 1 && matches[0] === report && matchesWhere(notes, missingAuthor) && !matchesWhere(report, missingAuthor);
+      const rejected = errors.every(error => typeof error === 'string');
+
+      if (valid && matched && rejected) {
+        this.addResult('Metadata Filter', true, 'Filter validation and translation to where clauses working correctly');
+      } else {
+        this.addResult('Metadata Filter', false, `Unexpected results: ${JSON.stringify({ where, matches, errors })}`);
+      }
+    } catch (error) {
+      this.addResult('Metadata Filter', false, error.message);
+    }
+  }
+
+  async testFilterBackfill() {
+    console.log('🧩 Testing Filter Backfill...');
+
+    const dataPath = await fs.mkdtemp(path.join(os.tmpdir(), 'vext-backfill-'));
+    const restoreStores = this.useTestStores(dataPath);
+
+    try {
+      // Chunks stored before query filters existed have no derived filter fields
+      await vectorService.addDocumentChunks([
+        { text: 'Quarterly revenue report for the finance team.', metadata: { userId: 'u1', fileType: '.pdf', processedAt: '2024-05-01T00:00:00Z', tags: 'finance' } }
+      ], 'old-report');
+
+      const tagged = metadataFilter.toWhere({ tags: 'finance' });
+      const recent = { $and: [{ userId: 'u1' }, metadataFilter.toWhere({ processedAt: { $gte: '2024-01-01' }, author: { $exists: false } })] };
+      const before = await vectorService.collection.get({ where: tagged });
+      const backfilled = await vectorService.backfillFilterFields();
+      const after = await vectorService.collection.get({ where: tagged });
+      const keywordMatches = await vectorService.lexicalSearch('quarterly revenue', 5, recent);
+      const backfilledAgain = await vectorService.backfillFilterFields();
+
+      if (before.ids.length === 0 && backfilled === 1 && after.ids.join() === 'old-report_chunk_0' &&
+          keywordMatches.length === 1 && backfilledAgain === 0) {
+        this.addResult('Filter Backfill', true, 'Older chunks gain filter fields once and match date, tag and $exists filters');
+      } else {
+        this.addResult('Filter Backfill', false, `Unexpected results: ${JSON.stringify({ before, backfilled, after, keywordMatches, backfilledAgain })}`);
+      }
+    } catch (error) {
+      this.addResult('Filter Backfill', false, error.message);
+    } finally {
+      restoreStores();
+      await fs.rm(dataPath, { recursive: true, force: true });
+    }
+  }
+
+  async testDocumentTags() {
+    console.log('🏷️ Testing Document Tags...');
+
+    const storagePath = await fs.mkdtemp(path.join(os.tmpdir(), 'vext-tags-'));
+
+    try {
+      const store = new LocalVectorStore({ storagePath });
+      const collection = await store.getOrCreateCollection({ name: 'test_tags' });
+      const metadata = { userId: 'u1', parentDocumentId: 'doc1', tags: 'legal', ...metadataFilter.indexFields({ tags: 'Legal' }) };
+
+      await collection.add({
+        ids: ['doc1_0', 'doc1_1'],
+        embeddings: [[1, 0], [0, 1]],
+        documents: ['first chunk', 'second chunk'],
+        metadatas: [metadata, metadata]
+      });
+
+      // Move the document from "legal" into the "Q3 Contracts" collection
+      const update = metadataFilter.tagUpdate(['legal'], ['Q3 Contracts']);
+      await collection.update({ ids: ['doc1_0', 'doc1_1'], metadatas: [update, update] });
+
+      const inCollection = await collection.get({ where: metadataFilter.toWhere({ tags: 'q3 contracts' }) });
+      const inLegal = await collection.get({ where: metadataFilter.toWhere({ tags: 'legal' }) });
+      const untagged = metadataFilter.tagUpdate(['q3 contracts'], []);
+
+      if (inCollection.ids.length === 2 && inLegal.ids.length === 0 &&
+          metadataFilter.parseTags(inCollection.metadatas[0].tags).join() === 'q3 contracts' &&
+          untagged.tags === null && untagged['filter:has:tags'] === false && untagged['filter:tag:q3 contracts'] === null) {
+        this.addResult('Document Tags', true, 'Tag updates applied to every chunk and reflected in tag filters');
+      } else {
+        this.addResult('Document Tags', false, `Unexpected results: ${JSON.stringify({ inCollection, inLegal, untagged })}`);
+      }
+    } catch (error) {
+      this.addResult('Document Tags', false, error.message);
+    } finally {
+      await fs.rm(storagePath, { recursive: true, force: true });
+    }
+  }
+
   async testTextChunker() {
     console.log('✂️ Testing Text Chunker...');
     
@@ -137,6 +1320,99 @@ class TestSuite {
     }
   }
 
+  async testPageLayout() {
+    console.log('📑 Testing Page Layout...');
+
+    try {
+      const layout = documentProcessor.buildPageLayout([
+        { pageNumber: 1, text: '# Introduction\nFirst page text.' },
+        { pageNumber: 2, text: '## Results\nSecond page text.' }
+      ], { markdown: true });
+
+      const chunks = this.chunker.assignLayout(this.chunker.chunkText(layout.text, { chunkSize: 30, chunkOverlap: 5 }), layout);
+      const first = chunks[0];
+      const last = chunks[chunks.length - 1];
+
+      if (first.pageStart === 1 && first.sectionHeading === 'Introduction' &&
+          last.pageEnd === 2 && last.sectionHeading === 'Results') {
+        this.addResult('Page Layout', true, `Page ranges and sections assigned to ${chunks.length} chunks`);
+      } else {
+        this.addResult('Page Layout', false, `Unexpected chunk layout: ${JSON.stringify(chunks)}`);
+      }
+    } catch (error) {
+      this.addResult('Page Layout', false, error.message);
+    }
+  }
+
+  async testStructureChunker() {
+    console.log('🧱 Testing Structure-Aware Chunker...');
+
+    try {
+      const rows = Array.from({ length: 20 }, (_, i) => `| item ${i} | ${i * 10} |`);
+      const markdown = `# Report\n\nOverview.\n\n## Costs\n\n| Item | Amount |\n| --- | --- |\n${rows.join('\n')}`;
+
+      const chunks = this.chunker.chunkByStructure(markdown, { chunkSize: 200 });
+      const tableChunks = chunks.filter(chunk => chunk.sectionHeading === 'Costs');
+      const headersRepeated = tableChunks.every(chunk => chunk.text.startsWith('Report > Costs\n\n| Item | Amount |\n| --- | --- |'));
+      const rowsKept = rows.every(row => tableChunks.filter(chunk => chunk.text.includes(`${row}\n`) || chunk.text.endsWith(row)).length === 1);
+
+      if (chunks[0].text === 'Report\n\nOverview.' && tableChunks.length > 1 && headersRepeated && rowsKept) {
+        this.addResult('Structure-Aware Chunker', true, `Table split into ${tableChunks.length} row groups with repeated headers`);
+      } else {
+        this.addResult('Structure-Aware Chunker', false, `Unexpected chunks: ${JSON.stringify(chunks)}`);
+      }
+    } catch (error) {
+      this.addResult('Structure-Aware Chunker', false, error.message);
+    }
+  }
+
+  async testTokenSizedChunking() {
+    console.log('🔢 Testing Token-Sized Chunking...');
+
+    try {
+      // Words stand in for the embedding tokenizer's word pieces
+      const countWords = text => text.split(/\s+/).filter(Boolean).length;
+      const text = Array.from({ length: 300 }, (_, i) => `Sentence number ${i} talks about chunking.`).join(' ');
+
+      const chunks = this.chunker.chunkText(text, { chunkSize: 100, chunkOverlap: 10, lengthFunction: countWords });
+      const largest = Math.max(...chunks.map(chunk => countWords(chunk.text)));
+      const coversText = chunks[chunks.length - 1].end === text.length;
+
+      if (chunks.length > 1 && largest <= 100 && coversText) {
+        this.addResult('Token-Sized Chunking', true, `${chunks.length} chunks, largest ${largest} tokens`);
+      } else {
+        this.addResult('Token-Sized Chunking', false, `Unexpected chunks: ${chunks.length} chunks, largest ${largest} tokens`);
+      }
+    } catch (error) {
+      this.addResult('Token-Sized Chunking', false, error.message);
+    }
+  }
+
+  async testSemanticChunker() {
+    console.log('🧠 Testing Semantic Chunker...');
+
+    try {
+      // Keyword counts per topic stand in for sentence embeddings
+      const topics = [['cat', 'kitten', 'purr'], ['stock', 'market', 'investor']];
+      const embed = async texts => texts.map(text => topics.map(words =>
+        words.filter(word => text.toLowerCase().includes(word)).length + 0.01
+      ));
+      const text = 'Cats purr when content. A kitten is a young cat. Cats purr loudly. ' +
+        'The stock market fell. Investors sold stock. The market closed lower.';
+
+      const chunks = await this.chunker.chunkSemantically(text, { embed, minChunkSize: 10, maxChunkSize: 500, bufferSize: 0 });
+      const stats = this.chunker.getChunkStats(chunks);
+
+      if (chunks.length === 2 && chunks[1].text.startsWith('The stock market') && stats.boundaries?.semantic === 1) {
+        this.addResult('Semantic Chunker', true, 'Boundary placed at the topic change');
+      } else {
+        this.addResult('Semantic Chunker', false, `Unexpected chunks: ${JSON.stringify(chunks.map(chunk => chunk.text))}`);
+      }
+    } catch (error) {
+      this.addResult('Semantic Chunker', false, error.message);
+    }
+  }
+
   async testIntegration() {
     console.log('🔗 Testing Integration...');
     
@@ -164,6 +1440,117 @@ class TestSuite {
     }
   }
 
+  /**
+   * Point the shared services at storage under dataPath and embed text by hashing its words,
+   * so ingestion and retrieval run without ChromaDB or the embedding model
+   * @param {string} dataPath - Temporary directory
+   * @returns {Function} - Restores the services
+   */
+  useTestStores(dataPath) {
+    const overrides = [
+      [vectorService, {
+        client: new LocalVectorStore({ storagePath: path.join(dataPath, 'vector_store') }),
+        collection: null,
+        versionsCollection: null,
+        lexicalIndex: new LexicalIndex({ name: 'test_documents', storagePath: path.join(dataPath, 'lexical_index') }),
+        lexicalIndexSynced: false
+      }],
+      [vextService, {
+        generateEmbeddings: async (texts) => texts.map(text => this.embedForTest(text)),
+        embedText: async (text) => this.embedForTest(text)
+      }],
+      [documentVersionService, { versionsFile: path.join(dataPath, 'document_versions.json'), documents: {}, initialized: false }],
+      [tableStoreService, { tablesDir: path.join(dataPath, 'tables'), initialized: false }],
+      [ingestionJobService, { jobsFile: path.join(dataPath, 'ingestion_jobs.json'), jobs: [], initialized: false, maxAttempts: 1 }],
+      [questionHistoryService, { historyFile: path.join(dataPath, 'question_history.json'), history: [], initialized: false }]
+    ];
+
+    const saved = overrides.map(([service, fields]) =>
+      [service, Object.keys(fields).map(key => [key, Object.hasOwn(service, key), service[key]])]
+    );
+    overrides.forEach(([service, fields]) => Object.assign(service, fields));
+
+    return () => saved.forEach(([service, fields]) => fields.forEach(([key, own, value]) => {
+      if (own) {
+        service[key] = value;
+      } else {
+        delete service[key];
+      }
+    }));
+  }
+
+  /**
+   * Bag-of-words embedding: texts sharing words are similar, without loading a model
+   * @param {string} text - Text to embed
+   * @returns {Array<number>} - Unit vector
+   */
+  embedForTest(text) {
+    const vector = new Array(64).fill(0);
+    for (const word of String(text).toLowerCase().match(/[a-z0-9]+/g) || []) {
+      let hash = 0;
+      for (const char of word) hash = (hash * 31 + char.charCodeAt(0)) % 64;
+      vector[hash] += 1;
+    }
+    const norm = Math.hypot(...vector) || 1;
+    return vector.map(value => value / norm);
+  }
+
+  /**
+   * Serve the API routes on a free local port, with uploads stored under dataPath
+   * @param {string} dataPath - Temporary directory
+   * @returns {Promise<{url: string, close: Function}>} - API base URL and a function that stops the server
+   */
+  async startTestServer(dataPath) {
+    const upload = multer({
+      storage: multer.diskStorage({
+        destination: path.join(dataPath, 'uploads'),
+        filename: (req, file, cb) => cb(null, `${Date.now()}-${file.originalname}`)
+      })
+    });
+    await fs.mkdir(path.join(dataPath, 'uploads'), { recursive: true });
+
+    const app = express();
+    app.use(express.json());
+    app.locals.upload = upload;
+    app.locals.batchUpload = upload;
+    app.use('/api', apiRoutes);
+
+    const server = await new Promise(resolve => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+
+    return {
+      url: `http://127.0.0.1:${server.address().port}/api`,
+      close: () => new Promise(resolve => server.close(resolve))
+    };
+  }
+
+  /**
+   * Upload a text file through POST /api/ingest (or another upload route) and run its job to the end
+   * @param {Object} server - Server from startTestServer
+   * @param {string} userId - User ID
+   * @param {string} name - File name
+   * @param {string} content - File content
+   * @param {Object} fields - Extra form fields
+   * @param {{method: string, route: string}} upload - Upload route, e.g. PUT /documents/:id
+   * @returns {Promise<Object>} - The finished job
+   */
+  async ingestTestFile(server, userId, name, content, fields = {}, { method = 'POST', route = '/ingest' } = {}) {
+    const form = new FormData();
+    form.append('userId', userId);
+    Object.entries(fields).forEach(([key, value]) => form.append(key, value));
+    form.append('file', new Blob([content], { type: 'text/plain' }), name);
+
+    const response = await (await fetch(`${server.url}${route}`, { method, body: form })).json();
+    if (!response.jobId) {
+      throw new Error(`Upload failed: ${response.error}`);
+    }
+
+    const job = await ingestionJobService.getJob(response.jobId);
+    await ingestionJobService.runJob(job);
+    return job;
+  }
+
   addResult(testName, passed, message) {
     this.results.push({
       test: testName,